@@ -7,55 +7,62 @@ class EnterpriseTaskFlow {
         this.tasks = [];
         this.files = [];
         this.activityLogs = [];
+        this.pageSize = 50;
+        this.maxPageSize = 200;
+        this.pagination = { tasks: null, users: null, files: null, activities: null };
         this.currentSection = 'dashboard';
         this.userProfile = null;
         this.editingTask = null;
         this.editingUser = null;
+        this.taskComments = [];
+        this.editingTaskBlockers = [];
+        this.projects = [];
+        this.currentProject = '';
+        this.labels = [];
+        this.labelFilter = [];
+        this.taskScope = 'all';
+        this.savedViews = [];
+        this.activeViewId = '';
+        this.taskView = 'list';
+        this.calendarMode = 'month';
+        this.calendarDate = new Date();
+        this.calendarTasks = [];
+        this.taskStatuses = ['pending', 'in-progress', 'completed'];
+        this.draggedTaskId = null;
+        this.editingProject = null;
+        this.userSessions = [];
+        this.runningTimer = null;
+        this.timerInterval = null;
+        this.taskTimeEntries = [];
+        this.taskFiles = [];
+        this.sharingTarget = null;
+        this.versionFile = null;
+        this.previewTarget = null;
+        this.activeUpload = null;
+        this.currentFolder = null;
+        this.folders = [];
+        this.folderPath = [];
+        this.movingItem = null;
+        this.storageQuota = null;
+        this.storageReport = null;
+        this.fileVersions = [];
+        this.shareTargets = { users: [], departments: [] };
+        this.editingTimeEntry = null;
+        this.timesheetWeek = new Date();
+        this.timesheetUserId = null;
+        this.timesheetDetail = null;
+        this.pendingTimesheets = [];
+        this.searchTimeout = null;
+        this.searchRequestId = 0;
+        this.expandedChecklists = new Set();
+        this.excludeSubtasks = false;
+        this.replyingToComment = null;
         this.notifications = [];
         this.loginTime = null;
         this.notificationCheckInterval = null;
         
-        this.permissions = {
-            employee: {
-                create_task: false,
-                edit_task: true,
-                delete_task: false,
-                view_users: false,
-                add_users: false,
-                edit_users: false,
-                remove_users: false,
-                view_activity_logs: false,
-                upload_files: true,
-                download_files: true,
-                delete_files: false
-            },
-            manager: {
-                create_task: true,
-                edit_task: true,
-                delete_task: false,
-                view_users: true,
-                add_users: false,
-                edit_users: false,
-                remove_users: false,
-                view_activity_logs: true,
-                upload_files: true,
-                download_files: true,
-                delete_files: true
-            },
-            admin: {
-                create_task: true,
-                edit_task: true,
-                delete_task: true,
-                view_users: true,
-                add_users: true,
-                edit_users: true,
-                remove_users: true,
-                view_activity_logs: true,
-                upload_files: true,
-                download_files: true,
-                delete_files: true
-            }
-        };
+        this.permissions = {};
+        this.userPermissions = {};
         
         this.initializeApp();
     }
@@ -143,6 +150,48 @@ class EnterpriseTaskFlow {
         document.getElementById('closeTaskModal').addEventListener('click', () => this.closeTaskModal());
         document.getElementById('cancelTask').addEventListener('click', () => this.closeTaskModal());
         document.getElementById('taskForm').addEventListener('submit', (e) => this.handleTaskSave(e));
+        document.getElementById('taskRecurrence').addEventListener('change', () => this.updateRecurrenceControls());
+        document.getElementById('taskRecurrenceEnd').addEventListener('change', () => this.updateRecurrenceControls());
+        document.getElementById('commentForm').addEventListener('submit', (e) => this.handleCommentSubmit(e));
+        document.getElementById('timeEntryForm').addEventListener('submit', (e) => this.handleTimeEntrySubmit(e));
+        document.getElementById('cancelTimeEntryEdit').addEventListener('click', () => this.resetTimeEntryForm());
+        document.getElementById('taskFileInput').addEventListener('change', (e) => this.handleTaskFileUpload(e));
+        document.getElementById('attachFileSelect').addEventListener('change', (e) => this.handleTaskFileAttach(e));
+        document.getElementById('timesheetPrev').addEventListener('click', () => this.shiftTimesheetWeek(-1));
+        document.getElementById('timesheetNext').addEventListener('click', () => this.shiftTimesheetWeek(1));
+        document.getElementById('submitTimesheetBtn').addEventListener('click', () => this.handleTimesheetSubmit());
+        document.getElementById('approveTimesheetBtn').addEventListener('click', () => this.handleTimesheetReview(this.timesheetDetail.timesheet, 'approve'));
+        document.getElementById('rejectTimesheetBtn').addEventListener('click', () => this.handleTimesheetReview(this.timesheetDetail.timesheet, 'reject'));
+        document.getElementById('myTimesheetBtn').addEventListener('click', () => this.viewTimesheet(null));
+        document.getElementById('exportTimesheetsBtn').addEventListener('click', () => this.exportTimesheets());
+        document.getElementById('cancelCommentReply').addEventListener('click', () => this.cancelCommentReply());
+
+        document.getElementById('projectSelector').addEventListener('change', (e) => this.handleProjectChange(e));
+        document.getElementById('addProjectBtn').addEventListener('click', () => this.openProjectModal());
+        document.getElementById('editProjectBtn').addEventListener('click', () => {
+            this.openProjectModal(this.projects.find(p => p.id == this.currentProject));
+        });
+        document.getElementById('closeProjectModal').addEventListener('click', () => this.closeProjectModal());
+        document.getElementById('cancelProject').addEventListener('click', () => this.closeProjectModal());
+        document.getElementById('deleteProjectBtn').addEventListener('click', () => this.handleProjectDelete());
+        document.getElementById('projectForm').addEventListener('submit', (e) => this.handleProjectSave(e));
+
+        document.getElementById('labelMatch').addEventListener('change', () => this.applyFilters());
+        document.querySelectorAll('.view-toggle-btn[data-view]').forEach(btn => {
+            btn.addEventListener('click', (e) => this.setTaskView(e.currentTarget.getAttribute('data-view')));
+        });
+        document.querySelectorAll('.calendar-mode-btn').forEach(btn => {
+            btn.addEventListener('click', (e) => this.setCalendarMode(e.currentTarget.getAttribute('data-mode')));
+        });
+        document.getElementById('calendarPrev').addEventListener('click', () => this.shiftCalendar(-1));
+        document.getElementById('calendarNext').addEventListener('click', () => this.shiftCalendar(1));
+        document.getElementById('calendarToday').addEventListener('click', () => {
+            this.calendarDate = new Date();
+            this.loadCalendarTasks();
+        });
+        document.getElementById('manageLabelsBtn').addEventListener('click', () => this.openLabelModal());
+        document.getElementById('closeLabelModal').addEventListener('click', () => this.closeLabelModal());
+        document.getElementById('labelForm').addEventListener('submit', (e) => this.handleLabelCreate(e));
 
         document.getElementById('addUserBtn').addEventListener('click', () => this.openUserModal());
         document.getElementById('closeUserModal').addEventListener('click', () => this.closeUserModal());
@@ -152,8 +201,12 @@ class EnterpriseTaskFlow {
         document.getElementById('headerProfileBtn').addEventListener('click', () => this.openProfileModal());
         document.getElementById('closeProfileModal').addEventListener('click', () => this.closeProfileModal());
         document.getElementById('cancelProfile').addEventListener('click', () => this.closeProfileModal());
+        document.getElementById('generateCalendarFeedBtn').addEventListener('click', () => this.handleCalendarFeedGenerate());
+        document.getElementById('disableCalendarFeedBtn').addEventListener('click', () => this.handleCalendarFeedDisable());
+        document.getElementById('copyCalendarFeedBtn').addEventListener('click', () => this.copyCalendarFeedUrl());
         document.getElementById('profileForm').addEventListener('submit', (e) => this.handleProfileUpdate(e));
         document.getElementById('avatarForm').addEventListener('submit', (e) => this.handleAvatarUpdate(e));
+        document.getElementById('avatarFileInput')?.addEventListener('change', (e) => this.handleAvatarFileUpload(e));
 
         document.getElementById('email').addEventListener('input', (e) => this.handleInputChange(e, 'email'));
         document.getElementById('password').addEventListener('input', (e) => this.handleInputChange(e, 'password'));
@@ -174,11 +227,37 @@ class EnterpriseTaskFlow {
 
         document.getElementById('statusFilter').addEventListener('change', () => this.applyFilters());
         document.getElementById('priorityFilter').addEventListener('change', () => this.applyFilters());
+        document.getElementById('sortFilter').addEventListener('change', () => this.applyFilters());
+        document.getElementById('orderFilter').addEventListener('change', () => this.applyFilters());
+        document.getElementById('userSort').addEventListener('change', () => this.loadUsers());
+        document.getElementById('fileSort').addEventListener('change', () => this.loadFiles());
+        document.getElementById('dueFromFilter').addEventListener('change', () => this.applyFilters());
+        document.getElementById('dueToFilter').addEventListener('change', () => this.applyFilters());
+        document.getElementById('overdueFilter').addEventListener('change', () => this.applyFilters());
+        document.getElementById('savedViewSelect').addEventListener('change', (e) => this.handleSavedViewSelect(e));
+        document.getElementById('saveViewBtn').addEventListener('click', () => this.handleSaveView());
+        document.getElementById('deleteViewBtn').addEventListener('click', () => this.handleDeleteView());
 
         document.getElementById('exportReport').addEventListener('click', () => this.exportReport());
         document.getElementById('reportPeriod').addEventListener('change', () => this.loadReports());
 
         document.getElementById('globalSearch').addEventListener('input', (e) => this.handleGlobalSearch(e));
+        document.getElementById('globalSearch').addEventListener('focus', () => {
+            if (document.getElementById('searchResults').innerHTML.trim()) {
+                document.getElementById('searchResults').classList.remove('hidden');
+            }
+        });
+        document.getElementById('globalSearch').addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                document.getElementById('searchResults').classList.add('hidden');
+                e.target.blur();
+            }
+        });
+        document.addEventListener('click', (e) => {
+            if (!e.target.closest('.search-box')) {
+                document.getElementById('searchResults').classList.add('hidden');
+            }
+        });
 
         document.querySelector('.user-info').addEventListener('click', () => this.openProfileModal());
 
@@ -189,6 +268,26 @@ class EnterpriseTaskFlow {
         document.getElementById('uploadFileBtn')?.addEventListener('click', () => this.openFileUploadModal());
         document.getElementById('fileUpload')?.addEventListener('change', (e) => this.handleFileSelect(e));
         document.getElementById('uploadFileForm')?.addEventListener('submit', (e) => this.handleFileUpload(e));
+        document.getElementById('closeFileUploadModal')?.addEventListener('click', () => this.closeFileUploadModal());
+        document.getElementById('cancelFileUpload')?.addEventListener('click', () => this.closeFileUploadModal());
+        document.getElementById('newFolderBtn')?.addEventListener('click', () => this.handleCreateFolder());
+        document.getElementById('storageReportBtn')?.addEventListener('click', () => this.openStorageReport());
+        document.getElementById('closeStorageReportModal')?.addEventListener('click', () => this.closeStorageReport());
+        document.getElementById('purgeRetainedVersionsBtn')?.addEventListener('click', () => {
+            this.purgeRetainedVersions('/api/storage/retained-versions', 'Permanently delete every retained version of deleted files?');
+        });
+        document.getElementById('closeMoveItemModal')?.addEventListener('click', () => this.closeMoveModal());
+        document.getElementById('cancelMoveItem')?.addEventListener('click', () => this.closeMoveModal());
+        document.getElementById('moveItemForm')?.addEventListener('submit', (e) => this.handleMoveItem(e));
+        document.getElementById('closeFileVersionsModal')?.addEventListener('click', () => this.closeFileVersionsModal());
+        document.getElementById('fileVersionInput')?.addEventListener('change', (e) => this.handleFileVersionUpload(e));
+        document.getElementById('closeFilePreviewModal')?.addEventListener('click', () => this.closeFilePreview());
+        document.getElementById('filePreviewDownloadBtn')?.addEventListener('click', () => {
+            if (this.previewTarget) this.downloadFile(this.previewTarget.file, this.previewTarget.version);
+        });
+        document.getElementById('fileVisibility')?.addEventListener('change', (e) => {
+            document.getElementById('fileShareOptions').classList.toggle('hidden', e.target.value !== 'shared');
+        });
 
         document.getElementById('refreshActivityLogs')?.addEventListener('click', () => this.loadActivityLogs());
 
@@ -322,6 +421,17 @@ class EnterpriseTaskFlow {
         }
     }
 
+    async loadUserPermissions() {
+        try {
+            const response = await this.apiCall('/api/user/permissions', 'GET');
+            if (response.success) {
+                this.userPermissions = response.data;
+            }
+        } catch (error) {
+            console.error('Failed to load user permissions:', error);
+        }
+    }
+
     async loadUserProfile() {
         try {
             const response = await this.apiCall('/api/user/profile', 'GET');
@@ -357,6 +467,7 @@ class EnterpriseTaskFlow {
             if (response.success) {
                 this.token = response.token;
                 this.currentUser = response.user;
+                this.userPermissions = response.permissions || {};
                 this.loginTime = new Date();
                 
                 if (this.rememberMe) {
@@ -436,11 +547,15 @@ class EnterpriseTaskFlow {
             this.token = null;
             this.currentUser = null;
             this.userProfile = null;
+            this.userPermissions = {};
             this.loginTime = null;
             
             if (this.notificationCheckInterval) {
                 clearInterval(this.notificationCheckInterval);
             }
+
+            this.runningTimer = null;
+            clearInterval(this.timerInterval);
             
             localStorage.removeItem('enterpriseAuthToken');
             sessionStorage.clear();
@@ -449,15 +564,22 @@ class EnterpriseTaskFlow {
         }
     }
 
-    loadMainApp() {
+    async loadMainApp() {
         document.getElementById('loginScreen').classList.add('hidden');
         document.getElementById('appContainer').classList.remove('hidden');
         
+        await this.loadUserPermissions();
         this.updateUserInterface();
+        await this.loadProjects();
+        await this.loadUserPreferences();
+        this.loadLabels();
+        this.loadSavedViews();
         this.loadDashboard();
         this.loadUsers();
-        this.loadTasks();
+        await this.loadRunningTimer();
+        this.loadTasks().then(() => this.openLinkedTask());
         this.loadReports();
+        this.loadTimesheet();
         this.updateNotifications();
         this.loadPermissions();
         this.loadFiles();
@@ -466,6 +588,34 @@ class EnterpriseTaskFlow {
         this.ensureLogoutButtonVisibility();
     }
 
+    async openLinkedTask() {
+        const match = window.location.hash.match(/^#task=(\d+)$/);
+        if (!match) return;
+
+        history.replaceState(null, '', window.location.pathname + window.location.search);
+        this.openTaskById(parseInt(match[1]));
+    }
+
+    async openTaskById(taskId) {
+        document.querySelector('.nav-item[data-section="tasks"]').click();
+
+        let task = this.tasks.find(t => t.id === taskId);
+        if (!task) {
+            try {
+                const tasks = await this.fetchAllPages('/api/tasks', new URLSearchParams({ include_subtasks: '1' }));
+                task = tasks.find(t => t.id === taskId);
+            } catch (error) {
+                console.error('Failed to load linked task:', error);
+            }
+        }
+
+        if (task) {
+            this.openTaskModal(task);
+        } else {
+            this.showNotification('The linked task was not found or is not visible to you', 'warning');
+        }
+    }
+
     showLoginScreen() {
         document.getElementById('loginScreen').classList.remove('hidden');
         document.getElementById('appContainer').classList.add('hidden');
@@ -501,8 +651,25 @@ class EnterpriseTaskFlow {
     }
 
     updateNavigationPermissions() {
-        const userRole = this.currentUser.role;
-        const userPermissions = this.permissions[userRole] || {};
+        const userPermissions = this.userPermissions;
+
+        const usersNav = document.querySelector('[data-section="users"]');
+        if (usersNav) {
+            usersNav.style.display = userPermissions.view_users ? 'flex' : 'none';
+        }
+
+        document.getElementById('addUserBtn').style.display = userPermissions.add_users ? 'flex' : 'none';
+        document.getElementById('addTaskBtn').style.display = userPermissions.create_task ? 'flex' : 'none';
+
+        const uploadFileBtn = document.getElementById('uploadFileBtn');
+        if (uploadFileBtn) {
+            uploadFileBtn.style.display = userPermissions.upload_files ? 'flex' : 'none';
+        }
+
+        const newFolderBtn = document.getElementById('newFolderBtn');
+        if (newFolderBtn) {
+            newFolderBtn.style.display = userPermissions.upload_files ? 'flex' : 'none';
+        }
 
         const activityLogsNav = document.querySelector('[data-section="activity-logs"]');
         if (activityLogsNav) {
@@ -539,7 +706,12 @@ class EnterpriseTaskFlow {
 
     async loadDashboard() {
         try {
-            const response = await this.apiCall('/api/dashboard/stats', 'GET');
+            const params = new URLSearchParams();
+            if (this.excludeSubtasks) params.set('exclude_subtasks', '1');
+            if (this.currentProject) params.set('project', this.currentProject);
+
+            const query = params.toString() ? `?${params}` : '';
+            const response = await this.apiCall(`/api/dashboard/stats${query}`, 'GET');
             
             if (response.success) {
                 this.renderDashboard(response.data);
@@ -613,10 +785,16 @@ class EnterpriseTaskFlow {
 
             <div class="section-header">
                 <h2>Recent Activities</h2>
-                <button class="btn-primary" id="refreshDashboard">
-                    <i class="fas fa-sync-alt"></i>
-                    Refresh
-                </button>
+                <div class="section-header-actions">
+                    <label class="dashboard-toggle">
+                        <input type="checkbox" id="excludeSubtasks" ${this.excludeSubtasks ? 'checked' : ''}>
+                        Exclude subtasks from counts
+                    </label>
+                    <button class="btn-primary" id="refreshDashboard">
+                        <i class="fas fa-sync-alt"></i>
+                        Refresh
+                    </button>
+                </div>
             </div>
             <div class="task-list">
                 ${recentTasks && recentTasks.length > 0 ? 
@@ -631,15 +809,32 @@ class EnterpriseTaskFlow {
             this.showNotification('Dashboard refreshed', 'info');
         });
 
+        document.getElementById('excludeSubtasks').addEventListener('change', (e) => {
+            this.excludeSubtasks = e.target.checked;
+            this.loadDashboard();
+        });
+
         this.attachTaskEventListeners();
     }
 
-    async loadTasks() {
+    async loadTasks(append = false) {
         try {
-            const response = await this.apiCall('/api/tasks', 'GET');
+            const params = this.buildTaskQuery(this.getTaskFilters());
+
+            if (this.taskView === 'board') {
+                this.tasks = await this.fetchAllPages('/api/tasks', params);
+                this.pagination.tasks = null;
+                this.renderTasks();
+                return;
+            }
+
+            params.set('limit', this.pageSize);
+            params.set('offset', append ? this.tasks.length : 0);
+            const response = await this.apiCall(`/api/tasks?${params}`, 'GET');
             
             if (response.success) {
-                this.tasks = response.data;
+                this.tasks = append ? this.mergePage(this.tasks, response.data) : response.data;
+                this.pagination.tasks = response.pagination;
                 this.renderTasks();
             }
         } catch (error) {
@@ -650,6 +845,22 @@ class EnterpriseTaskFlow {
 
     renderTasks() {
         const container = document.getElementById('taskListContainer');
+        const board = document.getElementById('taskBoardContainer');
+        const calendar = document.getElementById('taskCalendarContainer');
+
+        container.classList.toggle('hidden', this.taskView !== 'list');
+        board.classList.toggle('hidden', this.taskView !== 'board');
+        calendar.classList.toggle('hidden', this.taskView !== 'calendar');
+
+        if (this.taskView === 'board') {
+            this.renderBoard();
+            return;
+        }
+
+        if (this.taskView === 'calendar') {
+            this.loadCalendarTasks();
+            return;
+        }
         
         if (!this.tasks || this.tasks.length === 0) {
             container.innerHTML = '<div class="no-data"><i class="fas fa-tasks"></i><p>No tasks found. Create your first task!</p></div>';
@@ -658,6 +869,443 @@ class EnterpriseTaskFlow {
 
         container.innerHTML = this.tasks.map(task => this.renderTaskItem(task)).join('');
         this.attachTaskEventListeners();
+        this.renderLoadMore(container, 'tasks', this.tasks.length);
+    }
+
+    mergePage(items, page) {
+        const ids = new Set(items.map(item => item.id));
+        return [...items, ...page.filter(item => !ids.has(item.id))];
+    }
+
+    async fetchAllPages(endpoint, params = new URLSearchParams()) {
+        let items = [];
+        let hasMore = true;
+
+        params.set('limit', this.maxPageSize);
+        while (hasMore) {
+            params.set('offset', items.length);
+            const response = await this.apiCall(`${endpoint}?${params}`, 'GET');
+            items = this.mergePage(items, response.data);
+            hasMore = response.pagination.has_more && response.data.length > 0;
+        }
+
+        return items;
+    }
+
+    renderLoadMore(container, list, loaded) {
+        const pagination = this.pagination[list];
+        if (!pagination || !pagination.has_more) return;
+
+        const footer = document.createElement('div');
+        footer.className = 'load-more';
+        footer.innerHTML = `
+            <span>Showing ${loaded} of ${pagination.total}</span>
+            <button type="button" class="btn-secondary">Load more</button>
+        `;
+        container.appendChild(footer);
+
+        const loaders = {
+            tasks: () => this.loadTasks(true),
+            users: () => this.loadUsers(true),
+            files: () => this.loadFiles(true),
+            activities: () => this.loadActivityLogs(true)
+        };
+        let requested = false;
+        const loadMore = () => {
+            if (requested) return;
+            requested = true;
+            observer.disconnect();
+            footer.querySelector('button').disabled = true;
+            loaders[list]();
+        };
+        const observer = new IntersectionObserver(entries => {
+            if (entries[0].isIntersecting) loadMore();
+        });
+
+        footer.querySelector('button').addEventListener('click', loadMore);
+        observer.observe(footer);
+    }
+
+    async loadUserPreferences() {
+        try {
+            const [preferences, statuses] = await Promise.all([
+                this.apiCall('/api/user/preferences', 'GET'),
+                this.apiCall('/api/task-statuses', 'GET')
+            ]);
+
+            if (statuses.success) {
+                this.taskStatuses = statuses.data;
+            }
+
+            if (preferences.success) {
+                this.taskView = preferences.data.task_view;
+                this.updateViewToggle();
+            }
+        } catch (error) {
+            console.error('Failed to load preferences:', error);
+        }
+    }
+
+    updateViewToggle() {
+        document.querySelectorAll('.view-toggle-btn[data-view]').forEach(btn => {
+            btn.classList.toggle('active', btn.getAttribute('data-view') === this.taskView);
+        });
+    }
+
+    setTaskView(view) {
+        if (view === this.taskView) return;
+
+        this.taskView = view;
+        this.updateViewToggle();
+        this.loadTasks();
+
+        this.apiCall('/api/user/preferences', 'PUT', { task_view: view })
+            .catch(error => console.error('Failed to save view preference:', error));
+    }
+
+    renderBoard() {
+        const board = document.getElementById('taskBoardContainer');
+        const canEdit = this.userPermissions.edit_task;
+        const statuses = [...this.taskStatuses];
+
+        this.tasks.forEach(task => {
+            if (!statuses.includes(task.status)) {
+                statuses.push(task.status);
+            }
+        });
+
+        const byPosition = (a, b) => (a.position || 0) - (b.position || 0) ||
+            new Date(b.created_at) - new Date(a.created_at);
+
+        board.innerHTML = statuses.map(status => {
+            const tasks = this.tasks.filter(task => task.status === status).sort(byPosition);
+
+            return `
+                <div class="board-column" data-status="${this.escapeHtml(status)}">
+                    <div class="board-column-header">
+                        <span class="task-status ${this.escapeHtml(status)}">
+                            <i class="fas fa-circle"></i> ${this.escapeHtml(status.replace(/-/g, ' '))}
+                        </span>
+                        <span class="board-column-count">${tasks.length}</span>
+                    </div>
+                    <div class="board-column-body" data-status="${this.escapeHtml(status)}">
+                        ${tasks.map(task => this.renderBoardCard(task, canEdit)).join('')}
+                    </div>
+                </div>
+            `;
+        }).join('');
+
+        this.attachBoardEventListeners();
+    }
+
+    renderBoardCard(task, canEdit) {
+        const dueDate = task.due_date ? new Date(task.due_date) : null;
+        const isOverdue = dueDate && dueDate < new Date() && task.status !== 'completed';
+        const isBlocked = task.open_blocker_count > 0 && task.status !== 'completed';
+
+        return `
+            <div class="board-card" data-id="${task.id}" data-priority="${task.priority}" draggable="${canEdit ? 'true' : 'false'}">
+                <h4 class="board-card-title">${this.escapeHtml(task.title)}</h4>
+                ${task.labels && task.labels.length > 0 ? `
+                    <div class="task-labels">
+                        ${task.labels.map(label => this.renderLabelChip(label)).join('')}
+                    </div>
+                ` : ''}
+                <div class="board-card-meta">
+                    <span class="task-priority ${task.priority}">
+                        <i class="fas fa-flag"></i> ${task.priority}
+                    </span>
+                    ${isBlocked ? `
+                        <span class="task-blocked" title="Waiting on ${task.open_blocker_count} open task(s)">
+                            <i class="fas fa-ban"></i> blocked
+                        </span>
+                    ` : ''}
+                    ${dueDate ? `
+                        <span class="task-due-date ${isOverdue ? 'overdue' : ''}">
+                            <i class="far fa-calendar"></i> ${dueDate.toLocaleDateString()}
+                        </span>
+                    ` : ''}
+                </div>
+                ${task.assignee_name ? `
+                    <div class="board-card-assignee">
+                        <i class="fas fa-user"></i> ${this.escapeHtml(task.assignee_name)}
+                    </div>
+                ` : ''}
+            </div>
+        `;
+    }
+
+    attachBoardEventListeners() {
+        const board = document.getElementById('taskBoardContainer');
+
+        board.querySelectorAll('.board-card').forEach(card => {
+            card.addEventListener('click', () => {
+                const task = this.tasks.find(t => t.id == card.getAttribute('data-id'));
+                if (task) this.openTaskModal(task);
+            });
+
+            card.addEventListener('dragstart', (e) => {
+                this.draggedTaskId = card.getAttribute('data-id');
+                e.dataTransfer.effectAllowed = 'move';
+                e.dataTransfer.setData('text/plain', this.draggedTaskId);
+                card.classList.add('dragging');
+            });
+
+            card.addEventListener('dragend', () => {
+                card.classList.remove('dragging');
+                if (this.draggedTaskId) {
+                    this.draggedTaskId = null;
+                    this.renderBoard();
+                    return;
+                }
+                board.querySelectorAll('.board-column-body').forEach(body => body.classList.remove('drag-over'));
+            });
+        });
+
+        board.querySelectorAll('.board-column-body').forEach(column => {
+            column.addEventListener('dragover', (e) => {
+                const dragging = board.querySelector('.board-card.dragging');
+                if (!dragging) return;
+
+                e.preventDefault();
+                column.classList.add('drag-over');
+
+                const nextCard = Array.from(column.querySelectorAll('.board-card:not(.dragging)'))
+                    .find(card => {
+                        const box = card.getBoundingClientRect();
+                        return e.clientY < box.top + box.height / 2;
+                    });
+
+                if (nextCard) {
+                    column.insertBefore(dragging, nextCard);
+                } else {
+                    column.appendChild(dragging);
+                }
+            });
+
+            column.addEventListener('dragleave', (e) => {
+                if (!column.contains(e.relatedTarget)) {
+                    column.classList.remove('drag-over');
+                }
+            });
+
+            column.addEventListener('drop', (e) => {
+                e.preventDefault();
+                column.classList.remove('drag-over');
+                this.handleBoardDrop(column);
+            });
+        });
+    }
+
+    async handleBoardDrop(column) {
+        const taskId = this.draggedTaskId;
+        const task = this.tasks.find(t => t.id == taskId);
+        this.draggedTaskId = null;
+        if (!task) return;
+
+        const newStatus = column.getAttribute('data-status');
+        const order = Array.from(column.querySelectorAll('.board-card'))
+            .map(card => parseInt(card.getAttribute('data-id')));
+
+        try {
+            if (task.status !== newStatus) {
+                await this.patchTask(task.id, { status: newStatus });
+                this.logActivity('task_status_changed', `Task status changed to ${newStatus}`);
+            }
+
+            await this.apiCall('/api/tasks/board/order', 'PUT', { status: newStatus, order });
+
+            if (task.status !== newStatus) {
+                this.loadTasks();
+                if (this.currentSection === 'dashboard') {
+                    this.loadDashboard();
+                }
+            } else {
+                order.forEach((id, index) => {
+                    const orderedTask = this.tasks.find(t => t.id === id);
+                    if (orderedTask) orderedTask.position = index + 1;
+                });
+                this.renderBoard();
+            }
+        } catch (error) {
+            this.showNotification(error.status === 409 ? error.message : 'Error moving task', 'error');
+            this.renderBoard();
+        }
+    }
+
+    formatDateKey(date) {
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+        return `${date.getFullYear()}-${month}-${day}`;
+    }
+
+    getCalendarRange() {
+        const anchor = new Date(this.calendarDate.getFullYear(), this.calendarDate.getMonth(), this.calendarDate.getDate());
+        const startOfWeek = (date) => {
+            const start = new Date(date);
+            start.setDate(start.getDate() - ((start.getDay() + 6) % 7));
+            return start;
+        };
+
+        let start;
+        let days;
+        if (this.calendarMode === 'week') {
+            start = startOfWeek(anchor);
+            days = 7;
+        } else {
+            const firstOfMonth = new Date(anchor.getFullYear(), anchor.getMonth(), 1);
+            const lastOfMonth = new Date(anchor.getFullYear(), anchor.getMonth() + 1, 0);
+            start = startOfWeek(firstOfMonth);
+            days = Math.ceil(((lastOfMonth - start) / 86400000 + 1) / 7) * 7;
+        }
+
+        const end = new Date(start);
+        end.setDate(end.getDate() + days - 1);
+
+        return { start, end, days };
+    }
+
+    setCalendarMode(mode) {
+        this.calendarMode = mode;
+        document.querySelectorAll('.calendar-mode-btn').forEach(btn => {
+            btn.classList.toggle('active', btn.getAttribute('data-mode') === mode);
+        });
+        this.loadCalendarTasks();
+    }
+
+    shiftCalendar(direction) {
+        const date = new Date(this.calendarDate);
+        if (this.calendarMode === 'week') {
+            date.setDate(date.getDate() + direction * 7);
+        } else {
+            date.setDate(1);
+            date.setMonth(date.getMonth() + direction);
+        }
+        this.calendarDate = date;
+        this.loadCalendarTasks();
+    }
+
+    async loadCalendarTasks() {
+        const { start, end } = this.getCalendarRange();
+        const filters = this.getTaskFilters();
+        const from = this.formatDateKey(start);
+        const to = this.formatDateKey(end);
+
+        filters.due_from = filters.due_from > from ? filters.due_from : from;
+        filters.due_to = filters.due_to && filters.due_to < to ? filters.due_to : to;
+
+        const params = this.buildTaskQuery(filters);
+
+        try {
+            this.calendarTasks = await this.fetchAllPages('/api/tasks', params);
+            this.renderCalendar();
+        } catch (error) {
+            console.error('Failed to load calendar tasks:', error);
+            this.showNotification('Error loading calendar', 'error');
+        }
+    }
+
+    renderCalendar() {
+        const { start, end, days } = this.getCalendarRange();
+        const grid = document.getElementById('calendarGrid');
+        const todayKey = this.formatDateKey(new Date());
+        const canEdit = this.userPermissions.edit_task;
+        const month = this.calendarDate.getMonth();
+
+        const title = this.calendarMode === 'week'
+            ? `${start.toLocaleDateString(undefined, { month: 'short', day: 'numeric' })} – ${end.toLocaleDateString(undefined, { month: 'short', day: 'numeric', year: 'numeric' })}`
+            : this.calendarDate.toLocaleDateString(undefined, { month: 'long', year: 'numeric' });
+        document.getElementById('calendarTitle').textContent = title;
+
+        const weekdays = Array.from({ length: 7 }, (_, index) => {
+            const day = new Date(start);
+            day.setDate(day.getDate() + index);
+            return `<div class="calendar-weekday">${day.toLocaleDateString(undefined, { weekday: 'short' })}</div>`;
+        }).join('');
+
+        const cells = Array.from({ length: days }, (_, index) => {
+            const day = new Date(start);
+            day.setDate(day.getDate() + index);
+            const key = this.formatDateKey(day);
+            const tasks = this.calendarTasks.filter(task => task.due_date === key);
+            const isOutside = this.calendarMode === 'month' && day.getMonth() !== month;
+
+            return `
+                <div class="calendar-day ${key === todayKey ? 'today' : ''} ${isOutside ? 'outside' : ''}" data-date="${key}">
+                    <span class="calendar-day-number">${day.getDate()}</span>
+                    <div class="calendar-day-tasks">
+                        ${tasks.map(task => {
+                            const isOverdue = key < todayKey && task.status !== 'completed';
+                            return `
+                                <div class="calendar-task ${task.status === 'completed' ? 'completed' : ''} ${isOverdue ? 'overdue' : ''}"
+                                     data-id="${task.id}" data-priority="${task.priority}" draggable="${canEdit ? 'true' : 'false'}"
+                                     title="${this.escapeHtml(task.title)}${isOverdue ? ' (Overdue)' : ''}">
+                                    ${this.escapeHtml(task.title)}
+                                </div>
+                            `;
+                        }).join('')}
+                    </div>
+                </div>
+            `;
+        }).join('');
+
+        grid.className = `calendar-grid ${this.calendarMode}`;
+        grid.innerHTML = weekdays + cells;
+
+        this.attachCalendarEventListeners();
+    }
+
+    attachCalendarEventListeners() {
+        const grid = document.getElementById('calendarGrid');
+
+        grid.querySelectorAll('.calendar-task').forEach(item => {
+            item.addEventListener('click', () => {
+                const task = this.calendarTasks.find(t => t.id == item.getAttribute('data-id'));
+                if (task) this.openTaskModal(task);
+            });
+
+            item.addEventListener('dragstart', (e) => {
+                e.dataTransfer.effectAllowed = 'move';
+                e.dataTransfer.setData('text/plain', item.getAttribute('data-id'));
+                item.classList.add('dragging');
+            });
+
+            item.addEventListener('dragend', () => item.classList.remove('dragging'));
+        });
+
+        grid.querySelectorAll('.calendar-day').forEach(cell => {
+            cell.addEventListener('dragover', (e) => {
+                if (!grid.querySelector('.calendar-task.dragging')) return;
+                e.preventDefault();
+                cell.classList.add('drag-over');
+            });
+
+            cell.addEventListener('dragleave', (e) => {
+                if (!cell.contains(e.relatedTarget)) {
+                    cell.classList.remove('drag-over');
+                }
+            });
+
+            cell.addEventListener('drop', (e) => {
+                e.preventDefault();
+                cell.classList.remove('drag-over');
+                this.handleCalendarDrop(e.dataTransfer.getData('text/plain'), cell.getAttribute('data-date'));
+            });
+        });
+    }
+
+    async handleCalendarDrop(taskId, dueDate) {
+        const task = this.calendarTasks.find(t => t.id == taskId);
+        if (!task || task.due_date === dueDate) return;
+
+        try {
+            await this.patchTask(task.id, { due_date: dueDate });
+            this.showNotification(`"${task.title}" rescheduled to ${new Date(`${dueDate}T00:00:00`).toLocaleDateString()}`, 'success');
+            this.logActivity('task_updated', `Task "${task.title}" rescheduled`);
+            this.loadTasks();
+        } catch (error) {
+            this.showNotification('Error rescheduling task', 'error');
+        }
     }
 
     renderTaskItem(task) {
@@ -665,18 +1313,38 @@ class EnterpriseTaskFlow {
         const today = new Date();
         const isOverdue = dueDate && dueDate < today && !['completed', 'cancelled'].includes(task.status);
         const isCompleted = task.status === 'completed';
+        const canEdit = this.userPermissions.edit_task;
+        const canDelete = this.userPermissions.delete_task &&
+            (this.currentUser.role !== 'employee' || task.created_by === this.currentUser.id);
 
         const defaultAvatar = 'https://i.imgur.com/RpGGkQ1.png';
+        const subtaskCount = task.subtask_count || 0;
+        const progress = task.progress || 0;
+        const canHaveChecklist = !task.parent_id && (subtaskCount > 0 || canEdit);
+        const isExpanded = this.expandedChecklists.has(task.id);
+        const isBlocked = task.open_blocker_count > 0 && !isCompleted;
+        const recurrenceLabel = this.describeRecurrence(task.recurrence_rule);
+        const isTiming = this.runningTimer && this.runningTimer.task_id === task.id;
 
         return `
             <div class="task-item ${isCompleted ? 'completed' : ''}" data-priority="${task.priority}" data-id="${task.id}">
                 <div class="task-checkbox">
-                    <input type="checkbox" id="task-${task.id}" ${isCompleted ? 'checked' : ''}>
+                    <input type="checkbox" id="task-${task.id}" ${isCompleted ? 'checked' : ''} ${canEdit ? '' : 'disabled'}>
                     <label for="task-${task.id}"></label>
                 </div>
                 <div class="task-content">
                     <h4 class="task-title">${this.escapeHtml(task.title)}</h4>
+                    ${task.parent_title ? `
+                        <p class="task-parent">
+                            <i class="fas fa-level-up-alt"></i> Subtask of ${this.escapeHtml(task.parent_title)}
+                        </p>
+                    ` : ''}
                     <p class="task-description">${this.escapeHtml(task.description) || 'No description'}</p>
+                    ${task.labels && task.labels.length > 0 ? `
+                        <div class="task-labels">
+                            ${task.labels.map(label => this.renderLabelChip(label)).join('')}
+                        </div>
+                    ` : ''}
                     <div class="task-meta">
                         <span class="task-priority ${task.priority}">
                             <i class="fas fa-flag"></i> ${task.priority}
@@ -684,6 +1352,21 @@ class EnterpriseTaskFlow {
                         <span class="task-status ${task.status}">
                             <i class="fas fa-circle"></i> ${task.status}
                         </span>
+                        ${task.project_name ? `
+                            <span class="task-project" style="--project-color: ${this.escapeHtml(task.project_color)}">
+                                <i class="fas fa-folder"></i> ${this.escapeHtml(task.project_name)}
+                            </span>
+                        ` : ''}
+                        ${recurrenceLabel ? `
+                            <span class="task-recurrence" title="Repeats: ${recurrenceLabel}">
+                                <i class="fas fa-redo"></i> ${recurrenceLabel}
+                            </span>
+                        ` : ''}
+                        ${isBlocked ? `
+                            <span class="task-blocked" title="Waiting on ${task.open_blocker_count} open task(s)">
+                                <i class="fas fa-ban"></i> blocked
+                            </span>
+                        ` : ''}
                         ${dueDate ? `
                             <span class="task-due-date ${isOverdue ? 'overdue' : ''}">
                                 <i class="far fa-calendar"></i> 
@@ -698,34 +1381,63 @@ class EnterpriseTaskFlow {
                                 ${task.assignee_name}
                             </span>
                         ` : ''}
-                        ${task.estimated_hours ? `
-                            <span class="task-hours">
+                        ${task.estimated_hours || task.actual_hours ? `
+                            <span class="task-hours" title="Tracked / estimated hours">
                                 <i class="fas fa-clock"></i> 
-                                ${task.estimated_hours} hours
+                                ${task.actual_hours ? `${task.actual_hours}${task.estimated_hours ? ` / ${task.estimated_hours}` : ''}` : task.estimated_hours} hours
+                            </span>
+                        ` : ''}
+                        ${isTiming ? `
+                            <span class="task-timer" title="Timer running">
+                                <i class="fas fa-stopwatch"></i>
+                                <span class="timer-elapsed">${this.formatElapsed(this.runningTimer.started_at)}</span>
                             </span>
                         ` : ''}
                     </div>
+                    ${subtaskCount > 0 ? `
+                        <div class="task-progress">
+                            <div class="progress-bar">
+                                <div class="progress-fill" style="width: ${progress}%"></div>
+                            </div>
+                            <span class="task-progress-label">${progress}%</span>
+                        </div>
+                    ` : ''}
+                    ${canHaveChecklist ? `
+                        <button type="button" class="checklist-toggle" data-task-id="${task.id}">
+                            <i class="fas ${isExpanded ? 'fa-chevron-down' : 'fa-chevron-right'}"></i>
+                            ${subtaskCount > 0 ? `Checklist (${task.subtasks_completed || 0}/${subtaskCount})` : 'Add checklist'}
+                        </button>
+                        <div class="task-checklist ${isExpanded ? '' : 'hidden'}" data-task-id="${task.id}"></div>
+                    ` : ''}
                 </div>
                 <div class="task-actions">
-                    <button class="action-btn edit-btn" data-task-id="${task.id}" title="Edit Task">
-                        <i class="fas fa-edit"></i>
+                    <button class="action-btn timer-btn ${isTiming ? 'running' : ''}" data-task-id="${task.id}" title="${isTiming ? 'Stop Timer' : 'Start Timer'}">
+                        <i class="fas ${isTiming ? 'fa-stop' : 'fa-play'}"></i>
                     </button>
-                    <button class="action-btn delete-btn" data-task-id="${task.id}" title="Delete Task">
-                        <i class="fas fa-trash"></i>
+                    <button class="action-btn edit-btn" data-task-id="${task.id}" title="${canEdit ? 'Edit Task' : 'View Task'}">
+                        <i class="fas ${canEdit ? 'fa-edit' : 'fa-eye'}"></i>
                     </button>
+                    ${canDelete ? `
+                        <button class="action-btn delete-btn" data-task-id="${task.id}" title="Delete Task">
+                            <i class="fas fa-trash"></i>
+                        </button>
+                    ` : ''}
                 </div>
             </div>
         `;
     }
 
-    async loadUsers() {
-        if (this.currentUser.role !== 'admin') return;
+    async loadUsers(append = false) {
+        if (!this.userPermissions.view_users) return;
 
         try {
-            const response = await this.apiCall('/api/users', 'GET');
+            const [sort, order] = document.getElementById('userSort').value.split(':');
+            const params = new URLSearchParams({ sort, order, limit: this.pageSize, offset: append ? this.users.length : 0 });
+            const response = await this.apiCall(`/api/users?${params}`, 'GET');
             
             if (response.success) {
-                this.users = response.data;
+                this.users = append ? this.mergePage(this.users, response.data) : response.data;
+                this.pagination.users = response.pagination;
                 this.renderUsers();
             }
         } catch (error) {
@@ -744,12 +1456,16 @@ class EnterpriseTaskFlow {
 
         container.innerHTML = this.users.map(user => this.renderUserCard(user)).join('');
         this.attachUserEventListeners();
+        this.renderLoadMore(container, 'users', this.users.length);
     }
 
     renderUserCard(user) {
         const createdDate = user.created_at ? new Date(user.created_at).toLocaleDateString() : 'N/A';
         const lastLogin = user.last_login ? new Date(user.last_login).toLocaleDateString() : 'Never';
         const defaultAvatar = 'https://i.imgur.com/RpGGkQ1.png';
+        const canManage = this.currentUser.role === 'admin' || user.role !== 'admin';
+        const canEdit = canManage && this.userPermissions.edit_users;
+        const canRemove = canManage && this.userPermissions.remove_users;
 
         return `
             <div class="user-card" data-user-id="${user.id}">
@@ -782,26 +1498,46 @@ class EnterpriseTaskFlow {
                     </div>
                 </div>
                 <div class="user-card-actions">
-                    <button class="user-action-btn btn-change-password" data-user-id="${user.id}" title="Change Password">
-                        <i class="fas fa-key"></i>
-                    </button>
-                    <button class="user-action-btn btn-edit-user" data-user-id="${user.id}" title="Edit User">
-                        <i class="fas fa-edit"></i>
-                    </button>
-                    <button class="user-action-btn btn-deactivate" data-user-id="${user.id}" title="${user.is_active ? 'Deactivate' : 'Activate'} User">
-                        <i class="fas ${user.is_active ? 'fa-user-slash' : 'fa-user-check'}"></i>
-                    </button>
+                    ${canEdit ? `
+                        <button class="user-action-btn btn-revoke-sessions" data-user-id="${user.id}" title="Sign Out All Sessions">
+                            <i class="fas fa-user-lock"></i>
+                        </button>
+                        <button class="user-action-btn btn-change-password" data-user-id="${user.id}" title="Change Password">
+                            <i class="fas fa-key"></i>
+                        </button>
+                        <button class="user-action-btn btn-edit-user" data-user-id="${user.id}" title="Edit User">
+                            <i class="fas fa-edit"></i>
+                        </button>
+                    ` : ''}
+                    ${canRemove ? `
+                        <button class="user-action-btn btn-deactivate" data-user-id="${user.id}" title="${user.is_active ? 'Deactivate' : 'Activate'} User">
+                            <i class="fas ${user.is_active ? 'fa-user-slash' : 'fa-user-check'}"></i>
+                        </button>
+                    ` : ''}
                 </div>
             </div>
         `;
     }
 
-    async loadFiles() {
+    async loadFiles(append = false) {
         try {
-            const response = await this.apiCall('/api/files', 'GET');
+            if (!append) {
+                await this.loadFolders();
+            }
+
+            const [sort, order] = document.getElementById('fileSort').value.split(':');
+            const params = new URLSearchParams({
+                folder: this.currentFolder || 'root',
+                sort,
+                order,
+                limit: this.pageSize,
+                offset: append ? this.files.length : 0
+            });
+            const response = await this.apiCall(`/api/files?${params}`, 'GET');
             
             if (response.success) {
-                this.files = response.data;
+                this.files = append ? this.mergePage(this.files, response.data) : response.data;
+                this.pagination.files = response.pagination;
                 this.renderFiles();
             }
         } catch (error) {
@@ -809,28 +1545,115 @@ class EnterpriseTaskFlow {
         }
     }
 
-    renderFiles() {
-        const container = document.getElementById('fileStorageContainer');
-        if (!container) return;
+    async loadFolders() {
+        try {
+            if (this.currentFolder) {
+                const folderResponse = await this.apiCall(`/api/folders/${this.currentFolder}`, 'GET');
+                const { path, ...folder } = folderResponse.data;
+                this.folderPath = [...path, folder];
+            } else {
+                this.folderPath = [];
+            }
+
+            const response = await this.apiCall(`/api/folders?parent=${this.currentFolder || 'root'}`, 'GET');
+            this.folders = response.data;
+        } catch (error) {
+            if (this.currentFolder) {
+                this.currentFolder = null;
+                return this.loadFolders();
+            }
+            console.error('Failed to load folders:', error);
+        }
+    }
+
+    openFolder(folderId) {
+        this.currentFolder = folderId ? parseInt(folderId) : null;
+        this.loadFiles();
+    }
+
+    renderFileBreadcrumb() {
+        const breadcrumb = document.getElementById('fileBreadcrumb');
+        if (!breadcrumb) return;
+
+        breadcrumb.innerHTML = [{ id: '', name: 'All Files' }, ...this.folderPath].map((folder, index, path) => `
+            ${index > 0 ? '<i class="fas fa-chevron-right"></i>' : ''}
+            <button type="button" class="breadcrumb-item ${index === path.length - 1 ? 'active' : ''}" data-folder-id="${folder.id}">
+                ${index === 0 ? '<i class="fas fa-home"></i>' : ''} ${this.escapeHtml(folder.name)}
+            </button>
+        `).join('');
+
+        breadcrumb.querySelectorAll('.breadcrumb-item').forEach(btn => {
+            btn.addEventListener('click', (e) => this.openFolder(e.currentTarget.getAttribute('data-folder-id')));
+        });
+    }
+
+    renderFiles() {
+        const container = document.getElementById('fileStorageContainer');
+        if (!container) return;
+
+        this.renderFileBreadcrumb();
         
-        if (!this.files || this.files.length === 0) {
-            container.innerHTML = '<div class="no-data"><i class="fas fa-folder-open"></i><p>No files uploaded yet</p></div>';
+        if ((!this.files || this.files.length === 0) && this.folders.length === 0) {
+            container.innerHTML = this.currentFolder
+                ? '<div class="no-data"><i class="fas fa-folder-open"></i><p>This folder is empty</p></div>'
+                : '<div class="no-data"><i class="fas fa-folder-open"></i><p>No files uploaded yet</p></div>';
             return;
         }
 
-        container.innerHTML = this.files.map(file => this.renderFileItem(file)).join('');
+        container.innerHTML = this.folders.map(folder => this.renderFolderItem(folder)).join('') +
+            this.files.map(file => this.renderFileItem(file)).join('');
         this.attachFileEventListeners();
+        this.renderLoadMore(container, 'files', this.files.length);
+    }
+
+    renderFolderItem(folder) {
+        return `
+            <div class="file-item folder-item" data-folder-id="${folder.id}">
+                <div class="file-icon folder-icon">
+                    <i class="fas fa-folder"></i>
+                </div>
+                <div class="file-info">
+                    <h4 class="file-name">${this.escapeHtml(folder.name)}</h4>
+                    <p class="file-meta">
+                        <span>Owner: ${this.escapeHtml(folder.owner_name || 'Unknown')}</span>
+                        <span>${folder.folder_count} folder(s)</span>
+                        <span>${folder.file_count} file(s)</span>
+                        <span class="file-visibility ${folder.visibility}">
+                            <i class="fas ${this.getFileVisibilityIcon(folder.visibility)}"></i> ${folder.visibility}
+                        </span>
+                    </p>
+                </div>
+                ${folder.can_manage ? `
+                    <div class="file-actions">
+                        <button class="action-btn folder-rename-btn" data-folder-id="${folder.id}" title="Rename Folder">
+                            <i class="fas fa-edit"></i>
+                        </button>
+                        <button class="action-btn folder-move-btn" data-folder-id="${folder.id}" title="Move Folder">
+                            <i class="fas fa-folder-open"></i>
+                        </button>
+                        <button class="action-btn folder-share-btn" data-folder-id="${folder.id}" title="Share Folder">
+                            <i class="fas fa-share-alt"></i>
+                        </button>
+                        <button class="action-btn folder-delete-btn" data-folder-id="${folder.id}" title="Delete Folder">
+                            <i class="fas fa-trash"></i>
+                        </button>
+                    </div>
+                ` : ''}
+            </div>
+        `;
     }
 
     renderFileItem(file) {
         const uploadDate = new Date(file.uploaded_at).toLocaleDateString();
         const fileSize = this.formatFileSize(file.file_size);
-        const userPermissions = this.permissions[this.currentUser.role] || {};
+        const userPermissions = this.userPermissions;
 
         return `
             <div class="file-item" data-file-id="${file.id}">
-                <div class="file-icon">
-                    <i class="fas ${this.getFileIcon(file.file_type)}"></i>
+                <div class="file-icon${file.thumbnail_url ? ' has-thumbnail' : ''}">
+                    ${file.thumbnail_url
+                        ? `<img class="file-thumbnail" src="${this.escapeHtml(file.thumbnail_url)}" alt="" loading="lazy">`
+                        : `<i class="fas ${this.getFileIcon(file.file_type)}"></i>`}
                 </div>
                 <div class="file-info">
                     <h4 class="file-name">${this.escapeHtml(file.original_name)}</h4>
@@ -839,15 +1662,36 @@ class EnterpriseTaskFlow {
                         <span>Date: ${uploadDate}</span>
                         <span>Size: ${fileSize}</span>
                         <span>Type: ${file.file_type}</span>
+                        <span>Version: ${file.current_version} of ${file.version_count}</span>
+                        ${file.task_count > 0 ? `<span><i class="fas fa-paperclip"></i> ${file.task_count} task(s)</span>` : ''}
+                        <span class="file-visibility ${file.visibility}">
+                            <i class="fas ${this.getFileVisibilityIcon(file.visibility)}"></i> ${file.visibility}
+                        </span>
                     </p>
                 </div>
                 <div class="file-actions">
+                    ${userPermissions.download_files && file.previewable ? `
+                        <button class="action-btn preview-btn" data-file-id="${file.id}" title="Preview File">
+                            <i class="fas fa-eye"></i>
+                        </button>
+                    ` : ''}
                     ${userPermissions.download_files ? `
                         <button class="action-btn download-btn" data-file-id="${file.id}" title="Download File">
                             <i class="fas fa-download"></i>
                         </button>
                     ` : ''}
-                    ${userPermissions.delete_files && (this.currentUser.role === 'admin' || file.uploaded_by === this.currentUser.id) ? `
+                    <button class="action-btn versions-btn" data-file-id="${file.id}" title="Version History">
+                        <i class="fas fa-history"></i>
+                    </button>
+                    ${file.can_manage ? `
+                        <button class="action-btn move-btn" data-file-id="${file.id}" title="Move File">
+                            <i class="fas fa-folder-open"></i>
+                        </button>
+                        <button class="action-btn share-btn" data-file-id="${file.id}" title="Share File">
+                            <i class="fas fa-share-alt"></i>
+                        </button>
+                    ` : ''}
+                    ${userPermissions.delete_files && file.can_manage ? `
                         <button class="action-btn delete-btn" data-file-id="${file.id}" title="Delete File">
                             <i class="fas fa-trash"></i>
                         </button>
@@ -857,6 +1701,12 @@ class EnterpriseTaskFlow {
         `;
     }
 
+    getFileVisibilityIcon(visibility) {
+        if (visibility === 'public') return 'fa-globe';
+        if (visibility === 'shared') return 'fa-users';
+        return 'fa-lock';
+    }
+
     getFileIcon(fileType) {
         if (fileType.includes('image')) return 'fa-file-image';
         if (fileType.includes('pdf')) return 'fa-file-pdf';
@@ -874,12 +1724,16 @@ class EnterpriseTaskFlow {
         return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
     }
 
-    async loadActivityLogs() {
+    async loadActivityLogs(append = false) {
+        if (!this.userPermissions.view_activity_logs) return;
+
         try {
-            const response = await this.apiCall('/api/activities', 'GET');
+            const params = new URLSearchParams({ limit: this.pageSize, offset: append ? this.activityLogs.length : 0 });
+            const response = await this.apiCall(`/api/activities?${params}`, 'GET');
             
             if (response.success) {
-                this.activityLogs = response.data;
+                this.activityLogs = append ? this.mergePage(this.activityLogs, response.data) : response.data;
+                this.pagination.activities = response.pagination;
                 this.renderActivityLogs();
             }
         } catch (error) {
@@ -896,7 +1750,7 @@ class EnterpriseTaskFlow {
             return;
         }
 
-        const enhancedLogs = [
+        const enhancedLogs = this.pagination.activities && this.pagination.activities.has_more ? this.activityLogs : [
             ...this.activityLogs,
             {
                 id: 'sys-1',
@@ -909,6 +1763,7 @@ class EnterpriseTaskFlow {
         ];
 
         container.innerHTML = enhancedLogs.map(log => this.renderActivityLogItem(log)).join('');
+        this.renderLoadMore(container, 'activities', this.activityLogs.length);
     }
 
     renderActivityLogItem(log) {
@@ -943,9 +1798,54 @@ class EnterpriseTaskFlow {
             file_uploaded: 'fa-upload',
             file_downloaded: 'fa-download',
             file_deleted: 'fa-trash',
+            file_attached: 'fa-paperclip',
+            file_detached: 'fa-unlink',
+            file_sharing_updated: 'fa-share-alt',
+            file_version_uploaded: 'fa-code-branch',
+            file_version_restored: 'fa-undo',
+            file_moved: 'fa-folder-open',
+            folder_created: 'fa-folder-plus',
+            folder_renamed: 'fa-edit',
+            folder_moved: 'fa-folder-open',
+            folder_deleted: 'fa-folder-minus',
+            folder_sharing_updated: 'fa-share-alt',
+            storage_quota_updated: 'fa-hdd',
+            upload_limits_updated: 'fa-hdd',
+            file_versions_purged: 'fa-trash',
             profile_updated: 'fa-user-cog',
             avatar_updated: 'fa-image',
             permissions_updated: 'fa-shield-alt',
+            comment_added: 'fa-comment',
+            comment_updated: 'fa-comment-dots',
+            comment_deleted: 'fa-comment-slash',
+            subtask_created: 'fa-list-ul',
+            subtasks_reordered: 'fa-sort',
+            dependency_added: 'fa-link',
+            dependency_removed: 'fa-unlink',
+            dependency_overridden: 'fa-forward',
+            task_recurred: 'fa-redo',
+            project_created: 'fa-folder-plus',
+            project_updated: 'fa-folder-open',
+            project_deleted: 'fa-folder-minus',
+            label_created: 'fa-tag',
+            label_updated: 'fa-tag',
+            label_deleted: 'fa-tags',
+            view_created: 'fa-filter',
+            view_updated: 'fa-filter',
+            view_deleted: 'fa-filter',
+            session_revoked: 'fa-sign-out-alt',
+            sessions_revoked: 'fa-user-lock',
+            calendar_feed_generated: 'fa-calendar-alt',
+            calendar_feed_disabled: 'fa-calendar-times',
+            time_logged: 'fa-stopwatch',
+            time_entry_updated: 'fa-stopwatch',
+            time_entry_deleted: 'fa-stopwatch',
+            timer_started: 'fa-play',
+            timer_stopped: 'fa-stop',
+            timesheet_submitted: 'fa-paper-plane',
+            timesheet_approved: 'fa-check-circle',
+            timesheet_rejected: 'fa-times-circle',
+            timesheets_exported: 'fa-file-csv',
             system_start: 'fa-server'
         };
         return icons[activityType] || 'fa-info-circle';
@@ -954,7 +1854,8 @@ class EnterpriseTaskFlow {
     async loadReports() {
         try {
             const period = document.getElementById('reportPeriod').value;
-            const response = await this.apiCall(`/api/reports?period=${period}`, 'GET');
+            const project = this.currentProject ? `&project=${this.currentProject}` : '';
+            const response = await this.apiCall(`/api/reports?period=${period}${project}`, 'GET');
             
             if (response.success) {
                 this.renderReports(response.data);
@@ -1057,6 +1958,29 @@ class EnterpriseTaskFlow {
         }
 
         this.updateTeamPerformanceStats(data.teamPerformance);
+        this.updateLabelUsageStats(data.labelUsage);
+    }
+
+    updateLabelUsageStats(labelUsage = []) {
+        const container = document.getElementById('labelUsageStats');
+        if (!container) return;
+
+        const usage = (labelUsage || []).filter(label => label.usage_count > 0);
+        if (usage.length === 0) {
+            container.innerHTML = '<div class="no-data"><p>No labelled tasks yet</p></div>';
+            return;
+        }
+
+        const maxCount = Math.max(...usage.map(label => label.usage_count));
+        container.innerHTML = usage.map(label => `
+            <div class="team-member">
+                <span class="member-name">${this.renderLabelChip(label)}</span>
+                <div class="progress-bar">
+                    <div class="progress-fill" style="width: ${Math.round((label.usage_count / maxCount) * 100)}%; background: ${this.escapeHtml(label.color)}"></div>
+                </div>
+                <span class="completion-rate">${label.usage_count}</span>
+            </div>
+        `).join('');
     }
 
     updateTeamPerformanceStats(teamData = null) {
@@ -1108,6 +2032,8 @@ class EnterpriseTaskFlow {
     }
 
     async loadPermissions() {
+        if (this.currentUser.role !== 'admin') return;
+
         try {
             const response = await this.apiCall('/api/permissions', 'GET');
             if (response.success) {
@@ -1122,14 +2048,14 @@ class EnterpriseTaskFlow {
 
     renderPermissions() {
         Object.keys(this.permissions.manager || {}).forEach(permission => {
-            const checkbox = document.getElementById(`manager-${permission.replace('_', '-')}`);
+            const checkbox = document.getElementById(`manager-${permission.replace(/_/g, '-')}`);
             if (checkbox) {
                 checkbox.checked = this.permissions.manager[permission];
             }
         });
 
         Object.keys(this.permissions.employee || {}).forEach(permission => {
-            const checkbox = document.getElementById(`employee-${permission.replace('_', '-')}`);
+            const checkbox = document.getElementById(`employee-${permission.replace(/_/g, '-')}`);
             if (checkbox) {
                 checkbox.checked = this.permissions.employee[permission];
             }
@@ -1141,7 +2067,7 @@ class EnterpriseTaskFlow {
         
         const permissions = {};
         Object.keys(this.permissions[role] || {}).forEach(permission => {
-            const checkbox = document.getElementById(`${role}-${permission.replace('_', '-')}`);
+            const checkbox = document.getElementById(`${role}-${permission.replace(/_/g, '-')}`);
             if (checkbox) {
                 permissions[permission] = checkbox.checked;
             }
@@ -1186,12 +2112,15 @@ class EnterpriseTaskFlow {
             const result = await response.json();
             
             if (!response.ok) {
-                throw new Error(result.error || `HTTP ${response.status}`);
+                const error = new Error(result.error || `HTTP ${response.status}`);
+                error.status = response.status;
+                error.data = result;
+                throw error;
             }
             
             return result;
         } catch (error) {
-            if (error.message.includes('401') || error.message.includes('403')) {
+            if (useAuth && error.status === 401) {
                 this.handleAuthError();
             }
             
@@ -1274,7 +2203,9 @@ class EnterpriseTaskFlow {
 
     openTaskModal(task = null) {
         this.editingTask = task;
-        this.populateAssigneeDropdown();
+        this.populateAssigneeDropdown(task ? task.assignee_id : null);
+        this.populateProjectDropdown(task ? task.project_id : this.currentProject, task && !!task.parent_id);
+        this.populateLabelDropdown(task && task.labels ? task.labels.map(label => label.id) : []);
         
         const modal = document.getElementById('taskModal');
         const title = document.getElementById('taskModalTitle');
@@ -1283,6 +2214,7 @@ class EnterpriseTaskFlow {
         if (task) {
             title.textContent = 'Edit Task';
             submitBtn.textContent = 'Update Task';
+            submitBtn.disabled = !this.userPermissions.edit_task;
             
             document.getElementById('taskId').value = task.id;
             document.getElementById('taskTitle').value = task.title;
@@ -1293,14 +2225,31 @@ class EnterpriseTaskFlow {
             document.getElementById('taskAssignee').value = task.assignee_id || '';
             document.getElementById('taskEstimatedHours').value = task.estimated_hours || '';
             document.getElementById('taskActualHours').value = task.actual_hours || '';
+
+            document.getElementById('taskCommentsPanel').classList.remove('hidden');
+            document.getElementById('taskTimePanel').classList.remove('hidden');
+            document.getElementById('taskFilesPanel').classList.remove('hidden');
+            this.loadTaskComments(task.id);
+            this.resetTimeEntryForm();
+            this.loadTimeEntries(task.id);
+            this.loadTaskFiles(task.id);
+            this.populateBlockerOptions(task);
+            this.fillRecurrenceControls(task.recurrence_rule, !!task.parent_id);
         } else {
             title.textContent = 'Create New Task';
             submitBtn.textContent = 'Create Task';
+            submitBtn.disabled = !this.userPermissions.create_task;
             document.getElementById('taskForm').reset();
             
             const tomorrow = new Date();
             tomorrow.setDate(tomorrow.getDate() + 1);
             document.getElementById('taskDueDate').valueAsDate = tomorrow;
+
+            document.getElementById('taskCommentsPanel').classList.add('hidden');
+            document.getElementById('taskTimePanel').classList.add('hidden');
+            document.getElementById('taskFilesPanel').classList.add('hidden');
+            this.populateBlockerOptions();
+            this.fillRecurrenceControls(null);
         }
         
         modal.classList.add('active');
@@ -1309,452 +2258,3112 @@ class EnterpriseTaskFlow {
     closeTaskModal() {
         document.getElementById('taskModal').classList.remove('active');
         document.getElementById('taskForm').reset();
+        document.getElementById('commentForm').reset();
+        this.cancelCommentReply();
         this.editingTask = null;
+        this.taskComments = [];
+        this.editingTaskBlockers = [];
+        this.taskTimeEntries = [];
+        this.taskFiles = [];
+        this.resetTimeEntryForm();
     }
 
-    openUserModal(user = null) {
-        this.editingUser = user;
-        
-        const modal = document.getElementById('userModal');
-        const title = document.getElementById('userModalTitle');
-        const submitBtn = document.getElementById('userSubmitBtn');
-        const passwordField = document.getElementById('passwordField');
-        
-        if (user) {
-            title.textContent = 'Edit User';
-            submitBtn.textContent = 'Update User';
-            passwordField.style.display = 'none';
-            
-            document.getElementById('userId').value = user.id;
-            document.getElementById('userName').value = user.name;
-            document.getElementById('userEmail').value = user.email;
-            document.getElementById('userRole').value = user.role;
-            document.getElementById('userDepartment').value = user.department || '';
-            document.getElementById('userPosition').value = user.position || '';
-            document.getElementById('userAvatarUrl').value = user.avatar_url || '';
-        } else {
-            title.textContent = 'Create New User';
-            submitBtn.textContent = 'Create User';
-            passwordField.style.display = 'block';
-            document.getElementById('userForm').reset();
+    fillRecurrenceControls(rule, disabled = false) {
+        const parts = rule ? rule.split(';').filter(Boolean) : [];
+        const until = parts.find(part => part.startsWith('UNTIL='));
+        const count = parts.find(part => part.startsWith('COUNT='));
+        const base = parts.filter(part => part !== until && part !== count).join(';');
+
+        let repeat = '';
+        if (base === 'FREQ=DAILY') {
+            repeat = 'daily';
+        } else if (base === 'FREQ=WEEKLY') {
+            repeat = 'weekly';
+        } else if (/^FREQ=MONTHLY;BYMONTHDAY=\d+$/.test(base)) {
+            repeat = 'monthly';
+        } else if (base) {
+            repeat = 'custom';
         }
-        
-        modal.classList.add('active');
-    }
 
-    closeUserModal() {
-        document.getElementById('userModal').classList.remove('active');
-        document.getElementById('userForm').reset();
-        this.editingUser = null;
+        const untilValue = until ? until.split('=')[1] : '';
+
+        document.getElementById('taskRecurrence').value = repeat;
+        document.getElementById('taskRecurrenceRule').value = repeat === 'custom' ? base : '';
+        document.getElementById('taskRecurrenceEnd').value = until ? 'until' : (count ? 'count' : 'never');
+        document.getElementById('taskRecurrenceUntil').value = untilValue.replace(/^(\d{4})(\d{2})(\d{2})$/, '$1-$2-$3');
+        document.getElementById('taskRecurrenceCount').value = count ? count.split('=')[1] : '';
+        document.getElementById('taskRecurrence').disabled = disabled;
+
+        this.updateRecurrenceControls();
     }
 
-    openProfileModal() {
-        this.updateProfileUI();
-        document.getElementById('profileModal').classList.add('active');
+    updateRecurrenceControls() {
+        const repeat = document.getElementById('taskRecurrence').value;
+        const end = document.getElementById('taskRecurrenceEnd').value;
+        const endSelect = document.getElementById('taskRecurrenceEnd');
+
+        endSelect.disabled = !repeat || document.getElementById('taskRecurrence').disabled;
+        document.getElementById('recurrenceRuleGroup').classList.toggle('hidden', repeat !== 'custom');
+        document.getElementById('recurrenceUntilGroup').classList.toggle('hidden', !repeat || end !== 'until');
+        document.getElementById('recurrenceCountGroup').classList.toggle('hidden', !repeat || end !== 'count');
+        document.getElementById('recurrenceDetails').classList.toggle('hidden', !repeat || (repeat !== 'custom' && end === 'never'));
     }
 
-    closeProfileModal() {
-        document.getElementById('profileModal').classList.remove('active');
+    buildRecurrenceRule() {
+        const repeat = document.getElementById('taskRecurrence').value;
+        if (!repeat) return null;
+
+        let parts;
+        if (repeat === 'custom') {
+            parts = document.getElementById('taskRecurrenceRule').value
+                .replace(/\s+/g, '')
+                .toUpperCase()
+                .split(';')
+                .filter(part => part && !/^(UNTIL|COUNT)=/.test(part));
+        } else if (repeat === 'monthly') {
+            const dueDate = document.getElementById('taskDueDate').value;
+            parts = ['FREQ=MONTHLY', `BYMONTHDAY=${dueDate ? parseInt(dueDate.split('-')[2]) : 1}`];
+        } else {
+            parts = [`FREQ=${repeat.toUpperCase()}`];
+        }
+
+        if (parts.length === 0) return null;
+
+        const end = document.getElementById('taskRecurrenceEnd').value;
+        const until = document.getElementById('taskRecurrenceUntil').value;
+        const count = document.getElementById('taskRecurrenceCount').value;
+
+        if (end === 'until' && until) {
+            parts.push(`UNTIL=${until}`);
+        } else if (end === 'count' && count) {
+            parts.push(`COUNT=${count}`);
+        }
+
+        return parts.join(';');
     }
 
-    async populateAssigneeDropdown() {
-        const dropdown = document.getElementById('taskAssignee');
-        
-        try {
-            const response = await this.apiCall('/api/users', 'GET');
-            
-            if (response.success) {
-                dropdown.innerHTML = '<option value="">Unassigned</option>' +
-                    response.data
-                        .filter(user => user.is_active)
-                        .map(user => `<option value="${user.id}">${user.name} (${user.role})</option>`)
-                        .join('');
-            }
-        } catch (error) {
-            console.error('Failed to load users for assignee dropdown:', error);
+    describeRecurrence(rule) {
+        if (!rule) return '';
+
+        const parts = {};
+        rule.split(';').forEach(part => {
+            const [key, value] = part.split('=');
+            parts[key] = value;
+        });
+
+        const interval = parseInt(parts.INTERVAL) || 1;
+        const names = { DAILY: ['Daily', 'days'], WEEKLY: ['Weekly', 'weeks'], MONTHLY: ['Monthly', 'months'] };
+        const [single, plural] = names[parts.FREQ] || ['Repeats', 'periods'];
+
+        let label = interval === 1 ? single : `Every ${interval} ${plural}`;
+        if (parts.BYDAY) {
+            label += ` on ${parts.BYDAY.split(',').map(day => day.charAt(0) + day.slice(1).toLowerCase()).join(', ')}`;
         }
+        if (parts.UNTIL) {
+            label += ` until ${parts.UNTIL}`;
+        } else if (parts.COUNT) {
+            label += `, ${parts.COUNT} times`;
+        }
+
+        return label;
     }
 
-    async handleTaskSave(e) {
-        e.preventDefault();
-        
-        const formData = {
-            title: document.getElementById('taskTitle').value,
-            description: document.getElementById('taskDescription').value,
-            priority: document.getElementById('taskPriority').value,
-            status: document.getElementById('taskStatus').value,
-            due_date: document.getElementById('taskDueDate').value,
-            assignee_id: document.getElementById('taskAssignee').value || null,
-            estimated_hours: document.getElementById('taskEstimatedHours').value || null,
-            actual_hours: document.getElementById('taskActualHours').value || null
+    async populateBlockerOptions(task = null) {
+        const select = document.getElementById('taskBlockers');
+        const candidates = this.tasks.filter(t => !task || t.id !== task.id);
+        this.editingTaskBlockers = [];
+
+        const renderOptions = (options) => {
+            select.innerHTML = options.map(option => `
+                <option value="${option.id}" ${this.editingTaskBlockers.includes(option.id) ? 'selected' : ''}>
+                    ${this.escapeHtml(option.title)}${option.status === 'completed' ? ' (completed)' : ''}
+                </option>
+            `).join('');
         };
 
+        renderOptions(candidates);
+        select.disabled = task ? !this.userPermissions.edit_task : !this.userPermissions.create_task;
+
+        if (!task) return;
+
         try {
-            let response;
-            if (this.editingTask) {
-                response = await this.apiCall(`/api/tasks/${this.editingTask.id}`, 'PUT', formData);
-                this.logActivity('task_updated', `Task "${formData.title}" updated`);
-            } else {
-                response = await this.apiCall('/api/tasks', 'POST', formData);
-                this.logActivity('task_created', `Task "${formData.title}" created`);
-                
-                this.sendTaskNotification(formData.title);
-            }
-            
-            if (response.success) {
-                this.closeTaskModal();
-                this.loadTasks();
-                if (this.currentSection === 'dashboard') {
-                    this.loadDashboard();
-                }
-                this.showNotification(`Task ${this.editingTask ? 'updated' : 'created'} successfully!`, 'success');
-            } else {
-                this.showNotification(response.error || `Error ${this.editingTask ? 'updating' : 'creating'} task`, 'error');
+            const response = await this.apiCall(`/api/tasks/${task.id}/dependencies`, 'GET');
+
+            if (response.success && this.editingTask && this.editingTask.id === task.id) {
+                const blockedBy = response.data.blockedBy;
+                this.editingTaskBlockers = blockedBy.map(blocker => blocker.id);
+                const missing = blockedBy.filter(blocker => !candidates.some(t => t.id === blocker.id));
+                renderOptions([...candidates, ...missing]);
             }
         } catch (error) {
-            this.showNotification(`Error ${this.editingTask ? 'updating' : 'creating'} task. Please try again.`, 'error');
+            console.error('Failed to load dependencies:', error);
         }
     }
 
-    sendTaskNotification(taskTitle) {
-        this.showNotification(`New task created: ${taskTitle}`, 'info');
-        
-        this.showDesktopNotification('New Task Created', `A new task "${taskTitle}" has been created.`);
-        
-        this.notifications.push({
-            id: Date.now(),
-            type: 'task_created',
-            message: `New task: ${taskTitle}`,
-            read: false
-        });
-        this.updateNotifications();
+    getSelectedBlockerIds() {
+        return Array.from(document.getElementById('taskBlockers').selectedOptions)
+            .map(option => parseInt(option.value));
     }
 
-    async handleUserSave(e) {
-        e.preventDefault();
-        
-        const formData = {
-            name: document.getElementById('userName').value,
-            email: document.getElementById('userEmail').value,
-            role: document.getElementById('userRole').value,
-            department: document.getElementById('userDepartment').value,
-            position: document.getElementById('userPosition').value,
-            avatar_url: document.getElementById('userAvatarUrl').value
-        };
+    async syncTaskBlockers(taskId, blockerIds) {
+        const current = this.editingTaskBlockers || [];
+        const toAdd = blockerIds.filter(id => !current.includes(id));
+        const toRemove = current.filter(id => !blockerIds.includes(id));
 
-        if (!this.editingUser && formData.role === 'admin') {
-            const adminUsers = this.users.filter(user => user.role === 'admin');
-            if (adminUsers.length > 0) {
-                this.showNotification('Only one administrator account is allowed in the system', 'error');
-                return;
+        for (const blockerId of toAdd) {
+            try {
+                await this.apiCall(`/api/tasks/${taskId}/dependencies`, 'POST', { blocker_id: blockerId });
+            } catch (error) {
+                this.showNotification(error.message || 'Error adding blocker', 'error');
             }
         }
 
-        if (!this.editingUser) {
-            formData.password = document.getElementById('userPassword').value;
-            if (!formData.password || formData.password.length < 8) {
-                this.showNotification('Password must be at least 8 characters long', 'error');
-                return;
+        for (const blockerId of toRemove) {
+            try {
+                await this.apiCall(`/api/tasks/${taskId}/dependencies/${blockerId}`, 'DELETE');
+            } catch (error) {
+                this.showNotification(error.message || 'Error removing blocker', 'error');
             }
         }
+    }
 
+    async patchTask(taskId, changes) {
         try {
-            let response;
-            if (this.editingUser) {
-                response = await this.apiCall(`/api/users/${this.editingUser.id}`, 'PUT', formData);
-                this.logActivity('user_updated', `User "${formData.name}" updated`);
-            } else {
-                response = await this.apiCall('/api/users', 'POST', formData);
-                this.logActivity('user_created', `User "${formData.name}" created`);
+            return await this.apiCall(`/api/tasks/${taskId}`, 'PATCH', changes);
+        } catch (error) {
+            if (error.status !== 409 || !error.data || !error.data.can_override) {
+                throw error;
             }
-            
-            if (response.success) {
-                this.closeUserModal();
-                this.loadUsers();
-                this.showNotification(`User ${this.editingUser ? 'updated' : 'created'} successfully!`, 'success');
-            } else {
-                this.showNotification(response.error || `Error ${this.editingUser ? 'updating' : 'creating'} user`, 'error');
+
+            const blockerTitles = error.data.blockers.map(blocker => `- ${blocker.title}`).join('\n');
+            if (!confirm(`This task is blocked by open tasks:\n${blockerTitles}\n\nOverride and continue?`)) {
+                throw error;
             }
-        } catch (error) {
-            this.showNotification(`Error ${this.editingUser ? 'updating' : 'creating'} user. Please try again.`, 'error');
+
+            return this.apiCall(`/api/tasks/${taskId}`, 'PATCH', { ...changes, override_blockers: true });
         }
     }
 
-    async handleProfileUpdate(e) {
-        e.preventDefault();
-        
-        const formData = {
-            name: document.getElementById('profileName').value,
-            department: document.getElementById('profileDepartment').value,
-            position: document.getElementById('profilePosition').value
-        };
+    formatDuration(seconds) {
+        const totalMinutes = Math.round((seconds || 0) / 60);
+        return `${Math.floor(totalMinutes / 60)}h ${String(totalMinutes % 60).padStart(2, '0')}m`;
+    }
+
+    formatElapsed(startedAt) {
+        const elapsed = Math.max(0, Math.floor((Date.now() - new Date(startedAt.replace(' ', 'T') + 'Z')) / 1000));
+        const hours = Math.floor(elapsed / 3600);
+        const minutes = String(Math.floor((elapsed % 3600) / 60)).padStart(2, '0');
+        const seconds = String(elapsed % 60).padStart(2, '0');
+        return `${hours}:${minutes}:${seconds}`;
+    }
 
+    async loadRunningTimer() {
         try {
-            const response = await this.apiCall('/api/user/profile', 'PUT', formData);
-            
+            const response = await this.apiCall('/api/user/timer', 'GET');
+
             if (response.success) {
-                this.userProfile = response.data;
-                this.currentUser = { ...this.currentUser, ...formData };
-                this.updateUserInterface();
-                this.closeProfileModal();
-                this.showNotification('Profile updated successfully!', 'success');
-                this.logActivity('profile_updated', 'User profile updated');
-            } else {
-                this.showNotification(response.error || 'Error updating profile', 'error');
+                this.setRunningTimer(response.data);
             }
         } catch (error) {
-            this.showNotification('Error updating profile. Please try again.', 'error');
+            console.error('Failed to load running timer:', error);
         }
     }
 
-    async handleAvatarUpdate(e) {
-        e.preventDefault();
-        
-        const avatarUrl = document.getElementById('avatarUrl').value;
+    setRunningTimer(timer) {
+        this.runningTimer = timer;
+        clearInterval(this.timerInterval);
 
-        if (!avatarUrl) {
-            this.showNotification('Please enter an avatar URL', 'error');
-            return;
+        if (timer) {
+            this.timerInterval = setInterval(() => {
+                document.querySelectorAll('.task-timer .timer-elapsed').forEach(el => {
+                    el.textContent = this.formatElapsed(this.runningTimer.started_at);
+                });
+            }, 1000);
         }
+    }
+
+    async handleTimerToggle(e) {
+        const taskId = parseInt(e.currentTarget.getAttribute('data-task-id'));
+        const isRunning = this.runningTimer && this.runningTimer.task_id === taskId;
 
         try {
-            const response = await this.apiCall('/api/user/avatar', 'PUT', { avatar_url: avatarUrl });
-            
-            if (response.success) {
-                this.userProfile.avatar_url = avatarUrl;
-                this.currentUser.avatar_url = avatarUrl;
-                this.updateUserInterface();
-                document.getElementById('avatarPreview').src = avatarUrl;
-                this.showNotification('Avatar updated successfully!', 'success');
-                this.logActivity('avatar_updated', 'User avatar updated');
+            if (isRunning) {
+                await this.apiCall(`/api/tasks/${taskId}/timer/stop`, 'POST', {});
+                this.setRunningTimer(null);
+                this.showNotification('Timer stopped', 'success');
             } else {
-                this.showNotification(response.error || 'Error updating avatar', 'error');
-            }
-        } catch (error) {
-            this.showNotification('Error updating avatar. Please try again.', 'error');
+                if (this.runningTimer) {
+                    if (!confirm(`A timer is running on "${this.runningTimer.task_title}". Stop it and start this one?`)) {
+                        return;
+                    }
+                    await this.apiCall(`/api/tasks/${this.runningTimer.task_id}/timer/stop`, 'POST', {});
+                }
+
+                const response = await this.apiCall(`/api/tasks/${taskId}/timer/start`, 'POST', {});
+                this.setRunningTimer(response.data);
+                this.showNotification('Timer started', 'success');
+            }
+
+            this.loadTasks();
+            if (this.editingTask) {
+                this.loadTimeEntries(this.editingTask.id);
+            }
+        } catch (error) {
+            this.showNotification(error.message || 'Error updating timer', 'error');
+            this.loadRunningTimer().then(() => this.renderTasks());
         }
     }
 
-    attachTaskEventListeners() {
-        document.querySelectorAll('.task-checkbox input[type="checkbox"]').forEach(checkbox => {
-            checkbox.addEventListener('change', (e) => this.handleTaskStatusChange(e));
-        });
+    async loadTimeEntries(taskId) {
+        try {
+            const response = await this.apiCall(`/api/tasks/${taskId}/time-entries`, 'GET');
 
-        document.querySelectorAll('.edit-btn').forEach(btn => {
-            btn.addEventListener('click', (e) => this.handleTaskEdit(e));
+            if (response.success) {
+                this.taskTimeEntries = response.data;
+                this.renderTimeEntries();
+            }
+        } catch (error) {
+            console.error('Failed to load time entries:', error);
+            this.showNotification('Error loading time log', 'error');
+        }
+    }
+
+    renderTimeEntries() {
+        const container = document.getElementById('timeEntryList');
+
+        if (this.taskTimeEntries.length === 0) {
+            container.innerHTML = '<div class="no-data"><i class="fas fa-stopwatch"></i><p>No time logged yet</p></div>';
+            return;
+        }
+
+        const total = this.taskTimeEntries.reduce((sum, entry) => sum + (entry.duration_seconds || 0), 0);
+
+        container.innerHTML = this.taskTimeEntries.map(entry => {
+            const start = new Date(entry.started_at.replace(' ', 'T') + 'Z');
+            const end = entry.ended_at ? new Date(entry.ended_at.replace(' ', 'T') + 'Z') : null;
+            const canEdit = entry.user_id === this.currentUser.id || this.currentUser.role !== 'employee';
+
+            return `
+                <div class="time-entry ${end ? '' : 'running'}">
+                    <div class="time-entry-info">
+                        <span class="time-entry-duration">${end ? this.formatDuration(entry.duration_seconds) : 'Running'}</span>
+                        <span class="time-entry-meta">
+                            ${this.escapeHtml(entry.user_name)} · ${start.toLocaleDateString()}
+                            ${start.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}–${end ? end.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }) : ''}
+                        </span>
+                        ${entry.note ? `<p class="time-entry-note">${this.escapeHtml(entry.note)}</p>` : ''}
+                    </div>
+                    ${canEdit && end ? `
+                        <div class="comment-actions">
+                            <button type="button" class="comment-action time-entry-edit-btn" data-entry-id="${entry.id}">
+                                <i class="fas fa-edit"></i> Edit
+                            </button>
+                            <button type="button" class="comment-action time-entry-delete-btn" data-entry-id="${entry.id}">
+                                <i class="fas fa-trash"></i> Delete
+                            </button>
+                        </div>
+                    ` : ''}
+                </div>
+            `;
+        }).join('') + `<div class="time-entry-total">Total: ${this.formatDuration(total)}</div>`;
+
+        container.querySelectorAll('.time-entry-edit-btn').forEach(btn => {
+            btn.addEventListener('click', (e) => this.handleTimeEntryEdit(e));
         });
 
-        document.querySelectorAll('.delete-btn').forEach(btn => {
-            btn.addEventListener('click', (e) => this.handleTaskDelete(e));
+        container.querySelectorAll('.time-entry-delete-btn').forEach(btn => {
+            btn.addEventListener('click', (e) => this.handleTimeEntryDelete(e));
         });
     }
 
-    attachUserEventListeners() {
-        document.querySelectorAll('.btn-change-password').forEach(btn => {
-            btn.addEventListener('click', (e) => this.handlePasswordChange(e));
+    async loadTaskFiles(taskId) {
+        try {
+            const params = new URLSearchParams({ task: taskId, sort: 'name', order: 'asc', limit: this.maxPageSize });
+            const response = await this.apiCall(`/api/files?${params}`, 'GET');
+
+            if (response.success && this.editingTask && this.editingTask.id === taskId) {
+                this.taskFiles = response.data;
+                this.renderTaskFiles();
+                this.loadAttachableFiles();
+            }
+        } catch (error) {
+            console.error('Failed to load attachments:', error);
+            this.showNotification('Error loading attachments', 'error');
+        }
+    }
+
+    renderTaskFiles() {
+        const container = document.getElementById('taskFileList');
+        const canEdit = this.userPermissions.edit_task;
+
+        document.getElementById('taskFileUploadBtn').classList.toggle('hidden', !canEdit || !this.userPermissions.upload_files);
+        document.getElementById('attachFileSelect').classList.toggle('hidden', !canEdit);
+
+        if (this.taskFiles.length === 0) {
+            container.innerHTML = '<div class="no-data"><i class="fas fa-paperclip"></i><p>No files attached</p></div>';
+            return;
+        }
+
+        container.innerHTML = this.taskFiles.map(file => `
+            <div class="attachment-item">
+                <i class="fas ${this.getFileIcon(file.file_type)}"></i>
+                <div class="attachment-info">
+                    <span class="attachment-name">${this.escapeHtml(file.original_name)}</span>
+                    <span class="attachment-meta">${this.formatFileSize(file.file_size)} · ${this.escapeHtml(file.uploaded_by_name)}</span>
+                </div>
+                <div class="comment-actions">
+                    ${this.userPermissions.download_files && file.previewable ? `
+                        <button type="button" class="comment-action attachment-preview-btn" data-file-id="${file.id}">
+                            <i class="fas fa-eye"></i> Preview
+                        </button>
+                    ` : ''}
+                    ${this.userPermissions.download_files ? `
+                        <button type="button" class="comment-action attachment-download-btn" data-file-id="${file.id}">
+                            <i class="fas fa-download"></i> Download
+                        </button>
+                    ` : ''}
+                    ${canEdit ? `
+                        <button type="button" class="comment-action attachment-remove-btn" data-file-id="${file.id}">
+                            <i class="fas fa-unlink"></i> Remove
+                        </button>
+                    ` : ''}
+                </div>
+            </div>
+        `).join('');
+
+        container.querySelectorAll('.attachment-preview-btn').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                const file = this.taskFiles.find(f => f.id == e.currentTarget.getAttribute('data-file-id'));
+                if (file) this.previewFile(file);
+            });
         });
 
-        document.querySelectorAll('.btn-edit-user').forEach(btn => {
-            btn.addEventListener('click', (e) => this.handleUserEdit(e));
+        container.querySelectorAll('.attachment-download-btn').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                const file = this.taskFiles.find(f => f.id == e.currentTarget.getAttribute('data-file-id'));
+                if (file) this.downloadFile(file);
+            });
         });
 
-        document.querySelectorAll('.btn-deactivate').forEach(btn => {
-            btn.addEventListener('click', (e) => this.handleUserActivation(e));
+        container.querySelectorAll('.attachment-remove-btn').forEach(btn => {
+            btn.addEventListener('click', (e) => this.handleTaskFileRemove(e));
         });
     }
 
-    attachFileEventListeners() {
-        document.querySelectorAll('.download-btn').forEach(btn => {
-            btn.addEventListener('click', (e) => this.handleFileDownload(e));
+    async loadAttachableFiles() {
+        const select = document.getElementById('attachFileSelect');
+        if (!this.userPermissions.edit_task) return;
+
+        try {
+            const params = new URLSearchParams({ sort: 'uploaded', order: 'desc', limit: this.maxPageSize });
+            const response = await this.apiCall(`/api/files?${params}`, 'GET');
+            const attachedIds = this.taskFiles.map(file => file.id);
+
+            select.innerHTML = '<option value="">Attach a file from storage…</option>' + response.data
+                .filter(file => !attachedIds.includes(file.id))
+                .map(file => `<option value="${file.id}">${this.escapeHtml(file.original_name)}</option>`)
+                .join('');
+        } catch (error) {
+            console.error('Failed to load files for attaching:', error);
+        }
+    }
+
+    async handleTaskFileUpload(e) {
+        const file = e.target.files[0];
+        if (!file || !this.editingTask) return;
+
+        const taskId = this.editingTask.id;
+        const formData = new FormData();
+        formData.append('task_id', taskId);
+        formData.append('file', file);
+
+        try {
+            const response = await fetch('/api/files/upload', {
+                method: 'POST',
+                headers: {
+                    'Authorization': `Bearer ${this.token}`
+                },
+                body: formData
+            });
+
+            const result = await response.json();
+
+            if (result.success) {
+                this.loadTaskFiles(taskId);
+                this.loadFiles();
+                this.showNotification('File attached', 'success');
+            } else {
+                this.showNotification(result.error || 'Error uploading file', 'error');
+            }
+        } catch (error) {
+            this.showNotification('Error uploading file', 'error');
+        }
+
+        e.target.value = '';
+    }
+
+    async handleTaskFileAttach(e) {
+        const fileId = e.target.value;
+        if (!fileId || !this.editingTask) return;
+
+        const taskId = this.editingTask.id;
+
+        try {
+            await this.apiCall(`/api/tasks/${taskId}/files`, 'POST', { file_id: parseInt(fileId) });
+            this.loadTaskFiles(taskId);
+            this.loadFiles();
+            this.showNotification('File attached', 'success');
+        } catch (error) {
+            e.target.value = '';
+            this.showNotification(error.message || 'Error attaching file', 'error');
+        }
+    }
+
+    async handleTaskFileRemove(e) {
+        const fileId = parseInt(e.currentTarget.getAttribute('data-file-id'));
+        const file = this.taskFiles.find(f => f.id === fileId);
+        if (!file || !this.editingTask) return;
+
+        if (!confirm(`Remove "${file.original_name}" from this task? The file stays in File Storage.`)) return;
+
+        const taskId = this.editingTask.id;
+
+        try {
+            await this.apiCall(`/api/tasks/${taskId}/files/${fileId}`, 'DELETE');
+            this.loadTaskFiles(taskId);
+            this.loadFiles();
+            this.showNotification('Attachment removed', 'success');
+        } catch (error) {
+            this.showNotification(error.message || 'Error removing attachment', 'error');
+        }
+    }
+
+    resetTimeEntryForm() {
+        this.editingTimeEntry = null;
+        document.getElementById('timeEntryForm').reset();
+        document.getElementById('timeEntryDate').value = this.formatDateKey(new Date());
+        document.getElementById('timeEntrySubmitBtn').innerHTML = '<i class="fas fa-plus"></i> Log Time';
+        document.getElementById('cancelTimeEntryEdit').classList.add('hidden');
+    }
+
+    handleTimeEntryEdit(e) {
+        const entry = this.taskTimeEntries.find(t => t.id == e.currentTarget.getAttribute('data-entry-id'));
+        if (!entry) return;
+
+        const start = new Date(entry.started_at.replace(' ', 'T') + 'Z');
+        const end = new Date(entry.ended_at.replace(' ', 'T') + 'Z');
+        const toTime = (date) => `${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`;
+
+        this.editingTimeEntry = entry;
+        document.getElementById('timeEntryDate').value = this.formatDateKey(start);
+        document.getElementById('timeEntryStart').value = toTime(start);
+        document.getElementById('timeEntryEnd').value = toTime(end);
+        document.getElementById('timeEntryNote').value = entry.note || '';
+        document.getElementById('timeEntrySubmitBtn').innerHTML = '<i class="fas fa-save"></i> Update Entry';
+        document.getElementById('cancelTimeEntryEdit').classList.remove('hidden');
+    }
+
+    async handleTimeEntrySubmit(e) {
+        e.preventDefault();
+
+        if (!this.editingTask) return;
+
+        const date = document.getElementById('timeEntryDate').value;
+        const start = new Date(`${date}T${document.getElementById('timeEntryStart').value}`);
+        const end = new Date(`${date}T${document.getElementById('timeEntryEnd').value}`);
+
+        if (end <= start) {
+            end.setDate(end.getDate() + 1);
+        }
+
+        const entry = {
+            started_at: start.toISOString(),
+            ended_at: end.toISOString(),
+            note: document.getElementById('timeEntryNote').value.trim() || null
+        };
+
+        try {
+            const url = `/api/tasks/${this.editingTask.id}/time-entries`;
+            const response = this.editingTimeEntry
+                ? await this.apiCall(`${url}/${this.editingTimeEntry.id}`, 'PUT', entry)
+                : await this.apiCall(url, 'POST', entry);
+
+            if (response.success) {
+                this.showNotification(response.message, 'success');
+                this.resetTimeEntryForm();
+                this.refreshTrackedHours();
+            }
+        } catch (error) {
+            this.showNotification(error.message || 'Error saving time entry', 'error');
+        }
+    }
+
+    async handleTimeEntryDelete(e) {
+        const entryId = e.currentTarget.getAttribute('data-entry-id');
+
+        if (!confirm('Delete this time entry?')) return;
+
+        try {
+            const response = await this.apiCall(`/api/tasks/${this.editingTask.id}/time-entries/${entryId}`, 'DELETE');
+
+            if (response.success) {
+                this.showNotification(response.message, 'success');
+                this.refreshTrackedHours();
+            }
+        } catch (error) {
+            this.showNotification('Error deleting time entry', 'error');
+        }
+    }
+
+    async refreshTrackedHours() {
+        const taskId = this.editingTask.id;
+
+        await this.loadTimeEntries(taskId);
+        await this.loadTasks();
+
+        const task = this.tasks.find(t => t.id === taskId);
+        if (task && this.editingTask && this.editingTask.id === taskId) {
+            document.getElementById('taskActualHours').value = task.actual_hours || '';
+        }
+        this.loadTimesheet();
+    }
+
+    shiftTimesheetWeek(direction) {
+        const week = new Date(this.timesheetWeek);
+        week.setDate(week.getDate() + direction * 7);
+        this.timesheetWeek = week;
+        this.loadTimesheet();
+    }
+
+    async loadTimesheet() {
+        const params = new URLSearchParams({
+            week: this.formatDateKey(this.timesheetWeek),
+            tz_offset: new Date().getTimezoneOffset()
         });
+        if (this.currentProject) params.set('project', this.currentProject);
 
-        document.querySelectorAll('.delete-btn').forEach(btn => {
-            if (btn.classList.contains('delete-btn') && btn.getAttribute('data-file-id')) {
-                btn.addEventListener('click', (e) => this.handleFileDelete(e));
+        try {
+            const response = await this.apiCall(`/api/reports/timesheet?${params}`, 'GET');
+
+            if (response.success) {
+                this.renderTimesheet(response.data);
             }
+        } catch (error) {
+            console.error('Failed to load timesheet:', error);
+        }
+
+        this.loadTimesheetDetail();
+        this.loadTimesheetApprovals();
+    }
+
+    renderTimesheet(timesheet) {
+        const container = document.getElementById('timesheetTable');
+        const days = timesheet.days.map(day => new Date(`${day}T00:00:00`));
+        const formatHours = (seconds) => seconds ? (seconds / 3600).toFixed(2) : '–';
+
+        document.getElementById('timesheetWeek').textContent =
+            `${days[0].toLocaleDateString(undefined, { month: 'short', day: 'numeric' })} – ${days[6].toLocaleDateString(undefined, { month: 'short', day: 'numeric', year: 'numeric' })}`;
+
+        if (timesheet.users.length === 0) {
+            container.innerHTML = '<div class="no-data"><p>No time tracked this week</p></div>';
+            return;
+        }
+
+        const dayTotals = timesheet.days.map((_, index) => timesheet.users.reduce((sum, user) => sum + user.days[index], 0));
+        const weekTotal = dayTotals.reduce((sum, seconds) => sum + seconds, 0);
+
+        container.innerHTML = `
+            <table>
+                <thead>
+                    <tr>
+                        <th>Member</th>
+                        ${days.map(day => `<th>${day.toLocaleDateString(undefined, { weekday: 'short', day: 'numeric' })}</th>`).join('')}
+                        <th>Total</th>
+                        <th>Status</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${timesheet.users.map(user => `
+                        <tr class="timesheet-user-row" data-user-id="${user.user_id}" title="View timesheet">
+                            <td>${this.escapeHtml(user.user_name)}</td>
+                            ${user.days.map(seconds => `<td>${formatHours(seconds)}</td>`).join('')}
+                            <td class="timesheet-total">${formatHours(user.total_seconds)}</td>
+                            <td>${this.renderTimesheetStatus(user.status)}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+                ${timesheet.users.length > 1 ? `
+                    <tfoot>
+                        <tr>
+                            <td>Total</td>
+                            ${dayTotals.map(seconds => `<td>${formatHours(seconds)}</td>`).join('')}
+                            <td class="timesheet-total">${formatHours(weekTotal)}</td>
+                            <td></td>
+                        </tr>
+                    </tfoot>
+                ` : ''}
+            </table>
+        `;
+
+        container.querySelectorAll('.timesheet-user-row').forEach(row => {
+            row.addEventListener('click', () => this.viewTimesheet(parseInt(row.getAttribute('data-user-id'))));
         });
     }
 
-    async handleTaskStatusChange(e) {
-        const taskId = e.target.closest('.task-item').getAttribute('data-id');
-        const newStatus = e.target.checked ? 'completed' : 'pending';
+    getTimesheetStatusLabel(status) {
+        const labels = { submitted: 'Awaiting approval', approved: 'Approved', rejected: 'Rejected' };
+        return labels[status] || 'Not submitted';
+    }
+
+    renderTimesheetStatus(status) {
+        return `<span class="timesheet-status ${status || 'open'}">${this.getTimesheetStatusLabel(status)}</span>`;
+    }
+
+    viewTimesheet(userId, week = null) {
+        this.timesheetUserId = userId === this.currentUser.id ? null : userId;
+
+        if (week) {
+            this.timesheetWeek = new Date(`${week}T00:00:00`);
+            this.loadTimesheet();
+        } else {
+            this.loadTimesheetDetail();
+        }
+    }
+
+    async loadTimesheetDetail() {
+        const params = new URLSearchParams({
+            week: this.formatDateKey(this.timesheetWeek),
+            tz_offset: new Date().getTimezoneOffset()
+        });
+        if (this.timesheetUserId) params.set('user_id', this.timesheetUserId);
 
         try {
-            await this.apiCall(`/api/tasks/${taskId}`, 'PUT', { status: newStatus });
-            
-            const taskItem = e.target.closest('.task-item');
-            if (newStatus === 'completed') {
-                taskItem.classList.add('completed');
-            } else {
-                taskItem.classList.remove('completed');
+            const response = await this.apiCall(`/api/timesheets/week?${params}`, 'GET');
+
+            if (response.success) {
+                this.timesheetDetail = response.data;
+                this.renderTimesheetDetail();
             }
-            
-            this.showNotification('Task status updated', 'success');
-            this.logActivity('task_status_changed', `Task status changed to ${newStatus}`);
         } catch (error) {
-            console.error('Failed to update task status:', error);
-            e.target.checked = !e.target.checked;
-            this.showNotification('Error updating task', 'error');
+            console.error('Failed to load timesheet detail:', error);
+        }
+    }
+
+    renderTimesheetDetail() {
+        const detail = this.timesheetDetail;
+        const timesheet = detail.timesheet;
+        const isOwn = detail.user.id === this.currentUser.id;
+        const canReview = this.currentUser.role !== 'employee' && timesheet && timesheet.status === 'submitted' &&
+            (!isOwn || this.currentUser.role === 'admin');
+        const container = document.getElementById('timesheetDetail');
+        const note = document.getElementById('timesheetNote');
+        const status = document.getElementById('timesheetStatus');
+        const formatHours = (seconds) => seconds ? (seconds / 3600).toFixed(2) : '–';
+
+        document.getElementById('timesheetDetailTitle').textContent = isOwn ? 'My Timesheet' : `Timesheet of ${detail.user.name}`;
+        status.className = `timesheet-status ${timesheet ? timesheet.status : 'open'}`;
+        status.textContent = this.getTimesheetStatusLabel(timesheet && timesheet.status);
+        document.getElementById('myTimesheetBtn').classList.toggle('hidden', isOwn);
+        document.getElementById('submitTimesheetBtn').classList.toggle('hidden',
+            !isOwn || detail.total_seconds === 0 || (timesheet && timesheet.status !== 'rejected'));
+        document.getElementById('approveTimesheetBtn').classList.toggle('hidden', !canReview);
+        document.getElementById('rejectTimesheetBtn').classList.toggle('hidden', !canReview);
+
+        const notes = [];
+        if (timesheet && timesheet.submit_comment) {
+            notes.push(`Submitted with: "${timesheet.submit_comment}"`);
+        }
+        if (timesheet && timesheet.reviewer_name) {
+            notes.push(`${timesheet.status === 'approved' ? 'Approved' : 'Rejected'} by ${timesheet.reviewer_name}` +
+                (timesheet.review_comment ? `: "${timesheet.review_comment}"` : ''));
+        }
+        if (timesheet && timesheet.status !== 'rejected') {
+            notes.push('Time entries in this week are locked.');
+        }
+        note.textContent = notes.join(' ');
+        note.classList.toggle('hidden', notes.length === 0);
+
+        if (detail.tasks.length === 0) {
+            container.innerHTML = '<div class="no-data"><p>No time tracked this week</p></div>';
+            return;
+        }
+
+        const days = detail.days.map(day => new Date(`${day}T00:00:00`));
+        container.innerHTML = `
+            <table>
+                <thead>
+                    <tr>
+                        <th>Task</th>
+                        <th>Est.</th>
+                        <th>Actual</th>
+                        ${days.map(day => `<th>${day.toLocaleDateString(undefined, { weekday: 'short', day: 'numeric' })}</th>`).join('')}
+                        <th>Week</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${detail.tasks.map(task => `
+                        <tr>
+                            <td>
+                                ${this.escapeHtml(task.title)}
+                                ${task.project_name ? `<span class="timesheet-project">${this.escapeHtml(task.project_name)}</span>` : ''}
+                            </td>
+                            <td>${task.estimated_hours || '–'}</td>
+                            <td>${task.actual_hours || '–'}</td>
+                            ${task.days.map(seconds => `<td>${formatHours(seconds)}</td>`).join('')}
+                            <td class="timesheet-total">${formatHours(task.total_seconds)}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+                <tfoot>
+                    <tr>
+                        <td colspan="3">Total</td>
+                        ${detail.days.map((_, index) => `<td>${formatHours(detail.tasks.reduce((sum, task) => sum + task.days[index], 0))}</td>`).join('')}
+                        <td class="timesheet-total">${formatHours(detail.total_seconds)}</td>
+                    </tr>
+                </tfoot>
+            </table>
+        `;
+    }
+
+    async handleTimesheetSubmit() {
+        const comment = prompt('Add a comment for your approver (optional):', '');
+        if (comment === null) return;
+
+        try {
+            const response = await this.apiCall('/api/timesheets', 'POST', {
+                week: this.timesheetDetail.week_start,
+                tz_offset: new Date().getTimezoneOffset(),
+                comment: comment.trim() || null
+            });
+
+            if (response.success) {
+                this.showNotification(response.message, 'success');
+                this.loadTimesheet();
+            }
+        } catch (error) {
+            this.showNotification(error.message || 'Error submitting timesheet', 'error');
+        }
+    }
+
+    async handleTimesheetReview(timesheet, action) {
+        const comment = prompt(action === 'reject'
+            ? `Why is the timesheet of ${timesheet.user_name || this.timesheetDetail.user.name} rejected?`
+            : 'Approval comment (optional):', '');
+        if (comment === null) return;
+
+        if (action === 'reject' && !comment.trim()) {
+            this.showNotification('Please give a reason for rejecting', 'error');
+            return;
+        }
+
+        try {
+            const response = await this.apiCall(`/api/timesheets/${timesheet.id}/${action}`, 'POST', {
+                comment: comment.trim() || null
+            });
+
+            if (response.success) {
+                this.showNotification(response.message, 'success');
+                this.loadTimesheet();
+            }
+        } catch (error) {
+            this.showNotification(error.message || 'Error reviewing timesheet', 'error');
+        }
+    }
+
+    async loadTimesheetApprovals() {
+        const card = document.getElementById('timesheetApprovalCard');
+        card.classList.toggle('hidden', this.currentUser.role === 'employee');
+        if (this.currentUser.role === 'employee') return;
+
+        try {
+            const response = await this.apiCall('/api/timesheets?status=submitted', 'GET');
+
+            if (response.success) {
+                this.pendingTimesheets = response.data;
+                this.renderTimesheetApprovals();
+            }
+        } catch (error) {
+            console.error('Failed to load timesheet approvals:', error);
         }
     }
 
-    handleTaskEdit(e) {
-        const taskId = e.currentTarget.getAttribute('data-task-id');
-        const task = this.tasks.find(t => t.id == taskId);
-        
-        if (task) {
-            this.openTaskModal(task);
-        }
+    renderTimesheetApprovals() {
+        const container = document.getElementById('timesheetApprovals');
+
+        if (this.pendingTimesheets.length === 0) {
+            container.innerHTML = '<div class="no-data"><p>No timesheets awaiting approval</p></div>';
+            return;
+        }
+
+        container.innerHTML = this.pendingTimesheets.map(timesheet => {
+            const canReview = timesheet.user_id !== this.currentUser.id || this.currentUser.role === 'admin';
+
+            return `
+                <div class="timesheet-approval" data-timesheet-id="${timesheet.id}">
+                    <div class="timesheet-approval-info">
+                        <h5>${this.escapeHtml(timesheet.user_name)}</h5>
+                        <span>Week of ${new Date(`${timesheet.week_start}T00:00:00`).toLocaleDateString()} · ${(timesheet.total_seconds / 3600).toFixed(2)} hours</span>
+                        ${timesheet.submit_comment ? `<p>${this.escapeHtml(timesheet.submit_comment)}</p>` : ''}
+                    </div>
+                    <div class="timesheet-approval-actions">
+                        <button type="button" class="btn-secondary timesheet-view-btn">View</button>
+                        ${canReview ? `
+                            <button type="button" class="btn-danger timesheet-reject-btn">Reject</button>
+                            <button type="button" class="btn-primary timesheet-approve-btn">Approve</button>
+                        ` : ''}
+                    </div>
+                </div>
+            `;
+        }).join('');
+
+        container.querySelectorAll('.timesheet-approval').forEach(item => {
+            const timesheet = this.pendingTimesheets.find(t => t.id == item.getAttribute('data-timesheet-id'));
+
+            item.querySelector('.timesheet-view-btn').addEventListener('click', () => this.viewTimesheet(timesheet.user_id, timesheet.week_start));
+            item.querySelectorAll('.timesheet-approve-btn').forEach(btn => {
+                btn.addEventListener('click', () => this.handleTimesheetReview(timesheet, 'approve'));
+            });
+            item.querySelectorAll('.timesheet-reject-btn').forEach(btn => {
+                btn.addEventListener('click', () => this.handleTimesheetReview(timesheet, 'reject'));
+            });
+        });
+    }
+
+    async exportTimesheets() {
+        const week = this.timesheetDetail ? this.timesheetDetail.week_start : this.formatDateKey(this.timesheetWeek);
+        const from = prompt('Export approved timesheets starting with the week of (YYYY-MM-DD):', week);
+        if (!from) return;
+        const to = prompt('...up to and including the week of (YYYY-MM-DD):', from);
+        if (!to) return;
+
+        try {
+            const response = await fetch(`/api/timesheets/export?${new URLSearchParams({ from, to })}`, {
+                headers: { 'Authorization': `Bearer ${this.token}` }
+            });
+
+            if (!response.ok) {
+                const result = await response.json();
+                throw new Error(result.error || 'Export failed');
+            }
+
+            const blob = await response.blob();
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(blob);
+            link.download = `timesheets-${from}-to-${to}.csv`;
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+            URL.revokeObjectURL(link.href);
+
+            this.showNotification('Approved timesheets exported', 'success');
+        } catch (error) {
+            this.showNotification(error.message || 'Error exporting timesheets', 'error');
+        }
+    }
+
+    async loadTaskComments(taskId) {
+        try {
+            const response = await this.apiCall(`/api/tasks/${taskId}/comments`, 'GET');
+
+            if (response.success) {
+                this.taskComments = response.data;
+                this.renderTaskComments();
+            }
+        } catch (error) {
+            console.error('Failed to load comments:', error);
+            this.showNotification('Error loading comments', 'error');
+        }
+    }
+
+    renderTaskComments() {
+        const container = document.getElementById('taskCommentsList');
+
+        if (!this.taskComments || this.taskComments.length === 0) {
+            container.innerHTML = '<div class="no-data"><i class="fas fa-comments"></i><p>No comments yet. Start the discussion!</p></div>';
+            return;
+        }
+
+        const rootComments = this.taskComments.filter(comment => !comment.parent_id);
+        container.innerHTML = rootComments.map(comment => this.renderCommentItem(comment)).join('');
+        this.attachCommentEventListeners();
+    }
+
+    renderCommentItem(comment) {
+        const defaultAvatar = 'https://i.imgur.com/RpGGkQ1.png';
+        const commentDate = new Date(comment.created_at).toLocaleString();
+        const replies = this.taskComments.filter(reply => reply.parent_id === comment.id);
+        const isAuthor = comment.user_id === this.currentUser.id;
+        const canDelete = isAuthor || this.currentUser.role === 'admin';
+
+        return `
+            <div class="comment-item" data-comment-id="${comment.id}">
+                <img src="${comment.user_avatar || defaultAvatar}" alt="${this.escapeHtml(comment.user_name)}" class="comment-avatar">
+                <div class="comment-body">
+                    <div class="comment-header">
+                        <span class="comment-author">${this.escapeHtml(comment.user_name)}</span>
+                        <span class="comment-time">${commentDate}${comment.updated_at ? ' (edited)' : ''}</span>
+                    </div>
+                    <p class="comment-text">${this.escapeHtml(comment.comment)}</p>
+                    <div class="comment-actions">
+                        <button type="button" class="comment-action comment-reply-btn" data-comment-id="${comment.id}">
+                            <i class="fas fa-reply"></i> Reply
+                        </button>
+                        ${isAuthor ? `
+                            <button type="button" class="comment-action comment-edit-btn" data-comment-id="${comment.id}">
+                                <i class="fas fa-edit"></i> Edit
+                            </button>
+                        ` : ''}
+                        ${canDelete ? `
+                            <button type="button" class="comment-action comment-delete-btn" data-comment-id="${comment.id}">
+                                <i class="fas fa-trash"></i> Delete
+                            </button>
+                        ` : ''}
+                    </div>
+                    ${replies.length > 0 ? `
+                        <div class="comment-replies">
+                            ${replies.map(reply => this.renderCommentItem(reply)).join('')}
+                        </div>
+                    ` : ''}
+                </div>
+            </div>
+        `;
+    }
+
+    attachCommentEventListeners() {
+        document.querySelectorAll('.comment-reply-btn').forEach(btn => {
+            btn.addEventListener('click', (e) => this.handleCommentReply(e));
+        });
+
+        document.querySelectorAll('.comment-edit-btn').forEach(btn => {
+            btn.addEventListener('click', (e) => this.handleCommentEdit(e));
+        });
+
+        document.querySelectorAll('.comment-delete-btn').forEach(btn => {
+            btn.addEventListener('click', (e) => this.handleCommentDelete(e));
+        });
+    }
+
+    async handleCommentSubmit(e) {
+        e.preventDefault();
+
+        if (!this.editingTask) return;
+
+        const commentInput = document.getElementById('commentText');
+        const comment = commentInput.value.trim();
+
+        if (!comment) {
+            this.showNotification('Please enter a comment', 'error');
+            return;
+        }
+
+        try {
+            const response = await this.apiCall(`/api/tasks/${this.editingTask.id}/comments`, 'POST', {
+                comment: comment,
+                parent_id: this.replyingToComment ? this.replyingToComment.id : null
+            });
+
+            if (response.success) {
+                commentInput.value = '';
+                this.cancelCommentReply();
+                this.loadTaskComments(this.editingTask.id);
+            }
+        } catch (error) {
+            this.showNotification('Error posting comment', 'error');
+        }
+    }
+
+    handleCommentReply(e) {
+        const commentId = e.currentTarget.getAttribute('data-comment-id');
+        const comment = this.taskComments.find(c => c.id == commentId);
+
+        if (comment) {
+            this.replyingToComment = comment;
+            document.getElementById('commentReplyText').textContent = `Replying to ${comment.user_name}`;
+            document.getElementById('commentReplyNote').classList.remove('hidden');
+            document.getElementById('commentText').focus();
+        }
+    }
+
+    cancelCommentReply() {
+        this.replyingToComment = null;
+        document.getElementById('commentReplyNote').classList.add('hidden');
+    }
+
+    async handleCommentEdit(e) {
+        const commentId = e.currentTarget.getAttribute('data-comment-id');
+        const comment = this.taskComments.find(c => c.id == commentId);
+
+        if (!comment) return;
+
+        const updatedText = prompt('Edit comment:', comment.comment);
+
+        if (!updatedText || !updatedText.trim() || updatedText === comment.comment) {
+            return;
+        }
+
+        try {
+            const response = await this.apiCall(`/api/tasks/${this.editingTask.id}/comments/${commentId}`, 'PUT', {
+                comment: updatedText.trim()
+            });
+
+            if (response.success) {
+                this.loadTaskComments(this.editingTask.id);
+                this.showNotification('Comment updated', 'success');
+            }
+        } catch (error) {
+            this.showNotification('Error updating comment', 'error');
+        }
+    }
+
+    async handleCommentDelete(e) {
+        const commentId = e.currentTarget.getAttribute('data-comment-id');
+
+        if (!confirm('Are you sure you want to delete this comment and its replies?')) {
+            return;
+        }
+
+        try {
+            const response = await this.apiCall(`/api/tasks/${this.editingTask.id}/comments/${commentId}`, 'DELETE');
+
+            if (response.success) {
+                this.loadTaskComments(this.editingTask.id);
+                this.showNotification('Comment deleted', 'success');
+            }
+        } catch (error) {
+            this.showNotification('Error deleting comment', 'error');
+        }
+    }
+
+    openUserModal(user = null) {
+        this.editingUser = user;
+        
+        const modal = document.getElementById('userModal');
+        const title = document.getElementById('userModalTitle');
+        const submitBtn = document.getElementById('userSubmitBtn');
+        const passwordField = document.getElementById('passwordField');
+        
+        if (user) {
+            title.textContent = 'Edit User';
+            submitBtn.textContent = 'Update User';
+            passwordField.style.display = 'none';
+            
+            document.getElementById('userId').value = user.id;
+            document.getElementById('userName').value = user.name;
+            document.getElementById('userEmail').value = user.email;
+            document.getElementById('userRole').value = user.role;
+            document.getElementById('userDepartment').value = user.department || '';
+            document.getElementById('userPosition').value = user.position || '';
+            document.getElementById('userAvatarUrl').value = user.avatar_url || '';
+        } else {
+            title.textContent = 'Create New User';
+            submitBtn.textContent = 'Create User';
+            passwordField.style.display = 'block';
+            document.getElementById('userForm').reset();
+        }
+        
+        modal.classList.add('active');
+    }
+
+    closeUserModal() {
+        document.getElementById('userModal').classList.remove('active');
+        document.getElementById('userForm').reset();
+        this.editingUser = null;
+    }
+
+    openProfileModal() {
+        this.updateProfileUI();
+        this.loadUserSessions();
+        this.loadCalendarFeed();
+        document.getElementById('profileModal').classList.add('active');
+    }
+
+    closeProfileModal() {
+        document.getElementById('profileModal').classList.remove('active');
+        document.getElementById('calendarFeedUrl').value = '';
+        document.getElementById('calendarFeedLink').classList.add('hidden');
+    }
+
+    async loadCalendarFeed() {
+        try {
+            const response = await this.apiCall('/api/user/calendar-feed', 'GET');
+
+            if (response.success) {
+                this.renderCalendarFeed(response.data);
+            }
+        } catch (error) {
+            console.error('Failed to load calendar feed:', error);
+        }
+    }
+
+    renderCalendarFeed(feed) {
+        const status = document.getElementById('calendarFeedStatus');
+
+        status.textContent = feed.enabled
+            ? `Link active since ${new Date(feed.created_at.replace(' ', 'T') + 'Z').toLocaleString()}. The full link is only shown when it is generated.`
+            : 'No calendar link has been generated yet.';
+        document.getElementById('generateCalendarFeedBtn').textContent = feed.enabled ? 'Rotate Link' : 'Generate Link';
+        document.getElementById('disableCalendarFeedBtn').classList.toggle('hidden', !feed.enabled);
+    }
+
+    async handleCalendarFeedGenerate() {
+        const enabled = !document.getElementById('disableCalendarFeedBtn').classList.contains('hidden');
+        if (enabled && !confirm('Rotate the calendar link? Calendars subscribed to the current link will stop updating.')) {
+            return;
+        }
+
+        try {
+            const response = await this.apiCall('/api/user/calendar-feed', 'POST');
+
+            if (response.success) {
+                document.getElementById('calendarFeedUrl').value = response.data.url;
+                document.getElementById('calendarFeedLink').classList.remove('hidden');
+                this.loadCalendarFeed();
+                this.showNotification(response.message, 'success');
+            }
+        } catch (error) {
+            this.showNotification('Error generating calendar link', 'error');
+        }
+    }
+
+    async handleCalendarFeedDisable() {
+        if (!confirm('Disable the calendar link? Subscribed calendars will stop updating.')) {
+            return;
+        }
+
+        try {
+            const response = await this.apiCall('/api/user/calendar-feed', 'DELETE');
+
+            if (response.success) {
+                document.getElementById('calendarFeedUrl').value = '';
+                document.getElementById('calendarFeedLink').classList.add('hidden');
+                this.loadCalendarFeed();
+                this.showNotification(response.message, 'success');
+            }
+        } catch (error) {
+            this.showNotification('Error disabling calendar link', 'error');
+        }
+    }
+
+    copyCalendarFeedUrl() {
+        const input = document.getElementById('calendarFeedUrl');
+        input.select();
+
+        if (navigator.clipboard) {
+            navigator.clipboard.writeText(input.value)
+                .then(() => this.showNotification('Calendar link copied', 'success'))
+                .catch(() => this.showNotification('Copy failed; select the link and copy it manually', 'warning'));
+        } else {
+            document.execCommand('copy');
+            this.showNotification('Calendar link copied', 'success');
+        }
+    }
+
+    async loadUserSessions() {
+        try {
+            const response = await this.apiCall('/api/user/sessions', 'GET');
+
+            if (response.success) {
+                this.userSessions = response.data;
+                this.renderUserSessions();
+            }
+        } catch (error) {
+            console.error('Failed to load sessions:', error);
+        }
+    }
+
+    renderUserSessions() {
+        const container = document.getElementById('sessionList');
+
+        if (!this.userSessions || this.userSessions.length === 0) {
+            container.innerHTML = '<div class="no-data"><i class="fas fa-laptop"></i><p>No active sessions</p></div>';
+            return;
+        }
+
+        container.innerHTML = this.userSessions.map(session => this.renderSessionItem(session)).join('');
+
+        document.querySelectorAll('.session-revoke-btn').forEach(btn => {
+            btn.addEventListener('click', (e) => this.handleSessionRevoke(e));
+        });
+    }
+
+    renderSessionItem(session) {
+        const signedIn = new Date(session.created_at.replace(' ', 'T') + 'Z').toLocaleString();
+        const lastSeen = session.last_seen_at ? new Date(session.last_seen_at.replace(' ', 'T') + 'Z').toLocaleString() : 'N/A';
+
+        return `
+            <div class="session-item ${session.current ? 'current' : ''}">
+                <div class="session-icon">
+                    <i class="fas ${/Android|iOS/.test(session.device) ? 'fa-mobile-alt' : 'fa-desktop'}"></i>
+                </div>
+                <div class="session-info">
+                    <h5>${this.escapeHtml(session.device)}${session.current ? ' <span class="session-current">This device</span>' : ''}</h5>
+                    <p class="session-meta">
+                        <span>IP: ${this.escapeHtml(session.ip_address) || 'Unknown'}</span>
+                        <span>Signed in: ${signedIn}</span>
+                        <span>Last active: ${lastSeen}</span>
+                    </p>
+                    <p class="session-agent">${this.escapeHtml(session.user_agent)}</p>
+                </div>
+                <button type="button" class="btn-secondary session-revoke-btn" data-session-id="${session.id}">
+                    <i class="fas fa-sign-out-alt"></i>
+                    Sign out
+                </button>
+            </div>
+        `;
+    }
+
+    async handleSessionRevoke(e) {
+        const sessionId = e.currentTarget.getAttribute('data-session-id');
+        const session = this.userSessions.find(s => s.id == sessionId);
+
+        if (!session) return;
+
+        if (session.current) {
+            this.closeProfileModal();
+            this.handleLogout();
+            return;
+        }
+
+        try {
+            const response = await this.apiCall(`/api/user/sessions/${sessionId}`, 'DELETE');
+
+            if (response.success) {
+                this.loadUserSessions();
+                this.showNotification('Session signed out', 'success');
+            }
+        } catch (error) {
+            this.showNotification('Error signing out session', 'error');
+        }
+    }
+
+    async populateAssigneeDropdown(selectedId = null) {
+        const dropdown = document.getElementById('taskAssignee');
+
+        if (!this.userPermissions.view_users) {
+            dropdown.innerHTML = '<option value="">Unassigned</option>' +
+                `<option value="${this.currentUser.id}">${this.escapeHtml(this.currentUser.name)} (${this.currentUser.role})</option>`;
+            dropdown.value = selectedId || '';
+            return;
+        }
+        
+        try {
+            const users = await this.fetchAllPages('/api/users', new URLSearchParams({ sort: 'name', order: 'asc' }));
+
+            dropdown.innerHTML = '<option value="">Unassigned</option>' +
+                users
+                    .filter(user => user.is_active)
+                    .map(user => `<option value="${user.id}">${user.name} (${user.role})</option>`)
+                    .join('');
+            dropdown.value = selectedId || '';
+        } catch (error) {
+            console.error('Failed to load users for assignee dropdown:', error);
+        }
+    }
+
+    async loadLabels() {
+        try {
+            const response = await this.apiCall('/api/labels', 'GET');
+
+            if (response.success) {
+                this.labels = response.data;
+                this.labelFilter = this.labelFilter.filter(id => this.labels.some(label => label.id === id));
+                this.renderLabelFilter();
+                this.renderLabelList();
+            }
+        } catch (error) {
+            console.error('Failed to load labels:', error);
+        }
+    }
+
+    renderLabelChip(label, extraClass = '') {
+        return `
+            <span class="label-chip ${extraClass}" data-label-id="${label.id}" style="--label-color: ${this.escapeHtml(label.color)}">
+                ${this.escapeHtml(label.name)}
+            </span>
+        `;
+    }
+
+    renderLabelFilter() {
+        const container = document.getElementById('labelFilterChips');
+        const canManage = ['admin', 'manager'].includes(this.currentUser.role);
+
+        document.getElementById('manageLabelsBtn').classList.toggle('hidden', !canManage);
+
+        if (this.labels.length === 0) {
+            container.innerHTML = '<span class="label-filter-empty">No labels yet</span>';
+            return;
+        }
+
+        container.innerHTML = this.labels.map(label =>
+            this.renderLabelChip(label, `label-filter-chip ${this.labelFilter.includes(label.id) ? 'active' : ''}`)
+        ).join('');
+
+        container.querySelectorAll('.label-filter-chip').forEach(chip => {
+            chip.addEventListener('click', (e) => this.handleLabelFilterToggle(e));
+        });
+    }
+
+    handleLabelFilterToggle(e) {
+        const labelId = parseInt(e.currentTarget.getAttribute('data-label-id'));
+
+        if (this.labelFilter.includes(labelId)) {
+            this.labelFilter = this.labelFilter.filter(id => id !== labelId);
+        } else {
+            this.labelFilter.push(labelId);
+        }
+
+        e.currentTarget.classList.toggle('active');
+        this.applyFilters();
+    }
+
+    populateLabelDropdown(selectedIds = []) {
+        document.getElementById('taskLabels').innerHTML = this.labels.map(label => `
+            <option value="${label.id}" ${selectedIds.includes(label.id) ? 'selected' : ''}>${this.escapeHtml(label.name)}</option>
+        `).join('');
+    }
+
+    getSelectedLabelIds() {
+        return Array.from(document.getElementById('taskLabels').selectedOptions)
+            .map(option => parseInt(option.value));
+    }
+
+    openLabelModal() {
+        this.loadLabels();
+        document.getElementById('labelModal').classList.add('active');
+    }
+
+    closeLabelModal() {
+        document.getElementById('labelModal').classList.remove('active');
+        document.getElementById('labelForm').reset();
+    }
+
+    renderLabelList() {
+        const container = document.getElementById('labelList');
+
+        if (this.labels.length === 0) {
+            container.innerHTML = '<div class="no-data"><i class="fas fa-tags"></i><p>No labels yet</p></div>';
+            return;
+        }
+
+        container.innerHTML = this.labels.map(label => `
+            <div class="label-row" data-label-id="${label.id}">
+                <input type="color" class="label-color-input" value="${this.escapeHtml(label.color)}" title="Change color">
+                ${this.renderLabelChip(label)}
+                <span class="label-usage">${label.usage_count} task${label.usage_count === 1 ? '' : 's'}</span>
+                <button type="button" class="label-action label-rename-btn" title="Rename">
+                    <i class="fas fa-pen"></i>
+                </button>
+                <button type="button" class="label-action label-remove-btn" title="Delete">
+                    <i class="fas fa-trash"></i>
+                </button>
+            </div>
+        `).join('');
+
+        container.querySelectorAll('.label-color-input').forEach(input => {
+            input.addEventListener('change', (e) => this.handleLabelUpdate(e, { color: e.target.value }));
+        });
+        container.querySelectorAll('.label-rename-btn').forEach(btn => {
+            btn.addEventListener('click', (e) => this.handleLabelRename(e));
+        });
+        container.querySelectorAll('.label-remove-btn').forEach(btn => {
+            btn.addEventListener('click', (e) => this.handleLabelDelete(e));
+        });
+    }
+
+    async handleLabelCreate(e) {
+        e.preventDefault();
+
+        try {
+            await this.apiCall('/api/labels', 'POST', {
+                name: document.getElementById('labelName').value.trim(),
+                color: document.getElementById('labelColor').value
+            });
+
+            document.getElementById('labelForm').reset();
+            await this.loadLabels();
+            this.showNotification('Label created', 'success');
+        } catch (error) {
+            this.showNotification(error.message || 'Error creating label', 'error');
+        }
+    }
+
+    handleLabelRename(e) {
+        const labelId = parseInt(e.currentTarget.closest('.label-row').getAttribute('data-label-id'));
+        const label = this.labels.find(l => l.id === labelId);
+        if (!label) return;
+
+        const name = prompt('Rename label:', label.name);
+        if (name === null || !name.trim() || name.trim() === label.name) return;
+
+        this.handleLabelUpdate(e, { name: name.trim() });
+    }
+
+    async handleLabelUpdate(e, changes) {
+        const labelId = e.target.closest('.label-row').getAttribute('data-label-id');
+
+        try {
+            await this.apiCall(`/api/labels/${labelId}`, 'PUT', changes);
+            await this.loadLabels();
+            this.loadTasks();
+        } catch (error) {
+            this.showNotification(error.message || 'Error updating label', 'error');
+        }
+    }
+
+    async handleLabelDelete(e) {
+        const labelId = parseInt(e.currentTarget.closest('.label-row').getAttribute('data-label-id'));
+        const label = this.labels.find(l => l.id === labelId);
+        if (!label) return;
+
+        if (!confirm(`Delete label "${label.name}"? It will be removed from ${label.usage_count} task(s).`)) return;
+
+        try {
+            await this.apiCall(`/api/labels/${labelId}`, 'DELETE');
+            await this.loadLabels();
+            this.loadTasks();
+            this.showNotification('Label deleted', 'success');
+        } catch (error) {
+            this.showNotification(error.message || 'Error deleting label', 'error');
+        }
+    }
+
+    populateProjectDropdown(selectedId = '', disabled = false) {
+        const dropdown = document.getElementById('taskProject');
+        const options = this.projects.filter(project => !project.is_archived || project.id == selectedId);
+
+        dropdown.innerHTML = '<option value="">No project</option>' +
+            options.map(project => `
+                <option value="${project.id}">${this.escapeHtml(project.name)}${project.is_archived ? ' (archived)' : ''}</option>
+            `).join('');
+        dropdown.value = selectedId || '';
+        dropdown.disabled = disabled;
+    }
+
+    async loadProjects() {
+        try {
+            const response = await this.apiCall('/api/projects?include_archived=1', 'GET');
+
+            if (response.success) {
+                this.projects = response.data;
+                if (this.currentProject && !this.projects.some(p => p.id == this.currentProject)) {
+                    this.currentProject = '';
+                }
+                this.renderProjectSelector();
+            }
+        } catch (error) {
+            console.error('Failed to load projects:', error);
+        }
+    }
+
+    renderProjectSelector() {
+        const selector = document.getElementById('projectSelector');
+        const renderOption = (project) => `<option value="${project.id}">${this.escapeHtml(project.name)}</option>`;
+        const active = this.projects.filter(project => !project.is_archived);
+        const archived = this.projects.filter(project => project.is_archived);
+
+        selector.innerHTML = '<option value="">All Projects</option>' +
+            active.map(renderOption).join('') +
+            (archived.length > 0 ? `<optgroup label="Archived">${archived.map(renderOption).join('')}</optgroup>` : '');
+        selector.value = this.currentProject;
+
+        this.updateProjectButtons();
+    }
+
+    updateProjectButtons() {
+        const project = this.projects.find(p => p.id == this.currentProject);
+        const canManage = project && (this.currentUser.role === 'admin' || project.owner_id === this.currentUser.id);
+
+        document.getElementById('addProjectBtn').classList.toggle('hidden', this.currentUser.role === 'employee');
+        document.getElementById('editProjectBtn').classList.toggle('hidden', !canManage);
+    }
+
+    handleProjectChange(e) {
+        this.currentProject = e.target.value;
+        this.updateProjectButtons();
+        this.loadDashboard();
+        this.loadTasks();
+        this.loadReports();
+        this.loadTimesheet();
+    }
+
+    async openProjectModal(project = null) {
+        this.editingProject = project;
+
+        document.getElementById('projectForm').reset();
+        document.getElementById('projectModalTitle').textContent = project ? 'Edit Project' : 'Create New Project';
+        document.getElementById('projectSubmitBtn').textContent = project ? 'Update Project' : 'Create Project';
+        document.getElementById('projectOwnerGroup').classList.toggle('hidden', !project);
+        document.getElementById('projectArchivedGroup').classList.toggle('hidden', !project);
+        document.getElementById('deleteProjectBtn').classList.toggle('hidden', !project);
+
+        if (project) {
+            document.getElementById('projectName').value = project.name;
+            document.getElementById('projectDescription').value = project.description || '';
+            document.getElementById('projectColor').value = project.color || '#3b82f6';
+            document.getElementById('projectArchived').checked = !!project.is_archived;
+        }
+
+        document.getElementById('projectModal').classList.add('active');
+
+        let users = [this.currentUser];
+        if (this.userPermissions.view_users) {
+            try {
+                const allUsers = await this.fetchAllPages('/api/users', new URLSearchParams({ sort: 'name', order: 'asc' }));
+                users = allUsers.filter(user => user.is_active);
+            } catch (error) {
+                console.error('Failed to load users for project members:', error);
+            }
+        }
+
+        const memberIds = project ? project.members.map(member => member.id) : [this.currentUser.id];
+        const ownerId = project ? project.owner_id : this.currentUser.id;
+
+        document.getElementById('projectMembers').innerHTML = users.map(user => `
+            <option value="${user.id}" ${memberIds.includes(user.id) ? 'selected' : ''}>
+                ${this.escapeHtml(user.name)} (${user.role})
+            </option>
+        `).join('');
+
+        document.getElementById('projectOwner').innerHTML = users
+            .filter(user => user.role !== 'employee' || user.id === ownerId)
+            .map(user => `
+                <option value="${user.id}" ${user.id === ownerId ? 'selected' : ''}>${this.escapeHtml(user.name)}</option>
+            `).join('');
+    }
+
+    closeProjectModal() {
+        document.getElementById('projectModal').classList.remove('active');
+        document.getElementById('projectForm').reset();
+        this.editingProject = null;
+    }
+
+    async handleProjectSave(e) {
+        e.preventDefault();
+
+        const formData = {
+            name: document.getElementById('projectName').value,
+            description: document.getElementById('projectDescription').value,
+            color: document.getElementById('projectColor').value,
+            member_ids: Array.from(document.getElementById('projectMembers').selectedOptions)
+                .map(option => parseInt(option.value))
+        };
+
+        if (this.editingProject) {
+            formData.owner_id = parseInt(document.getElementById('projectOwner').value) || this.editingProject.owner_id;
+            formData.is_archived = document.getElementById('projectArchived').checked;
+        }
+
+        try {
+            let response;
+            if (this.editingProject) {
+                response = await this.apiCall(`/api/projects/${this.editingProject.id}`, 'PUT', formData);
+            } else {
+                response = await this.apiCall('/api/projects', 'POST', formData);
+            }
+
+            if (response.success) {
+                const isEditing = !!this.editingProject;
+                this.closeProjectModal();
+                this.currentProject = String(response.data.id);
+                await this.loadProjects();
+                this.loadDashboard();
+                this.loadTasks();
+                this.loadReports();
+                this.showNotification(`Project ${isEditing ? 'updated' : 'created'} successfully!`, 'success');
+            }
+        } catch (error) {
+            this.showNotification(error.message || 'Error saving project', 'error');
+        }
+    }
+
+    async handleProjectDelete() {
+        const project = this.editingProject;
+        if (!project) return;
+
+        if (!confirm(`Delete project "${project.name}"? Its tasks will be kept without a project.`)) return;
+
+        try {
+            await this.apiCall(`/api/projects/${project.id}`, 'DELETE');
+
+            this.closeProjectModal();
+            this.currentProject = '';
+            await this.loadProjects();
+            this.loadDashboard();
+            this.loadTasks();
+            this.loadReports();
+            this.showNotification('Project deleted successfully', 'success');
+        } catch (error) {
+            this.showNotification(error.message || 'Error deleting project', 'error');
+        }
+    }
+
+    async handleTaskSave(e) {
+        e.preventDefault();
+        
+        const formData = {
+            title: document.getElementById('taskTitle').value,
+            description: document.getElementById('taskDescription').value,
+            priority: document.getElementById('taskPriority').value,
+            status: document.getElementById('taskStatus').value,
+            due_date: document.getElementById('taskDueDate').value,
+            assignee_id: document.getElementById('taskAssignee').value || null,
+            estimated_hours: document.getElementById('taskEstimatedHours').value || null,
+            project_id: document.getElementById('taskProject').value || null,
+            recurrence_rule: this.buildRecurrenceRule()
+        };
+
+        const blockerIds = this.getSelectedBlockerIds();
+        const labelIds = this.getSelectedLabelIds();
+
+        try {
+            let response;
+            if (this.editingTask) {
+                const changes = this.getTaskChanges(this.editingTask, formData);
+                const currentLabelIds = (this.editingTask.labels || []).map(label => label.id);
+                if (labelIds.length !== currentLabelIds.length || labelIds.some(id => !currentLabelIds.includes(id))) {
+                    changes.label_ids = labelIds;
+                }
+                const current = this.editingTaskBlockers || [];
+                const blockersChanged = blockerIds.length !== current.length ||
+                    blockerIds.some(id => !current.includes(id));
+
+                if (Object.keys(changes).length === 0 && !blockersChanged) {
+                    this.closeTaskModal();
+                    this.showNotification('No changes to save', 'info');
+                    return;
+                }
+
+                if (Object.keys(changes).length > 0) {
+                    response = await this.patchTask(this.editingTask.id, changes);
+                    this.logActivity('task_updated', `Task "${formData.title}" updated`);
+                } else {
+                    response = { success: true };
+                }
+            } else {
+                response = await this.apiCall('/api/tasks', 'POST', { ...formData, label_ids: labelIds });
+                this.logActivity('task_created', `Task "${formData.title}" created`);
+                
+                this.sendTaskNotification(formData.title);
+            }
+            
+            if (response.success) {
+                const isEditing = !!this.editingTask;
+                await this.syncTaskBlockers(isEditing ? this.editingTask.id : response.data.id, blockerIds);
+
+                this.closeTaskModal();
+                this.loadTasks();
+                if (this.currentSection === 'dashboard') {
+                    this.loadDashboard();
+                }
+                this.showNotification(`Task ${isEditing ? 'updated' : 'created'} successfully!`, 'success');
+            } else {
+                this.showNotification(response.error || `Error ${this.editingTask ? 'updating' : 'creating'} task`, 'error');
+            }
+        } catch (error) {
+            if (error.status === 409) {
+                this.showNotification(error.message, 'error');
+                return;
+            }
+            this.showNotification(`Error ${this.editingTask ? 'updating' : 'creating'} task. Please try again.`, 'error');
+        }
+    }
+
+    getTaskChanges(task, formData) {
+        const changes = {};
+
+        Object.entries(formData).forEach(([field, value]) => {
+            const currentValue = task[field] === null || task[field] === undefined ? '' : String(task[field]);
+            const newValue = value === null || value === undefined ? '' : String(value);
+
+            if (currentValue !== newValue) {
+                changes[field] = value;
+            }
+        });
+
+        return changes;
+    }
+
+    sendTaskNotification(taskTitle) {
+        this.showNotification(`New task created: ${taskTitle}`, 'info');
+        
+        this.showDesktopNotification('New Task Created', `A new task "${taskTitle}" has been created.`);
+        
+        this.notifications.push({
+            id: Date.now(),
+            type: 'task_created',
+            message: `New task: ${taskTitle}`,
+            read: false
+        });
+        this.updateNotifications();
+    }
+
+    async handleUserSave(e) {
+        e.preventDefault();
+        
+        const formData = {
+            name: document.getElementById('userName').value,
+            email: document.getElementById('userEmail').value,
+            role: document.getElementById('userRole').value,
+            department: document.getElementById('userDepartment').value,
+            position: document.getElementById('userPosition').value,
+            avatar_url: document.getElementById('userAvatarUrl').value
+        };
+
+        if (!this.editingUser && formData.role === 'admin') {
+            const adminUsers = this.users.filter(user => user.role === 'admin');
+            if (adminUsers.length > 0) {
+                this.showNotification('Only one administrator account is allowed in the system', 'error');
+                return;
+            }
+        }
+
+        if (!this.editingUser) {
+            formData.password = document.getElementById('userPassword').value;
+            if (!formData.password || formData.password.length < 8) {
+                this.showNotification('Password must be at least 8 characters long', 'error');
+                return;
+            }
+        }
+
+        try {
+            let response;
+            if (this.editingUser) {
+                response = await this.apiCall(`/api/users/${this.editingUser.id}`, 'PUT', formData);
+                this.logActivity('user_updated', `User "${formData.name}" updated`);
+            } else {
+                response = await this.apiCall('/api/users', 'POST', formData);
+                this.logActivity('user_created', `User "${formData.name}" created`);
+            }
+            
+            if (response.success) {
+                this.closeUserModal();
+                this.loadUsers();
+                this.showNotification(`User ${this.editingUser ? 'updated' : 'created'} successfully!`, 'success');
+            } else {
+                this.showNotification(response.error || `Error ${this.editingUser ? 'updating' : 'creating'} user`, 'error');
+            }
+        } catch (error) {
+            this.showNotification(`Error ${this.editingUser ? 'updating' : 'creating'} user. Please try again.`, 'error');
+        }
+    }
+
+    async handleProfileUpdate(e) {
+        e.preventDefault();
+        
+        const formData = {
+            name: document.getElementById('profileName').value,
+            department: document.getElementById('profileDepartment').value,
+            position: document.getElementById('profilePosition').value
+        };
+
+        try {
+            const response = await this.apiCall('/api/user/profile', 'PUT', formData);
+            
+            if (response.success) {
+                this.userProfile = response.data;
+                this.currentUser = { ...this.currentUser, ...formData };
+                this.updateUserInterface();
+                this.closeProfileModal();
+                this.showNotification('Profile updated successfully!', 'success');
+                this.logActivity('profile_updated', 'User profile updated');
+            } else {
+                this.showNotification(response.error || 'Error updating profile', 'error');
+            }
+        } catch (error) {
+            this.showNotification('Error updating profile. Please try again.', 'error');
+        }
+    }
+
+    async handleAvatarUpdate(e) {
+        e.preventDefault();
+        
+        const avatarUrl = document.getElementById('avatarUrl').value;
+
+        if (!avatarUrl) {
+            this.showNotification('Please enter an avatar URL', 'error');
+            return;
+        }
+
+        try {
+            const response = await this.apiCall('/api/user/avatar', 'PUT', { avatar_url: avatarUrl });
+            
+            if (response.success) {
+                this.userProfile.avatar_url = avatarUrl;
+                this.currentUser.avatar_url = avatarUrl;
+                this.updateUserInterface();
+                document.getElementById('avatarPreview').src = avatarUrl;
+                this.showNotification('Avatar updated successfully!', 'success');
+                this.logActivity('avatar_updated', 'User avatar updated');
+            } else {
+                this.showNotification(response.error || 'Error updating avatar', 'error');
+            }
+        } catch (error) {
+            this.showNotification('Error updating avatar. Please try again.', 'error');
+        }
+    }
+
+    async handleAvatarFileUpload(e) {
+        const file = e.target.files[0];
+        if (!file) return;
+
+        const formData = new FormData();
+        formData.append('avatar', file);
+
+        try {
+            const response = await fetch('/api/user/avatar/upload', {
+                method: 'POST',
+                headers: {
+                    'Authorization': `Bearer ${this.token}`
+                },
+                body: formData
+            });
+
+            const result = await response.json();
+
+            if (result.success) {
+                const avatarUrl = result.data.avatar_url;
+                this.userProfile.avatar_url = avatarUrl;
+                this.currentUser.avatar_url = avatarUrl;
+                this.updateUserInterface();
+                document.getElementById('avatarPreview').src = avatarUrl;
+                document.getElementById('avatarUrl').value = avatarUrl;
+                this.showNotification('Avatar updated successfully!', 'success');
+            } else {
+                this.showNotification(result.error || 'Error uploading avatar', 'error');
+            }
+        } catch (error) {
+            this.showNotification('Error uploading avatar. Please try again.', 'error');
+        } finally {
+            e.target.value = '';
+        }
+    }
+
+    attachTaskEventListeners() {
+        document.querySelectorAll('.task-checkbox input[type="checkbox"]').forEach(checkbox => {
+            checkbox.addEventListener('change', (e) => this.handleTaskStatusChange(e));
+        });
+
+        document.querySelectorAll('.checklist-toggle').forEach(btn => {
+            btn.addEventListener('click', (e) => this.handleChecklistToggle(e));
+        });
+
+        this.expandedChecklists.forEach(taskId => this.loadSubtasks(taskId));
+
+        document.querySelectorAll('.edit-btn').forEach(btn => {
+            btn.addEventListener('click', (e) => this.handleTaskEdit(e));
+        });
+
+        document.querySelectorAll('.timer-btn').forEach(btn => {
+            btn.addEventListener('click', (e) => this.handleTimerToggle(e));
+        });
+
+        document.querySelectorAll('.delete-btn').forEach(btn => {
+            btn.addEventListener('click', (e) => this.handleTaskDelete(e));
+        });
+    }
+
+    attachUserEventListeners() {
+        document.querySelectorAll('.btn-change-password').forEach(btn => {
+            btn.addEventListener('click', (e) => this.handlePasswordChange(e));
+        });
+
+        document.querySelectorAll('.btn-edit-user').forEach(btn => {
+            btn.addEventListener('click', (e) => this.handleUserEdit(e));
+        });
+
+        document.querySelectorAll('.btn-deactivate').forEach(btn => {
+            btn.addEventListener('click', (e) => this.handleUserActivation(e));
+        });
+
+        document.querySelectorAll('.btn-revoke-sessions').forEach(btn => {
+            btn.addEventListener('click', (e) => this.handleRevokeUserSessions(e));
+        });
+    }
+
+    attachFolderEventListeners() {
+        const findFolder = (e) => this.folders.find(folder => folder.id == e.currentTarget.getAttribute('data-folder-id'));
+
+        document.querySelectorAll('.folder-item').forEach(item => {
+            item.addEventListener('click', (e) => {
+                if (!e.target.closest('.file-actions')) {
+                    this.openFolder(e.currentTarget.getAttribute('data-folder-id'));
+                }
+            });
+        });
+
+        document.querySelectorAll('.folder-rename-btn').forEach(btn => {
+            btn.addEventListener('click', (e) => this.handleRenameFolder(findFolder(e)));
+        });
+
+        document.querySelectorAll('.folder-move-btn').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                const folder = findFolder(e);
+                this.openMoveModal({ type: 'folder', id: folder.id, name: folder.name, folderId: folder.parent_id });
+            });
+        });
+
+        document.querySelectorAll('.folder-share-btn').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                const folder = findFolder(e);
+                this.openFileUploadModal({ endpoint: `/api/folders/${folder.id}`, name: folder.name, ownerId: folder.owner_id });
+            });
+        });
+
+        document.querySelectorAll('.folder-delete-btn').forEach(btn => {
+            btn.addEventListener('click', (e) => this.handleDeleteFolder(findFolder(e)));
+        });
+    }
+
+    attachFileEventListeners() {
+        this.attachFolderEventListeners();
+
+        document.querySelectorAll('.file-thumbnail').forEach(img => {
+            img.addEventListener('error', () => {
+                const file = this.files.find(f => f.id == img.closest('.file-item').getAttribute('data-file-id'));
+                img.parentElement.classList.remove('has-thumbnail');
+                img.outerHTML = `<i class="fas ${this.getFileIcon(file ? file.file_type : '')}"></i>`;
+            });
+        });
+
+        document.querySelectorAll('.preview-btn').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                const file = this.files.find(f => f.id == e.currentTarget.getAttribute('data-file-id'));
+                if (file) this.previewFile(file);
+            });
+        });
+
+        document.querySelectorAll('.download-btn').forEach(btn => {
+            btn.addEventListener('click', (e) => this.handleFileDownload(e));
+        });
+
+        document.querySelectorAll('.versions-btn').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                const file = this.files.find(f => f.id == e.currentTarget.getAttribute('data-file-id'));
+                if (file) this.openFileVersionsModal(file);
+            });
+        });
+
+        document.querySelectorAll('.share-btn').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                const file = this.files.find(f => f.id == e.currentTarget.getAttribute('data-file-id'));
+                if (file) this.openFileUploadModal({ endpoint: `/api/files/${file.id}`, name: file.original_name, ownerId: file.uploaded_by });
+            });
+        });
+
+        document.querySelectorAll('.move-btn').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                const file = this.files.find(f => f.id == e.currentTarget.getAttribute('data-file-id'));
+                if (file) this.openMoveModal({ type: 'file', id: file.id, name: file.original_name, folderId: file.folder_id });
+            });
+        });
+
+        document.querySelectorAll('.delete-btn').forEach(btn => {
+            if (btn.classList.contains('delete-btn') && btn.getAttribute('data-file-id')) {
+                btn.addEventListener('click', (e) => this.handleFileDelete(e));
+            }
+        });
+    }
+
+    handleChecklistToggle(e) {
+        const taskId = parseInt(e.currentTarget.getAttribute('data-task-id'));
+        const icon = e.currentTarget.querySelector('i');
+        const containers = document.querySelectorAll(`.task-checklist[data-task-id="${taskId}"]`);
+
+        if (this.expandedChecklists.has(taskId)) {
+            this.expandedChecklists.delete(taskId);
+            containers.forEach(container => container.classList.add('hidden'));
+            icon.className = 'fas fa-chevron-right';
+        } else {
+            this.expandedChecklists.add(taskId);
+            containers.forEach(container => container.classList.remove('hidden'));
+            icon.className = 'fas fa-chevron-down';
+            this.loadSubtasks(taskId);
+        }
+    }
+
+    async loadSubtasks(taskId) {
+        try {
+            const response = await this.apiCall(`/api/tasks/${taskId}/subtasks`, 'GET');
+
+            if (response.success) {
+                this.renderChecklist(taskId, response.data);
+            }
+        } catch (error) {
+            console.error('Failed to load subtasks:', error);
+        }
+    }
+
+    renderChecklist(taskId, subtasks) {
+        const canEdit = this.userPermissions.edit_task;
+        const canDelete = this.userPermissions.delete_task;
+
+        const html = `
+            <ul class="checklist">
+                ${subtasks.map((subtask, index) => `
+                    <li class="checklist-item ${subtask.status === 'completed' ? 'completed' : ''}" data-subtask-id="${subtask.id}">
+                        <label class="checklist-check">
+                            <input type="checkbox" class="subtask-checkbox" data-subtask-id="${subtask.id}" data-parent-id="${taskId}"
+                                   ${subtask.status === 'completed' ? 'checked' : ''} ${canEdit ? '' : 'disabled'}>
+                            <span>${this.escapeHtml(subtask.title)}</span>
+                        </label>
+                        ${subtask.assignee_name ? `<span class="checklist-assignee">${this.escapeHtml(subtask.assignee_name)}</span>` : ''}
+                        ${canEdit ? `
+                            <button type="button" class="checklist-btn subtask-move-btn" data-direction="-1" data-index="${index}" data-parent-id="${taskId}" title="Move up" ${index === 0 ? 'disabled' : ''}>
+                                <i class="fas fa-arrow-up"></i>
+                            </button>
+                            <button type="button" class="checklist-btn subtask-move-btn" data-direction="1" data-index="${index}" data-parent-id="${taskId}" title="Move down" ${index === subtasks.length - 1 ? 'disabled' : ''}>
+                                <i class="fas fa-arrow-down"></i>
+                            </button>
+                        ` : ''}
+                        ${canDelete ? `
+                            <button type="button" class="checklist-btn subtask-delete-btn" data-subtask-id="${subtask.id}" data-parent-id="${taskId}" title="Remove">
+                                <i class="fas fa-times"></i>
+                            </button>
+                        ` : ''}
+                    </li>
+                `).join('')}
+            </ul>
+            ${canEdit ? `
+                <form class="checklist-add" data-parent-id="${taskId}">
+                    <input type="text" class="checklist-input" placeholder="Add a step..." required>
+                    <button type="submit" class="checklist-btn" title="Add step">
+                        <i class="fas fa-plus"></i>
+                    </button>
+                </form>
+            ` : ''}
+        `;
+
+        document.querySelectorAll(`.task-checklist[data-task-id="${taskId}"]`).forEach(container => {
+            container.innerHTML = html;
+
+            container.querySelectorAll('.subtask-checkbox').forEach(checkbox => {
+                checkbox.addEventListener('change', (e) => this.handleSubtaskToggle(e));
+            });
+
+            container.querySelectorAll('.subtask-move-btn').forEach(btn => {
+                btn.addEventListener('click', (e) => this.handleSubtaskMove(e, subtasks));
+            });
+
+            container.querySelectorAll('.subtask-delete-btn').forEach(btn => {
+                btn.addEventListener('click', (e) => this.handleSubtaskDelete(e));
+            });
+
+            container.querySelector('.checklist-add')?.addEventListener('submit', (e) => this.handleSubtaskCreate(e));
+        });
+    }
+
+    refreshTaskViews() {
+        this.loadTasks();
+        if (this.currentSection === 'dashboard') {
+            this.loadDashboard();
+        }
+    }
+
+    async handleSubtaskCreate(e) {
+        e.preventDefault();
+
+        const parentId = e.currentTarget.getAttribute('data-parent-id');
+        const input = e.currentTarget.querySelector('.checklist-input');
+        const title = input.value.trim();
+
+        if (!title) return;
+
+        try {
+            const response = await this.apiCall(`/api/tasks/${parentId}/subtasks`, 'POST', { title });
+
+            if (response.success) {
+                this.refreshTaskViews();
+            }
+        } catch (error) {
+            this.showNotification('Error adding subtask', 'error');
+        }
+    }
+
+    async handleSubtaskToggle(e) {
+        const subtaskId = e.target.getAttribute('data-subtask-id');
+        const newStatus = e.target.checked ? 'completed' : 'pending';
+
+        try {
+            await this.patchTask(subtaskId, { status: newStatus });
+            this.refreshTaskViews();
+        } catch (error) {
+            e.target.checked = !e.target.checked;
+            this.showNotification(error.status === 409 ? error.message : 'Error updating subtask', 'error');
+        }
+    }
+
+    async handleSubtaskMove(e, subtasks) {
+        const parentId = e.currentTarget.getAttribute('data-parent-id');
+        const index = parseInt(e.currentTarget.getAttribute('data-index'));
+        const targetIndex = index + parseInt(e.currentTarget.getAttribute('data-direction'));
+
+        if (targetIndex < 0 || targetIndex >= subtasks.length) return;
+
+        const order = subtasks.map(subtask => subtask.id);
+        [order[index], order[targetIndex]] = [order[targetIndex], order[index]];
+
+        try {
+            await this.apiCall(`/api/tasks/${parentId}/subtasks/order`, 'PUT', { order });
+            this.loadSubtasks(parentId);
+        } catch (error) {
+            this.showNotification('Error reordering subtasks', 'error');
+        }
+    }
+
+    async handleSubtaskDelete(e) {
+        const subtaskId = e.currentTarget.getAttribute('data-subtask-id');
+
+        if (!confirm('Remove this step from the checklist?')) {
+            return;
+        }
+
+        try {
+            await this.apiCall(`/api/tasks/${subtaskId}`, 'DELETE');
+            this.refreshTaskViews();
+        } catch (error) {
+            this.showNotification('Error removing subtask', 'error');
+        }
+    }
+
+    async handleTaskStatusChange(e) {
+        const taskId = e.target.closest('.task-item').getAttribute('data-id');
+        const newStatus = e.target.checked ? 'completed' : 'pending';
+
+        try {
+            const response = await this.patchTask(taskId, { status: newStatus });
+
+            const taskIndex = this.tasks.findIndex(t => t.id == taskId);
+            if (taskIndex !== -1) {
+                this.tasks[taskIndex] = { ...this.tasks[taskIndex], ...response.data };
+            }
+
+            if (newStatus === 'completed' && response.data.recurrence_rule) {
+                this.loadTasks();
+            }
+            
+            const taskItem = e.target.closest('.task-item');
+            if (newStatus === 'completed') {
+                taskItem.classList.add('completed');
+            } else {
+                taskItem.classList.remove('completed');
+            }
+            
+            this.showNotification('Task status updated', 'success');
+            this.logActivity('task_status_changed', `Task status changed to ${newStatus}`);
+        } catch (error) {
+            console.error('Failed to update task status:', error);
+            e.target.checked = !e.target.checked;
+            this.showNotification(error.status === 409 ? error.message : 'Error updating task', 'error');
+        }
+    }
+
+    handleTaskEdit(e) {
+        const taskId = e.currentTarget.getAttribute('data-task-id');
+        const task = this.tasks.find(t => t.id == taskId);
+        
+        if (task) {
+            this.openTaskModal(task);
+        }
+    }
+
+    async handleTaskDelete(e) {
+        const taskId = e.currentTarget.getAttribute('data-task-id');
+        const taskTitle = e.currentTarget.closest('.task-item').querySelector('.task-title').textContent;
+
+        if (!confirm(`Are you sure you want to delete task "${taskTitle}"?`)) {
+            return;
+        }
+
+        try {
+            const response = await this.apiCall(`/api/tasks/${taskId}`, 'DELETE');
+            
+            if (response.success) {
+                this.loadTasks();
+                if (this.currentSection === 'dashboard') {
+                    this.loadDashboard();
+                }
+                this.showNotification('Task deleted successfully', 'success');
+                this.logActivity('task_deleted', `Task "${taskTitle}" deleted`);
+            }
+        } catch (error) {
+            this.showNotification('Error deleting task', 'error');
+        }
+    }
+
+    handlePasswordChange(e) {
+        const userId = e.currentTarget.getAttribute('data-user-id');
+        const user = this.users.find(u => u.id == userId);
+        
+        if (user && user.id === this.currentUser.id) {
+            this.showNotification('You cannot change your own password here. Use profile settings.', 'warning');
+            return;
+        }
+
+        const newPassword = prompt('Enter new password (minimum 8 characters):');
+        
+        if (newPassword && newPassword.length >= 8) {
+            this.updateUserPassword(userId, newPassword);
+        } else if (newPassword) {
+            this.showNotification('Password must be at least 8 characters', 'error');
+        }
+    }
+
+    async updateUserPassword(userId, newPassword) {
+        try {
+            const response = await this.apiCall(`/api/users/${userId}/password`, 'PUT', { newPassword });
+            
+            if (response.success) {
+                this.showNotification('Password updated successfully', 'success');
+                this.logActivity('password_changed', `Password changed for user ${userId}`);
+            }
+        } catch (error) {
+            this.showNotification('Error updating password', 'error');
+        }
+    }
+
+    handleUserEdit(e) {
+        const userId = e.currentTarget.getAttribute('data-user-id');
+        const user = this.users.find(u => u.id == userId);
+        
+        if (user) {
+            this.openUserModal(user);
+        }
+    }
+
+    async handleUserActivation(e) {
+        const userId = e.currentTarget.getAttribute('data-user-id');
+        const user = this.users.find(u => u.id == userId);
+        
+        if (user && user.id === this.currentUser.id) {
+            this.showNotification('You cannot deactivate your own account', 'error');
+            return;
+        }
+
+        const newStatus = !user.is_active;
+
+        try {
+            const response = await this.apiCall(`/api/users/${userId}`, 'PUT', {
+                name: user.name,
+                role: user.role,
+                department: user.department,
+                position: user.position,
+                phone: user.phone,
+                avatar_url: user.avatar_url,
+                is_active: newStatus
+            });
+            
+            if (response.success) {
+                this.loadUsers();
+                this.showNotification(`User ${newStatus ? 'activated' : 'deactivated'} successfully`, 'success');
+                this.logActivity('user_status_changed', `User ${user.name} ${newStatus ? 'activated' : 'deactivated'}`);
+            }
+        } catch (error) {
+            this.showNotification('Error updating user', 'error');
+        }
+    }
+
+    async handleRevokeUserSessions(e) {
+        const userId = e.currentTarget.getAttribute('data-user-id');
+        const user = this.users.find(u => u.id == userId);
+
+        if (!user || !confirm(`Sign out all sessions of "${user.name}"?`)) {
+            return;
+        }
+
+        try {
+            const response = await this.apiCall(`/api/users/${userId}/sessions`, 'DELETE');
+
+            if (response.success) {
+                this.showNotification(`${response.data.revoked} session(s) of ${user.name} signed out`, 'success');
+
+                if (user.id === this.currentUser.id) {
+                    this.handleAuthError();
+                }
+            }
+        } catch (error) {
+            this.showNotification('Error revoking sessions', 'error');
+        }
+    }
+
+    async handleFileDownload(e) {
+        const fileId = e.currentTarget.getAttribute('data-file-id');
+        const file = this.files.find(f => f.id == fileId);
+        
+        if (file) {
+            this.downloadFile(file);
+        }
+    }
+
+    async downloadFile(file, version = null) {
+        try {
+            const response = await this.apiCall(`/api/files/${file.id}/download${version ? `?version=${version}` : ''}`, 'GET');
+            
+            if (response.success && response.downloadUrl) {
+                const link = document.createElement('a');
+                link.href = response.downloadUrl;
+                document.body.appendChild(link);
+                link.click();
+                link.remove();
+            }
+        } catch (error) {
+            this.showNotification(error.message || 'Error downloading file', 'error');
+        }
+    }
+
+    async previewFile(file, version = null) {
+        try {
+            const response = await this.apiCall(`/api/files/${file.id}/preview${version ? `?version=${version}` : ''}`, 'GET');
+
+            if (response.success) {
+                this.previewTarget = { file, version };
+                this.renderFilePreview(response.data);
+                document.getElementById('filePreviewModal').classList.add('active');
+            }
+        } catch (error) {
+            this.showNotification(error.message || 'Error opening preview', 'error');
+        }
+    }
+
+    renderFilePreview(preview) {
+        const container = document.getElementById('filePreviewContent');
+        const type = preview.file_type || '';
+        const source = preview.preview_url ? this.escapeHtml(preview.preview_url) : null;
+
+        document.getElementById('filePreviewTitle').textContent = `${preview.original_name} (version ${preview.version})`;
+
+        if (type.startsWith('image/')) {
+            const image = source || (preview.thumbnail_url ? this.escapeHtml(preview.thumbnail_url) : null);
+            container.innerHTML = image
+                ? `<img src="${image}" alt="${this.escapeHtml(preview.original_name)}">`
+                : '<div class="no-data"><i class="fas fa-image"></i><p>No preview available</p></div>';
+        } else if (type === 'application/pdf') {
+            container.innerHTML = `
+                ${preview.text ? `
+                    <div class="file-preview-text">
+                        <span class="attachment-meta">Page 1 of ${preview.pages}</span>
+                        <pre>${this.escapeHtml(preview.text)}</pre>
+                    </div>
+                ` : ''}
+                ${source ? `<iframe src="${source}" title="${this.escapeHtml(preview.original_name)}"></iframe>` : ''}
+            `;
+        } else if (type.startsWith('audio/') && source) {
+            container.innerHTML = `<audio controls src="${source}"></audio>`;
+        } else if (type.startsWith('video/') && source) {
+            container.innerHTML = `<video controls src="${source}"></video>`;
+        } else if (source) {
+            container.innerHTML = `<iframe src="${source}" title="${this.escapeHtml(preview.original_name)}"></iframe>`;
+        } else {
+            container.innerHTML = '<div class="no-data"><i class="fas fa-eye-slash"></i><p>This file type cannot be previewed</p></div>';
+        }
+    }
+
+    closeFilePreview() {
+        document.getElementById('filePreviewModal').classList.remove('active');
+        document.getElementById('filePreviewContent').innerHTML = '';
+        this.previewTarget = null;
+    }
+
+    async handleCreateFolder() {
+        const name = prompt('Folder name:');
+        if (!name || !name.trim()) return;
+
+        try {
+            await this.apiCall('/api/folders', 'POST', { name: name.trim(), parent_id: this.currentFolder });
+            this.loadFiles();
+            this.showNotification('Folder created successfully', 'success');
+        } catch (error) {
+            this.showNotification(error.message || 'Error creating folder', 'error');
+        }
+    }
+
+    async handleRenameFolder(folder) {
+        const name = prompt('Folder name:', folder.name);
+        if (!name || !name.trim() || name.trim() === folder.name) return;
+
+        try {
+            await this.apiCall(`/api/folders/${folder.id}`, 'PUT', { name: name.trim() });
+            this.loadFiles();
+            this.showNotification('Folder renamed successfully', 'success');
+        } catch (error) {
+            this.showNotification(error.message || 'Error renaming folder', 'error');
+        }
+    }
+
+    async handleDeleteFolder(folder) {
+        if (folder.folder_count > 0 || folder.file_count > 0) {
+            this.showNotification('Only empty folders can be deleted', 'warning');
+            return;
+        }
+
+        if (!confirm(`Are you sure you want to delete folder "${folder.name}"?`)) return;
+
+        try {
+            await this.apiCall(`/api/folders/${folder.id}`, 'DELETE');
+            this.loadFiles();
+            this.showNotification('Folder deleted successfully', 'success');
+        } catch (error) {
+            this.showNotification(error.message || 'Error deleting folder', 'error');
+        }
+    }
+
+    async openMoveModal(item) {
+        try {
+            const response = await this.apiCall('/api/folders?parent=all', 'GET');
+            const folders = response.data;
+            const visibleIds = new Set(folders.map(folder => folder.id));
+            const children = (parentId) => folders.filter(folder =>
+                parentId ? folder.parent_id === parentId : !folder.parent_id || !visibleIds.has(folder.parent_id));
+            const options = [];
+            const addOptions = (parentId, depth) => {
+                children(parentId).forEach(folder => {
+                    if (item.type === 'folder' && folder.id === item.id) return;
+                    options.push(`<option value="${folder.id}">${'&nbsp;&nbsp;&nbsp;'.repeat(depth)}${this.escapeHtml(folder.name)}</option>`);
+                    addOptions(folder.id, depth + 1);
+                });
+            };
+            addOptions(null, 1);
+
+            this.movingItem = item;
+            document.getElementById('moveItemTitle').textContent = `Move "${item.name}"`;
+            document.getElementById('moveTargetFolder').innerHTML = `<option value="">All Files</option>${options.join('')}`;
+            document.getElementById('moveTargetFolder').value = item.folderId || '';
+            document.getElementById('moveItemModal').classList.add('active');
+        } catch (error) {
+            this.showNotification(error.message || 'Error loading folders', 'error');
+        }
+    }
+
+    closeMoveModal() {
+        document.getElementById('moveItemModal').classList.remove('active');
+        this.movingItem = null;
+    }
+
+    async handleMoveItem(e) {
+        e.preventDefault();
+        if (!this.movingItem) return;
+
+        const folderId = document.getElementById('moveTargetFolder').value || null;
+        const { type, id } = this.movingItem;
+
+        try {
+            const response = type === 'file'
+                ? await this.apiCall(`/api/files/${id}/folder`, 'PUT', { folder_id: folderId })
+                : await this.apiCall(`/api/folders/${id}`, 'PUT', { parent_id: folderId });
+            this.closeMoveModal();
+            this.loadFiles();
+            this.showNotification(type === 'file' ? response.message : 'Folder moved successfully', 'success');
+        } catch (error) {
+            this.showNotification(error.message || 'Error moving item', 'error');
+        }
+    }
+
+    async openFileVersionsModal(file) {
+        this.versionFile = file;
+        document.getElementById('fileVersionsTitle').textContent = `Versions of "${file.original_name}"`;
+        document.getElementById('fileVersionUploadBtn').classList.toggle('hidden', !file.can_manage || !this.userPermissions.upload_files);
+        document.getElementById('fileVersionList').innerHTML = '';
+        document.getElementById('fileVersionsModal').classList.add('active');
+        await this.loadFileVersions();
+    }
+
+    closeFileVersionsModal() {
+        document.getElementById('fileVersionsModal').classList.remove('active');
+        this.versionFile = null;
+        this.fileVersions = [];
+    }
+
+    async loadFileVersions() {
+        try {
+            const response = await this.apiCall(`/api/files/${this.versionFile.id}/versions`, 'GET');
+            if (response.success) {
+                this.fileVersions = response.data;
+                this.renderFileVersions();
+            }
+        } catch (error) {
+            this.showNotification(error.message || 'Error loading versions', 'error');
+        }
+    }
+
+    renderFileVersions() {
+        const container = document.getElementById('fileVersionList');
+        const canRestore = this.versionFile.can_manage && this.userPermissions.upload_files;
+
+        container.innerHTML = this.fileVersions.map(version => `
+            <div class="attachment-item">
+                <i class="fas ${this.getFileIcon(version.file_type)}"></i>
+                <div class="attachment-info">
+                    <span class="attachment-name">
+                        v${version.version_number} · ${this.escapeHtml(version.original_name)}
+                        ${version.is_current ? '<span class="version-current">Current</span>' : ''}
+                    </span>
+                    <span class="attachment-meta">
+                        ${this.formatFileSize(version.file_size)} · ${this.escapeHtml(version.uploaded_by_name || 'Unknown')} · ${new Date(version.uploaded_at).toLocaleString()}
+                    </span>
+                </div>
+                <div class="comment-actions">
+                    ${this.userPermissions.download_files && version.previewable ? `
+                        <button type="button" class="comment-action version-preview-btn" data-version="${version.version_number}">
+                            <i class="fas fa-eye"></i> Preview
+                        </button>
+                    ` : ''}
+                    ${this.userPermissions.download_files ? `
+                        <button type="button" class="comment-action version-download-btn" data-version="${version.version_number}">
+                            <i class="fas fa-download"></i> Download
+                        </button>
+                    ` : ''}
+                    ${canRestore && !version.is_current ? `
+                        <button type="button" class="comment-action version-restore-btn" data-version="${version.version_number}">
+                            <i class="fas fa-undo"></i> Restore
+                        </button>
+                    ` : ''}
+                </div>
+            </div>
+        `).join('');
+
+        container.querySelectorAll('.version-preview-btn').forEach(btn => {
+            btn.addEventListener('click', (e) => this.previewFile(this.versionFile, e.currentTarget.getAttribute('data-version')));
+        });
+
+        container.querySelectorAll('.version-download-btn').forEach(btn => {
+            btn.addEventListener('click', (e) => this.downloadFile(this.versionFile, e.currentTarget.getAttribute('data-version')));
+        });
+
+        container.querySelectorAll('.version-restore-btn').forEach(btn => {
+            btn.addEventListener('click', (e) => this.handleFileVersionRestore(e.currentTarget.getAttribute('data-version')));
+        });
+    }
+
+    async handleFileVersionUpload(e) {
+        const file = e.target.files[0];
+        if (!file || !this.versionFile) return;
+
+        const formData = new FormData();
+        formData.append('file', file);
+
+        try {
+            const response = await fetch(`/api/files/${this.versionFile.id}/versions`, {
+                method: 'POST',
+                headers: {
+                    'Authorization': `Bearer ${this.token}`
+                },
+                body: formData
+            });
+
+            const result = await response.json();
+
+            if (result.success) {
+                this.versionFile = { ...this.versionFile, ...result.data };
+                this.loadFileVersions();
+                this.loadFiles();
+                this.showNotification(result.message, 'success');
+            } else {
+                this.showNotification(result.error || 'Error uploading version', 'error');
+            }
+        } catch (error) {
+            this.showNotification('Error uploading version', 'error');
+        } finally {
+            e.target.value = '';
+        }
+    }
+
+    async handleFileVersionRestore(version) {
+        if (!confirm(`Restore version ${version}? It will be saved as a new version.`)) return;
+
+        try {
+            const response = await this.apiCall(`/api/files/${this.versionFile.id}/versions/${version}/restore`, 'POST');
+            this.versionFile = { ...this.versionFile, ...response.data };
+            this.loadFileVersions();
+            this.loadFiles();
+            this.showNotification(response.message, 'success');
+        } catch (error) {
+            this.showNotification(error.message || 'Error restoring version', 'error');
+        }
+    }
+
+    async handleFileDelete(e) {
+        const fileId = e.currentTarget.getAttribute('data-file-id');
+        const file = this.files.find(f => f.id == fileId);
+        
+        if (file && confirm(`Are you sure you want to delete file "${file.original_name}"?`)) {
+            try {
+                const response = await this.apiCall(`/api/files/${fileId}`, 'DELETE');
+                
+                if (response.success) {
+                    this.loadFiles();
+                    this.showNotification('File deleted successfully', 'success');
+                    this.logActivity('file_deleted', `File "${file.original_name}" deleted`);
+                }
+            } catch (error) {
+                this.showNotification('Error deleting file', 'error');
+            }
+        }
+    }
+
+    async openFileUploadModal(target = null) {
+        this.sharingTarget = target;
+
+        let sharing = { visibility: 'private', users: [], departments: [], projects: [] };
+        try {
+            const response = await this.apiCall('/api/files/share-targets', 'GET');
+            this.shareTargets = response.data;
+
+            if (target) {
+                const sharingResponse = await this.apiCall(`${target.endpoint}/sharing`, 'GET');
+                sharing = sharingResponse.data;
+            } else {
+                const quotaResponse = await this.apiCall('/api/storage/quota', 'GET');
+                this.storageQuota = quotaResponse.data;
+            }
+        } catch (error) {
+            this.showNotification(error.message || 'Error loading sharing options', 'error');
+            if (target) {
+                this.sharingTarget = null;
+                return;
+            }
+        }
+
+        document.getElementById('fileUploadModalTitle').textContent = target ? `Share "${target.name}"` : 'Upload File';
+        document.getElementById('fileUploadSubmitBtn').textContent = target ? 'Save Sharing' : 'Upload File';
+        document.getElementById('fileUploadGroup').classList.toggle('hidden', !!target);
+        document.getElementById('fileUploadPreview').classList.toggle('hidden', !!target);
+        document.getElementById('fileUpload').required = !target;
+
+        this.renderUploadQuota();
+        this.renderFileShareOptions(sharing);
+        document.getElementById('fileUploadModal').classList.add('active');
+    }
+
+    closeFileUploadModal() {
+        if (this.activeUpload) {
+            this.cancelActiveUpload();
+        }
+
+        document.getElementById('fileUploadModal').classList.remove('active');
+        document.getElementById('uploadFileForm').reset();
+        document.getElementById('selectedFileName').textContent = 'No file selected';
+        document.getElementById('fileShareOptions').classList.add('hidden');
+        this.sharingTarget = null;
+    }
+
+    renderFileShareOptions(sharing) {
+        const selectedUsers = sharing.users.map(user => user.id);
+        const selectedProjects = sharing.projects.map(project => project.id);
+        const ownerId = this.sharingTarget ? this.sharingTarget.ownerId : this.currentUser.id;
+        const users = this.shareTargets.users.filter(user => user.id !== ownerId);
+        const departments = [...new Set([...this.shareTargets.departments, ...sharing.departments])];
+        const projects = [
+            ...this.projects.filter(project => !project.is_archived || selectedProjects.includes(project.id)),
+            ...sharing.projects.filter(project => !this.projects.some(p => p.id === project.id))
+        ];
+
+        document.getElementById('fileVisibility').value = sharing.visibility;
+        document.getElementById('fileShareOptions').classList.toggle('hidden', sharing.visibility !== 'shared');
+
+        document.getElementById('fileShareUsers').innerHTML = users.map(user => `
+            <option value="${user.id}" ${selectedUsers.includes(user.id) ? 'selected' : ''}>
+                ${this.escapeHtml(user.name)}${user.department ? ` (${this.escapeHtml(user.department)})` : ''}
+            </option>
+        `).join('');
+        document.getElementById('fileShareDepartments').innerHTML = departments.map(department => `
+            <option value="${this.escapeHtml(department)}" ${sharing.departments.includes(department) ? 'selected' : ''}>${this.escapeHtml(department)}</option>
+        `).join('');
+        document.getElementById('fileShareProjects').innerHTML = projects.map(project => `
+            <option value="${project.id}" ${selectedProjects.includes(project.id) ? 'selected' : ''}>${this.escapeHtml(project.name)}</option>
+        `).join('');
+    }
+
+    getFileSharing() {
+        const selected = (id) => Array.from(document.getElementById(id).selectedOptions).map(option => option.value);
+        const visibility = document.getElementById('fileVisibility').value;
+        const shared = visibility === 'shared';
+
+        return {
+            visibility,
+            users: shared ? selected('fileShareUsers').map(Number) : [],
+            departments: shared ? selected('fileShareDepartments') : [],
+            projects: shared ? selected('fileShareProjects').map(Number) : []
+        };
+    }
+
+    handleFileSelect(e) {
+        const fileInput = e.target;
+        const fileName = document.getElementById('selectedFileName');
+        
+        if (fileInput.files.length > 0) {
+            fileName.textContent = fileInput.files[0].name;
+        } else {
+            fileName.textContent = 'No file selected';
+        }
+
+        this.renderUploadQuota(fileInput.files[0]);
+    }
+
+    renderUploadQuota(file = null) {
+        const info = document.getElementById('uploadQuotaInfo');
+        const quota = this.storageQuota;
+
+        if (!quota) {
+            info.textContent = '';
+            return;
+        }
+
+        if (quota.quota === null) {
+            info.textContent = `Storage used: ${this.formatFileSize(quota.used)} (no quota)`;
+            info.classList.remove('over-quota');
+            return;
+        }
+
+        const overQuota = file && file.size > quota.remaining;
+        info.textContent = overQuota
+            ? `This file is larger than your remaining quota (${this.formatFileSize(quota.remaining)} left)`
+            : `${this.formatFileSize(quota.remaining)} of ${this.formatFileSize(quota.quota)} remaining`;
+        info.classList.toggle('over-quota', !!overQuota);
+    }
+
+    async openStorageReport() {
+        document.getElementById('storageReportModal').classList.add('active');
+        await this.loadStorageReport();
+    }
+
+    closeStorageReport() {
+        document.getElementById('storageReportModal').classList.remove('active');
+        this.storageReport = null;
+    }
+
+    async loadStorageReport() {
+        try {
+            const [usage, retained] = await Promise.all([
+                this.apiCall('/api/storage/usage', 'GET'),
+                this.apiCall('/api/storage/retained-versions', 'GET')
+            ]);
+            this.storageReport = { ...usage.data, retained: retained.data };
+            this.renderStorageReport();
+        } catch (error) {
+            this.showNotification(error.message || 'Error loading storage usage', 'error');
+        }
+    }
+
+    renderStorageReport() {
+        const { totals, roles, users, retained } = this.storageReport;
+        const formatQuota = (bytes) => bytes === null ? 'Unlimited' : this.formatFileSize(bytes);
+
+        document.getElementById('storageTotals').innerHTML = `
+            <div><span>Stored on disk</span><strong>${this.formatFileSize(totals.stored)}</strong></div>
+            <div><span>Uploaded (all versions)</span><strong>${this.formatFileSize(totals.logical)}</strong></div>
+            <div><span>Saved by deduplication</span><strong>${this.formatFileSize(totals.saved)}</strong></div>
+            <div><span>Unique blobs</span><strong>${totals.blob_count}</strong></div>
+            <div><span>Retained versions</span><strong>${totals.retained_versions}</strong></div>
+        `;
+
+        document.getElementById('storageRoleQuotas').innerHTML = `
+            <table>
+                <thead>
+                    <tr><th>Role</th><th>Quota</th><th>Max file size</th><th>Open uploads</th><th></th></tr>
+                </thead>
+                <tbody>
+                    ${roles.map(role => `
+                        <tr>
+                            <td>${this.escapeHtml(role.role)}</td>
+                            <td>${formatQuota(role.quota_bytes)}</td>
+                            <td>${formatQuota(role.max_file_bytes)}</td>
+                            <td>${role.max_sessions === null ? 'Unlimited' : role.max_sessions}</td>
+                            <td>
+                                <button type="button" class="comment-action role-quota-btn" data-role="${this.escapeHtml(role.role)}">
+                                    <i class="fas fa-edit"></i> Quota
+                                </button>
+                                <button type="button" class="comment-action upload-limit-btn" data-role="${this.escapeHtml(role.role)}">
+                                    <i class="fas fa-edit"></i> Limits
+                                </button>
+                            </td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+
+        document.getElementById('storageUserUsage').innerHTML = `
+            <table>
+                <thead>
+                    <tr><th>User</th><th>Files</th><th>Used</th><th>Quota</th><th></th></tr>
+                </thead>
+                <tbody>
+                    ${users.map(user => `
+                        <tr class="${user.quota !== null && user.used > user.quota ? 'over-quota' : ''}">
+                            <td>
+                                ${this.escapeHtml(user.name)}
+                                <span class="storage-user-meta">${this.escapeHtml(user.email)} · ${this.escapeHtml(user.role)}</span>
+                            </td>
+                            <td>${user.file_count}</td>
+                            <td>${this.formatFileSize(user.used)}</td>
+                            <td>${formatQuota(user.quota)}${user.quota_source === 'role' ? ' (role)' : ''}</td>
+                            <td>
+                                <button type="button" class="comment-action user-quota-btn" data-user-id="${user.id}">
+                                    <i class="fas fa-edit"></i> Edit
+                                </button>
+                            </td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+
+        document.getElementById('storageRetainedSection').classList.toggle('hidden', retained.length === 0);
+        document.getElementById('storageRetainedVersions').innerHTML = `
+            <table>
+                <thead>
+                    <tr><th>File</th><th>Uploaded by</th><th>Size</th><th>Uploaded</th><th></th></tr>
+                </thead>
+                <tbody>
+                    ${retained.map(version => `
+                        <tr>
+                            <td>
+                                ${this.escapeHtml(version.original_name)}
+                                <span class="storage-user-meta">Version ${version.version_number}</span>
+                            </td>
+                            <td>${this.escapeHtml(version.uploader_name || 'Unknown')}</td>
+                            <td>${this.formatFileSize(version.file_size)}</td>
+                            <td>${new Date(version.uploaded_at).toLocaleDateString()}</td>
+                            <td>
+                                <button type="button" class="comment-action purge-version-btn" data-version-id="${version.id}">
+                                    <i class="fas fa-trash"></i> Purge
+                                </button>
+                            </td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+
+        document.querySelectorAll('.purge-version-btn').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                this.purgeRetainedVersions(`/api/storage/retained-versions/${e.currentTarget.getAttribute('data-version-id')}`,
+                    'Permanently delete this retained version?');
+            });
+        });
+
+        document.querySelectorAll('.role-quota-btn').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                const role = roles.find(r => r.role === e.currentTarget.getAttribute('data-role'));
+                this.handleQuotaEdit(`/api/storage/quotas/${role.role}`, `Quota for role ${role.role} in MB (leave empty for unlimited):`, role.quota_bytes);
+            });
+        });
+
+        document.querySelectorAll('.upload-limit-btn').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                this.handleUploadLimitEdit(roles.find(r => r.role === e.currentTarget.getAttribute('data-role')));
+            });
+        });
+
+        document.querySelectorAll('.user-quota-btn').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                const user = users.find(u => u.id == e.currentTarget.getAttribute('data-user-id'));
+                this.handleQuotaEdit(`/api/storage/users/${user.id}/quota`, `Quota for ${user.name} in MB (leave empty to use the role quota):`,
+                    user.quota_source === 'user' ? user.quota : null);
+            });
+        });
     }
 
-    async handleTaskDelete(e) {
-        const taskId = e.currentTarget.getAttribute('data-task-id');
-        const taskTitle = e.currentTarget.closest('.task-item').querySelector('.task-title').textContent;
-
-        if (!confirm(`Are you sure you want to delete task "${taskTitle}"?`)) {
-            return;
-        }
+    async purgeRetainedVersions(endpoint, message) {
+        if (!confirm(message)) return;
 
         try {
-            const response = await this.apiCall(`/api/tasks/${taskId}`, 'DELETE');
-            
-            if (response.success) {
-                this.loadTasks();
-                if (this.currentSection === 'dashboard') {
-                    this.loadDashboard();
-                }
-                this.showNotification('Task deleted successfully', 'success');
-                this.logActivity('task_deleted', `Task "${taskTitle}" deleted`);
-            }
+            const response = await this.apiCall(endpoint, 'DELETE');
+            this.showNotification(response.message, 'success');
+            this.loadStorageReport();
         } catch (error) {
-            this.showNotification('Error deleting task', 'error');
+            this.showNotification(error.message || 'Error purging retained versions', 'error');
         }
     }
 
-    handlePasswordChange(e) {
-        const userId = e.currentTarget.getAttribute('data-user-id');
-        const user = this.users.find(u => u.id == userId);
-        
-        if (user && user.id === this.currentUser.id) {
-            this.showNotification('You cannot change your own password here. Use profile settings.', 'warning');
-            return;
-        }
+    async handleQuotaEdit(endpoint, message, currentBytes) {
+        const value = prompt(message, currentBytes === null ? '' : Math.round(currentBytes / (1024 * 1024)));
+        if (value === null) return;
 
-        const newPassword = prompt('Enter new password (minimum 8 characters):');
-        
-        if (newPassword && newPassword.length >= 8) {
-            this.updateUserPassword(userId, newPassword);
-        } else if (newPassword) {
-            this.showNotification('Password must be at least 8 characters', 'error');
+        const quotaMb = value.trim() === '' ? null : Number(value);
+        if (quotaMb !== null && (!Number.isFinite(quotaMb) || quotaMb < 0)) {
+            this.showNotification('Enter a quota in MB or leave it empty', 'error');
+            return;
         }
-    }
 
-    async updateUserPassword(userId, newPassword) {
         try {
-            const response = await this.apiCall(`/api/users/${userId}/password`, 'PUT', { newPassword });
-            
-            if (response.success) {
-                this.showNotification('Password updated successfully', 'success');
-                this.logActivity('password_changed', `Password changed for user ${userId}`);
-            }
+            const response = await this.apiCall(endpoint, 'PUT', { quota_mb: quotaMb });
+            this.showNotification(response.message, 'success');
+            this.loadStorageReport();
         } catch (error) {
-            this.showNotification('Error updating password', 'error');
+            this.showNotification(error.message || 'Error updating quota', 'error');
         }
     }
 
-    handleUserEdit(e) {
-        const userId = e.currentTarget.getAttribute('data-user-id');
-        const user = this.users.find(u => u.id == userId);
-        
-        if (user) {
-            this.openUserModal(user);
-        }
-    }
+    async handleUploadLimitEdit(role) {
+        const maxFile = prompt(`Largest file role ${role.role} may upload, in MB (leave empty for unlimited):`,
+            role.max_file_bytes === null ? '' : Math.round(role.max_file_bytes / (1024 * 1024)));
+        if (maxFile === null) return;
 
-    async handleUserActivation(e) {
-        const userId = e.currentTarget.getAttribute('data-user-id');
-        const user = this.users.find(u => u.id == userId);
-        
-        if (user && user.id === this.currentUser.id) {
-            this.showNotification('You cannot deactivate your own account', 'error');
+        const maxSessions = prompt(`Unfinished uploads role ${role.role} may have open at once (leave empty for unlimited):`,
+            role.max_sessions === null ? '' : role.max_sessions);
+        if (maxSessions === null) return;
+
+        const maxFileMb = maxFile.trim() === '' ? null : Number(maxFile);
+        const sessions = maxSessions.trim() === '' ? null : Number(maxSessions);
+        if ((maxFileMb !== null && (!Number.isFinite(maxFileMb) || maxFileMb < 0)) ||
+            (sessions !== null && (!Number.isInteger(sessions) || sessions < 1))) {
+            this.showNotification('Enter a size in MB and a whole number of uploads, or leave them empty', 'error');
             return;
         }
 
-        const newStatus = !user.is_active;
-
         try {
-            const response = await this.apiCall(`/api/users/${userId}`, 'PUT', { is_active: newStatus });
-            
-            if (response.success) {
-                this.loadUsers();
-                this.showNotification(`User ${newStatus ? 'activated' : 'deactivated'} successfully`, 'success');
-                this.logActivity('user_status_changed', `User ${user.name} ${newStatus ? 'activated' : 'deactivated'}`);
-            }
+            const response = await this.apiCall(`/api/storage/upload-limits/${role.role}`, 'PUT', { max_file_mb: maxFileMb, max_sessions: sessions });
+            this.showNotification(response.message, 'success');
+            this.loadStorageReport();
         } catch (error) {
-            this.showNotification('Error updating user', 'error');
+            this.showNotification(error.message || 'Error updating upload limits', 'error');
         }
     }
 
-    async handleFileDownload(e) {
-        const fileId = e.currentTarget.getAttribute('data-file-id');
-        const file = this.files.find(f => f.id == fileId);
-        
-        if (file) {
+    renderUploadProgress(fraction, label) {
+        const percent = Math.round(fraction * 100);
+        document.getElementById('fileUploadProgress').classList.remove('hidden');
+        document.getElementById('fileUploadProgressFill').style.width = `${percent}%`;
+        document.getElementById('fileUploadProgressText').textContent = label || `${percent}%`;
+    }
+
+    async uploadFileInChunks(file, options) {
+        const resumeKey = `taskflow-upload:${this.currentUser.id}:${file.name}:${file.size}:${file.lastModified}`;
+        let session = null;
+
+        const savedId = localStorage.getItem(resumeKey);
+        if (savedId) {
             try {
-                const response = await this.apiCall(`/api/files/${fileId}/download`, 'GET');
-                
-                if (response.success && response.downloadUrl) {
-                    window.open(response.downloadUrl, '_blank');
-                    this.logActivity('file_downloaded', `File "${file.original_name}" downloaded`);
-                }
+                session = (await this.apiCall(`/api/uploads/${savedId}`, 'GET')).data;
             } catch (error) {
-                this.showNotification('Error downloading file', 'error');
+                localStorage.removeItem(resumeKey);
             }
         }
+
+        if (!session) {
+            session = (await this.apiCall('/api/uploads', 'POST', {
+                name: file.name, size: file.size, type: file.type, ...options
+            })).data;
+            localStorage.setItem(resumeKey, session.id);
+        } else if (session.received_bytes > 0) {
+            this.showNotification(`Resuming upload at ${this.formatFileSize(session.received_bytes)}`, 'info');
+        }
+
+        const upload = { id: session.id, resumeKey, cancelled: false };
+        this.activeUpload = upload;
+
+        while (session.received_bytes < file.size) {
+            this.renderUploadProgress(session.received_bytes / file.size,
+                `${this.formatFileSize(session.received_bytes)} of ${this.formatFileSize(file.size)}`);
+            const offset = session.received_bytes;
+            session = await this.uploadChunk(upload, offset, file.slice(offset, offset + session.chunk_size));
+        }
+
+        this.renderUploadProgress(1, 'Verifying…');
+        const digests = [];
+        for (let offset = 0; offset < file.size; offset += session.chunk_size) {
+            const buffer = await file.slice(offset, offset + session.chunk_size).arrayBuffer();
+            digests.push(new Uint8Array(await crypto.subtle.digest('SHA-256', buffer)));
+        }
+        const joined = new Uint8Array(digests.length * 32);
+        digests.forEach((digest, index) => joined.set(digest, index * 32));
+        const checksum = [...new Uint8Array(await crypto.subtle.digest('SHA-256', joined))]
+            .map(byte => byte.toString(16).padStart(2, '0')).join('');
+
+        if (upload.cancelled) throw new Error('Upload cancelled');
+
+        const response = await this.apiCall(`/api/uploads/${session.id}/complete`, 'POST', { checksum });
+        localStorage.removeItem(resumeKey);
+        return response;
     }
 
-    async handleFileDelete(e) {
-        const fileId = e.currentTarget.getAttribute('data-file-id');
-        const file = this.files.find(f => f.id == fileId);
-        
-        if (file && confirm(`Are you sure you want to delete file "${file.original_name}"?`)) {
+    async uploadChunk(upload, offset, chunk) {
+        for (let attempt = 1; ; attempt++) {
+            if (upload.cancelled) throw new Error('Upload cancelled');
+
             try {
-                const response = await this.apiCall(`/api/files/${fileId}`, 'DELETE');
-                
-                if (response.success) {
-                    this.loadFiles();
-                    this.showNotification('File deleted successfully', 'success');
-                    this.logActivity('file_deleted', `File "${file.original_name}" deleted`);
+                const response = await fetch(`/api/uploads/${upload.id}?offset=${offset}`, {
+                    method: 'PUT',
+                    headers: {
+                        'Authorization': `Bearer ${this.token}`,
+                        'Content-Type': 'application/octet-stream'
+                    },
+                    body: chunk
+                });
+                const result = await response.json();
+
+                if (response.ok || (response.status === 409 && result.data)) {
+                    return result.data;
                 }
+
+                const error = new Error(result.error || 'Error uploading file');
+                error.fatal = response.status < 500;
+                throw error;
             } catch (error) {
-                this.showNotification('Error deleting file', 'error');
+                if (error.fatal || attempt >= 5) throw error;
+                await new Promise(resolve => setTimeout(resolve, attempt * 2000));
             }
         }
     }
 
-    openFileUploadModal() {
-        document.getElementById('fileUploadModal').classList.add('active');
-    }
+    async cancelActiveUpload() {
+        const upload = this.activeUpload;
+        this.activeUpload = null;
+        upload.cancelled = true;
+        localStorage.removeItem(upload.resumeKey);
 
-    closeFileUploadModal() {
-        document.getElementById('fileUploadModal').classList.remove('active');
-        document.getElementById('uploadFileForm').reset();
+        try {
+            await this.apiCall(`/api/uploads/${upload.id}`, 'DELETE');
+        } catch (error) {
+            console.error('Failed to cancel upload:', error);
+        }
     }
 
-    handleFileSelect(e) {
-        const fileInput = e.target;
-        const fileName = document.getElementById('selectedFileName');
-        
-        if (fileInput.files.length > 0) {
-            fileName.textContent = fileInput.files[0].name;
-        } else {
-            fileName.textContent = 'No file selected';
+    async uploadFileDirect(file, options) {
+        const formData = new FormData();
+        formData.append('file', file);
+        formData.append('visibility', options.visibility);
+        formData.append('shares', JSON.stringify(options.shares));
+        if (options.folder_id) {
+            formData.append('folder_id', options.folder_id);
+        }
+
+        const response = await fetch('/api/files/upload', {
+            method: 'POST',
+            headers: {
+                'Authorization': `Bearer ${this.token}`
+            },
+            body: formData
+        });
+
+        const result = await response.json();
+        if (!result.success) {
+            throw new Error(result.error || 'Error uploading file');
         }
+        return result;
     }
 
     async handleFileUpload(e) {
         e.preventDefault();
-        
+
+        const { visibility, ...shares } = this.getFileSharing();
+        if (visibility === 'shared' && shares.users.length + shares.departments.length + shares.projects.length === 0) {
+            this.showNotification('Choose at least one user, department or project to share with', 'error');
+            return;
+        }
+
+        if (this.sharingTarget) {
+            try {
+                const response = await this.apiCall(`${this.sharingTarget.endpoint}/sharing`, 'PUT', { visibility, ...shares });
+                this.closeFileUploadModal();
+                this.loadFiles();
+                this.showNotification(response.message, 'success');
+            } catch (error) {
+                this.showNotification(error.message || 'Error updating sharing', 'error');
+            }
+            return;
+        }
+
         const fileInput = document.getElementById('fileUpload');
         const file = fileInput.files[0];
         
@@ -1763,30 +5372,31 @@ class EnterpriseTaskFlow {
             return;
         }
 
-        const formData = new FormData();
-        formData.append('file', file);
+        const options = { visibility, shares, folder_id: this.currentFolder };
+        const submitBtn = document.getElementById('fileUploadSubmitBtn');
+        submitBtn.disabled = true;
 
         try {
-            const response = await fetch('/api/files/upload', {
-                method: 'POST',
-                headers: {
-                    'Authorization': `Bearer ${this.token}`
-                },
-                body: formData
-            });
-
-            const result = await response.json();
-            
-            if (result.success) {
-                this.closeFileUploadModal();
-                this.loadFiles();
-                this.showNotification('File uploaded successfully', 'success');
-                this.logActivity('file_uploaded', `File "${file.name}" uploaded`);
+            // Chunk checksums need Web Crypto, which browsers only expose on HTTPS and localhost
+            if (window.crypto && crypto.subtle) {
+                await this.uploadFileInChunks(file, options);
             } else {
-                this.showNotification(result.error || 'Error uploading file', 'error');
+                this.showNotification('This connection is not secure, so the file is sent in one request and cannot be resumed if it fails', 'warning');
+                await this.uploadFileDirect(file, options);
             }
+
+            this.closeFileUploadModal();
+            this.loadFiles();
+            this.showNotification('File uploaded successfully', 'success');
+            this.logActivity('file_uploaded', `File "${file.name}" uploaded`);
         } catch (error) {
-            this.showNotification('Error uploading file', 'error');
+            if (error.message !== 'Upload cancelled') {
+                this.showNotification(error.message || 'Error uploading file', 'error');
+            }
+        } finally {
+            this.activeUpload = null;
+            submitBtn.disabled = false;
+            document.getElementById('fileUploadProgress').classList.add('hidden');
         }
     }
 
@@ -1795,6 +5405,7 @@ class EnterpriseTaskFlow {
             btn.classList.remove('active');
         });
         e.currentTarget.classList.add('active');
+        this.taskScope = e.currentTarget.getAttribute('data-filter');
         
         this.applyFilters();
     }
@@ -1803,26 +5414,267 @@ class EnterpriseTaskFlow {
         this.loadTasks();
     }
 
+    getTaskFilters() {
+        return {
+            scope: this.taskScope,
+            status: document.getElementById('statusFilter').value,
+            priority: document.getElementById('priorityFilter').value,
+            labels: [...this.labelFilter],
+            label_match: document.getElementById('labelMatch').value,
+            due_from: document.getElementById('dueFromFilter').value,
+            due_to: document.getElementById('dueToFilter').value,
+            overdue: document.getElementById('overdueFilter').checked,
+            sort: document.getElementById('sortFilter').value,
+            order: document.getElementById('orderFilter').value
+        };
+    }
+
+    setTaskFilters(filters) {
+        this.taskScope = filters.scope;
+        document.querySelectorAll('.filter-btn').forEach(btn => {
+            btn.classList.toggle('active', btn.getAttribute('data-filter') === filters.scope);
+        });
+
+        document.getElementById('statusFilter').value = filters.status;
+        document.getElementById('priorityFilter').value = filters.priority;
+        document.getElementById('labelMatch').value = filters.label_match;
+        document.getElementById('dueFromFilter').value = filters.due_from;
+        document.getElementById('dueToFilter').value = filters.due_to;
+        document.getElementById('overdueFilter').checked = filters.overdue;
+        document.getElementById('sortFilter').value = filters.sort;
+        document.getElementById('orderFilter').value = filters.order;
+
+        this.labelFilter = filters.labels.filter(id => this.labels.some(label => label.id === id));
+        this.renderLabelFilter();
+    }
+
+    buildTaskQuery(filters) {
+        const params = new URLSearchParams();
+
+        if (this.currentProject) params.set('project', this.currentProject);
+        if (filters.scope === 'my') params.set('assignee', 'me');
+        if (filters.scope === 'assigned') params.set('created_by', 'me');
+        if (filters.status) params.set('status', filters.status);
+        if (filters.priority) params.set('priority', filters.priority);
+        if (filters.labels.length > 0) {
+            params.set('labels', filters.labels.join(','));
+            params.set('label_match', filters.label_match);
+        }
+        if (filters.due_from) params.set('due_from', filters.due_from);
+        if (filters.due_to) params.set('due_to', filters.due_to);
+        if (filters.overdue) params.set('overdue', '1');
+        params.set('sort', filters.sort);
+        params.set('order', filters.order);
+
+        return params;
+    }
+
+    async loadSavedViews() {
+        try {
+            const response = await this.apiCall('/api/views', 'GET');
+
+            if (response.success) {
+                this.savedViews = response.data;
+                if (!this.savedViews.some(view => String(view.id) === this.activeViewId)) {
+                    this.activeViewId = '';
+                }
+                this.renderSavedViews();
+            }
+        } catch (error) {
+            console.error('Failed to load saved views:', error);
+        }
+    }
+
+    renderSavedViews() {
+        const select = document.getElementById('savedViewSelect');
+        const ownViews = this.savedViews.filter(view => view.is_owner);
+        const sharedViews = this.savedViews.filter(view => !view.is_owner);
+        const renderOption = (view, suffix) => `<option value="${view.id}">${this.escapeHtml(view.name)}${suffix}</option>`;
+
+        select.innerHTML = `
+            <option value="">Saved views</option>
+            ${ownViews.length > 0 ? `
+                <optgroup label="My views">
+                    ${ownViews.map(view => renderOption(view, view.is_shared ? ' (shared)' : '')).join('')}
+                </optgroup>
+            ` : ''}
+            ${sharedViews.length > 0 ? `
+                <optgroup label="Shared with my team">
+                    ${sharedViews.map(view => renderOption(view, ` · ${this.escapeHtml(view.owner_name)}`)).join('')}
+                </optgroup>
+            ` : ''}
+        `;
+        select.value = this.activeViewId;
+
+        const activeView = this.savedViews.find(view => String(view.id) === this.activeViewId);
+        document.getElementById('deleteViewBtn').classList.toggle(
+            'hidden',
+            !activeView || !(activeView.is_owner || this.currentUser.role === 'admin')
+        );
+    }
+
+    handleSavedViewSelect(e) {
+        this.activeViewId = e.target.value;
+
+        const view = this.savedViews.find(v => String(v.id) === this.activeViewId);
+        if (view) {
+            this.setTaskFilters(view.filters);
+            this.loadTasks();
+        }
+
+        this.renderSavedViews();
+    }
+
+    async handleSaveView() {
+        const filters = this.getTaskFilters();
+        const activeView = this.savedViews.find(view => String(view.id) === this.activeViewId);
+
+        try {
+            if (activeView && activeView.is_owner &&
+                confirm(`Update "${activeView.name}" with the current filters? Choose Cancel to save a new view instead.`)) {
+                await this.apiCall(`/api/views/${activeView.id}`, 'PUT', { filters });
+                this.showNotification('View updated', 'success');
+            } else {
+                const name = prompt('Name this view:');
+                if (name === null || !name.trim()) return;
+
+                const isShared = Boolean(this.currentUser.department) &&
+                    confirm(`Share "${name.trim()}" with the ${this.currentUser.department} team?`);
+                const response = await this.apiCall('/api/views', 'POST', { name: name.trim(), filters, is_shared: isShared });
+
+                this.activeViewId = String(response.data.id);
+                this.showNotification('View saved', 'success');
+            }
+
+            await this.loadSavedViews();
+        } catch (error) {
+            this.showNotification(error.message || 'Error saving view', 'error');
+        }
+    }
+
+    async handleDeleteView() {
+        const view = this.savedViews.find(v => String(v.id) === this.activeViewId);
+        if (!view || !confirm(`Delete view "${view.name}"?`)) return;
+
+        try {
+            await this.apiCall(`/api/views/${view.id}`, 'DELETE');
+            this.activeViewId = '';
+            await this.loadSavedViews();
+            this.showNotification('View deleted', 'success');
+        } catch (error) {
+            this.showNotification(error.message || 'Error deleting view', 'error');
+        }
+    }
+
     handleGlobalSearch(e) {
-        const searchTerm = e.target.value.toLowerCase();
-        
+        const searchTerm = e.target.value.trim();
+        const results = document.getElementById('searchResults');
+
+        clearTimeout(this.searchTimeout);
+
         if (searchTerm.length < 2) {
-            this.renderTasks();
+            this.searchRequestId++;
+            results.innerHTML = '';
+            results.classList.add('hidden');
             return;
         }
 
-        const filteredTasks = this.tasks.filter(task => 
-            task.title.toLowerCase().includes(searchTerm) ||
-            task.description.toLowerCase().includes(searchTerm) ||
-            (task.assignee_name && task.assignee_name.toLowerCase().includes(searchTerm))
-        );
+        this.searchTimeout = setTimeout(() => this.runGlobalSearch(searchTerm), 300);
+    }
 
-        const container = document.getElementById('taskListContainer');
-        if (filteredTasks.length === 0) {
-            container.innerHTML = '<div class="no-data"><i class="fas fa-search"></i><p>No tasks found matching your search</p></div>';
-        } else {
-            container.innerHTML = filteredTasks.map(task => this.renderTaskItem(task)).join('');
-            this.attachTaskEventListeners();
+    async runGlobalSearch(searchTerm) {
+        const requestId = ++this.searchRequestId;
+
+        try {
+            const response = await this.apiCall(`/api/search?q=${encodeURIComponent(searchTerm)}`, 'GET');
+
+            if (response.success && requestId === this.searchRequestId) {
+                this.renderSearchResults(response.data);
+            }
+        } catch (error) {
+            console.error('Search failed:', error);
+        }
+    }
+
+    formatSearchHighlight(text) {
+        return this.escapeHtml(text).replace(/\u0002/g, '<mark>').replace(/\u0003/g, '</mark>');
+    }
+
+    renderSearchResults(data) {
+        const results = document.getElementById('searchResults');
+        const groups = [];
+
+        if (data.tasks.length > 0) {
+            groups.push(`
+                <div class="search-group">
+                    <h5>Tasks</h5>
+                    ${data.tasks.map(task => `
+                        <button type="button" class="search-result" data-type="task" data-id="${task.id}">
+                            <span class="search-result-title">${this.formatSearchHighlight(task.title_highlight)}</span>
+                            <span class="search-result-snippet">${this.formatSearchHighlight(task.snippet)}</span>
+                            <span class="search-result-meta">
+                                <span class="task-status ${task.status}">${task.status}</span>
+                                ${task.project_name ? this.escapeHtml(task.project_name) : ''}
+                            </span>
+                        </button>
+                    `).join('')}
+                </div>
+            `);
+        }
+
+        if (data.users.length > 0) {
+            groups.push(`
+                <div class="search-group">
+                    <h5>Users</h5>
+                    ${data.users.map(user => `
+                        <button type="button" class="search-result" data-type="user" data-id="${user.id}">
+                            <span class="search-result-title">${this.formatSearchHighlight(user.name_highlight)}</span>
+                            <span class="search-result-snippet">${this.formatSearchHighlight(user.email_highlight)}</span>
+                            <span class="search-result-meta">${user.role}${user.is_active ? '' : ' · inactive'}</span>
+                        </button>
+                    `).join('')}
+                </div>
+            `);
+        }
+
+        if (data.files.length > 0) {
+            groups.push(`
+                <div class="search-group">
+                    <h5>Files</h5>
+                    ${data.files.map(file => `
+                        <button type="button" class="search-result" data-type="file" data-id="${file.id}">
+                            <span class="search-result-title">${this.formatSearchHighlight(file.name_highlight)}</span>
+                            <span class="search-result-meta">
+                                ${this.formatFileSize(file.file_size)} · ${this.escapeHtml(file.uploaded_by_name)}
+                            </span>
+                        </button>
+                    `).join('')}
+                </div>
+            `);
+        }
+
+        results.innerHTML = groups.length > 0
+            ? groups.join('')
+            : '<div class="no-data"><i class="fas fa-search"></i><p>No results found</p></div>';
+        results.classList.remove('hidden');
+
+        results.querySelectorAll('.search-result').forEach(item => {
+            item.addEventListener('click', () => this.handleSearchResultClick(item));
+        });
+    }
+
+    handleSearchResultClick(item) {
+        const type = item.getAttribute('data-type');
+        const id = parseInt(item.getAttribute('data-id'));
+
+        document.getElementById('searchResults').classList.add('hidden');
+
+        if (type === 'task') {
+            this.openTaskById(id);
+        } else if (type === 'user') {
+            document.querySelector('.nav-item[data-section="users"]').click();
+        } else if (type === 'file') {
+            document.querySelector('.nav-item[data-section="file-storage"]').click();
         }
     }
 
@@ -1845,6 +5697,9 @@ class EnterpriseTaskFlow {
     }
 
     handleAuthError() {
+        if (!this.token) return;
+
+        this.token = null;
         this.showNotification('Session expired. Please login again.', 'error');
         this.handleLogout();
     }
@@ -4,16 +4,87 @@ const jwt = require('jsonwebtoken');
 const cors = require('cors');
 const rateLimit = require('express-rate-limit');
 const helmet = require('helmet');
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
 const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
 const fs = require('fs');
 const multer = require('multer');
+const crypto = require('crypto');
+const Jimp = require('jimp');
+const pdfParse = require('pdf-parse');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 const JWT_SECRET = process.env.JWT_SECRET || 'enterprise-taskflow-pro-5.0-secure-key-2024-' + Math.random().toString(36).substring(2);
+const FILE_VERSION_DELETE_POLICY = process.env.FILE_VERSION_DELETE_POLICY === 'retain' ? 'retain' : 'delete';
 const SALT_ROUNDS = 12;
+const SESSION_HOURS = 24;
+const TASK_PRIORITIES = ['low', 'medium', 'high'];
+const TASK_STATUSES = ['pending', 'in-progress', 'completed'];
+const TASK_VIEWS = ['list', 'board', 'calendar'];
+const TASK_SCOPES = ['all', 'my', 'assigned'];
+const PAGE_SIZE_DEFAULT = 50;
+const PAGE_SIZE_MAX = 200;
+const SORT_ORDERS = ['asc', 'desc'];
+const TASK_SORTS = {
+    created: 't.created_at',
+    updated: 't.updated_at',
+    due_date: 't.due_date',
+    priority: "CASE t.priority WHEN 'high' THEN 3 WHEN 'medium' THEN 2 WHEN 'low' THEN 1 END",
+    assignee: 'u_assignee.name COLLATE NOCASE',
+    title: 't.title COLLATE NOCASE'
+};
+const USER_SORTS = {
+    created: 'u.created_at',
+    name: 'u.name COLLATE NOCASE',
+    email: 'u.email COLLATE NOCASE',
+    role: 'u.role',
+    last_login: 'u.last_login'
+};
+const FILE_SORTS = {
+    uploaded: 'f.uploaded_at',
+    name: 'f.original_name COLLATE NOCASE',
+    size: 'f.file_size',
+    type: 'f.file_type'
+};
+const ACTIVITY_SORTS = {
+    created: 'al.created_at',
+    type: 'al.activity_type',
+    user: 'u.name COLLATE NOCASE'
+};
+const TIMESHEET_STATUSES = ['submitted', 'approved', 'rejected'];
+const RECURRENCE_FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY'];
+const WEEKDAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const RECURRENCE_CHECK_MINUTES = 15;
+const SEARCH_MARK_START = '\u0002';
+const SEARCH_MARK_END = '\u0003';
+const SEARCH_RESULT_LIMIT = 10;
+const FILE_URL_TTL_SECONDS = 5 * 60;
+const FILE_VISIBILITIES = ['private', 'shared', 'public'];
+const STORAGE_QUOTA_DEFAULTS = { admin: null, manager: 5 * 1024 * 1024 * 1024, employee: 1024 * 1024 * 1024 };
+const UPLOAD_LIMIT_DEFAULTS = {
+    admin: { max_file_bytes: null, max_sessions: 10 },
+    manager: { max_file_bytes: 2 * 1024 * 1024 * 1024, max_sessions: 5 },
+    employee: { max_file_bytes: 512 * 1024 * 1024, max_sessions: 3 }
+};
+const UPLOAD_CHUNK_SIZE = 5 * 1024 * 1024;
+const UPLOAD_SESSION_HOURS = 24;
+const UPLOAD_CLEANUP_MINUTES = 60;
+const BLOCKED_FILE_EXTENSIONS = ['.exe', '.bat', '.cmd', '.sh', '.php', '.js', '.py'];
+const THUMBNAIL_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/bmp'];
+const THUMBNAIL_SIZE = 256;
+const THUMBNAIL_MAX_PIXELS = 40 * 1000 * 1000;
+const PREVIEW_TEXT_LENGTH = 2000;
+const INLINE_FILE_TYPES = [
+    'image/png', 'image/jpeg', 'image/gif', 'image/webp', 'application/pdf', 'text/plain',
+    'audio/mpeg', 'audio/ogg', 'audio/wav', 'video/mp4', 'video/webm', 'video/ogg'
+];
+const PERMISSION_KEYS = [
+    'create_task', 'edit_task', 'delete_task',
+    'view_users', 'add_users', 'edit_users', 'remove_users',
+    'view_activity_logs',
+    'upload_files', 'download_files', 'delete_files'
+];
 
 app.use(helmet({
     contentSecurityPolicy: {
@@ -31,8 +102,11 @@ app.use(helmet({
 
 app.use(cors());
 app.use(express.json({ limit: '10mb' }));
-app.use(express.static('.'));
-app.use('/uploads', express.static('uploads'));
+
+// Only the front-end assets are public; the database, uploads and the rest of the checkout are not
+for (const asset of ['index.html', 'app.js', 'styles.css']) {
+    app.get(`/${asset}`, (req, res) => res.sendFile(path.join(__dirname, asset)));
+}
 
 const authLimiter = rateLimit({
     windowMs: 15 * 60 * 1000,
@@ -47,15 +121,34 @@ const apiLimiter = rateLimit({
     max: 100,
     message: { error: 'Too many requests. Please slow down.' },
     standardHeaders: true,
-    legacyHeaders: false
+    legacyHeaders: false,
+    skip: (req) => req.method === 'PUT' && /^\/uploads\/\d+$/.test(req.path)
 });
 
 app.use('/api/auth/', authLimiter);
 app.use('/api/', apiLimiter);
 
-const uploadsDir = path.join(__dirname, 'uploads');
-if (!fs.existsSync(uploadsDir)) {
-    fs.mkdirSync(uploadsDir, { recursive: true });
+const uploadsDir = process.env.UPLOADS_DIR ? path.resolve(process.env.UPLOADS_DIR) : path.join(__dirname, 'uploads');
+const thumbnailsDir = path.join(uploadsDir, 'thumbnails');
+const avatarsDir = path.join(uploadsDir, 'avatars');
+const partialUploadsDir = path.join(uploadsDir, 'partial');
+for (const dir of [uploadsDir, thumbnailsDir, avatarsDir, partialUploadsDir]) {
+    if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true });
+    }
+}
+
+app.use('/avatars', express.static(avatarsDir, { maxAge: '7d', immutable: true }));
+app.use('/avatars', (req, res) => res.status(404).json({ error: 'Not found' }));
+
+function storedFileName(originalName) {
+    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+    const safeName = originalName.replace(/[^a-zA-Z0-9.\-]/g, '_');
+    return uniqueSuffix + '-' + safeName;
+}
+
+function isAllowedFileName(name) {
+    return !BLOCKED_FILE_EXTENSIONS.includes(path.extname(name).toLowerCase());
 }
 
 const storage = multer.diskStorage({
@@ -63,27 +156,27 @@ const storage = multer.diskStorage({
         cb(null, uploadsDir);
     },
     filename: (req, file, cb) => {
-        const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-        const safeName = file.originalname.replace(/[^a-zA-Z0-9.\-]/g, '_');
-        cb(null, uniqueSuffix + '-' + safeName);
+        cb(null, storedFileName(file.originalname));
     }
 });
 
+const fileFilter = (req, file, cb) => {
+    // Busboy decodes multipart filenames as latin1, but browsers send them as UTF-8
+    file.originalname = Buffer.from(file.originalname, 'latin1').toString('utf8');
+
+    if (!isAllowedFileName(file.originalname)) {
+        return cb(new Error('File type not allowed'), false);
+    }
+
+    cb(null, true);
+};
+
 const upload = multer({
     storage: storage,
     limits: {
         fileSize: 50 * 1024 * 1024
     },
-    fileFilter: (req, file, cb) => {
-        const dangerousExtensions = ['.exe', '.bat', '.cmd', '.sh', '.php', '.js', '.py'];
-        const fileExtension = path.extname(file.originalname).toLowerCase();
-        
-        if (dangerousExtensions.includes(fileExtension)) {
-            return cb(new Error('File type not allowed'), false);
-        }
-        
-        cb(null, true);
-    }
+    fileFilter
 });
 
 let db;
@@ -97,7 +190,15 @@ function initializeDatabase() {
                 return;
             }
             console.log('Database connected');
-            createTables().then(resolve).catch(reject);
+
+            // SQLite ignores declared cascades unless foreign keys are enabled on the connection
+            db.run('PRAGMA foreign_keys = ON', (pragmaErr) => {
+                if (pragmaErr) {
+                    reject(pragmaErr);
+                    return;
+                }
+                createTables().then(resolve).catch(reject);
+            });
         });
     });
 }
@@ -122,6 +223,7 @@ function createTables() {
                 created_by INTEGER,
                 login_attempts INTEGER DEFAULT 0,
                 locked_until DATETIME,
+                storage_quota_bytes INTEGER,
                 FOREIGN KEY (created_by) REFERENCES users(id)
             )`,
 
@@ -133,6 +235,30 @@ function createTables() {
                 language VARCHAR(10) DEFAULT 'en',
                 notifications_enabled BOOLEAN DEFAULT 1,
                 theme VARCHAR(20) DEFAULT 'dark',
+                task_view VARCHAR(20) DEFAULT 'list',
+                calendar_token_hash VARCHAR(64),
+                calendar_token_created_at DATETIME,
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+            )`,
+
+            `CREATE TABLE IF NOT EXISTS projects (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                name VARCHAR(255) NOT NULL,
+                description TEXT,
+                owner_id INTEGER NOT NULL,
+                color VARCHAR(7) DEFAULT '#3b82f6',
+                is_archived BOOLEAN DEFAULT 0,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (owner_id) REFERENCES users(id)
+            )`,
+
+            `CREATE TABLE IF NOT EXISTS project_members (
+                project_id INTEGER NOT NULL,
+                user_id INTEGER NOT NULL,
+                added_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (project_id, user_id),
+                FOREIGN KEY (project_id) REFERENCES projects(id) ON DELETE CASCADE,
                 FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
             )`,
 
@@ -148,21 +274,129 @@ function createTables() {
                 estimated_hours DECIMAL(5,2),
                 actual_hours DECIMAL(5,2),
                 progress INTEGER DEFAULT 0,
+                parent_id INTEGER,
+                position INTEGER DEFAULT 0,
+                recurrence_rule TEXT,
+                recurrence_parent_id INTEGER,
+                recurrence_index INTEGER DEFAULT 1,
+                recurrence_spawned BOOLEAN DEFAULT 0,
+                project_id INTEGER,
                 created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
                 updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
                 completed_at DATETIME,
                 FOREIGN KEY (assignee_id) REFERENCES users(id),
-                FOREIGN KEY (created_by) REFERENCES users(id)
+                FOREIGN KEY (created_by) REFERENCES users(id),
+                FOREIGN KEY (parent_id) REFERENCES tasks(id) ON DELETE CASCADE,
+                FOREIGN KEY (project_id) REFERENCES projects(id) ON DELETE SET NULL
             )`,
 
             `CREATE TABLE IF NOT EXISTS task_comments (
                 id INTEGER PRIMARY KEY AUTOINCREMENT,
                 task_id INTEGER NOT NULL,
                 user_id INTEGER NOT NULL,
+                parent_id INTEGER,
                 comment TEXT NOT NULL,
                 created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME,
                 FOREIGN KEY (task_id) REFERENCES tasks(id) ON DELETE CASCADE,
-                FOREIGN KEY (user_id) REFERENCES users(id)
+                FOREIGN KEY (user_id) REFERENCES users(id),
+                FOREIGN KEY (parent_id) REFERENCES task_comments(id) ON DELETE CASCADE
+            )`,
+
+            `CREATE TABLE IF NOT EXISTS labels (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                name VARCHAR(50) UNIQUE NOT NULL COLLATE NOCASE,
+                color VARCHAR(7) DEFAULT '#64748b',
+                created_by INTEGER NOT NULL,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (created_by) REFERENCES users(id)
+            )`,
+
+            `CREATE TABLE IF NOT EXISTS task_labels (
+                task_id INTEGER NOT NULL,
+                label_id INTEGER NOT NULL,
+                PRIMARY KEY (task_id, label_id),
+                FOREIGN KEY (task_id) REFERENCES tasks(id) ON DELETE CASCADE,
+                FOREIGN KEY (label_id) REFERENCES labels(id) ON DELETE CASCADE
+            )`,
+
+            `CREATE TABLE IF NOT EXISTS task_dependencies (
+                task_id INTEGER NOT NULL,
+                blocker_id INTEGER NOT NULL,
+                created_by INTEGER NOT NULL,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (task_id, blocker_id),
+                FOREIGN KEY (task_id) REFERENCES tasks(id) ON DELETE CASCADE,
+                FOREIGN KEY (blocker_id) REFERENCES tasks(id) ON DELETE CASCADE,
+                FOREIGN KEY (created_by) REFERENCES users(id)
+            )`,
+
+            `CREATE TABLE IF NOT EXISTS time_entries (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                task_id INTEGER NOT NULL,
+                user_id INTEGER NOT NULL,
+                started_at DATETIME NOT NULL,
+                ended_at DATETIME,
+                duration_seconds INTEGER,
+                note TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME,
+                FOREIGN KEY (task_id) REFERENCES tasks(id) ON DELETE CASCADE,
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+            )`,
+
+            `CREATE TABLE IF NOT EXISTS timesheets (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                user_id INTEGER NOT NULL,
+                week_start DATE NOT NULL,
+                tz_offset INTEGER DEFAULT 0,
+                status VARCHAR(20) DEFAULT 'submitted',
+                total_seconds INTEGER DEFAULT 0,
+                submit_comment TEXT,
+                submitted_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                reviewed_by INTEGER,
+                reviewed_at DATETIME,
+                review_comment TEXT,
+                UNIQUE (user_id, week_start),
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+                FOREIGN KEY (reviewed_by) REFERENCES users(id)
+            )`,
+
+            `CREATE TABLE IF NOT EXISTS saved_views (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                user_id INTEGER NOT NULL,
+                name VARCHAR(100) NOT NULL,
+                filters TEXT NOT NULL,
+                is_shared BOOLEAN DEFAULT 0,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME,
+                UNIQUE (user_id, name),
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+            )`,
+
+            `CREATE TABLE IF NOT EXISTS task_files (
+                task_id INTEGER NOT NULL,
+                file_id INTEGER NOT NULL,
+                attached_by INTEGER NOT NULL,
+                attached_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (task_id, file_id),
+                FOREIGN KEY (task_id) REFERENCES tasks(id) ON DELETE CASCADE,
+                FOREIGN KEY (file_id) REFERENCES files(id) ON DELETE CASCADE,
+                FOREIGN KEY (attached_by) REFERENCES users(id)
+            )`,
+
+            `CREATE TABLE IF NOT EXISTS file_shares (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                file_id INTEGER NOT NULL,
+                user_id INTEGER,
+                department VARCHAR(100) COLLATE NOCASE,
+                project_id INTEGER,
+                created_by INTEGER NOT NULL,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (file_id) REFERENCES files(id) ON DELETE CASCADE,
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+                FOREIGN KEY (project_id) REFERENCES projects(id) ON DELETE CASCADE,
+                FOREIGN KEY (created_by) REFERENCES users(id)
             )`,
 
             `CREATE TABLE IF NOT EXISTS activity_logs (
@@ -184,6 +418,7 @@ function createTables() {
                 user_agent TEXT,
                 expires_at DATETIME NOT NULL,
                 created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                last_seen_at DATETIME,
                 is_revoked BOOLEAN DEFAULT 0,
                 FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
             )`,
@@ -194,6 +429,73 @@ function createTables() {
                 updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
             )`,
 
+            `CREATE TABLE IF NOT EXISTS file_blobs (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                sha256 CHAR(64) UNIQUE NOT NULL,
+                stored_name VARCHAR(500) NOT NULL,
+                file_path TEXT NOT NULL,
+                file_size INTEGER NOT NULL,
+                ref_count INTEGER DEFAULT 0,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )`,
+
+            `CREATE TABLE IF NOT EXISTS storage_quotas (
+                role VARCHAR(50) PRIMARY KEY,
+                quota_bytes INTEGER,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )`,
+
+            `CREATE TABLE IF NOT EXISTS upload_limits (
+                role VARCHAR(50) PRIMARY KEY,
+                max_file_bytes INTEGER,
+                max_sessions INTEGER,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )`,
+
+            `CREATE TABLE IF NOT EXISTS upload_sessions (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                user_id INTEGER NOT NULL,
+                original_name VARCHAR(255) NOT NULL,
+                file_type VARCHAR(100) NOT NULL,
+                file_size INTEGER NOT NULL,
+                chunk_size INTEGER NOT NULL,
+                received_bytes INTEGER DEFAULT 0,
+                temp_path VARCHAR(500) NOT NULL,
+                folder_id INTEGER,
+                task_id INTEGER,
+                visibility VARCHAR(20) DEFAULT 'private',
+                shares TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+            )`,
+
+            `CREATE TABLE IF NOT EXISTS folders (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                name VARCHAR(255) NOT NULL,
+                parent_id INTEGER,
+                owner_id INTEGER NOT NULL,
+                is_public BOOLEAN DEFAULT 0,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (parent_id) REFERENCES folders(id),
+                FOREIGN KEY (owner_id) REFERENCES users(id)
+            )`,
+
+            `CREATE TABLE IF NOT EXISTS folder_shares (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                folder_id INTEGER NOT NULL,
+                user_id INTEGER,
+                department VARCHAR(100) COLLATE NOCASE,
+                project_id INTEGER,
+                created_by INTEGER NOT NULL,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (folder_id) REFERENCES folders(id) ON DELETE CASCADE,
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+                FOREIGN KEY (project_id) REFERENCES projects(id) ON DELETE CASCADE,
+                FOREIGN KEY (created_by) REFERENCES users(id)
+            )`,
+
             `CREATE TABLE IF NOT EXISTS files (
                 id INTEGER PRIMARY KEY AUTOINCREMENT,
                 original_name VARCHAR(500) NOT NULL,
@@ -205,13 +507,127 @@ function createTables() {
                 uploaded_by_name VARCHAR(255) NOT NULL,
                 uploaded_at DATETIME DEFAULT CURRENT_TIMESTAMP,
                 is_public BOOLEAN DEFAULT 1,
+                current_version INTEGER DEFAULT 1,
+                folder_id INTEGER REFERENCES folders(id) ON DELETE SET NULL,
+                blob_id INTEGER REFERENCES file_blobs(id),
+                FOREIGN KEY (uploaded_by) REFERENCES users(id)
+            )`,
+
+            `CREATE TABLE IF NOT EXISTS file_versions (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                file_id INTEGER,
+                version_number INTEGER NOT NULL,
+                original_name VARCHAR(500) NOT NULL,
+                stored_name VARCHAR(500) NOT NULL,
+                file_path TEXT NOT NULL,
+                file_size INTEGER NOT NULL,
+                file_type VARCHAR(100) NOT NULL,
+                uploaded_by INTEGER NOT NULL,
+                uploaded_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                blob_id INTEGER REFERENCES file_blobs(id),
+                UNIQUE(file_id, version_number),
+                FOREIGN KEY (file_id) REFERENCES files(id) ON DELETE SET NULL,
                 FOREIGN KEY (uploaded_by) REFERENCES users(id)
+            )`,
+
+            `CREATE VIRTUAL TABLE IF NOT EXISTS task_search USING fts5(
+                title, description, comments,
+                tokenize = 'unicode61 remove_diacritics 2'
+            )`,
+
+            `CREATE VIRTUAL TABLE IF NOT EXISTS file_search USING fts5(
+                original_name,
+                tokenize = 'unicode61 remove_diacritics 2'
             )`
         ];
 
+        const migrations = [
+            `ALTER TABLE task_comments ADD COLUMN parent_id INTEGER REFERENCES task_comments(id) ON DELETE CASCADE`,
+            `ALTER TABLE task_comments ADD COLUMN updated_at DATETIME`,
+            `ALTER TABLE user_sessions ADD COLUMN last_seen_at DATETIME`,
+            `ALTER TABLE tasks ADD COLUMN parent_id INTEGER REFERENCES tasks(id) ON DELETE CASCADE`,
+            `ALTER TABLE tasks ADD COLUMN position INTEGER DEFAULT 0`,
+            `ALTER TABLE tasks ADD COLUMN recurrence_rule TEXT`,
+            `ALTER TABLE tasks ADD COLUMN recurrence_parent_id INTEGER`,
+            `ALTER TABLE tasks ADD COLUMN recurrence_index INTEGER DEFAULT 1`,
+            `ALTER TABLE tasks ADD COLUMN recurrence_spawned BOOLEAN DEFAULT 0`,
+            `ALTER TABLE tasks ADD COLUMN project_id INTEGER REFERENCES projects(id) ON DELETE SET NULL`,
+            `ALTER TABLE user_profiles ADD COLUMN task_view VARCHAR(20) DEFAULT 'list'`,
+            `ALTER TABLE user_profiles ADD COLUMN calendar_token_hash VARCHAR(64)`,
+            `ALTER TABLE user_profiles ADD COLUMN calendar_token_created_at DATETIME`,
+            `CREATE UNIQUE INDEX IF NOT EXISTS idx_user_profiles_calendar_token ON user_profiles(calendar_token_hash)`,
+            `CREATE UNIQUE INDEX IF NOT EXISTS idx_time_entries_running ON time_entries(user_id) WHERE ended_at IS NULL`,
+            `ALTER TABLE files ADD COLUMN current_version INTEGER DEFAULT 1`,
+            `ALTER TABLE files ADD COLUMN folder_id INTEGER REFERENCES folders(id) ON DELETE SET NULL`,
+            `CREATE INDEX IF NOT EXISTS idx_files_folder ON files(folder_id)`,
+            `CREATE INDEX IF NOT EXISTS idx_folders_parent ON folders(parent_id)`,
+            `ALTER TABLE users ADD COLUMN storage_quota_bytes INTEGER`,
+            `ALTER TABLE files ADD COLUMN blob_id INTEGER REFERENCES file_blobs(id)`,
+            `ALTER TABLE file_versions ADD COLUMN blob_id INTEGER REFERENCES file_blobs(id)`,
+            `CREATE INDEX IF NOT EXISTS idx_file_versions_blob ON file_versions(blob_id)`,
+            `INSERT OR IGNORE INTO storage_quotas (role, quota_bytes) VALUES
+                ('admin', ${STORAGE_QUOTA_DEFAULTS.admin}),
+                ('manager', ${STORAGE_QUOTA_DEFAULTS.manager}),
+                ('employee', ${STORAGE_QUOTA_DEFAULTS.employee})`,
+            `INSERT OR IGNORE INTO upload_limits (role, max_file_bytes, max_sessions) VALUES
+                ('admin', ${UPLOAD_LIMIT_DEFAULTS.admin.max_file_bytes}, ${UPLOAD_LIMIT_DEFAULTS.admin.max_sessions}),
+                ('manager', ${UPLOAD_LIMIT_DEFAULTS.manager.max_file_bytes}, ${UPLOAD_LIMIT_DEFAULTS.manager.max_sessions}),
+                ('employee', ${UPLOAD_LIMIT_DEFAULTS.employee.max_file_bytes}, ${UPLOAD_LIMIT_DEFAULTS.employee.max_sessions})`,
+            `CREATE INDEX IF NOT EXISTS idx_upload_sessions_user ON upload_sessions(user_id)`,
+            `INSERT INTO file_versions (file_id, version_number, original_name, stored_name, file_path, file_size, file_type, uploaded_by, uploaded_at)
+             SELECT f.id, 1, f.original_name, f.stored_name, f.file_path, f.file_size, f.file_type, f.uploaded_by, f.uploaded_at
+             FROM files f WHERE NOT EXISTS (SELECT 1 FROM file_versions fv WHERE fv.file_id = f.id)`,
+            `CREATE TRIGGER IF NOT EXISTS task_search_insert AFTER INSERT ON tasks BEGIN
+                INSERT INTO task_search (rowid, title, description, comments) VALUES (new.id, new.title, COALESCE(new.description, ''), '');
+            END`,
+            `CREATE TRIGGER IF NOT EXISTS task_search_update AFTER UPDATE OF title, description ON tasks BEGIN
+                UPDATE task_search SET title = new.title, description = COALESCE(new.description, '') WHERE rowid = new.id;
+            END`,
+            `CREATE TRIGGER IF NOT EXISTS task_search_delete AFTER DELETE ON tasks BEGIN
+                DELETE FROM task_search WHERE rowid = old.id;
+            END`,
+            `CREATE TRIGGER IF NOT EXISTS task_search_comment_insert AFTER INSERT ON task_comments BEGIN
+                UPDATE task_search SET comments = (SELECT GROUP_CONCAT(comment, ' ') FROM task_comments WHERE task_id = new.task_id)
+                WHERE rowid = new.task_id;
+            END`,
+            `CREATE TRIGGER IF NOT EXISTS task_search_comment_update AFTER UPDATE OF comment ON task_comments BEGIN
+                UPDATE task_search SET comments = (SELECT GROUP_CONCAT(comment, ' ') FROM task_comments WHERE task_id = new.task_id)
+                WHERE rowid = new.task_id;
+            END`,
+            `CREATE TRIGGER IF NOT EXISTS task_search_comment_delete AFTER DELETE ON task_comments BEGIN
+                UPDATE task_search SET comments = COALESCE((SELECT GROUP_CONCAT(comment, ' ') FROM task_comments WHERE task_id = old.task_id), '')
+                WHERE rowid = old.task_id;
+            END`,
+            `CREATE TRIGGER IF NOT EXISTS file_search_insert AFTER INSERT ON files BEGIN
+                INSERT INTO file_search (rowid, original_name) VALUES (new.id, new.original_name);
+            END`,
+            `CREATE TRIGGER IF NOT EXISTS file_search_update AFTER UPDATE OF original_name ON files BEGIN
+                UPDATE file_search SET original_name = new.original_name WHERE rowid = new.id;
+            END`,
+            `CREATE TRIGGER IF NOT EXISTS file_search_delete AFTER DELETE ON files BEGIN
+                DELETE FROM file_search WHERE rowid = old.id;
+            END`
+        ];
+
+        function executeMigration(index) {
+            if (index >= migrations.length) {
+                createDefaultData().then(resolve).catch(reject);
+                return;
+            }
+
+            db.run(migrations[index], (err) => {
+                if (err && !/duplicate column name/i.test(err.message)) {
+                    console.error('Error migrating table:', err);
+                    reject(err);
+                    return;
+                }
+                executeMigration(index + 1);
+            });
+        }
+
         function executeTable(index) {
             if (index >= tables.length) {
-                createDefaultData().then(resolve).catch(reject);
+                executeMigration(0);
                 return;
             }
 
@@ -404,6 +820,52 @@ function dbAll(sql, params = []) {
     });
 }
 
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const describeDevice = (userAgent) => {
+    if (!userAgent) return 'Unknown device';
+
+    const browsers = [['Edg/', 'Edge'], ['OPR/', 'Opera'], ['Chrome/', 'Chrome'], ['Firefox/', 'Firefox'], ['Safari/', 'Safari'], ['curl/', 'curl']];
+    const systems = [['Windows', 'Windows'], ['Android', 'Android'], ['iPhone', 'iOS'], ['iPad', 'iOS'], ['Mac OS X', 'macOS'], ['Linux', 'Linux']];
+
+    const browser = browsers.find(([marker]) => userAgent.includes(marker));
+    const system = systems.find(([marker]) => userAgent.includes(marker));
+
+    return `${browser ? browser[1] : 'Unknown browser'} on ${system ? system[1] : 'unknown OS'}`;
+};
+
+const paginationRules = (sorts) => [
+    query('limit').optional().isInt({ min: 1, max: PAGE_SIZE_MAX }),
+    query('offset').optional().isInt({ min: 0 }),
+    query('sort').optional().isIn(Object.keys(sorts)),
+    query('order').optional().isIn(SORT_ORDERS)
+];
+
+const queryPage = async (sql, params, options, sorts, defaultSort, tieBreaker) => {
+    const limit = parseInt(options.limit) || PAGE_SIZE_DEFAULT;
+    const offset = parseInt(options.offset) || 0;
+    const sort = options.sort || defaultSort;
+    const order = options.order || 'desc';
+    const expression = sorts[sort];
+    const direction = order.toUpperCase();
+
+    const count = await dbGet(`SELECT COUNT(*) as total FROM (${sql})`, params);
+    const rows = await dbAll(
+        `${sql} ORDER BY ${expression} IS NULL, ${expression} ${direction}, ${tieBreaker} ${direction} LIMIT ? OFFSET ?`,
+        [...params, limit, offset]
+    );
+
+    return {
+        rows,
+        pagination: { total: count.total, limit, offset, sort, order, has_more: offset + rows.length < count.total }
+    };
+};
+
+const revokeUserSessions = (userId) => dbRun(
+    'UPDATE user_sessions SET is_revoked = 1 WHERE user_id = ? AND is_revoked = 0',
+    [userId]
+);
+
 const authenticateToken = async (req, res, next) => {
     const authHeader = req.headers['authorization'];
     const token = authHeader && authHeader.split(' ')[1];
@@ -412,10 +874,13 @@ const authenticateToken = async (req, res, next) => {
         return res.status(401).json({ error: 'Access token required' });
     }
 
+    let user;
+    let session;
+
     try {
         const decoded = jwt.verify(token, JWT_SECRET);
         
-        const user = await dbGet(
+        user = await dbGet(
             `SELECT id, email, name, role, department, position, avatar_url, is_active 
              FROM users WHERE id = ? AND is_active = 1`,
             [decoded.userId]
@@ -425,13 +890,94 @@ const authenticateToken = async (req, res, next) => {
             return res.status(401).json({ error: 'Invalid token' });
         }
 
+        session = await dbGet(
+            `SELECT id, user_id FROM user_sessions
+             WHERE token = ? AND is_revoked = 0 AND expires_at > datetime('now')`,
+            [hashToken(token)]
+        );
+
+        if (!session || session.user_id !== user.id) {
+            return res.status(401).json({ error: 'Session expired or revoked' });
+        }
+
+        await dbRun(
+            `UPDATE user_sessions SET last_seen_at = CURRENT_TIMESTAMP
+             WHERE id = ? AND (last_seen_at IS NULL OR last_seen_at < datetime('now', '-1 minute'))`,
+            [session.id]
+        );
+    } catch (error) {
+        if (error instanceof jwt.JsonWebTokenError) {
+            return res.status(403).json({ error: 'Invalid token' });
+        }
+
+        console.error('Authentication error:', error);
+        return res.status(500).json({ error: 'Failed to authenticate request' });
+    }
+
+    // Outside the try block so errors thrown by the route are not reported as a bad token
+    req.user = user;
+    req.sessionId = session.id;
+    next();
+};
+
+const signFileUrl = (fileId, version, userId, expires, disposition) => crypto
+    .createHmac('sha256', JWT_SECRET)
+    .update(`${fileId}:${version || ''}:${userId}:${expires}:${disposition}`)
+    .digest('hex');
+
+const createFileUrl = (file, user, disposition, version = null) => {
+    const expires = Math.floor(Date.now() / 1000) + FILE_URL_TTL_SECONDS;
+    const params = new URLSearchParams({
+        ...(version ? { version } : {}),
+        user: user.id,
+        expires,
+        disposition,
+        signature: signFileUrl(file.id, version, user.id, expires, disposition)
+    });
+    return `/api/files/${file.id}/${disposition === 'thumbnail' ? 'thumbnail' : 'content'}?${params}`;
+};
+
+const authenticateFileRequest = async (req, res, next) => {
+    const { signature, version, user: userId, expires, disposition } = req.query;
+
+    if (!signature) {
+        return authenticateToken(req, res, next);
+    }
+
+    const expected = signFileUrl(req.params.id, version, userId, expires, disposition);
+    const valid = /^[0-9a-f]{64}$/.test(signature) &&
+        crypto.timingSafeEqual(Buffer.from(signature, 'hex'), Buffer.from(expected, 'hex')) &&
+        Number(expires) >= Math.floor(Date.now() / 1000);
+
+    if (!valid) {
+        return res.status(403).json({ error: 'This link is invalid or has expired' });
+    }
+
+    try {
+        const user = await dbGet(
+            `SELECT id, email, name, role, department, position, avatar_url, is_active 
+             FROM users WHERE id = ? AND is_active = 1`,
+            [userId]
+        );
+
+        if (!user) {
+            return res.status(403).json({ error: 'This link is invalid or has expired' });
+        }
+
         req.user = user;
         next();
     } catch (error) {
-        return res.status(403).json({ error: 'Invalid token' });
+        console.error('File link check error:', error);
+        res.status(500).json({ error: 'Failed to download file' });
     }
 };
 
+const contentDisposition = (type, filename) => {
+    const fallback = filename.replace(/[^\x20-\x7e]|["\\%]/g, '_');
+    const encoded = encodeURIComponent(filename).replace(/['()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+    return `${type}; filename="${fallback}"; filename*=UTF-8''${encoded}`;
+};
+
 const requireAdmin = (req, res, next) => {
     if (req.user.role !== 'admin') {
         return res.status(403).json({ error: 'Admin access required' });
@@ -439,126 +985,4277 @@ const requireAdmin = (req, res, next) => {
     next();
 };
 
-const logActivity = async (userId, activityType, description, ipAddress = null, userAgent = null) => {
-    try {
-        await dbRun(
-            `INSERT INTO activity_logs (user_id, activity_type, description, ip_address, user_agent)
-             VALUES (?, ?, ?, ?, ?)`,
-            [userId, activityType, description, ipAddress, userAgent]
-        );
-    } catch (error) {
-        console.error('Activity logging error:', error);
+const requireManager = (req, res, next) => {
+    if (!['admin', 'manager'].includes(req.user.role)) {
+        return res.status(403).json({ error: 'Manager access required' });
     }
+    next();
 };
 
-app.post('/api/auth/login', [
-    body('email').isEmail().normalizeEmail(),
-    body('password').isLength({ min: 1 })
-], async (req, res) => {
-    try {
-        const errors = validationResult(req);
-        if (!errors.isEmpty()) {
-            return res.status(400).json({ errors: errors.array() });
-        }
+const permissionCache = new Map();
 
-        const { email, password } = req.body;
-        const ipAddress = req.ip;
-        const userAgent = req.get('User-Agent');
+const getRolePermissions = async (role) => {
+    if (role === 'admin') {
+        return Object.fromEntries(PERMISSION_KEYS.map(key => [key, true]));
+    }
 
-        const user = await dbGet(
-            `SELECT id, email, password_hash, name, role, department, position, avatar_url, is_active, login_attempts, locked_until
-             FROM users WHERE email = ?`,
-            [email]
-        );
+    if (!permissionCache.has(role)) {
+        const row = await dbGet('SELECT permissions FROM role_permissions WHERE role = ?', [role]);
+        permissionCache.set(role, row ? JSON.parse(row.permissions) : {});
+    }
 
-        if (!user) {
-            await logActivity(null, 'login_failed', `Failed login attempt for email: ${email}`, ipAddress, userAgent);
-            return res.status(401).json({ error: 'Invalid credentials' });
-        }
+    return permissionCache.get(role);
+};
 
-        if (user.locked_until && new Date(user.locked_until) > new Date()) {
-            return res.status(423).json({ error: 'Account temporarily locked. Please try again later.' });
-        }
+const requirePermission = (permission) => async (req, res, next) => {
+    try {
+        const permissions = await getRolePermissions(req.user.role);
 
-        if (!user.is_active) {
-            return res.status(401).json({ error: 'Account deactivated' });
+        if (!permissions[permission]) {
+            return res.status(403).json({ error: 'Insufficient permissions', permission });
         }
 
-        const validPassword = await bcrypt.compare(password, user.password_hash);
-        if (!validPassword) {
-            const newAttempts = user.login_attempts + 1;
-            let lockedUntil = null;
-            
-            if (newAttempts >= 5) {
-                lockedUntil = new Date(Date.now() + 15 * 60 * 1000);
-            }
+        next();
+    } catch (error) {
+        console.error('Permission check error:', error);
+        res.status(500).json({ error: 'System error' });
+    }
+};
 
-            await dbRun(
-                'UPDATE users SET login_attempts = ?, locked_until = ? WHERE id = ?',
-                [newAttempts, lockedUntil, user.id]
-            );
+const canManageUser = (actor, target) => actor.role === 'admin' || target.role !== 'admin';
 
-            await logActivity(user.id, 'login_failed', `Failed login attempt for user: ${user.name}`, ipAddress, userAgent);
+const ownTaskClause = (user, alias) => {
+    if (user.role !== 'employee') {
+        return { clause: '1 = 1', params: [] };
+    }
 
-            return res.status(401).json({ error: 'Invalid credentials' });
-        }
+    return {
+        clause: `(${alias}.assignee_id = ? OR ${alias}.created_by = ?
+                  OR ${alias}.project_id IN (SELECT pm.project_id FROM project_members pm WHERE pm.user_id = ?))`,
+        params: [user.id, user.id, user.id]
+    };
+};
+
+const taskVisibilityClause = (user, alias = 't') => {
+    const own = ownTaskClause(user, alias);
+    const parent = ownTaskClause(user, 'vis_parent');
+
+    if (user.role !== 'employee') {
+        return own;
+    }
+
+    return {
+        clause: `(${own.clause} OR EXISTS (SELECT 1 FROM tasks vis_parent WHERE vis_parent.id = ${alias}.parent_id AND ${parent.clause}))`,
+        params: [...own.params, ...parent.params]
+    };
+};
+
+const canAccessTask = async (user, task) => {
+    const visibility = taskVisibilityClause(user);
+    const row = await dbGet(
+        `SELECT t.id FROM tasks t WHERE t.id = ? AND ${visibility.clause}`,
+        [task.id, ...visibility.params]
+    );
+    return Boolean(row);
+};
+
+const SHARE_TABLES = {
+    files: { table: 'file_shares', key: 'file_id' },
+    folders: { table: 'folder_shares', key: 'folder_id' }
+};
+
+const shareMatchClause = (user, alias) => ({
+    clause: `(${alias}.user_id = ? OR ${alias}.department = ?
+              OR ${alias}.project_id IN (SELECT pm.project_id FROM project_members pm WHERE pm.user_id = ?))`,
+    params: [user.id, user.department || null, user.id]
+});
+
+const visibleFoldersSql = (user) => {
+    if (user.role === 'admin') {
+        return { sql: 'SELECT id FROM folders', params: [] };
+    }
+
+    const match = shareMatchClause(user, 'fs');
+    return {
+        sql: `WITH RECURSIVE visible_folders(id) AS (
+                  SELECT fo.id FROM folders fo
+                  WHERE fo.owner_id = ? OR fo.is_public = 1
+                     OR EXISTS (SELECT 1 FROM folder_shares fs WHERE fs.folder_id = fo.id AND ${match.clause})
+                  UNION
+                  SELECT child.id FROM folders child JOIN visible_folders vf ON child.parent_id = vf.id
+              )
+              SELECT id FROM visible_folders`,
+        params: [user.id, ...match.params]
+    };
+};
+
+const folderVisibilityClause = (user, alias = 'fo') => {
+    if (user.role === 'admin') {
+        return { clause: '1 = 1', params: [] };
+    }
+
+    const folders = visibleFoldersSql(user);
+    return { clause: `${alias}.id IN (${folders.sql})`, params: folders.params };
+};
+
+const fileVisibilityClause = (user, alias = 'f') => {
+    if (user.role === 'admin') {
+        return { clause: '1 = 1', params: [] };
+    }
+
+    const match = shareMatchClause(user, 'fs');
+    const folders = visibleFoldersSql(user);
+    const visibility = taskVisibilityClause(user, 'file_task');
+    return {
+        clause: `(${alias}.uploaded_by = ? OR ${alias}.is_public = 1
+                  OR EXISTS (SELECT 1 FROM file_shares fs WHERE fs.file_id = ${alias}.id AND ${match.clause})
+                  OR ${alias}.folder_id IN (${folders.sql})
+                  OR EXISTS (SELECT 1 FROM task_files tf JOIN tasks file_task ON file_task.id = tf.task_id
+                             WHERE tf.file_id = ${alias}.id AND ${visibility.clause}))`,
+        params: [user.id, ...match.params, ...folders.params, ...visibility.params]
+    };
+};
+
+const sharingVisibilitySql = (resource, alias) => `
+    CASE WHEN ${alias}.is_public = 1 THEN 'public'
+         WHEN EXISTS (SELECT 1 FROM ${SHARE_TABLES[resource].table} s WHERE s.${SHARE_TABLES[resource].key} = ${alias}.id) THEN 'shared'
+         ELSE 'private' END`;
+
+const canManageFile = (user, file) => user.role === 'admin' || file.uploaded_by === user.id;
+
+const canManageFolder = (user, folder) => user.role === 'admin' || folder.owner_id === user.id;
+
+const canAccessFolder = async (user, folderId) => {
+    const visibility = folderVisibilityClause(user);
+    const row = await dbGet(
+        `SELECT fo.id FROM folders fo WHERE fo.id = ? AND ${visibility.clause}`,
+        [folderId, ...visibility.params]
+    );
+    return Boolean(row);
+};
+
+const normalizeShares = (shares) => {
+    const ids = (values) => [...new Set((Array.isArray(values) ? values : []).map(Number).filter(Number.isInteger))];
+    return {
+        users: ids(shares && shares.users),
+        departments: [...new Set((Array.isArray(shares && shares.departments) ? shares.departments : [])
+            .map(department => String(department).trim())
+            .filter(department => department && department.length <= 100))],
+        projects: ids(shares && shares.projects)
+    };
+};
+
+const checkSharing = async (user, visibility, shares) => {
+    if (!FILE_VISIBILITIES.includes(visibility)) {
+        return 'Visibility must be private, shared or public';
+    }
+
+    if (visibility !== 'shared') {
+        return null;
+    }
+
+    if (shares.users.length + shares.departments.length + shares.projects.length === 0) {
+        return 'Choose at least one user, department or project to share with';
+    }
+
+    if ((await findInactiveUsers(shares.users)).length > 0) {
+        return 'You can only share with active users';
+    }
+
+    for (const projectId of shares.projects) {
+        const project = await dbGet('SELECT id FROM projects WHERE id = ?', [projectId]);
+        if (!project || !await canAccessProject(user, projectId)) {
+            return 'You can only share with projects you belong to';
+        }
+    }
+
+    return null;
+};
+
+const setSharing = async (resource, id, visibility, shares, userId) => {
+    const { table, key } = SHARE_TABLES[resource];
+
+    await dbRun(`UPDATE ${resource} SET is_public = ? WHERE id = ?`, [visibility === 'public' ? 1 : 0, id]);
+    await dbRun(`DELETE FROM ${table} WHERE ${key} = ?`, [id]);
+
+    if (visibility !== 'shared') {
+        return;
+    }
+
+    for (const shareUserId of shares.users) {
+        await dbRun(`INSERT INTO ${table} (${key}, user_id, created_by) VALUES (?, ?, ?)`, [id, shareUserId, userId]);
+    }
+    for (const department of shares.departments) {
+        await dbRun(`INSERT INTO ${table} (${key}, department, created_by) VALUES (?, ?, ?)`, [id, department, userId]);
+    }
+    for (const projectId of shares.projects) {
+        await dbRun(`INSERT INTO ${table} (${key}, project_id, created_by) VALUES (?, ?, ?)`, [id, projectId, userId]);
+    }
+};
+
+const getSharing = async (resource, item) => {
+    const { table, key } = SHARE_TABLES[resource];
+    const shares = await dbAll(`
+        SELECT s.*, u.name as user_name, p.name as project_name
+        FROM ${table} s
+        LEFT JOIN users u ON s.user_id = u.id
+        LEFT JOIN projects p ON s.project_id = p.id
+        WHERE s.${key} = ?
+        ORDER BY s.id
+    `, [item.id]);
+
+    return {
+        visibility: item.visibility,
+        users: shares.filter(share => share.user_id).map(share => ({ id: share.user_id, name: share.user_name })),
+        departments: shares.filter(share => share.department).map(share => share.department),
+        projects: shares.filter(share => share.project_id).map(share => ({ id: share.project_id, name: share.project_name }))
+    };
+};
+
+const describeSharing = (visibility, shares) => {
+    if (visibility !== 'shared') {
+        return visibility;
+    }
+
+    const parts = [
+        shares.users.length > 0 ? `${shares.users.length} user(s)` : null,
+        shares.departments.length > 0 ? `department(s) ${shares.departments.join(', ')}` : null,
+        shares.projects.length > 0 ? `${shares.projects.length} project(s)` : null
+    ].filter(Boolean);
+    return `shared with ${parts.join(', ')}`;
+};
+
+const recordFileVersion = (fileId, userId) => dbRun(`
+    INSERT INTO file_versions (file_id, version_number, original_name, stored_name, file_path, file_size, file_type, uploaded_by, blob_id)
+    SELECT id, current_version, original_name, stored_name, file_path, file_size, file_type, ?, blob_id FROM files WHERE id = ?
+`, [userId, fileId]);
+
+const formatBytes = (bytes) => {
+    if (bytes < 1024) return `${bytes} B`;
+    const units = ['KB', 'MB', 'GB', 'TB'];
+    const exponent = Math.min(Math.floor(Math.log(bytes) / Math.log(1024)), units.length);
+    return `${parseFloat((bytes / Math.pow(1024, exponent)).toFixed(1))} ${units[exponent - 1]}`;
+};
+
+const hashFile = (filePath) => new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(filePath)
+        .on('error', reject)
+        .on('data', chunk => hash.update(chunk))
+        .on('end', () => resolve(hash.digest('hex')));
+});
+
+const storeFileBlob = async (upload, sha256) => {
+    // One upsert, so two uploads of the same content finishing together cannot both insert the hash
+    await dbRun(
+        `INSERT INTO file_blobs (sha256, stored_name, file_path, file_size, ref_count) VALUES (?, ?, ?, ?, 1)
+         ON CONFLICT(sha256) DO UPDATE SET ref_count = ref_count + 1`,
+        [sha256, upload.filename, upload.path, upload.size]
+    );
+    const blob = await dbGet('SELECT * FROM file_blobs WHERE sha256 = ?', [sha256]);
+
+    if (path.resolve(blob.file_path) === path.resolve(upload.path)) {
+        return blob;
+    }
+
+    if (fs.existsSync(blob.file_path)) {
+        fs.unlinkSync(upload.path);
+        return blob;
+    }
+
+    // The stored copy has gone missing, so the new upload takes its place
+    await dbRun('UPDATE file_blobs SET stored_name = ?, file_path = ? WHERE id = ?', [upload.filename, upload.path, blob.id]);
+    return { ...blob, stored_name: upload.filename, file_path: upload.path };
+};
+
+const releaseFileBlob = async (blobId) => {
+    await dbRun('UPDATE file_blobs SET ref_count = ref_count - 1 WHERE id = ?', [blobId]);
+
+    const blob = await dbGet('SELECT * FROM file_blobs WHERE id = ? AND ref_count <= 0', [blobId]);
+    if (blob) {
+        if (fs.existsSync(blob.file_path)) {
+            fs.unlinkSync(blob.file_path);
+        }
+        await dbRun('DELETE FROM file_blobs WHERE id = ?', [blob.id]);
+
+        for (const cachePath of Object.values(previewPaths(blob.sha256))) {
+            if (fs.existsSync(cachePath)) {
+                fs.unlinkSync(cachePath);
+            }
+        }
+    }
+};
+
+const purgeFileVersions = async (versions) => {
+    for (const version of versions) {
+        if (version.blob_id) {
+            await releaseFileBlob(version.blob_id);
+        } else if (fs.existsSync(version.file_path)) {
+            fs.unlinkSync(version.file_path);
+        }
+    }
+};
+
+const readImageDimensions = (buffer) => {
+    if (buffer.toString('ascii', 1, 4) === 'PNG') {
+        return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+    }
+
+    if (buffer.toString('ascii', 0, 3) === 'GIF') {
+        return { width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) };
+    }
+
+    if (buffer.toString('ascii', 0, 2) === 'BM') {
+        return { width: buffer.readInt32LE(18), height: Math.abs(buffer.readInt32LE(22)) };
+    }
+
+    if (buffer[0] === 0xff && buffer[1] === 0xd8) {
+        let offset = 2;
+        while (offset + 9 < buffer.length && buffer[offset] === 0xff) {
+            const marker = buffer[offset + 1];
+            if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+                return { width: buffer.readUInt16BE(offset + 7), height: buffer.readUInt16BE(offset + 5) };
+            }
+            offset += 2 + buffer.readUInt16BE(offset + 2);
+        }
+    }
+
+    return null;
+};
+
+// Header check first: Jimp decodes the whole bitmap into memory before we can look at it.
+const createThumbnail = async (sourcePath, targetPath, square = false) => {
+    const buffer = await fs.promises.readFile(sourcePath);
+    const size = readImageDimensions(buffer);
+    if (!size || size.width * size.height > THUMBNAIL_MAX_PIXELS) {
+        throw new Error('Unsupported or oversized image');
+    }
+
+    const image = await Jimp.read(buffer);
+    if (square) {
+        image.cover(THUMBNAIL_SIZE, THUMBNAIL_SIZE);
+    } else if (image.bitmap.width > THUMBNAIL_SIZE || image.bitmap.height > THUMBNAIL_SIZE) {
+        image.scaleToFit(THUMBNAIL_SIZE, THUMBNAIL_SIZE);
+    }
+
+    await fs.promises.writeFile(`${targetPath}.tmp`, await image.getBufferAsync(Jimp.MIME_PNG));
+    await fs.promises.rename(`${targetPath}.tmp`, targetPath);
+};
+
+const extractPdfPreview = async (sourcePath, targetPath) => {
+    // pdf.js copies a Buffer with Buffer.from, which puts small files at an offset in the shared pool
+    // that its parser does not expect, so it gets a plain Uint8Array instead
+    const pdf = await pdfParse(new Uint8Array(await fs.promises.readFile(sourcePath)), { max: 1 });
+    const preview = {
+        text: pdf.text.replace(/\n{3,}/g, '\n\n').trim().slice(0, PREVIEW_TEXT_LENGTH),
+        pages: pdf.numpages
+    };
+    await fs.promises.writeFile(targetPath, JSON.stringify(preview));
+};
+
+const previewPaths = (sha256) => ({
+    thumbnail: path.join(thumbnailsDir, `${sha256}.png`),
+    pdf: path.join(thumbnailsDir, `${sha256}.json`)
+});
+
+const previewJobs = new Map();
+const failedPreviews = new Set();
+
+const generateFilePreview = (blob, fileType) => {
+    const cachePath = previewPaths(blob.sha256)[fileType === 'application/pdf' ? 'pdf' : 'thumbnail'];
+
+    if (fs.existsSync(cachePath)) {
+        return Promise.resolve(cachePath);
+    }
+
+    if (failedPreviews.has(cachePath)) {
+        return Promise.reject(new Error('Preview generation failed earlier'));
+    }
+
+    if (!previewJobs.has(cachePath)) {
+        const job = (fileType === 'application/pdf'
+            ? extractPdfPreview(blob.file_path, cachePath)
+            : createThumbnail(blob.file_path, cachePath))
+            .then(() => cachePath)
+            .catch((error) => {
+                failedPreviews.add(cachePath);
+                throw error;
+            })
+            .finally(() => previewJobs.delete(cachePath));
+        previewJobs.set(cachePath, job);
+    }
+
+    return previewJobs.get(cachePath);
+};
+
+const hasFilePreview = (fileType) => THUMBNAIL_TYPES.includes(fileType) || fileType === 'application/pdf';
+
+const queueFilePreview = (blob, fileType) => {
+    if (hasFilePreview(fileType)) {
+        generateFilePreview(blob, fileType).catch(error => console.error('Preview generation error:', error.message));
+    }
+};
+
+// Only versions stored before deduplication lack a blob. Once they are linked this is a single
+// lookup on the blob_id index; versions whose file has gone missing are reported at each start.
+const backfillFileBlobs = async () => {
+    const versions = await dbAll('SELECT * FROM file_versions WHERE blob_id IS NULL');
+    if (versions.length === 0) {
+        return;
+    }
+
+    const missing = versions.filter(version => !fs.existsSync(version.file_path));
+    if (missing.length > 0) {
+        console.warn(`${missing.length} file versions could not be deduplicated because their files are missing`);
+    }
+
+    for (const version of versions) {
+        if (missing.includes(version)) {
+            continue;
+        }
+
+        const sha256 = await hashFile(version.file_path);
+        const blob = await storeFileBlob({ path: version.file_path, filename: version.stored_name, size: version.file_size }, sha256);
+
+        await dbRun(
+            'UPDATE files SET blob_id = ?, stored_name = ?, file_path = ? WHERE file_path = ?',
+            [blob.id, blob.stored_name, blob.file_path, version.file_path]
+        );
+        await dbRun(
+            'UPDATE file_versions SET blob_id = ?, stored_name = ?, file_path = ? WHERE id = ?',
+            [blob.id, blob.stored_name, blob.file_path, version.id]
+        );
+    }
+};
+
+// Versions count against their file's owner; versions retained after their file was deleted count against their uploader
+const storageUsageSql = `
+    SELECT COALESCE(SUM(b.file_size), 0) FROM file_blobs b
+    WHERE b.id IN (
+        SELECT fv.blob_id FROM file_versions fv LEFT JOIN files owned ON owned.id = fv.file_id
+        WHERE COALESCE(owned.uploaded_by, fv.uploaded_by) = u.id
+    )`;
+
+const getStorageQuota = async (userId) => {
+    const row = await dbGet(`
+        SELECT u.storage_quota_bytes, sq.quota_bytes as role_quota, (${storageUsageSql}) as used
+        FROM users u
+        LEFT JOIN storage_quotas sq ON sq.role = u.role
+        WHERE u.id = ?
+    `, [userId]);
+
+    const quota = row.storage_quota_bytes !== null ? row.storage_quota_bytes : row.role_quota;
+    return {
+        used: row.used,
+        quota,
+        remaining: quota === null ? null : Math.max(quota - row.used, 0),
+        source: row.storage_quota_bytes !== null ? 'user' : 'role'
+    };
+};
+
+const checkStorageQuota = async (ownerId, sha256, size) => {
+    const quota = await getStorageQuota(ownerId);
+    if (quota.quota === null) {
+        return null;
+    }
+
+    const owned = await dbGet(`
+        SELECT 1 FROM file_blobs b
+        JOIN file_versions fv ON fv.blob_id = b.id
+        LEFT JOIN files f ON f.id = fv.file_id
+        WHERE b.sha256 = ? AND COALESCE(f.uploaded_by, fv.uploaded_by) = ?
+    `, [sha256, ownerId]);
+
+    if (owned || quota.used + size <= quota.quota) {
+        return null;
+    }
+
+    return {
+        error: `Storage quota exceeded: this file needs ${formatBytes(size)} but only ${formatBytes(quota.remaining)} of the ${formatBytes(quota.quota)} quota is left`,
+        quota
+    };
+};
+
+const FOLDER_SELECT = `
+    SELECT fo.*, u.name as owner_name, ${sharingVisibilitySql('folders', 'fo')} as visibility,
+           (SELECT COUNT(*) FROM folders child WHERE child.parent_id = fo.id) as folder_count,
+           (SELECT COUNT(*) FROM files f WHERE f.folder_id = fo.id) as file_count
+    FROM folders fo
+    LEFT JOIN users u ON fo.owner_id = u.id`;
+
+const formatFolder = (folder, user) => ({ ...folder, can_manage: canManageFolder(user, folder) });
+
+const checkFolderTarget = async (user, folderId) => {
+    if (!folderId) {
+        return null;
+    }
+
+    const folder = await dbGet('SELECT id FROM folders WHERE id = ?', [folderId]);
+    if (!folder) {
+        return 'Folder not found';
+    }
+
+    if (!await canAccessFolder(user, folderId)) {
+        return 'You do not have access to this folder';
+    }
+
+    return null;
+};
+
+const folderNameTaken = async (name, parentId, excludeId = null) => {
+    const folder = await dbGet(
+        'SELECT id FROM folders WHERE parent_id IS ? AND name = ? COLLATE NOCASE AND id IS NOT ?',
+        [parentId || null, name, excludeId]
+    );
+    return Boolean(folder);
+};
+
+const getFileBlob = async (file, version) => {
+    if (!version) {
+        return file;
+    }
+
+    return dbGet('SELECT * FROM file_versions WHERE file_id = ? AND version_number = ?', [file.id, version]);
+};
+
+const checkUploadOptions = async (user, options) => {
+    const sharingError = await checkSharing(user, options.visibility, options.shares);
+    if (sharingError) {
+        return { status: 400, error: sharingError };
+    }
+
+    const folderError = await checkFolderTarget(user, options.folderId);
+    if (folderError) {
+        return { status: 400, error: folderError };
+    }
+
+    if (!options.taskId) {
+        return { task: null };
+    }
+
+    const task = await dbGet('SELECT * FROM tasks WHERE id = ?', [options.taskId]);
+    if (!task) {
+        return { status: 404, error: 'Task not found' };
+    }
+
+    const permissions = await getRolePermissions(user.role);
+    if (!permissions.edit_task || !await canAccessTask(user, task)) {
+        return { status: 403, error: 'Access denied' };
+    }
+
+    return { task };
+};
+
+const createFileRecord = async (user, upload, blob, options, task) => {
+    const result = await dbRun(
+        `INSERT INTO files (original_name, stored_name, file_path, file_size, file_type, uploaded_by, uploaded_by_name, is_public, folder_id, blob_id)
+         VALUES (?, ?, ?, ?, ?, ?, ?, 0, ?, ?)`,
+        [upload.originalname, blob.stored_name, blob.file_path, upload.size, upload.mimetype, user.id, user.name, options.folderId, blob.id]
+    );
+
+    await recordFileVersion(result.id, user.id);
+    await setSharing('files', result.id, options.visibility, options.shares, user.id);
+    queueFilePreview(blob, upload.mimetype);
+
+    if (task) {
+        await dbRun('INSERT INTO task_files (task_id, file_id, attached_by) VALUES (?, ?, ?)', [task.id, result.id, user.id]);
+    }
+
+    await logActivity(user.id, 'file_uploaded', task
+        ? `File "${upload.originalname}" uploaded to task "${task.title}" by ${user.name} (${describeSharing(options.visibility, options.shares)})`
+        : `File "${upload.originalname}" uploaded by ${user.name} (${describeSharing(options.visibility, options.shares)})`);
+
+    return dbGet(`SELECT f.*, ${sharingVisibilitySql('files', 'f')} as visibility FROM files f WHERE f.id = ?`, [result.id]);
+};
+
+const getUploadLimits = async (role) => {
+    const limits = await dbGet('SELECT max_file_bytes, max_sessions FROM upload_limits WHERE role = ?', [role]);
+    return limits || { max_file_bytes: null, max_sessions: null };
+};
+
+const checkUploadSize = (limits, size) => {
+    if (limits.max_file_bytes === null || size <= limits.max_file_bytes) {
+        return null;
+    }
+
+    return `Files larger than ${formatBytes(limits.max_file_bytes)} cannot be uploaded with your role`;
+};
+
+// Single-request uploads are capped at the uploader's role limit while they stream,
+// so an oversized file is cut off instead of being written to disk first
+const roleLimitedUpload = (field) => async (req, res, next) => {
+    try {
+        const limits = await getUploadLimits(req.user.role);
+        const fileSize = limits.max_file_bytes === null ? Infinity : limits.max_file_bytes;
+
+        if (Number(req.headers['content-length']) > fileSize + 64 * 1024) {
+            return res.status(413).json({ error: checkUploadSize(limits, Infinity) });
+        }
+
+        multer({ storage, limits: { fileSize }, fileFilter }).single(field)(req, res, (error) => {
+            if (error && error.code === 'LIMIT_FILE_SIZE') {
+                return res.status(413).json({ error: checkUploadSize(limits, Infinity) });
+            }
+            if (error) {
+                return res.status(400).json({ error: error.message });
+            }
+            next();
+        });
+    } catch (error) {
+        console.error('Upload limit error:', error);
+        res.status(500).json({ error: 'Failed to upload file' });
+    }
+};
+
+// The finalize checksum is the SHA-256 of the concatenated binary SHA-256 digests of each chunk,
+// so browsers can verify multi-gigabyte files without hashing them in one piece.
+const hashUploadedChunks = (filePath, chunkSize) => new Promise((resolve, reject) => {
+    const fileHash = crypto.createHash('sha256');
+    const chunkDigests = crypto.createHash('sha256');
+    let chunkHash = crypto.createHash('sha256');
+    let chunkBytes = 0;
+
+    fs.createReadStream(filePath)
+        .on('error', reject)
+        .on('data', (data) => {
+            fileHash.update(data);
+
+            let offset = 0;
+            while (offset < data.length) {
+                const length = Math.min(chunkSize - chunkBytes, data.length - offset);
+                chunkHash.update(data.subarray(offset, offset + length));
+                chunkBytes += length;
+                offset += length;
+
+                if (chunkBytes === chunkSize) {
+                    chunkDigests.update(chunkHash.digest());
+                    chunkHash = crypto.createHash('sha256');
+                    chunkBytes = 0;
+                }
+            }
+        })
+        .on('end', () => {
+            if (chunkBytes > 0) {
+                chunkDigests.update(chunkHash.digest());
+            }
+            resolve({ sha256: fileHash.digest('hex'), checksum: chunkDigests.digest('hex') });
+        });
+});
+
+const formatUploadSession = (session) => ({
+    id: session.id,
+    original_name: session.original_name,
+    file_type: session.file_type,
+    file_size: session.file_size,
+    chunk_size: session.chunk_size,
+    received_bytes: session.received_bytes,
+    folder_id: session.folder_id,
+    task_id: session.task_id,
+    visibility: session.visibility,
+    created_at: session.created_at,
+    updated_at: session.updated_at,
+    expires_at: new Date(parseSqlTimestamp(session.updated_at).getTime() + UPLOAD_SESSION_HOURS * 60 * 60 * 1000).toISOString()
+});
+
+const getUploadSession = (sessionId, userId) => dbGet(
+    'SELECT * FROM upload_sessions WHERE id = ? AND user_id = ?',
+    [sessionId, userId]
+);
+
+const uploadSessionOptions = (session) => ({
+    visibility: session.visibility,
+    shares: normalizeShares(JSON.parse(session.shares || '{}')),
+    folderId: session.folder_id,
+    taskId: session.task_id
+});
+
+const activeUploadSessions = new Set();
+
+const removeUploadSession = async (session) => {
+    if (fs.existsSync(session.temp_path)) {
+        fs.unlinkSync(session.temp_path);
+    }
+    await dbRun('DELETE FROM upload_sessions WHERE id = ?', [session.id]);
+};
+
+const cleanupUploadSessions = async () => {
+    try {
+        const expired = await dbAll(
+            `SELECT * FROM upload_sessions WHERE updated_at <= datetime('now', ?)`,
+            [`-${UPLOAD_SESSION_HOURS} hours`]
+        );
+
+        for (const session of expired) {
+            if (!activeUploadSessions.has(session.id)) {
+                await removeUploadSession(session);
+            }
+        }
+
+        const sessions = await dbAll('SELECT temp_path FROM upload_sessions');
+        const active = new Set(sessions.map(session => path.basename(session.temp_path)));
+        const cutoff = Date.now() - UPLOAD_SESSION_HOURS * 60 * 60 * 1000;
+
+        for (const name of await fs.promises.readdir(partialUploadsDir)) {
+            const partPath = path.join(partialUploadsDir, name);
+            if (!active.has(name) && (await fs.promises.stat(partPath)).mtimeMs < cutoff) {
+                await fs.promises.unlink(partPath);
+            }
+        }
+
+        if (expired.length > 0) {
+            console.log(`Removed ${expired.length} abandoned upload(s)`);
+        }
+    } catch (error) {
+        console.error('Upload cleanup error:', error);
+    }
+};
+
+const canAccessFile = async (user, file) => {
+    const visibility = fileVisibilityClause(user);
+    const row = await dbGet(
+        `SELECT f.id FROM files f WHERE f.id = ? AND ${visibility.clause}`,
+        [file.id, ...visibility.params]
+    );
+    return Boolean(row);
+};
+
+const canManageProject = (user, project) => user.role === 'admin' || project.owner_id === user.id;
+
+const canAccessProject = async (user, projectId) => {
+    if (user.role !== 'employee') {
+        return true;
+    }
+
+    const membership = await dbGet(
+        'SELECT 1 FROM project_members WHERE project_id = ? AND user_id = ?',
+        [projectId, user.id]
+    );
+    return Boolean(membership);
+};
+
+// Foreign keys are enforced, so an unknown assignee has to be rejected before the write
+const checkTaskAssignee = async (assigneeId) => {
+    if (!assigneeId) {
+        return null;
+    }
+
+    const assignee = await dbGet('SELECT id FROM users WHERE id = ? AND is_active = 1', [assigneeId]);
+    return assignee ? null : 'Assignee not found';
+};
+
+const checkTaskProject = async (user, projectId) => {
+    if (!projectId) {
+        return null;
+    }
+
+    const project = await dbGet('SELECT * FROM projects WHERE id = ?', [projectId]);
+    if (!project) {
+        return 'Project not found';
+    }
+
+    if (project.is_archived) {
+        return 'Cannot add tasks to an archived project';
+    }
+
+    if (!await canAccessProject(user, project.id)) {
+        return 'You are not a member of this project';
+    }
+
+    return null;
+};
+
+const attachTaskLabels = async (tasks) => {
+    if (tasks.length === 0) {
+        return tasks;
+    }
+
+    const rows = await dbAll(`
+        SELECT tl.task_id, l.id, l.name, l.color
+        FROM task_labels tl
+        JOIN labels l ON l.id = tl.label_id
+        WHERE tl.task_id IN (${tasks.map(() => '?').join(', ')})
+        ORDER BY l.name
+    `, tasks.map(task => task.id));
+
+    return tasks.map(task => ({
+        ...task,
+        labels: rows
+            .filter(row => row.task_id === task.id)
+            .map(({ task_id, ...label }) => label)
+    }));
+};
+
+const isDateString = (value) => typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(Date.parse(value));
+
+const normalizeViewFilters = (filters) => ({
+    scope: TASK_SCOPES.includes(filters.scope) ? filters.scope : 'all',
+    status: TASK_STATUSES.includes(filters.status) ? filters.status : '',
+    priority: TASK_PRIORITIES.includes(filters.priority) ? filters.priority : '',
+    labels: Array.isArray(filters.labels) ? [...new Set(filters.labels.map(Number).filter(Number.isInteger))] : [],
+    label_match: filters.label_match === 'all' ? 'all' : 'any',
+    due_from: isDateString(filters.due_from) ? filters.due_from : '',
+    due_to: isDateString(filters.due_to) ? filters.due_to : '',
+    overdue: filters.overdue === true,
+    sort: Object.keys(TASK_SORTS).includes(filters.sort) ? filters.sort : 'created',
+    order: SORT_ORDERS.includes(filters.order) ? filters.order : 'desc'
+});
+
+const getSavedView = (viewId) => dbGet(`
+    SELECT v.*, u.name as owner_name, u.department as owner_department
+    FROM saved_views v
+    JOIN users u ON u.id = v.user_id
+    WHERE v.id = ?
+`, [viewId]);
+
+const formatSavedView = (view, user) => {
+    const { owner_department, ...rest } = view;
+    return {
+        ...rest,
+        filters: normalizeViewFilters(JSON.parse(view.filters)),
+        is_shared: Boolean(view.is_shared),
+        is_owner: view.user_id === user.id
+    };
+};
+
+const findMissingLabels = async (labelIds = []) => {
+    const ids = [...new Set(labelIds.map(Number))];
+    if (ids.length === 0) {
+        return [];
+    }
+
+    const labels = await dbAll(`SELECT id FROM labels WHERE id IN (${ids.map(() => '?').join(', ')})`, ids);
+    return ids.filter(id => !labels.some(label => label.id === id));
+};
+
+const setTaskLabels = async (taskId, labelIds = []) => {
+    await dbRun('DELETE FROM task_labels WHERE task_id = ?', [taskId]);
+    for (const labelId of new Set(labelIds.map(Number))) {
+        await dbRun('INSERT INTO task_labels (task_id, label_id) VALUES (?, ?)', [taskId, labelId]);
+    }
+};
+
+const toSqlTimestamp = (value) => new Date(value).toISOString().slice(0, 19).replace('T', ' ');
+const parseSqlTimestamp = (value) => new Date(`${value.replace(' ', 'T')}Z`);
+
+const refreshTaskActualHours = (taskId) => dbRun(
+    `UPDATE tasks SET actual_hours = (
+        SELECT ROUND(SUM(duration_seconds) / 3600.0, 2) FROM time_entries WHERE task_id = ? AND ended_at IS NOT NULL
+     ) WHERE id = ?`,
+    [taskId, taskId]
+);
+
+const getTimeEntry = (entryId) => dbGet(`
+    SELECT te.*, u.name as user_name, t.title as task_title
+    FROM time_entries te
+    JOIN users u ON u.id = te.user_id
+    JOIN tasks t ON t.id = te.task_id
+    WHERE te.id = ?
+`, [entryId]);
+
+const getRunningTimer = (userId) => dbGet(`
+    SELECT te.*, t.title as task_title
+    FROM time_entries te
+    JOIN tasks t ON t.id = te.task_id
+    WHERE te.user_id = ? AND te.ended_at IS NULL
+`, [userId]);
+
+const canEditTimeEntry = (user, entry) => user.role !== 'employee' || entry.user_id === user.id;
+
+const localDateSql = (column, offsetSql) => `date(datetime(${column}, printf('%+d minutes', -(${offsetSql}))))`;
+
+const getTimesheetDays = (week) => {
+    const weekStart = formatDateOnly(new Date(startOfWeek(week ? parseDateOnly(week) : new Date())));
+    return Array.from({ length: 7 }, (_, index) => formatDateOnly(new Date(parseDateOnly(weekStart).getTime() + index * DAY_MS)));
+};
+
+const findLockedTimesheet = (userId, startedAt) => dbGet(`
+    SELECT * FROM timesheets
+    WHERE user_id = ? AND status IN ('submitted', 'approved')
+      AND ${localDateSql('?', 'tz_offset')} BETWEEN week_start AND date(week_start, '+6 days')
+`, [userId, startedAt]);
+
+// Deleting a task cascades to its subtasks' time entries too, so all of them are checked
+const findLockedTaskTimesheet = (taskId) => dbGet(`
+    WITH RECURSIVE task_tree(id) AS (
+        SELECT ?
+        UNION ALL
+        SELECT t.id FROM tasks t JOIN task_tree tt ON t.parent_id = tt.id
+    )
+    SELECT ts.* FROM time_entries te
+    JOIN timesheets ts ON ts.user_id = te.user_id AND ts.status IN ('submitted', 'approved')
+        AND ${localDateSql('te.started_at', 'ts.tz_offset')} BETWEEN ts.week_start AND date(ts.week_start, '+6 days')
+    WHERE te.task_id IN (SELECT id FROM task_tree)
+    ORDER BY ts.week_start
+    LIMIT 1
+`, [taskId]);
+
+const lockedTimesheetError = (timesheet) =>
+    `The timesheet for the week of ${timesheet.week_start} is ${timesheet.status} and can no longer be changed`;
+
+const csvValue = (value) => {
+    let text = value === null || value === undefined ? '' : String(value);
+    if (/^[=+\-@\t]/.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// The triggers keep both indexes in step with their tables, so a full rebuild is only needed when
+// they were created after rows already existed. Rebuilding while the first-run seed inserts are
+// still going through those triggers would also collide on rowids.
+const rebuildSearchIndex = async () => {
+    const counts = await dbGet(`
+        SELECT (SELECT COUNT(*) FROM tasks) as tasks, (SELECT COUNT(*) FROM task_search) as task_search,
+               (SELECT COUNT(*) FROM files) as files, (SELECT COUNT(*) FROM file_search) as file_search
+    `);
+    if (counts.tasks === counts.task_search && counts.files === counts.file_search) {
+        return;
+    }
+
+    console.log('Rebuilding search index');
+    await dbRun('DELETE FROM task_search');
+    await dbRun(`
+        INSERT INTO task_search (rowid, title, description, comments)
+        SELECT t.id, t.title, COALESCE(t.description, ''),
+               COALESCE((SELECT GROUP_CONCAT(c.comment, ' ') FROM task_comments c WHERE c.task_id = t.id), '')
+        FROM tasks t
+    `);
+    await dbRun('DELETE FROM file_search');
+    await dbRun('INSERT INTO file_search (rowid, original_name) SELECT id, original_name FROM files');
+};
+
+const getSearchTerms = (text) => (String(text).match(/[\p{L}\p{N}]+/gu) || []).slice(0, 10);
+
+const buildFtsQuery = (terms) => terms.map(term => `"${term}"*`).join(' ');
+
+const highlightTerms = (text, terms) => {
+    if (!text || terms.length === 0) return text;
+
+    const pattern = new RegExp(`(${terms.join('|')})`, 'giu');
+    return text.replace(pattern, `${SEARCH_MARK_START}$1${SEARCH_MARK_END}`);
+};
+
+const getOpenBlockers = (taskId) => dbAll(
+    `SELECT b.id, b.title, b.status
+     FROM task_dependencies d
+     JOIN tasks b ON b.id = d.blocker_id
+     WHERE d.task_id = ? AND b.status != 'completed'`,
+    [taskId]
+);
+
+const checkBlockers = async (req, task, newStatus) => {
+    if (!['in-progress', 'completed'].includes(newStatus) || newStatus === task.status) {
+        return null;
+    }
+
+    const blockers = await getOpenBlockers(task.id);
+    if (blockers.length === 0) {
+        return null;
+    }
+
+    const canOverride = ['admin', 'manager'].includes(req.user.role);
+    if (canOverride && (req.body.override_blockers === true || req.body.override_blockers === 'true')) {
+        await logActivity(req.user.id, 'dependency_overridden', `Blockers of task "${task.title}" overridden by ${req.user.name}`);
+        return null;
+    }
+
+    return {
+        error: 'Task is blocked by open tasks',
+        blockers,
+        can_override: canOverride
+    };
+};
+
+const normalizeRecurrenceRule = (rule) => (
+    typeof rule === 'string' && rule.trim() ? rule.replace(/\s+/g, '').toUpperCase() : null
+);
+
+// Supported subset of RFC 5545 RRULE: FREQ (DAILY/WEEKLY/MONTHLY), INTERVAL,
+// BYDAY (weekly), BYMONTHDAY (monthly) and either UNTIL or COUNT.
+const parseRecurrenceRule = (rule) => {
+    const normalized = normalizeRecurrenceRule(rule);
+    if (!normalized) return null;
+
+    const parts = {};
+    for (const part of normalized.split(';').filter(Boolean)) {
+        const [key, value] = part.split('=');
+        if (!key || !value || parts[key] !== undefined) return null;
+        parts[key] = value;
+    }
+
+    const allowedKeys = ['FREQ', 'INTERVAL', 'BYDAY', 'BYMONTHDAY', 'UNTIL', 'COUNT'];
+    if (Object.keys(parts).some(key => !allowedKeys.includes(key))) return null;
+    if (!RECURRENCE_FREQUENCIES.includes(parts.FREQ)) return null;
+    if (parts.UNTIL && parts.COUNT) return null;
+
+    const isIntInRange = (value, min, max) => /^\d+$/.test(value) && Number(value) >= min && Number(value) <= max;
+
+    const recurrence = { freq: parts.FREQ, interval: 1, byDay: null, byMonthDay: null, until: null, count: null };
+
+    if (parts.INTERVAL) {
+        if (!isIntInRange(parts.INTERVAL, 1, 365)) return null;
+        recurrence.interval = Number(parts.INTERVAL);
+    }
+
+    if (parts.BYDAY) {
+        const days = parts.BYDAY.split(',');
+        if (recurrence.freq !== 'WEEKLY' || days.some(day => !WEEKDAY_CODES.includes(day))) return null;
+        recurrence.byDay = days.map(day => WEEKDAY_CODES.indexOf(day));
+    }
+
+    if (parts.BYMONTHDAY) {
+        if (recurrence.freq !== 'MONTHLY' || !isIntInRange(parts.BYMONTHDAY, 1, 31)) return null;
+        recurrence.byMonthDay = Number(parts.BYMONTHDAY);
+    }
+
+    if (parts.UNTIL) {
+        const match = parts.UNTIL.match(/^(\d{4})-?(\d{2})-?(\d{2})$/);
+        if (!match || isNaN(Date.parse(`${match[1]}-${match[2]}-${match[3]}`))) return null;
+        recurrence.until = `${match[1]}-${match[2]}-${match[3]}`;
+    }
+
+    if (parts.COUNT) {
+        if (!isIntInRange(parts.COUNT, 1, 1000)) return null;
+        recurrence.count = Number(parts.COUNT);
+    }
+
+    return recurrence;
+};
+
+const isValidRecurrenceRule = (rule) => rule === null || rule === '' || parseRecurrenceRule(rule) !== null;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const parseDateOnly = (value) => new Date(`${value}T00:00:00Z`);
+const formatDateOnly = (date) => date.toISOString().slice(0, 10);
+const startOfWeek = (date) => date.getTime() - ((date.getUTCDay() + 6) % 7) * DAY_MS;
+
+const getNextOccurrenceDate = (recurrence, fromDate) => {
+    const from = parseDateOnly(fromDate);
+
+    if (recurrence.freq === 'DAILY') {
+        return formatDateOnly(new Date(from.getTime() + recurrence.interval * DAY_MS));
+    }
+
+    if (recurrence.freq === 'WEEKLY') {
+        if (!recurrence.byDay) {
+            return formatDateOnly(new Date(from.getTime() + recurrence.interval * 7 * DAY_MS));
+        }
+
+        for (let offset = 1; offset <= (recurrence.interval + 1) * 7; offset++) {
+            const candidate = new Date(from.getTime() + offset * DAY_MS);
+            const weeks = Math.round((startOfWeek(candidate) - startOfWeek(from)) / (7 * DAY_MS));
+            if (weeks % recurrence.interval === 0 && recurrence.byDay.includes(candidate.getUTCDay())) {
+                return formatDateOnly(candidate);
+            }
+        }
+        return null;
+    }
+
+    const day = recurrence.byMonthDay || from.getUTCDate();
+    for (let step = 0; step <= 12; step++) {
+        const month = from.getUTCMonth() + step * recurrence.interval;
+        const lastDay = new Date(Date.UTC(from.getUTCFullYear(), month + 1, 0)).getUTCDate();
+        const candidate = new Date(Date.UTC(from.getUTCFullYear(), month, Math.min(day, lastDay)));
+        if (candidate > from) {
+            return formatDateOnly(candidate);
+        }
+    }
+    return null;
+};
+
+const materializeNextOccurrence = async (task) => {
+    const recurrence = parseRecurrenceRule(task.recurrence_rule);
+    if (!recurrence || !task.due_date) return null;
+
+    const claimed = await dbRun('UPDATE tasks SET recurrence_spawned = 1 WHERE id = ? AND recurrence_spawned = 0', [task.id]);
+    if (claimed.changes === 0) return null;
+
+    // Occurrences whose date has already passed are skipped rather than back-filled
+    const today = formatDateOnly(new Date());
+    let index = task.recurrence_index || 1;
+    let dueDate = task.due_date;
+
+    do {
+        dueDate = getNextOccurrenceDate(recurrence, dueDate);
+        index++;
+
+        if (!dueDate || (recurrence.until && dueDate > recurrence.until) || (recurrence.count && index > recurrence.count)) {
+            return null;
+        }
+    } while (dueDate < today);
+
+    const result = await dbRun(
+        `INSERT INTO tasks (title, description, priority, status, due_date, assignee_id, created_by, estimated_hours,
+                            project_id, recurrence_rule, recurrence_parent_id, recurrence_index)
+         VALUES (?, ?, ?, 'pending', ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [task.title, task.description, task.priority, dueDate, task.assignee_id, task.created_by, task.estimated_hours,
+         task.project_id, task.recurrence_rule, task.recurrence_parent_id || task.id, index]
+    );
+
+    await logActivity(task.created_by, 'task_recurred', `Next occurrence of "${task.title}" scheduled for ${dueDate}`);
+
+    return result.id;
+};
+
+const processRecurringTasks = async () => {
+    try {
+        const tasks = await dbAll(`
+            SELECT * FROM tasks
+            WHERE recurrence_rule IS NOT NULL AND recurrence_spawned = 0
+              AND (status = 'completed' OR due_date < date('now'))
+        `);
+
+        for (const task of tasks) {
+            await materializeNextOccurrence(task);
+        }
+    } catch (error) {
+        console.error('Recurring task scheduler error:', error);
+    }
+};
+
+const ICS_STATUSES = { pending: 'NEEDS-ACTION', 'in-progress': 'IN-PROCESS', completed: 'COMPLETED' };
+const ICS_PRIORITIES = { high: 1, medium: 5, low: 9 };
+
+const escapeIcsText = (value) => String(value || '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+
+const foldIcsLine = (line) => {
+    const chunks = [];
+    let current = '';
+
+    for (const char of line) {
+        if (Buffer.byteLength(current + char) > (chunks.length ? 74 : 75)) {
+            chunks.push(current);
+            current = '';
+        }
+        current += char;
+    }
+    chunks.push(current);
+
+    return chunks.join('\r\n ');
+};
+
+const formatIcsDate = (value) => value.replace(/-/g, '');
+const formatIcsTimestamp = (value) => `${value.replace(' ', 'T').replace(/[-:]/g, '').slice(0, 15)}Z`;
+
+const buildTaskCalendar = (user, tasks, baseUrl) => {
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//Enterprise TaskFlow//Task Feed//EN',
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escapeIcsText(`TaskFlow - ${user.name}`)}`
+    ];
+
+    for (const task of tasks) {
+        const stamp = formatIcsTimestamp(task.updated_at || task.created_at);
+        const common = [
+            `DTSTAMP:${stamp}`,
+            `LAST-MODIFIED:${stamp}`,
+            `SUMMARY:${escapeIcsText(task.title)}`,
+            `PRIORITY:${ICS_PRIORITIES[task.priority] || 0}`,
+            `URL:${baseUrl}/#task=${task.id}`
+        ];
+
+        lines.push(
+            'BEGIN:VTODO',
+            `UID:task-${task.id}@taskflow`,
+            ...common,
+            `DESCRIPTION:${escapeIcsText(task.description)}`,
+            `STATUS:${ICS_STATUSES[task.status] || 'NEEDS-ACTION'}`
+        );
+        if (task.due_date) lines.push(`DUE;VALUE=DATE:${formatIcsDate(task.due_date)}`);
+        if (task.completed_at) lines.push(`COMPLETED:${formatIcsTimestamp(task.completed_at)}`);
+        lines.push(`PERCENT-COMPLETE:${task.status === 'completed' ? 100 : task.progress || 0}`, 'END:VTODO');
+
+        if (task.due_date) {
+            const end = new Date(parseDateOnly(task.due_date).getTime() + DAY_MS);
+            lines.push(
+                'BEGIN:VEVENT',
+                `UID:task-${task.id}-due@taskflow`,
+                ...common,
+                `DESCRIPTION:${escapeIcsText(`Status: ${task.status}, priority: ${task.priority}\n\n${task.description || ''}`.trim())}`,
+                `DTSTART;VALUE=DATE:${formatIcsDate(task.due_date)}`,
+                `DTEND;VALUE=DATE:${formatIcsDate(formatDateOnly(end))}`,
+                'TRANSP:TRANSPARENT',
+                'END:VEVENT'
+            );
+        }
+    }
+
+    lines.push('END:VCALENDAR');
+
+    return lines.map(foldIcsLine).join('\r\n') + '\r\n';
+};
+
+const refreshTaskProgress = async (taskId) => {
+    if (!taskId) return;
+
+    const counts = await dbGet(
+        `SELECT COUNT(*) as total, SUM(CASE WHEN status = 'completed' THEN 1 ELSE 0 END) as completed
+         FROM tasks WHERE parent_id = ?`,
+        [taskId]
+    );
+
+    if (counts.total > 0) {
+        await dbRun(
+            'UPDATE tasks SET progress = ? WHERE id = ?',
+            [Math.round((counts.completed / counts.total) * 100), taskId]
+        );
+    } else {
+        await dbRun(
+            `UPDATE tasks SET progress = CASE WHEN status = 'completed' THEN 100 ELSE 0 END WHERE id = ?`,
+            [taskId]
+        );
+    }
+};
+
+const logActivity = async (userId, activityType, description, ipAddress = null, userAgent = null) => {
+    try {
+        await dbRun(
+            `INSERT INTO activity_logs (user_id, activity_type, description, ip_address, user_agent)
+             VALUES (?, ?, ?, ?, ?)`,
+            [userId, activityType, description, ipAddress, userAgent]
+        );
+    } catch (error) {
+        console.error('Activity logging error:', error);
+    }
+};
+
+app.post('/api/auth/login', [
+    body('email').isEmail().normalizeEmail(),
+    body('password').isLength({ min: 1 })
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const { email, password } = req.body;
+        const ipAddress = req.ip;
+        const userAgent = req.get('User-Agent');
+
+        const user = await dbGet(
+            `SELECT id, email, password_hash, name, role, department, position, avatar_url, is_active, login_attempts, locked_until
+             FROM users WHERE email = ?`,
+            [email]
+        );
+
+        if (!user) {
+            await logActivity(null, 'login_failed', `Failed login attempt for email: ${email}`, ipAddress, userAgent);
+            return res.status(401).json({ error: 'Invalid credentials' });
+        }
+
+        if (user.locked_until && new Date(user.locked_until) > new Date()) {
+            return res.status(423).json({ error: 'Account temporarily locked. Please try again later.' });
+        }
+
+        if (!user.is_active) {
+            return res.status(401).json({ error: 'Account deactivated' });
+        }
+
+        const validPassword = await bcrypt.compare(password, user.password_hash);
+        if (!validPassword) {
+            const newAttempts = user.login_attempts + 1;
+            let lockedUntil = null;
+            
+            if (newAttempts >= 5) {
+                lockedUntil = new Date(Date.now() + 15 * 60 * 1000);
+            }
+
+            await dbRun(
+                'UPDATE users SET login_attempts = ?, locked_until = ? WHERE id = ?',
+                [newAttempts, lockedUntil, user.id]
+            );
+
+            await logActivity(user.id, 'login_failed', `Failed login attempt for user: ${user.name}`, ipAddress, userAgent);
+
+            return res.status(401).json({ error: 'Invalid credentials' });
+        }
+
+        await dbRun(
+            'UPDATE users SET login_attempts = 0, locked_until = NULL, last_login = CURRENT_TIMESTAMP WHERE id = ?',
+            [user.id]
+        );
+
+        const token = jwt.sign(
+            { userId: user.id, email: user.email },
+            JWT_SECRET,
+            { expiresIn: `${SESSION_HOURS}h`, jwtid: crypto.randomBytes(16).toString('hex') }
+        );
+
+        await dbRun(
+            `DELETE FROM user_sessions WHERE user_id = ? AND expires_at <= datetime('now')`,
+            [user.id]
+        );
+
+        await dbRun(
+            `INSERT INTO user_sessions (user_id, token, ip_address, user_agent, expires_at, last_seen_at)
+             VALUES (?, ?, ?, ?, datetime('now', ?), CURRENT_TIMESTAMP)`,
+            [user.id, hashToken(token), ipAddress, userAgent, `+${SESSION_HOURS} hours`]
+        );
+
+        await logActivity(user.id, 'login', `User ${user.name} logged in`, ipAddress, userAgent);
+
+        const { password_hash, login_attempts, locked_until, ...userWithoutPassword } = user;
+        const permissions = await getRolePermissions(user.role);
+        
+        res.json({
+            success: true,
+            token,
+            user: userWithoutPassword,
+            permissions,
+            message: 'Login successful'
+        });
+
+    } catch (error) {
+        console.error('Login error:', error);
+        res.status(500).json({ error: 'System error' });
+    }
+});
+
+app.post('/api/auth/logout', authenticateToken, async (req, res) => {
+    try {
+        await dbRun('UPDATE user_sessions SET is_revoked = 1 WHERE id = ?', [req.sessionId]);
+
+        await logActivity(req.user.id, 'logout', `User ${req.user.name} logged out`, req.ip, req.get('User-Agent'));
+        
+        res.json({ success: true, message: 'Logout successful' });
+    } catch (error) {
+        console.error('Logout error:', error);
+        res.status(500).json({ error: 'System error' });
+    }
+});
+
+app.get('/api/user/sessions', authenticateToken, async (req, res) => {
+    try {
+        const sessions = await dbAll(`
+            SELECT id, ip_address, user_agent, created_at, last_seen_at, expires_at
+            FROM user_sessions
+            WHERE user_id = ? AND is_revoked = 0 AND expires_at > datetime('now')
+            ORDER BY COALESCE(last_seen_at, created_at) DESC
+        `, [req.user.id]);
+
+        res.json({
+            success: true,
+            data: sessions.map(session => ({
+                ...session,
+                device: describeDevice(session.user_agent),
+                current: session.id === req.sessionId
+            }))
+        });
+    } catch (error) {
+        console.error('Sessions fetch error:', error);
+        res.status(500).json({ error: 'Failed to load sessions' });
+    }
+});
+
+app.delete('/api/user/sessions/:id', authenticateToken, async (req, res) => {
+    try {
+        const result = await dbRun(
+            'UPDATE user_sessions SET is_revoked = 1 WHERE id = ? AND user_id = ? AND is_revoked = 0',
+            [req.params.id, req.user.id]
+        );
+
+        if (result.changes === 0) {
+            return res.status(404).json({ error: 'Session not found' });
+        }
+
+        await logActivity(req.user.id, 'session_revoked', `Session signed out by ${req.user.name}`, req.ip, req.get('User-Agent'));
+
+        res.json({ success: true, message: 'Session signed out successfully' });
+    } catch (error) {
+        console.error('Session revoke error:', error);
+        res.status(500).json({ error: 'Failed to sign out session' });
+    }
+});
+
+app.get('/api/users', authenticateToken, requirePermission('view_users'), paginationRules(USER_SORTS), async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const page = await queryPage(`
+            SELECT u.id, u.email, u.name, u.role, u.department, u.position, u.avatar_url, u.phone,
+                   u.is_active, u.created_at, u.last_login
+            FROM users u
+        `, [], req.query, USER_SORTS, 'created', 'u.id');
+        
+        res.json({ success: true, data: page.rows, pagination: page.pagination });
+    } catch (error) {
+        console.error('Users fetch error:', error);
+        res.status(500).json({ error: 'Failed to load users' });
+    }
+});
+
+app.post('/api/users', authenticateToken, requirePermission('add_users'), [
+    body('email').isEmail().normalizeEmail(),
+    body('password').isLength({ min: 8 }),
+    body('name').notEmpty(),
+    body('role').isIn(['admin', 'manager', 'employee'])
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const { email, password, name, role, department, position, phone, avatar_url } = req.body;
+
+        if (role === 'admin' && req.user.role !== 'admin') {
+            return res.status(403).json({ error: 'Admin access required' });
+        }
+
+        if (role === 'admin') {
+            const existingAdmin = await dbGet('SELECT id FROM users WHERE role = ?', ['admin']);
+            if (existingAdmin) {
+                return res.status(400).json({ error: 'Only one administrator account is allowed in the system' });
+            }
+        }
+
+        const existingUser = await dbGet('SELECT id FROM users WHERE email = ?', [email]);
+        if (existingUser) {
+            return res.status(400).json({ error: 'User already exists' });
+        }
+
+        const passwordHash = await bcrypt.hash(password, SALT_ROUNDS);
+
+        const result = await dbRun(
+            `INSERT INTO users (email, password_hash, name, role, department, position, phone, avatar_url, created_by)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [email, passwordHash, name, role, department, position, phone, avatar_url || 'https://i.imgur.com/RpGGkQ1.png', req.user.id]
+        );
+
+        await dbRun(`INSERT INTO user_profiles (user_id) VALUES (?)`, [result.id]);
+
+        const newUser = await dbGet(
+            `SELECT id, email, name, role, department, position, avatar_url, phone, is_active, created_at
+             FROM users WHERE id = ?`,
+            [result.id]
+        );
+
+        await logActivity(req.user.id, 'user_created', `User ${name} created by ${req.user.name}`);
+
+        res.status(201).json({
+            success: true,
+            data: newUser,
+            message: 'User created successfully'
+        });
+
+    } catch (error) {
+        console.error('User creation error:', error);
+        res.status(500).json({ error: 'Failed to create user' });
+    }
+});
+
+app.put('/api/users/:id', authenticateToken, requirePermission('edit_users'), [
+    body('name').notEmpty(),
+    body('role').isIn(['admin', 'manager', 'employee'])
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const { name, role, department, position, phone, avatar_url, is_active } = req.body;
+        const userId = req.params.id;
+
+        const targetUser = await dbGet('SELECT id, role, is_active FROM users WHERE id = ?', [userId]);
+        if (!targetUser) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        if (role !== targetUser.role && req.user.role !== 'admin' || !canManageUser(req.user, targetUser)) {
+            return res.status(403).json({ error: 'Admin access required' });
+        }
+
+        if (userId == req.user.id && ((req.user.role === 'admin' && role !== 'admin') || is_active === false)) {
+            return res.status(400).json({ error: 'Cannot modify your own admin role or deactivate your own account' });
+        }
+
+        if (is_active !== undefined && Boolean(is_active) !== Boolean(targetUser.is_active)) {
+            const permissions = await getRolePermissions(req.user.role);
+            if (!permissions.remove_users) {
+                return res.status(403).json({ error: 'Insufficient permissions', permission: 'remove_users' });
+            }
+        }
+
+        if (role === 'admin') {
+            const existingAdmin = await dbGet('SELECT id FROM users WHERE role = ? AND id != ?', ['admin', userId]);
+            if (existingAdmin) {
+                return res.status(400).json({ error: 'Only one administrator account is allowed in the system' });
+            }
+        }
+
+        await dbRun(
+            `UPDATE users 
+             SET name = ?, role = ?, department = ?, position = ?, phone = ?, avatar_url = ?, is_active = ?, updated_at = CURRENT_TIMESTAMP
+             WHERE id = ?`,
+            [name, role, department, position, phone, avatar_url, is_active === undefined ? targetUser.is_active : is_active, userId]
+        );
+
+        const updatedUser = await dbGet(
+            `SELECT id, email, name, role, department, position, avatar_url, phone, is_active, created_at
+             FROM users WHERE id = ?`,
+            [userId]
+        );
+
+        if (is_active === false || is_active === 0) {
+            await revokeUserSessions(userId);
+        }
+
+        await logActivity(req.user.id, 'user_updated', `User ${name} updated by ${req.user.name}`);
+
+        res.json({
+            success: true,
+            data: updatedUser,
+            message: 'User updated successfully'
+        });
+
+    } catch (error) {
+        console.error('User update error:', error);
+        res.status(500).json({ error: 'Failed to update user' });
+    }
+});
+
+app.get('/api/dashboard/stats', authenticateToken, async (req, res) => {
+    try {
+        const { project } = req.query;
+        const visibility = taskVisibilityClause(req.user);
+
+        if (project && !await canAccessProject(req.user, project)) {
+            return res.status(403).json({ error: 'Access denied' });
+        }
+
+        let query = `
+            SELECT 
+                COUNT(*) as total_tasks,
+                SUM(CASE WHEN status = 'pending' THEN 1 ELSE 0 END) as pending_tasks,
+                SUM(CASE WHEN status = 'in-progress' THEN 1 ELSE 0 END) as in_progress_tasks,
+                SUM(CASE WHEN status = 'completed' THEN 1 ELSE 0 END) as completed_tasks,
+                SUM(CASE WHEN status != 'completed' AND due_date < date('now') THEN 1 ELSE 0 END) as overdue_tasks
+            FROM tasks t
+            WHERE ${visibility.clause}
+        `;
+
+        let params = [...visibility.params];
+
+        if (req.query.exclude_subtasks === '1') {
+            query += ' AND t.parent_id IS NULL';
+        }
+
+        if (project) {
+            query += ' AND t.project_id = ?';
+            params.push(project);
+        }
+
+        const stats = await dbGet(query, params);
+
+        const safeStats = {
+            total_tasks: stats.total_tasks || 0,
+            pending_tasks: stats.pending_tasks || 0,
+            in_progress_tasks: stats.in_progress_tasks || 0,
+            completed_tasks: stats.completed_tasks || 0,
+            overdue_tasks: stats.overdue_tasks || 0
+        };
+
+        let recentTasksQuery = `
+            SELECT t.*, u.name as assignee_name, u.avatar_url as assignee_avatar,
+                   p.name as project_name, p.color as project_color,
+                   (SELECT COUNT(*) FROM tasks st WHERE st.parent_id = t.id) as subtask_count,
+                   (SELECT COUNT(*) FROM tasks st WHERE st.parent_id = t.id AND st.status = 'completed') as subtasks_completed,
+                   (SELECT COUNT(*) FROM task_dependencies d JOIN tasks b ON b.id = d.blocker_id
+                    WHERE d.task_id = t.id AND b.status != 'completed') as open_blocker_count
+            FROM tasks t
+            LEFT JOIN users u ON t.assignee_id = u.id
+            LEFT JOIN projects p ON t.project_id = p.id
+            WHERE ${visibility.clause} AND t.parent_id IS NULL
+        `;
+        let recentTasksParams = [...visibility.params];
+
+        if (project) {
+            recentTasksQuery += ' AND t.project_id = ?';
+            recentTasksParams.push(project);
+        }
+
+        recentTasksQuery += ' ORDER BY t.created_at DESC LIMIT 5';
+        const recentTasks = await attachTaskLabels(await dbAll(recentTasksQuery, recentTasksParams));
+
+        res.json({
+            success: true,
+            data: {
+                stats: safeStats,
+                recentTasks: recentTasks || []
+            }
+        });
+
+    } catch (error) {
+        console.error('Stats error:', error);
+        res.status(500).json({ error: 'Failed to load stats' });
+    }
+});
+
+const loadProjectMembers = async (projects) => {
+    if (projects.length === 0) {
+        return projects;
+    }
+
+    const members = await dbAll(`
+        SELECT pm.project_id, u.id, u.name, u.avatar_url
+        FROM project_members pm
+        JOIN users u ON u.id = pm.user_id
+        WHERE pm.project_id IN (${projects.map(() => '?').join(', ')})
+        ORDER BY u.name
+    `, projects.map(project => project.id));
+
+    return projects.map(project => ({
+        ...project,
+        members: members
+            .filter(member => member.project_id === project.id)
+            .map(({ project_id, ...member }) => member)
+    }));
+};
+
+const getProjectWithDetails = async (projectId) => {
+    const project = await dbGet(`
+        SELECT p.*, u.name as owner_name
+        FROM projects p
+        LEFT JOIN users u ON p.owner_id = u.id
+        WHERE p.id = ?
+    `, [projectId]);
+
+    if (!project) {
+        return null;
+    }
+
+    const [withMembers] = await loadProjectMembers([project]);
+    return withMembers;
+};
+
+const setProjectMembers = async (projectId, ownerId, memberIds = []) => {
+    const userIds = [...new Set([...memberIds.map(Number), Number(ownerId)])];
+
+    await dbRun('DELETE FROM project_members WHERE project_id = ?', [projectId]);
+    for (const userId of userIds) {
+        await dbRun('INSERT INTO project_members (project_id, user_id) VALUES (?, ?)', [projectId, userId]);
+    }
+};
+
+const findInactiveUsers = async (userIds = []) => {
+    const ids = [...new Set(userIds.map(Number))];
+    if (ids.length === 0) {
+        return [];
+    }
+
+    const users = await dbAll(
+        `SELECT id FROM users WHERE is_active = 1 AND id IN (${ids.map(() => '?').join(', ')})`,
+        ids
+    );
+    return ids.filter(id => !users.some(user => user.id === id));
+};
+
+app.get('/api/projects', authenticateToken, async (req, res) => {
+    try {
+        let query = `
+            SELECT p.*, u.name as owner_name,
+                   (SELECT COUNT(*) FROM tasks t WHERE t.project_id = p.id AND t.parent_id IS NULL) as task_count,
+                   (SELECT COUNT(*) FROM tasks t WHERE t.project_id = p.id AND t.parent_id IS NULL AND t.status = 'completed') as completed_count
+            FROM projects p
+            LEFT JOIN users u ON p.owner_id = u.id
+        `;
+        const whereClauses = [];
+        const params = [];
+
+        if (req.query.include_archived !== '1') {
+            whereClauses.push('p.is_archived = 0');
+        }
+
+        if (req.user.role === 'employee') {
+            whereClauses.push('p.id IN (SELECT project_id FROM project_members WHERE user_id = ?)');
+            params.push(req.user.id);
+        }
+
+        if (whereClauses.length > 0) {
+            query += ' WHERE ' + whereClauses.join(' AND ');
+        }
+
+        query += ' ORDER BY p.is_archived, p.name';
+
+        const projects = await loadProjectMembers(await dbAll(query, params));
+
+        res.json({ success: true, data: projects });
+    } catch (error) {
+        console.error('Projects fetch error:', error);
+        res.status(500).json({ error: 'Failed to load projects' });
+    }
+});
+
+app.get('/api/projects/:id', authenticateToken, async (req, res) => {
+    try {
+        const project = await getProjectWithDetails(req.params.id);
+        if (!project) {
+            return res.status(404).json({ error: 'Project not found' });
+        }
+
+        if (!await canAccessProject(req.user, project.id)) {
+            return res.status(403).json({ error: 'Access denied' });
+        }
+
+        res.json({ success: true, data: project });
+    } catch (error) {
+        console.error('Project fetch error:', error);
+        res.status(500).json({ error: 'Failed to load project' });
+    }
+});
+
+app.post('/api/projects', authenticateToken, [
+    body('name').trim().notEmpty(),
+    body('description').optional({ nullable: true }).isString(),
+    body('color').optional().matches(/^#[0-9a-fA-F]{6}$/),
+    body('member_ids').optional().isArray(),
+    body('member_ids.*').isInt()
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        if (req.user.role === 'employee') {
+            return res.status(403).json({ error: 'Only managers and administrators can create projects' });
+        }
+
+        const { name, description, color, member_ids } = req.body;
+
+        if ((await findInactiveUsers(member_ids)).length > 0) {
+            return res.status(400).json({ error: 'One or more members were not found' });
+        }
+
+        const result = await dbRun(
+            'INSERT INTO projects (name, description, owner_id, color) VALUES (?, ?, ?, ?)',
+            [name, description || null, req.user.id, color || '#3b82f6']
+        );
+
+        await setProjectMembers(result.id, req.user.id, member_ids);
+
+        await logActivity(req.user.id, 'project_created', `Project "${name}" created by ${req.user.name}`);
+
+        res.status(201).json({
+            success: true,
+            data: await getProjectWithDetails(result.id),
+            message: 'Project created successfully'
+        });
+
+    } catch (error) {
+        console.error('Project creation error:', error);
+        res.status(500).json({ error: 'Failed to create project' });
+    }
+});
+
+app.put('/api/projects/:id', authenticateToken, [
+    body('name').optional().trim().notEmpty(),
+    body('description').optional({ nullable: true }).isString(),
+    body('color').optional().matches(/^#[0-9a-fA-F]{6}$/),
+    body('owner_id').optional().isInt(),
+    body('is_archived').optional().isBoolean(),
+    body('member_ids').optional().isArray(),
+    body('member_ids.*').isInt()
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const project = await dbGet('SELECT * FROM projects WHERE id = ?', [req.params.id]);
+        if (!project) {
+            return res.status(404).json({ error: 'Project not found' });
+        }
+
+        if (!canManageProject(req.user, project)) {
+            return res.status(403).json({ error: 'Only the project owner or an administrator can change this project' });
+        }
+
+        const ownerId = req.body.owner_id === undefined ? project.owner_id : Number(req.body.owner_id);
+        if ((await findInactiveUsers([ownerId, ...(req.body.member_ids || [])])).length > 0) {
+            return res.status(400).json({ error: 'One or more members were not found' });
+        }
+
+        const name = req.body.name === undefined ? project.name : req.body.name;
+        const description = req.body.description === undefined ? project.description : req.body.description;
+        const color = req.body.color || project.color;
+        const isArchived = req.body.is_archived === undefined ? project.is_archived : (req.body.is_archived === true || req.body.is_archived === 'true' ? 1 : 0);
+
+        await dbRun(
+            `UPDATE projects
+             SET name = ?, description = ?, color = ?, owner_id = ?, is_archived = ?, updated_at = CURRENT_TIMESTAMP
+             WHERE id = ?`,
+            [name, description, color, ownerId, isArchived, project.id]
+        );
+
+        if (req.body.member_ids !== undefined) {
+            await setProjectMembers(project.id, ownerId, req.body.member_ids);
+        } else if (ownerId !== project.owner_id) {
+            await dbRun('INSERT OR IGNORE INTO project_members (project_id, user_id) VALUES (?, ?)', [project.id, ownerId]);
+        }
+
+        await logActivity(req.user.id, 'project_updated', `Project "${name}" updated by ${req.user.name}`);
+
+        res.json({
+            success: true,
+            data: await getProjectWithDetails(project.id),
+            message: 'Project updated successfully'
+        });
+
+    } catch (error) {
+        console.error('Project update error:', error);
+        res.status(500).json({ error: 'Failed to update project' });
+    }
+});
+
+app.delete('/api/projects/:id', authenticateToken, async (req, res) => {
+    try {
+        const project = await dbGet('SELECT * FROM projects WHERE id = ?', [req.params.id]);
+        if (!project) {
+            return res.status(404).json({ error: 'Project not found' });
+        }
+
+        if (!canManageProject(req.user, project)) {
+            return res.status(403).json({ error: 'Only the project owner or an administrator can delete this project' });
+        }
+
+        await dbRun('DELETE FROM projects WHERE id = ?', [project.id]);
+
+        await logActivity(req.user.id, 'project_deleted', `Project "${project.name}" deleted by ${req.user.name}`);
+
+        res.json({ success: true, message: 'Project deleted successfully' });
+
+    } catch (error) {
+        console.error('Project delete error:', error);
+        res.status(500).json({ error: 'Failed to delete project' });
+    }
+});
+
+app.get('/api/labels', authenticateToken, async (req, res) => {
+    try {
+        const labels = await dbAll(`
+            SELECT l.*, (SELECT COUNT(*) FROM task_labels tl WHERE tl.label_id = l.id) as usage_count
+            FROM labels l
+            ORDER BY l.name
+        `);
+
+        res.json({ success: true, data: labels });
+    } catch (error) {
+        console.error('Labels fetch error:', error);
+        res.status(500).json({ error: 'Failed to load labels' });
+    }
+});
+
+app.post('/api/labels', authenticateToken, requireManager, [
+    body('name').trim().notEmpty().isLength({ max: 50 }),
+    body('color').optional().matches(/^#[0-9a-fA-F]{6}$/)
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const { name, color } = req.body;
+
+        const existingLabel = await dbGet('SELECT id FROM labels WHERE name = ?', [name]);
+        if (existingLabel) {
+            return res.status(400).json({ error: 'A label with this name already exists' });
+        }
+
+        const result = await dbRun(
+            'INSERT INTO labels (name, color, created_by) VALUES (?, ?, ?)',
+            [name, color || '#64748b', req.user.id]
+        );
+
+        await logActivity(req.user.id, 'label_created', `Label "${name}" created by ${req.user.name}`);
+
+        res.status(201).json({
+            success: true,
+            data: await dbGet('SELECT *, 0 as usage_count FROM labels WHERE id = ?', [result.id]),
+            message: 'Label created successfully'
+        });
+
+    } catch (error) {
+        console.error('Label creation error:', error);
+        res.status(500).json({ error: 'Failed to create label' });
+    }
+});
+
+app.put('/api/labels/:id', authenticateToken, requireManager, [
+    body('name').optional().trim().notEmpty().isLength({ max: 50 }),
+    body('color').optional().matches(/^#[0-9a-fA-F]{6}$/)
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const label = await dbGet('SELECT * FROM labels WHERE id = ?', [req.params.id]);
+        if (!label) {
+            return res.status(404).json({ error: 'Label not found' });
+        }
+
+        const name = req.body.name || label.name;
+        const color = req.body.color || label.color;
+
+        const duplicate = await dbGet('SELECT id FROM labels WHERE name = ? AND id != ?', [name, label.id]);
+        if (duplicate) {
+            return res.status(400).json({ error: 'A label with this name already exists' });
+        }
+
+        await dbRun('UPDATE labels SET name = ?, color = ? WHERE id = ?', [name, color, label.id]);
+
+        await logActivity(req.user.id, 'label_updated', `Label "${name}" updated by ${req.user.name}`);
+
+        res.json({
+            success: true,
+            data: await dbGet(`
+                SELECT l.*, (SELECT COUNT(*) FROM task_labels tl WHERE tl.label_id = l.id) as usage_count
+                FROM labels l WHERE l.id = ?
+            `, [label.id]),
+            message: 'Label updated successfully'
+        });
+
+    } catch (error) {
+        console.error('Label update error:', error);
+        res.status(500).json({ error: 'Failed to update label' });
+    }
+});
+
+app.delete('/api/labels/:id', authenticateToken, requireManager, async (req, res) => {
+    try {
+        const label = await dbGet('SELECT * FROM labels WHERE id = ?', [req.params.id]);
+        if (!label) {
+            return res.status(404).json({ error: 'Label not found' });
+        }
+
+        await dbRun('DELETE FROM labels WHERE id = ?', [label.id]);
+
+        await logActivity(req.user.id, 'label_deleted', `Label "${label.name}" deleted by ${req.user.name}`);
+
+        res.json({ success: true, message: 'Label deleted successfully' });
+
+    } catch (error) {
+        console.error('Label delete error:', error);
+        res.status(500).json({ error: 'Failed to delete label' });
+    }
+});
+
+app.get('/api/tasks', authenticateToken, [
+    query('status').optional().isIn(TASK_STATUSES),
+    query('priority').optional().isIn(TASK_PRIORITIES),
+    query('assignee').optional().custom(value => value === 'me' || /^\d+$/.test(value)),
+    query('created_by').optional().custom(value => value === 'me' || /^\d+$/.test(value)),
+    query('due_from').optional().isDate(),
+    query('due_to').optional().isDate(),
+    query('overdue').optional().isIn(['0', '1']),
+    ...paginationRules(TASK_SORTS)
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const { status, priority, assignee, created_by, project, labels, label_match, due_from, due_to, overdue, include_subtasks } = req.query;
+
+        let query = `
+            SELECT t.*, 
+                   u_assignee.name as assignee_name,
+                   u_assignee.avatar_url as assignee_avatar,
+                   u_creator.name as creator_name,
+                   parent.title as parent_title,
+                   p.name as project_name,
+                   p.color as project_color,
+                   (SELECT COUNT(*) FROM tasks st WHERE st.parent_id = t.id) as subtask_count,
+                   (SELECT COUNT(*) FROM tasks st WHERE st.parent_id = t.id AND st.status = 'completed') as subtasks_completed,
+                   (SELECT COUNT(*) FROM task_dependencies d JOIN tasks b ON b.id = d.blocker_id
+                    WHERE d.task_id = t.id AND b.status != 'completed') as open_blocker_count
+            FROM tasks t
+            LEFT JOIN users u_assignee ON t.assignee_id = u_assignee.id
+            LEFT JOIN users u_creator ON t.created_by = u_creator.id
+            LEFT JOIN tasks parent ON t.parent_id = parent.id
+            LEFT JOIN projects p ON t.project_id = p.id
+        `;
+        
+        const visibility = taskVisibilityClause(req.user);
+        let whereClauses = [visibility.clause];
+        let params = [...visibility.params];
+
+        if (include_subtasks !== '1') {
+            const parentVisibility = ownTaskClause(req.user, 'parent');
+            whereClauses.push(`(t.parent_id IS NULL OR NOT (${parentVisibility.clause}))`);
+            params.push(...parentVisibility.params);
+        }
+
+        if (status) {
+            whereClauses.push('t.status = ?');
+            params.push(status);
+        }
+
+        if (priority) {
+            whereClauses.push('t.priority = ?');
+            params.push(priority);
+        }
+
+        if (assignee) {
+            whereClauses.push('t.assignee_id = ?');
+            params.push(assignee === 'me' ? req.user.id : assignee);
+        }
+
+        if (created_by) {
+            whereClauses.push('t.created_by = ?');
+            params.push(created_by === 'me' ? req.user.id : created_by);
+        }
+
+        if (project) {
+            whereClauses.push('t.project_id = ?');
+            params.push(project);
+        }
+
+        if (due_from) {
+            whereClauses.push('t.due_date >= ?');
+            params.push(due_from);
+        }
+
+        if (due_to) {
+            whereClauses.push('t.due_date <= ?');
+            params.push(due_to);
+        }
+
+        if (overdue === '1') {
+            whereClauses.push("t.status != 'completed' AND t.due_date < date('now')");
+        }
+
+        const labelIds = labels ? [...new Set(String(labels).split(',').map(Number).filter(Number.isInteger))] : [];
+        if (labelIds.length > 0) {
+            const placeholders = labelIds.map(() => '?').join(', ');
+
+            if (label_match === 'all') {
+                whereClauses.push(`(SELECT COUNT(*) FROM task_labels tl WHERE tl.task_id = t.id AND tl.label_id IN (${placeholders})) = ?`);
+                params.push(...labelIds, labelIds.length);
+            } else {
+                whereClauses.push(`EXISTS (SELECT 1 FROM task_labels tl WHERE tl.task_id = t.id AND tl.label_id IN (${placeholders}))`);
+                params.push(...labelIds);
+            }
+        }
+
+        if (whereClauses.length > 0) {
+            query += ' WHERE ' + whereClauses.join(' AND ');
+        }
+
+        const page = await queryPage(query, params, req.query, TASK_SORTS, 'created', 't.id');
+        const tasks = await attachTaskLabels(page.rows);
+        
+        res.json({
+            success: true,
+            data: tasks,
+            pagination: page.pagination
+        });
+
+    } catch (error) {
+        console.error('Tasks fetch error:', error);
+        res.status(500).json({ error: 'Failed to load tasks' });
+    }
+});
+
+app.post('/api/tasks', authenticateToken, requirePermission('create_task'), [
+    body('title').notEmpty(),
+    body('priority').isIn(TASK_PRIORITIES),
+    body('status').optional().isIn(TASK_STATUSES),
+    body('due_date').isDate(),
+    body('assignee_id').optional({ nullable: true }).isInt(),
+    body('project_id').optional({ nullable: true }).isInt(),
+    body('label_ids').optional().isArray(),
+    body('label_ids.*').isInt(),
+    body('recurrence_rule').optional({ nullable: true }).custom(isValidRecurrenceRule).withMessage('Invalid recurrence rule')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const { title, description, priority, status, due_date, assignee_id, estimated_hours, project_id, label_ids } = req.body;
+        const recurrenceRule = normalizeRecurrenceRule(req.body.recurrence_rule);
+
+        const assigneeError = await checkTaskAssignee(assignee_id);
+        if (assigneeError) {
+            return res.status(400).json({ error: assigneeError });
+        }
+
+        const projectError = await checkTaskProject(req.user, project_id);
+        if (projectError) {
+            return res.status(400).json({ error: projectError });
+        }
+
+        if ((await findMissingLabels(label_ids)).length > 0) {
+            return res.status(400).json({ error: 'One or more labels were not found' });
+        }
+
+        const result = await dbRun(
+            `INSERT INTO tasks (title, description, priority, status, due_date, assignee_id, created_by, estimated_hours, project_id, recurrence_rule, completed_at)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, CASE WHEN ? = 'completed' THEN CURRENT_TIMESTAMP END)`,
+            [title, description, priority, status || 'pending', due_date, assignee_id || null, req.user.id, estimated_hours, project_id || null, recurrenceRule, status]
+        );
+
+        await refreshTaskProgress(result.id);
+        await setTaskLabels(result.id, label_ids);
+
+        if (status === 'completed') {
+            await materializeNextOccurrence(await dbGet('SELECT * FROM tasks WHERE id = ?', [result.id]));
+        }
+
+        const [newTask] = await attachTaskLabels([await dbGet(`
+            SELECT t.*, u.name as assignee_name, uc.name as creator_name
+            FROM tasks t
+            LEFT JOIN users u ON t.assignee_id = u.id
+            LEFT JOIN users uc ON t.created_by = uc.id
+            WHERE t.id = ?
+        `, [result.id])]);
+
+        await logActivity(req.user.id, 'task_created', `Task "${title}" created by ${req.user.name}`);
+
+        res.status(201).json({
+            success: true,
+            data: newTask,
+            message: 'Task created successfully'
+        });
+
+    } catch (error) {
+        console.error('Task creation error:', error);
+        res.status(500).json({ error: 'Failed to create task' });
+    }
+});
+
+// PUT and PATCH validate the same fields; any field left out keeps its stored value.
+const taskUpdateValidation = [
+    body('title').optional().trim().notEmpty(),
+    body('description').optional({ nullable: true }).isString(),
+    body('priority').optional().isIn(TASK_PRIORITIES),
+    body('status').optional().isIn(TASK_STATUSES),
+    body('due_date').optional({ nullable: true }).isDate(),
+    body('assignee_id').optional({ nullable: true }).isInt(),
+    body('estimated_hours').optional({ nullable: true }).isFloat({ min: 0 }),
+    body('project_id').optional({ nullable: true }).isInt(),
+    body('label_ids').optional().isArray(),
+    body('label_ids.*').isInt(),
+    body('recurrence_rule').optional({ nullable: true }).custom(isValidRecurrenceRule).withMessage('Invalid recurrence rule')
+];
+
+app.put('/api/tasks/:id', authenticateToken, requirePermission('edit_task'), taskUpdateValidation, async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const taskId = req.params.id;
+
+        const existingTask = await dbGet('SELECT * FROM tasks WHERE id = ?', [taskId]);
+        if (!existingTask) {
+            return res.status(404).json({ error: 'Task not found' });
+        }
+
+        if (!await canAccessTask(req.user, existingTask)) {
+            return res.status(403).json({ error: 'Access denied' });
+        }
+
+        const { title, description, priority, status, due_date, assignee_id, estimated_hours } = {
+            ...existingTask,
+            ...Object.fromEntries(Object.entries(req.body).filter(([, value]) => value !== undefined))
+        };
+
+        const assigneeError = assignee_id != existingTask.assignee_id && await checkTaskAssignee(assignee_id);
+        if (assigneeError) {
+            return res.status(400).json({ error: assigneeError });
+        }
+
+        const recurrenceRule = req.body.recurrence_rule === undefined
+            ? existingTask.recurrence_rule
+            : normalizeRecurrenceRule(req.body.recurrence_rule);
+
+        if (recurrenceRule && existingTask.parent_id) {
+            return res.status(400).json({ error: 'Subtasks cannot recur' });
+        }
+
+        const projectId = req.body.project_id === undefined ? existingTask.project_id : (req.body.project_id || null);
+        if (projectId != existingTask.project_id) {
+            if (existingTask.parent_id) {
+                return res.status(400).json({ error: 'Subtasks inherit the project of their parent task' });
+            }
+
+            const projectError = await checkTaskProject(req.user, projectId);
+            if (projectError) {
+                return res.status(400).json({ error: projectError });
+            }
+        }
+
+        if ((await findMissingLabels(req.body.label_ids)).length > 0) {
+            return res.status(400).json({ error: 'One or more labels were not found' });
+        }
+
+        const blocked = await checkBlockers(req, existingTask, status);
+        if (blocked) {
+            return res.status(409).json(blocked);
+        }
+
+        await dbRun(
+            `UPDATE tasks 
+             SET title = ?, description = ?, priority = ?, status = ?, due_date = ?, assignee_id = ?, 
+                 estimated_hours = ?, project_id = ?, recurrence_rule = ?, updated_at = CURRENT_TIMESTAMP,
+                 completed_at = CASE WHEN ? = 'completed' THEN COALESCE(completed_at, CURRENT_TIMESTAMP) END
+             WHERE id = ?`,
+            [title, description, priority, status, due_date, assignee_id || null, estimated_hours, projectId, recurrenceRule, status, taskId]
+        );
+
+        if (projectId != existingTask.project_id) {
+            await dbRun('UPDATE tasks SET project_id = ? WHERE parent_id = ?', [projectId, taskId]);
+        }
+
+        if (req.body.label_ids !== undefined) {
+            await setTaskLabels(taskId, req.body.label_ids);
+        }
+
+        await refreshTaskProgress(existingTask.parent_id);
+        await refreshTaskProgress(taskId);
+
+        if (status === 'completed') {
+            await materializeNextOccurrence(await dbGet('SELECT * FROM tasks WHERE id = ?', [taskId]));
+        }
+
+        const [updatedTask] = await attachTaskLabels([await dbGet(`
+            SELECT t.*, u.name as assignee_name, uc.name as creator_name
+            FROM tasks t
+            LEFT JOIN users u ON t.assignee_id = u.id
+            LEFT JOIN users uc ON t.created_by = uc.id
+            WHERE t.id = ?
+        `, [taskId])]);
+
+        await logActivity(req.user.id, 'task_updated', `Task "${title}" updated by ${req.user.name}`);
+
+        res.json({
+            success: true,
+            data: updatedTask,
+            message: 'Task updated successfully'
+        });
+
+    } catch (error) {
+        console.error('Task update error:', error);
+        res.status(500).json({ error: 'Failed to update task' });
+    }
+});
+
+app.patch('/api/tasks/:id', authenticateToken, requirePermission('edit_task'), taskUpdateValidation, async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const taskId = req.params.id;
+        const updatesLabels = req.body.label_ids !== undefined;
+        const updatableFields = ['title', 'description', 'priority', 'status', 'due_date', 'assignee_id', 'estimated_hours', 'project_id', 'recurrence_rule'];
+        const changedFields = updatableFields.filter(field => Object.prototype.hasOwnProperty.call(req.body, field));
+
+        if (changedFields.length === 0 && !updatesLabels) {
+            return res.status(400).json({ error: 'No updatable fields supplied' });
+        }
+
+        const existingTask = await dbGet('SELECT * FROM tasks WHERE id = ?', [taskId]);
+        if (!existingTask) {
+            return res.status(404).json({ error: 'Task not found' });
+        }
+
+        if (!await canAccessTask(req.user, existingTask)) {
+            return res.status(403).json({ error: 'Access denied' });
+        }
+
+        if (changedFields.includes('assignee_id')) {
+            req.body.assignee_id = req.body.assignee_id || null;
+
+            const assigneeError = await checkTaskAssignee(req.body.assignee_id);
+            if (assigneeError) {
+                return res.status(400).json({ error: assigneeError });
+            }
+        }
+
+        if (changedFields.includes('project_id')) {
+            req.body.project_id = req.body.project_id || null;
+
+            if (existingTask.parent_id && req.body.project_id != existingTask.project_id) {
+                return res.status(400).json({ error: 'Subtasks inherit the project of their parent task' });
+            }
+
+            const projectError = await checkTaskProject(req.user, req.body.project_id);
+            if (projectError) {
+                return res.status(400).json({ error: projectError });
+            }
+        }
+
+        if (updatesLabels && (await findMissingLabels(req.body.label_ids)).length > 0) {
+            return res.status(400).json({ error: 'One or more labels were not found' });
+        }
+
+        if (changedFields.includes('recurrence_rule')) {
+            req.body.recurrence_rule = normalizeRecurrenceRule(req.body.recurrence_rule);
+
+            if (req.body.recurrence_rule && existingTask.parent_id) {
+                return res.status(400).json({ error: 'Subtasks cannot recur' });
+            }
+        }
+
+        if (changedFields.includes('status')) {
+            const blocked = await checkBlockers(req, existingTask, req.body.status);
+            if (blocked) {
+                return res.status(409).json(blocked);
+            }
+        }
+
+        const setClauses = changedFields.map(field => `${field} = ?`);
+        const params = changedFields.map(field => req.body[field]);
+
+        if (changedFields.includes('status')) {
+            if (req.body.status === 'completed' && existingTask.status !== 'completed') {
+                setClauses.push('completed_at = CURRENT_TIMESTAMP');
+            } else if (req.body.status !== 'completed') {
+                setClauses.push('completed_at = NULL');
+            }
+        }
+
+        setClauses.push('updated_at = CURRENT_TIMESTAMP');
+
+        await dbRun(`UPDATE tasks SET ${setClauses.join(', ')} WHERE id = ?`, [...params, taskId]);
+
+        if (changedFields.includes('project_id')) {
+            await dbRun('UPDATE tasks SET project_id = ? WHERE parent_id = ?', [req.body.project_id, taskId]);
+        }
+
+        if (updatesLabels) {
+            await setTaskLabels(taskId, req.body.label_ids);
+        }
+
+        if (changedFields.includes('status')) {
+            await refreshTaskProgress(existingTask.parent_id);
+            await refreshTaskProgress(taskId);
+
+            if (req.body.status === 'completed') {
+                await materializeNextOccurrence(await dbGet('SELECT * FROM tasks WHERE id = ?', [taskId]));
+            }
+        }
+
+        const [updatedTask] = await attachTaskLabels([await dbGet(`
+            SELECT t.*, u.name as assignee_name, u.avatar_url as assignee_avatar, uc.name as creator_name
+            FROM tasks t
+            LEFT JOIN users u ON t.assignee_id = u.id
+            LEFT JOIN users uc ON t.created_by = uc.id
+            WHERE t.id = ?
+        `, [taskId])]);
+
+        await logActivity(req.user.id, 'task_updated', `Task "${updatedTask.title}" updated by ${req.user.name} (${[...changedFields, ...(updatesLabels ? ['labels'] : [])].join(', ')})`);
+
+        res.json({
+            success: true,
+            data: updatedTask,
+            message: 'Task updated successfully'
+        });
+
+    } catch (error) {
+        console.error('Task patch error:', error);
+        res.status(500).json({ error: 'Failed to update task' });
+    }
+});
+
+app.delete('/api/tasks/:id', authenticateToken, requirePermission('delete_task'), async (req, res) => {
+    try {
+        const taskId = req.params.id;
+
+        const existingTask = await dbGet('SELECT * FROM tasks WHERE id = ?', [taskId]);
+        if (!existingTask) {
+            return res.status(404).json({ error: 'Task not found' });
+        }
+
+        if (req.user.role === 'employee' && existingTask.created_by !== req.user.id) {
+            return res.status(403).json({ error: 'Access denied' });
+        }
+
+        const locked = await findLockedTaskTimesheet(existingTask.id);
+        if (locked) {
+            return res.status(409).json({
+                error: `Time on this task is recorded in a timesheet for the week of ${locked.week_start} that is ${locked.status}, so the task cannot be deleted`
+            });
+        }
+
+        await dbRun('DELETE FROM tasks WHERE id = ?', [taskId]);
+        await refreshTaskProgress(existingTask.parent_id);
+
+        await logActivity(req.user.id, 'task_deleted', `Task "${existingTask.title}" deleted by ${req.user.name}`);
+
+        res.json({ success: true, message: 'Task deleted successfully' });
+
+    } catch (error) {
+        console.error('Task delete error:', error);
+        res.status(500).json({ error: 'Failed to delete task' });
+    }
+});
+
+app.get('/api/tasks/:id/subtasks', authenticateToken, async (req, res) => {
+    try {
+        const task = await dbGet('SELECT * FROM tasks WHERE id = ?', [req.params.id]);
+        if (!task) {
+            return res.status(404).json({ error: 'Task not found' });
+        }
+
+        if (!await canAccessTask(req.user, task)) {
+            return res.status(403).json({ error: 'Access denied' });
+        }
+
+        const subtasks = await dbAll(`
+            SELECT t.*, u.name as assignee_name, u.avatar_url as assignee_avatar
+            FROM tasks t
+            LEFT JOIN users u ON t.assignee_id = u.id
+            WHERE t.parent_id = ?
+            ORDER BY t.position ASC, t.id ASC
+        `, [task.id]);
+
+        res.json({ success: true, data: subtasks });
+    } catch (error) {
+        console.error('Subtasks fetch error:', error);
+        res.status(500).json({ error: 'Failed to load subtasks' });
+    }
+});
+
+app.post('/api/tasks/:id/subtasks', authenticateToken, requirePermission('edit_task'), [
+    body('title').trim().notEmpty(),
+    body('assignee_id').optional({ nullable: true }).isInt(),
+    body('due_date').optional({ nullable: true }).isDate()
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const { title, assignee_id, due_date } = req.body;
+
+        const parentTask = await dbGet('SELECT * FROM tasks WHERE id = ?', [req.params.id]);
+        if (!parentTask) {
+            return res.status(404).json({ error: 'Task not found' });
+        }
+
+        if (!await canAccessTask(req.user, parentTask)) {
+            return res.status(403).json({ error: 'Access denied' });
+        }
+
+        if (parentTask.parent_id) {
+            return res.status(400).json({ error: 'Subtasks cannot have their own subtasks' });
+        }
+
+        const assigneeError = await checkTaskAssignee(assignee_id);
+        if (assigneeError) {
+            return res.status(400).json({ error: assigneeError });
+        }
+
+        const lastPosition = await dbGet('SELECT MAX(position) as position FROM tasks WHERE parent_id = ?', [parentTask.id]);
+
+        const result = await dbRun(
+            `INSERT INTO tasks (title, priority, status, due_date, assignee_id, created_by, parent_id, project_id, position)
+             VALUES (?, ?, 'pending', ?, ?, ?, ?, ?, ?)`,
+            [
+                title,
+                parentTask.priority,
+                due_date || parentTask.due_date,
+                assignee_id === undefined ? parentTask.assignee_id : assignee_id || null,
+                req.user.id,
+                parentTask.id,
+                parentTask.project_id,
+                (lastPosition.position || 0) + 1
+            ]
+        );
+
+        await refreshTaskProgress(parentTask.id);
+
+        const newSubtask = await dbGet(`
+            SELECT t.*, u.name as assignee_name, u.avatar_url as assignee_avatar
+            FROM tasks t
+            LEFT JOIN users u ON t.assignee_id = u.id
+            WHERE t.id = ?
+        `, [result.id]);
+
+        await logActivity(req.user.id, 'subtask_created', `Subtask "${title}" added to task "${parentTask.title}" by ${req.user.name}`);
+
+        res.status(201).json({
+            success: true,
+            data: newSubtask,
+            message: 'Subtask created successfully'
+        });
+
+    } catch (error) {
+        console.error('Subtask creation error:', error);
+        res.status(500).json({ error: 'Failed to create subtask' });
+    }
+});
+
+app.put('/api/tasks/:id/subtasks/order', authenticateToken, requirePermission('edit_task'), [
+    body('order').isArray({ min: 1 }),
+    body('order.*').isInt()
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const parentTask = await dbGet('SELECT * FROM tasks WHERE id = ?', [req.params.id]);
+        if (!parentTask) {
+            return res.status(404).json({ error: 'Task not found' });
+        }
+
+        if (!await canAccessTask(req.user, parentTask)) {
+            return res.status(403).json({ error: 'Access denied' });
+        }
+
+        const children = await dbAll('SELECT id FROM tasks WHERE parent_id = ?', [parentTask.id]);
+        const childIds = new Set(children.map(child => child.id));
+        const order = req.body.order.map(Number);
+
+        if (order.length !== childIds.size || new Set(order).size !== order.length || !order.every(id => childIds.has(id))) {
+            return res.status(400).json({ error: 'Order must list every subtask of this task exactly once' });
+        }
+
+        for (let index = 0; index < order.length; index++) {
+            await dbRun('UPDATE tasks SET position = ? WHERE id = ?', [index + 1, order[index]]);
+        }
+
+        await logActivity(req.user.id, 'subtasks_reordered', `Subtasks of task "${parentTask.title}" reordered by ${req.user.name}`);
+
+        res.json({ success: true, message: 'Subtasks reordered successfully' });
+
+    } catch (error) {
+        console.error('Subtask reorder error:', error);
+        res.status(500).json({ error: 'Failed to reorder subtasks' });
+    }
+});
+
+app.put('/api/tasks/board/order', authenticateToken, requirePermission('edit_task'), [
+    body('status').isIn(TASK_STATUSES),
+    body('order').isArray({ min: 1 }),
+    body('order.*').isInt()
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const order = req.body.order.map(Number);
+        if (new Set(order).size !== order.length) {
+            return res.status(400).json({ error: 'Order must not list a task twice' });
+        }
+
+        const visibility = taskVisibilityClause(req.user);
+        const tasks = await dbAll(
+            `SELECT t.id FROM tasks t
+             WHERE t.id IN (${order.map(() => '?').join(', ')}) AND t.status = ? AND ${visibility.clause}`,
+            [...order, req.body.status, ...visibility.params]
+        );
+
+        if (tasks.length !== order.length) {
+            return res.status(400).json({ error: `Order may only contain visible tasks with status "${req.body.status}"` });
+        }
+
+        for (let index = 0; index < order.length; index++) {
+            await dbRun('UPDATE tasks SET position = ? WHERE id = ?', [index + 1, order[index]]);
+        }
+
+        res.json({ success: true, message: 'Board column reordered successfully' });
+
+    } catch (error) {
+        console.error('Board reorder error:', error);
+        res.status(500).json({ error: 'Failed to reorder board column' });
+    }
+});
+
+app.get('/api/task-statuses', authenticateToken, (req, res) => {
+    res.json({ success: true, data: TASK_STATUSES });
+});
+
+app.get('/api/tasks/:id/dependencies', authenticateToken, async (req, res) => {
+    try {
+        const task = await dbGet('SELECT * FROM tasks WHERE id = ?', [req.params.id]);
+        if (!task) {
+            return res.status(404).json({ error: 'Task not found' });
+        }
+
+        if (!await canAccessTask(req.user, task)) {
+            return res.status(403).json({ error: 'Access denied' });
+        }
+
+        const blockedBy = await dbAll(`
+            SELECT b.id, b.title, b.status, b.due_date, d.created_at
+            FROM task_dependencies d
+            JOIN tasks b ON b.id = d.blocker_id
+            WHERE d.task_id = ?
+            ORDER BY b.title
+        `, [task.id]);
+
+        const blocks = await dbAll(`
+            SELECT t.id, t.title, t.status, t.due_date, d.created_at
+            FROM task_dependencies d
+            JOIN tasks t ON t.id = d.task_id
+            WHERE d.blocker_id = ?
+            ORDER BY t.title
+        `, [task.id]);
+
+        res.json({ success: true, data: { blockedBy, blocks } });
+    } catch (error) {
+        console.error('Dependencies fetch error:', error);
+        res.status(500).json({ error: 'Failed to load dependencies' });
+    }
+});
+
+app.post('/api/tasks/:id/dependencies', authenticateToken, requirePermission('edit_task'), [
+    body('blocker_id').isInt()
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const blockerId = Number(req.body.blocker_id);
+
+        const task = await dbGet('SELECT * FROM tasks WHERE id = ?', [req.params.id]);
+        const blocker = await dbGet('SELECT * FROM tasks WHERE id = ?', [blockerId]);
+        if (!task || !blocker) {
+            return res.status(404).json({ error: 'Task not found' });
+        }
+
+        if (!await canAccessTask(req.user, task) || !await canAccessTask(req.user, blocker)) {
+            return res.status(403).json({ error: 'Access denied' });
+        }
+
+        if (task.id === blocker.id) {
+            return res.status(400).json({ error: 'A task cannot block itself' });
+        }
+
+        const cycle = await dbGet(`
+            WITH RECURSIVE chain(id) AS (
+                SELECT blocker_id FROM task_dependencies WHERE task_id = ?
+                UNION
+                SELECT d.blocker_id FROM task_dependencies d JOIN chain c ON d.task_id = c.id
+            )
+            SELECT id FROM chain WHERE id = ?
+        `, [blocker.id, task.id]);
+
+        if (cycle) {
+            return res.status(400).json({ error: `Adding "${blocker.title}" as a blocker would create a dependency cycle` });
+        }
+
+        await dbRun(
+            'INSERT OR IGNORE INTO task_dependencies (task_id, blocker_id, created_by) VALUES (?, ?, ?)',
+            [task.id, blocker.id, req.user.id]
+        );
+
+        await logActivity(req.user.id, 'dependency_added', `Task "${task.title}" now blocked by "${blocker.title}" (${req.user.name})`);
+
+        res.status(201).json({ success: true, message: 'Dependency added successfully' });
+
+    } catch (error) {
+        console.error('Dependency creation error:', error);
+        res.status(500).json({ error: 'Failed to add dependency' });
+    }
+});
+
+app.delete('/api/tasks/:id/dependencies/:blockerId', authenticateToken, requirePermission('edit_task'), async (req, res) => {
+    try {
+        const task = await dbGet('SELECT * FROM tasks WHERE id = ?', [req.params.id]);
+        if (!task) {
+            return res.status(404).json({ error: 'Task not found' });
+        }
+
+        if (!await canAccessTask(req.user, task)) {
+            return res.status(403).json({ error: 'Access denied' });
+        }
+
+        const result = await dbRun(
+            'DELETE FROM task_dependencies WHERE task_id = ? AND blocker_id = ?',
+            [task.id, req.params.blockerId]
+        );
+
+        if (result.changes === 0) {
+            return res.status(404).json({ error: 'Dependency not found' });
+        }
+
+        await logActivity(req.user.id, 'dependency_removed', `Blocker removed from task "${task.title}" by ${req.user.name}`);
+
+        res.json({ success: true, message: 'Dependency removed successfully' });
+
+    } catch (error) {
+        console.error('Dependency delete error:', error);
+        res.status(500).json({ error: 'Failed to remove dependency' });
+    }
+});
+
+app.post('/api/tasks/:id/files', authenticateToken, requirePermission('edit_task'), [
+    body('file_id').isInt()
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const task = await dbGet('SELECT * FROM tasks WHERE id = ?', [req.params.id]);
+        if (!task) {
+            return res.status(404).json({ error: 'Task not found' });
+        }
+
+        const file = await dbGet('SELECT * FROM files WHERE id = ?', [req.body.file_id]);
+        if (!file) {
+            return res.status(404).json({ error: 'File not found' });
+        }
+
+        if (!await canAccessTask(req.user, task) || !await canAccessFile(req.user, file)) {
+            return res.status(403).json({ error: 'Access denied' });
+        }
+
+        const existing = await dbGet('SELECT 1 FROM task_files WHERE task_id = ? AND file_id = ?', [task.id, file.id]);
+        if (existing) {
+            return res.status(400).json({ error: 'File is already attached to this task' });
+        }
+
+        await dbRun('INSERT INTO task_files (task_id, file_id, attached_by) VALUES (?, ?, ?)', [task.id, file.id, req.user.id]);
+
+        await logActivity(req.user.id, 'file_attached', `File "${file.original_name}" attached to task "${task.title}" by ${req.user.name}`);
+
+        res.status(201).json({ success: true, data: file, message: 'File attached successfully' });
+
+    } catch (error) {
+        console.error('File attach error:', error);
+        res.status(500).json({ error: 'Failed to attach file' });
+    }
+});
+
+app.delete('/api/tasks/:id/files/:fileId', authenticateToken, requirePermission('edit_task'), async (req, res) => {
+    try {
+        const task = await dbGet('SELECT * FROM tasks WHERE id = ?', [req.params.id]);
+        if (!task) {
+            return res.status(404).json({ error: 'Task not found' });
+        }
+
+        if (!await canAccessTask(req.user, task)) {
+            return res.status(403).json({ error: 'Access denied' });
+        }
+
+        const file = await dbGet(`
+            SELECT f.* FROM task_files tf JOIN files f ON f.id = tf.file_id
+            WHERE tf.task_id = ? AND tf.file_id = ?
+        `, [task.id, req.params.fileId]);
+        if (!file) {
+            return res.status(404).json({ error: 'Attachment not found' });
+        }
+
+        await dbRun('DELETE FROM task_files WHERE task_id = ? AND file_id = ?', [task.id, file.id]);
+
+        await logActivity(req.user.id, 'file_detached', `File "${file.original_name}" removed from task "${task.title}" by ${req.user.name}`);
+
+        res.json({ success: true, message: 'Attachment removed successfully' });
+
+    } catch (error) {
+        console.error('File detach error:', error);
+        res.status(500).json({ error: 'Failed to remove attachment' });
+    }
+});
+
+app.get('/api/tasks/:id/comments', authenticateToken, async (req, res) => {
+    try {
+        const task = await dbGet('SELECT * FROM tasks WHERE id = ?', [req.params.id]);
+        if (!task) {
+            return res.status(404).json({ error: 'Task not found' });
+        }
+
+        if (!await canAccessTask(req.user, task)) {
+            return res.status(403).json({ error: 'Access denied' });
+        }
+
+        const comments = await dbAll(`
+            SELECT c.*, u.name as user_name, u.avatar_url as user_avatar
+            FROM task_comments c
+            LEFT JOIN users u ON c.user_id = u.id
+            WHERE c.task_id = ?
+            ORDER BY c.created_at ASC, c.id ASC
+        `, [task.id]);
+
+        res.json({ success: true, data: comments });
+    } catch (error) {
+        console.error('Comments fetch error:', error);
+        res.status(500).json({ error: 'Failed to load comments' });
+    }
+});
+
+app.post('/api/tasks/:id/comments', authenticateToken, [
+    body('comment').trim().notEmpty(),
+    body('parent_id').optional({ nullable: true }).isInt()
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const { comment, parent_id } = req.body;
+
+        const task = await dbGet('SELECT * FROM tasks WHERE id = ?', [req.params.id]);
+        if (!task) {
+            return res.status(404).json({ error: 'Task not found' });
+        }
+
+        if (!await canAccessTask(req.user, task)) {
+            return res.status(403).json({ error: 'Access denied' });
+        }
+
+        if (parent_id) {
+            const parent = await dbGet('SELECT id FROM task_comments WHERE id = ? AND task_id = ?', [parent_id, task.id]);
+            if (!parent) {
+                return res.status(400).json({ error: 'Parent comment not found on this task' });
+            }
+        }
+
+        const result = await dbRun(
+            'INSERT INTO task_comments (task_id, user_id, parent_id, comment) VALUES (?, ?, ?, ?)',
+            [task.id, req.user.id, parent_id || null, comment]
+        );
+
+        const newComment = await dbGet(`
+            SELECT c.*, u.name as user_name, u.avatar_url as user_avatar
+            FROM task_comments c
+            LEFT JOIN users u ON c.user_id = u.id
+            WHERE c.id = ?
+        `, [result.id]);
+
+        await logActivity(req.user.id, 'comment_added', `Comment added to task "${task.title}" by ${req.user.name}`, req.ip, req.get('User-Agent'));
+
+        res.status(201).json({
+            success: true,
+            data: newComment,
+            message: 'Comment added successfully'
+        });
+
+    } catch (error) {
+        console.error('Comment creation error:', error);
+        res.status(500).json({ error: 'Failed to add comment' });
+    }
+});
+
+app.put('/api/tasks/:id/comments/:commentId', authenticateToken, [
+    body('comment').trim().notEmpty()
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const task = await dbGet('SELECT * FROM tasks WHERE id = ?', [req.params.id]);
+        if (!task) {
+            return res.status(404).json({ error: 'Task not found' });
+        }
+
+        if (!await canAccessTask(req.user, task)) {
+            return res.status(403).json({ error: 'Access denied' });
+        }
+
+        const existingComment = await dbGet('SELECT * FROM task_comments WHERE id = ? AND task_id = ?', [req.params.commentId, task.id]);
+        if (!existingComment) {
+            return res.status(404).json({ error: 'Comment not found' });
+        }
+
+        if (existingComment.user_id !== req.user.id) {
+            return res.status(403).json({ error: 'Only the author can edit a comment' });
+        }
+
+        await dbRun(
+            'UPDATE task_comments SET comment = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+            [req.body.comment, existingComment.id]
+        );
+
+        const updatedComment = await dbGet(`
+            SELECT c.*, u.name as user_name, u.avatar_url as user_avatar
+            FROM task_comments c
+            LEFT JOIN users u ON c.user_id = u.id
+            WHERE c.id = ?
+        `, [existingComment.id]);
+
+        await logActivity(req.user.id, 'comment_updated', `Comment on task "${task.title}" edited by ${req.user.name}`, req.ip, req.get('User-Agent'));
+
+        res.json({
+            success: true,
+            data: updatedComment,
+            message: 'Comment updated successfully'
+        });
+
+    } catch (error) {
+        console.error('Comment update error:', error);
+        res.status(500).json({ error: 'Failed to update comment' });
+    }
+});
+
+app.delete('/api/tasks/:id/comments/:commentId', authenticateToken, async (req, res) => {
+    try {
+        const task = await dbGet('SELECT * FROM tasks WHERE id = ?', [req.params.id]);
+        if (!task) {
+            return res.status(404).json({ error: 'Task not found' });
+        }
+
+        if (!await canAccessTask(req.user, task)) {
+            return res.status(403).json({ error: 'Access denied' });
+        }
+
+        const existingComment = await dbGet('SELECT * FROM task_comments WHERE id = ? AND task_id = ?', [req.params.commentId, task.id]);
+        if (!existingComment) {
+            return res.status(404).json({ error: 'Comment not found' });
+        }
+
+        if (req.user.role !== 'admin' && existingComment.user_id !== req.user.id) {
+            return res.status(403).json({ error: 'Access denied' });
+        }
+
+        await dbRun('DELETE FROM task_comments WHERE id = ?', [existingComment.id]);
+
+        await logActivity(req.user.id, 'comment_deleted', `Comment on task "${task.title}" deleted by ${req.user.name}`, req.ip, req.get('User-Agent'));
+
+        res.json({ success: true, message: 'Comment deleted successfully' });
+
+    } catch (error) {
+        console.error('Comment delete error:', error);
+        res.status(500).json({ error: 'Failed to delete comment' });
+    }
+});
+
+app.get('/api/tasks/:id/time-entries', authenticateToken, async (req, res) => {
+    try {
+        const task = await dbGet('SELECT * FROM tasks WHERE id = ?', [req.params.id]);
+        if (!task) {
+            return res.status(404).json({ error: 'Task not found' });
+        }
+
+        if (!await canAccessTask(req.user, task)) {
+            return res.status(403).json({ error: 'Access denied' });
+        }
+
+        const entries = await dbAll(`
+            SELECT te.*, u.name as user_name
+            FROM time_entries te
+            JOIN users u ON u.id = te.user_id
+            WHERE te.task_id = ?
+            ORDER BY te.started_at DESC
+        `, [task.id]);
+
+        res.json({ success: true, data: entries });
+    } catch (error) {
+        console.error('Time entries fetch error:', error);
+        res.status(500).json({ error: 'Failed to load time entries' });
+    }
+});
+
+app.post('/api/tasks/:id/time-entries', authenticateToken, [
+    body('started_at').isISO8601(),
+    body('ended_at').isISO8601(),
+    body('note').optional({ nullable: true }).isString().isLength({ max: 1000 })
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const task = await dbGet('SELECT * FROM tasks WHERE id = ?', [req.params.id]);
+        if (!task) {
+            return res.status(404).json({ error: 'Task not found' });
+        }
+
+        if (!await canAccessTask(req.user, task)) {
+            return res.status(403).json({ error: 'Access denied' });
+        }
+
+        const startedAt = new Date(req.body.started_at);
+        const endedAt = new Date(req.body.ended_at);
+        if (endedAt <= startedAt) {
+            return res.status(400).json({ error: 'End time must be after start time' });
+        }
+
+        if (endedAt > new Date()) {
+            return res.status(400).json({ error: 'Time entries cannot end in the future' });
+        }
+
+        if (endedAt - startedAt > DAY_MS) {
+            return res.status(400).json({ error: 'A time entry cannot be longer than 24 hours' });
+        }
+
+        const locked = await findLockedTimesheet(req.user.id, toSqlTimestamp(startedAt));
+        if (locked) {
+            return res.status(409).json({ error: lockedTimesheetError(locked) });
+        }
+
+        const result = await dbRun(
+            'INSERT INTO time_entries (task_id, user_id, started_at, ended_at, duration_seconds, note) VALUES (?, ?, ?, ?, ?, ?)',
+            [task.id, req.user.id, toSqlTimestamp(startedAt), toSqlTimestamp(endedAt), Math.round((endedAt - startedAt) / 1000), req.body.note || null]
+        );
+        await refreshTaskActualHours(task.id);
+
+        await logActivity(req.user.id, 'time_logged', `Time logged on task "${task.title}" by ${req.user.name}`);
+
+        res.status(201).json({
+            success: true,
+            data: await getTimeEntry(result.id),
+            message: 'Time entry added'
+        });
+    } catch (error) {
+        console.error('Time entry creation error:', error);
+        res.status(500).json({ error: 'Failed to add time entry' });
+    }
+});
+
+app.put('/api/tasks/:id/time-entries/:entryId', authenticateToken, [
+    body('started_at').optional().isISO8601(),
+    body('ended_at').optional().isISO8601(),
+    body('note').optional({ nullable: true }).isString().isLength({ max: 1000 })
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const entry = await dbGet('SELECT * FROM time_entries WHERE id = ? AND task_id = ?', [req.params.entryId, req.params.id]);
+        if (!entry) {
+            return res.status(404).json({ error: 'Time entry not found' });
+        }
+
+        const task = await dbGet('SELECT * FROM tasks WHERE id = ?', [entry.task_id]);
+        if (!await canAccessTask(req.user, task) || !canEditTimeEntry(req.user, entry)) {
+            return res.status(403).json({ error: 'Access denied' });
+        }
+
+        const startedAt = req.body.started_at ? new Date(req.body.started_at) : parseSqlTimestamp(entry.started_at);
+        const endedAt = req.body.ended_at ? new Date(req.body.ended_at) : (entry.ended_at ? parseSqlTimestamp(entry.ended_at) : null);
+
+        if (endedAt && endedAt <= startedAt) {
+            return res.status(400).json({ error: 'End time must be after start time' });
+        }
+
+        if ((endedAt || startedAt) > new Date()) {
+            return res.status(400).json({ error: 'Time entries cannot be in the future' });
+        }
+
+        if (endedAt && endedAt - startedAt > DAY_MS) {
+            return res.status(400).json({ error: 'A time entry cannot be longer than 24 hours' });
+        }
+
+        const locked = await findLockedTimesheet(entry.user_id, entry.started_at)
+            || await findLockedTimesheet(entry.user_id, toSqlTimestamp(startedAt));
+        if (locked) {
+            return res.status(409).json({ error: lockedTimesheetError(locked) });
+        }
+
+        const note = req.body.note === undefined ? entry.note : (req.body.note || null);
+
+        await dbRun(
+            `UPDATE time_entries SET started_at = ?, ended_at = ?, duration_seconds = ?, note = ?, updated_at = CURRENT_TIMESTAMP
+             WHERE id = ?`,
+            [
+                toSqlTimestamp(startedAt),
+                endedAt ? toSqlTimestamp(endedAt) : null,
+                endedAt ? Math.round((endedAt - startedAt) / 1000) : null,
+                note,
+                entry.id
+            ]
+        );
+        await refreshTaskActualHours(task.id);
+
+        await logActivity(req.user.id, 'time_entry_updated', `Time entry on task "${task.title}" edited by ${req.user.name}`);
+
+        res.json({
+            success: true,
+            data: await getTimeEntry(entry.id),
+            message: 'Time entry updated'
+        });
+    } catch (error) {
+        console.error('Time entry update error:', error);
+        res.status(500).json({ error: 'Failed to update time entry' });
+    }
+});
+
+app.delete('/api/tasks/:id/time-entries/:entryId', authenticateToken, async (req, res) => {
+    try {
+        const entry = await dbGet('SELECT * FROM time_entries WHERE id = ? AND task_id = ?', [req.params.entryId, req.params.id]);
+        if (!entry) {
+            return res.status(404).json({ error: 'Time entry not found' });
+        }
+
+        const task = await dbGet('SELECT * FROM tasks WHERE id = ?', [entry.task_id]);
+        if (!await canAccessTask(req.user, task) || !canEditTimeEntry(req.user, entry)) {
+            return res.status(403).json({ error: 'Access denied' });
+        }
+
+        const locked = await findLockedTimesheet(entry.user_id, entry.started_at);
+        if (locked) {
+            return res.status(409).json({ error: lockedTimesheetError(locked) });
+        }
+
+        await dbRun('DELETE FROM time_entries WHERE id = ?', [entry.id]);
+        await refreshTaskActualHours(task.id);
+
+        await logActivity(req.user.id, 'time_entry_deleted', `Time entry on task "${task.title}" deleted by ${req.user.name}`);
+
+        res.json({ success: true, message: 'Time entry deleted' });
+    } catch (error) {
+        console.error('Time entry delete error:', error);
+        res.status(500).json({ error: 'Failed to delete time entry' });
+    }
+});
+
+app.post('/api/tasks/:id/timer/start', authenticateToken, [
+    body('note').optional({ nullable: true }).isString().isLength({ max: 1000 })
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const task = await dbGet('SELECT * FROM tasks WHERE id = ?', [req.params.id]);
+        if (!task) {
+            return res.status(404).json({ error: 'Task not found' });
+        }
+
+        if (!await canAccessTask(req.user, task)) {
+            return res.status(403).json({ error: 'Access denied' });
+        }
+
+        const running = await getRunningTimer(req.user.id);
+        if (running) {
+            return res.status(409).json({ error: `A timer is already running on "${running.task_title}"`, running });
+        }
+
+        const locked = await findLockedTimesheet(req.user.id, toSqlTimestamp(new Date()));
+        if (locked) {
+            return res.status(409).json({ error: lockedTimesheetError(locked) });
+        }
+
+        let result;
+        try {
+            result = await dbRun(
+                'INSERT INTO time_entries (task_id, user_id, started_at, note) VALUES (?, ?, CURRENT_TIMESTAMP, ?)',
+                [task.id, req.user.id, req.body.note || null]
+            );
+        } catch (error) {
+            if (error.code === 'SQLITE_CONSTRAINT') {
+                return res.status(409).json({ error: 'A timer is already running', running: await getRunningTimer(req.user.id) });
+            }
+            throw error;
+        }
+
+        await logActivity(req.user.id, 'timer_started', `Timer started on task "${task.title}" by ${req.user.name}`);
+
+        res.status(201).json({
+            success: true,
+            data: await getTimeEntry(result.id),
+            message: 'Timer started'
+        });
+    } catch (error) {
+        console.error('Timer start error:', error);
+        res.status(500).json({ error: 'Failed to start timer' });
+    }
+});
+
+app.post('/api/tasks/:id/timer/stop', authenticateToken, [
+    body('note').optional({ nullable: true }).isString().isLength({ max: 1000 })
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const running = await getRunningTimer(req.user.id);
+        if (!running || running.task_id != req.params.id) {
+            return res.status(404).json({ error: 'No running timer on this task' });
+        }
+
+        const endedAt = new Date();
+        const duration = Math.max(0, Math.round((endedAt - parseSqlTimestamp(running.started_at)) / 1000));
+        const note = req.body.note === undefined ? running.note : (req.body.note || null);
+
+        await dbRun(
+            `UPDATE time_entries SET ended_at = ?, duration_seconds = ?, note = ?, updated_at = CURRENT_TIMESTAMP
+             WHERE id = ? AND ended_at IS NULL`,
+            [toSqlTimestamp(endedAt), duration, note, running.id]
+        );
+        await refreshTaskActualHours(running.task_id);
+
+        await logActivity(req.user.id, 'timer_stopped', `Timer stopped on task "${running.task_title}" by ${req.user.name}`);
+
+        res.json({
+            success: true,
+            data: await getTimeEntry(running.id),
+            message: 'Timer stopped'
+        });
+    } catch (error) {
+        console.error('Timer stop error:', error);
+        res.status(500).json({ error: 'Failed to stop timer' });
+    }
+});
+
+app.get('/api/user/timer', authenticateToken, async (req, res) => {
+    try {
+        res.json({ success: true, data: (await getRunningTimer(req.user.id)) || null });
+    } catch (error) {
+        console.error('Running timer fetch error:', error);
+        res.status(500).json({ error: 'Failed to load running timer' });
+    }
+});
+
+app.get('/api/user/permissions', authenticateToken, async (req, res) => {
+    try {
+        const permissions = await getRolePermissions(req.user.role);
+
+        res.json({ success: true, data: permissions });
+    } catch (error) {
+        console.error('User permissions fetch error:', error);
+        res.status(500).json({ error: 'Failed to load permissions' });
+    }
+});
+
+app.get('/api/user/preferences', authenticateToken, async (req, res) => {
+    try {
+        const preferences = await dbGet('SELECT task_view FROM user_profiles WHERE user_id = ?', [req.user.id]);
+
+        res.json({
+            success: true,
+            data: { task_view: preferences ? preferences.task_view : 'list' }
+        });
+    } catch (error) {
+        console.error('Preferences fetch error:', error);
+        res.status(500).json({ error: 'Failed to load preferences' });
+    }
+});
+
+app.put('/api/user/preferences', authenticateToken, [
+    body('task_view').isIn(TASK_VIEWS)
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        await dbRun('INSERT OR IGNORE INTO user_profiles (user_id) VALUES (?)', [req.user.id]);
+        await dbRun('UPDATE user_profiles SET task_view = ? WHERE user_id = ?', [req.body.task_view, req.user.id]);
+
+        res.json({
+            success: true,
+            data: { task_view: req.body.task_view },
+            message: 'Preferences saved'
+        });
+    } catch (error) {
+        console.error('Preferences update error:', error);
+        res.status(500).json({ error: 'Failed to save preferences' });
+    }
+});
+
+app.get('/api/views', authenticateToken, async (req, res) => {
+    try {
+        const views = await dbAll(`
+            SELECT v.*, u.name as owner_name, u.department as owner_department
+            FROM saved_views v
+            JOIN users u ON u.id = v.user_id
+            WHERE v.user_id = ? OR (v.is_shared = 1 AND u.is_active = 1 AND u.department = ?)
+            ORDER BY v.user_id != ?, v.name COLLATE NOCASE
+        `, [req.user.id, req.user.department || null, req.user.id]);
+
+        res.json({ success: true, data: views.map(view => formatSavedView(view, req.user)) });
+    } catch (error) {
+        console.error('Saved views fetch error:', error);
+        res.status(500).json({ error: 'Failed to load saved views' });
+    }
+});
+
+app.post('/api/views', authenticateToken, [
+    body('name').trim().notEmpty().isLength({ max: 100 }),
+    body('filters').isObject(),
+    body('is_shared').optional().isBoolean()
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const { name } = req.body;
+        const isShared = req.body.is_shared === true;
+
+        if (isShared && !req.user.department) {
+            return res.status(400).json({ error: 'Set a department on your profile to share views with your team' });
+        }
+
+        const existingView = await dbGet('SELECT id FROM saved_views WHERE user_id = ? AND name = ?', [req.user.id, name]);
+        if (existingView) {
+            return res.status(400).json({ error: 'You already have a view with this name' });
+        }
+
+        const result = await dbRun(
+            'INSERT INTO saved_views (user_id, name, filters, is_shared) VALUES (?, ?, ?, ?)',
+            [req.user.id, name, JSON.stringify(normalizeViewFilters(req.body.filters)), isShared ? 1 : 0]
+        );
+
+        await logActivity(req.user.id, 'view_created', `Task view "${name}" ${isShared ? 'shared' : 'saved'} by ${req.user.name}`);
+
+        res.status(201).json({
+            success: true,
+            data: formatSavedView(await getSavedView(result.id), req.user),
+            message: 'View saved successfully'
+        });
+
+    } catch (error) {
+        console.error('Saved view creation error:', error);
+        res.status(500).json({ error: 'Failed to save view' });
+    }
+});
+
+app.put('/api/views/:id', authenticateToken, [
+    body('name').optional().trim().notEmpty().isLength({ max: 100 }),
+    body('filters').optional().isObject(),
+    body('is_shared').optional().isBoolean()
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const view = await getSavedView(req.params.id);
+        if (!view) {
+            return res.status(404).json({ error: 'View not found' });
+        }
+
+        if (view.user_id !== req.user.id) {
+            return res.status(403).json({ error: 'Only the owner can change this view' });
+        }
+
+        const name = req.body.name || view.name;
+        const filters = req.body.filters ? JSON.stringify(normalizeViewFilters(req.body.filters)) : view.filters;
+        const isShared = req.body.is_shared === undefined ? Boolean(view.is_shared) : req.body.is_shared === true;
+
+        if (isShared && !req.user.department) {
+            return res.status(400).json({ error: 'Set a department on your profile to share views with your team' });
+        }
+
+        const duplicate = await dbGet('SELECT id FROM saved_views WHERE user_id = ? AND name = ? AND id != ?', [req.user.id, name, view.id]);
+        if (duplicate) {
+            return res.status(400).json({ error: 'You already have a view with this name' });
+        }
+
+        await dbRun(
+            'UPDATE saved_views SET name = ?, filters = ?, is_shared = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+            [name, filters, isShared ? 1 : 0, view.id]
+        );
+
+        await logActivity(req.user.id, 'view_updated', `Task view "${name}" updated by ${req.user.name}`);
+
+        res.json({
+            success: true,
+            data: formatSavedView(await getSavedView(view.id), req.user),
+            message: 'View updated successfully'
+        });
+
+    } catch (error) {
+        console.error('Saved view update error:', error);
+        res.status(500).json({ error: 'Failed to update view' });
+    }
+});
+
+app.delete('/api/views/:id', authenticateToken, async (req, res) => {
+    try {
+        const view = await getSavedView(req.params.id);
+        if (!view) {
+            return res.status(404).json({ error: 'View not found' });
+        }
+
+        if (view.user_id !== req.user.id && req.user.role !== 'admin') {
+            return res.status(403).json({ error: 'Only the owner can delete this view' });
+        }
+
+        await dbRun('DELETE FROM saved_views WHERE id = ?', [view.id]);
+
+        await logActivity(req.user.id, 'view_deleted', `Task view "${view.name}" deleted by ${req.user.name}`);
+
+        res.json({ success: true, message: 'View deleted successfully' });
+
+    } catch (error) {
+        console.error('Saved view delete error:', error);
+        res.status(500).json({ error: 'Failed to delete view' });
+    }
+});
+
+app.get('/api/calendar/:token.ics', async (req, res) => {
+    try {
+        const user = await dbGet(`
+            SELECT u.id, u.name
+            FROM user_profiles up
+            JOIN users u ON u.id = up.user_id
+            WHERE up.calendar_token_hash = ? AND u.is_active = 1
+        `, [hashToken(req.params.token)]);
+
+        if (!user) {
+            return res.status(404).json({ error: 'Calendar feed not found' });
+        }
+
+        const tasks = await dbAll(
+            'SELECT * FROM tasks WHERE assignee_id = ? ORDER BY due_date IS NULL, due_date, id',
+            [user.id]
+        );
+
+        res.set({
+            'Content-Type': 'text/calendar; charset=utf-8',
+            'Content-Disposition': 'inline; filename="taskflow.ics"',
+            'Cache-Control': 'private, no-store'
+        });
+        res.send(buildTaskCalendar(user, tasks, `${req.protocol}://${req.get('host')}`));
+    } catch (error) {
+        console.error('Calendar feed error:', error);
+        res.status(500).json({ error: 'Failed to build calendar feed' });
+    }
+});
+
+app.get('/api/user/calendar-feed', authenticateToken, async (req, res) => {
+    try {
+        const feed = await dbGet(
+            'SELECT calendar_token_created_at FROM user_profiles WHERE user_id = ? AND calendar_token_hash IS NOT NULL',
+            [req.user.id]
+        );
+
+        res.json({
+            success: true,
+            data: { enabled: Boolean(feed), created_at: feed ? feed.calendar_token_created_at : null }
+        });
+    } catch (error) {
+        console.error('Calendar feed fetch error:', error);
+        res.status(500).json({ error: 'Failed to load calendar feed' });
+    }
+});
+
+app.post('/api/user/calendar-feed', authenticateToken, async (req, res) => {
+    try {
+        const token = crypto.randomBytes(24).toString('hex');
+
+        await dbRun('INSERT OR IGNORE INTO user_profiles (user_id) VALUES (?)', [req.user.id]);
+        const previous = await dbGet('SELECT calendar_token_hash FROM user_profiles WHERE user_id = ?', [req.user.id]);
+        await dbRun(
+            'UPDATE user_profiles SET calendar_token_hash = ?, calendar_token_created_at = CURRENT_TIMESTAMP WHERE user_id = ?',
+            [hashToken(token), req.user.id]
+        );
+
+        const rotated = Boolean(previous && previous.calendar_token_hash);
+        await logActivity(req.user.id, 'calendar_feed_generated', `Calendar feed link ${rotated ? 'rotated' : 'generated'} by ${req.user.name}`);
+
+        res.json({
+            success: true,
+            data: { url: `${req.protocol}://${req.get('host')}/api/calendar/${token}.ics` },
+            message: rotated ? 'Calendar link rotated; the old link no longer works' : 'Calendar link generated'
+        });
+    } catch (error) {
+        console.error('Calendar feed generate error:', error);
+        res.status(500).json({ error: 'Failed to generate calendar link' });
+    }
+});
+
+app.delete('/api/user/calendar-feed', authenticateToken, async (req, res) => {
+    try {
+        await dbRun(
+            'UPDATE user_profiles SET calendar_token_hash = NULL, calendar_token_created_at = NULL WHERE user_id = ?',
+            [req.user.id]
+        );
+        await logActivity(req.user.id, 'calendar_feed_disabled', `Calendar feed link disabled by ${req.user.name}`);
+
+        res.json({ success: true, message: 'Calendar link disabled' });
+    } catch (error) {
+        console.error('Calendar feed disable error:', error);
+        res.status(500).json({ error: 'Failed to disable calendar link' });
+    }
+});
+
+app.get('/api/user/profile', authenticateToken, async (req, res) => {
+    try {
+        const profile = await dbGet(`
+            SELECT u.id, u.email, u.name, u.role, u.department, u.position, u.avatar_url, u.phone, u.created_at
+            FROM users u
+            WHERE u.id = ?
+        `, [req.user.id]);
+
+        res.json({ success: true, data: profile });
+    } catch (error) {
+        console.error('Profile fetch error:', error);
+        res.status(500).json({ error: 'Failed to load profile' });
+    }
+});
+
+app.put('/api/user/profile', authenticateToken, async (req, res) => {
+    try {
+        const { name, department, position, phone } = req.body;
+
+        await dbRun(
+            `UPDATE users 
+             SET name = ?, department = ?, position = ?, phone = ?, updated_at = CURRENT_TIMESTAMP
+             WHERE id = ?`,
+            [name, department, position, phone, req.user.id]
+        );
+
+        const updatedProfile = await dbGet(`
+            SELECT u.id, u.email, u.name, u.role, u.department, u.position, u.avatar_url, u.phone, u.created_at
+            FROM users u
+            WHERE u.id = ?
+        `, [req.user.id]);
+
+        await logActivity(req.user.id, 'profile_updated', `Profile updated by ${req.user.name}`);
+
+        res.json({
+            success: true,
+            data: updatedProfile,
+            message: 'Profile updated successfully'
+        });
+
+    } catch (error) {
+        console.error('Profile update error:', error);
+        res.status(500).json({ error: 'Failed to update profile' });
+    }
+});
+
+app.put('/api/user/avatar', authenticateToken, async (req, res) => {
+    try {
+        const { avatar_url } = req.body;
+
+        if (!avatar_url) {
+            return res.status(400).json({ error: 'Avatar URL required' });
+        }
+
+        await dbRun(
+            'UPDATE users SET avatar_url = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+            [avatar_url, req.user.id]
+        );
+
+        await logActivity(req.user.id, 'avatar_updated', `Avatar updated by ${req.user.name}`);
+
+        res.json({ success: true, message: 'Avatar updated successfully' });
+    } catch (error) {
+        console.error('Avatar update error:', error);
+        res.status(500).json({ error: 'Failed to update avatar' });
+    }
+});
+
+app.post('/api/user/avatar/upload', authenticateToken, upload.single('avatar'), async (req, res) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json({ error: 'No image uploaded' });
+        }
+
+        if (!THUMBNAIL_TYPES.includes(req.file.mimetype)) {
+            fs.unlinkSync(req.file.path);
+            return res.status(400).json({ error: 'Avatar must be a PNG, JPEG, GIF or BMP image' });
+        }
+
+        const avatarName = `${req.user.id}-${Date.now()}.png`;
+        try {
+            await createThumbnail(req.file.path, path.join(avatarsDir, avatarName), true);
+        } catch (error) {
+            return res.status(400).json({ error: 'The image could not be read or is too large' });
+        } finally {
+            fs.unlinkSync(req.file.path);
+        }
+
+        const avatarUrl = `/avatars/${avatarName}`;
+        const previous = req.user.avatar_url || '';
+        if (previous.startsWith('/avatars/')) {
+            const previousPath = path.join(avatarsDir, path.basename(previous));
+            if (fs.existsSync(previousPath)) {
+                fs.unlinkSync(previousPath);
+            }
+        }
 
         await dbRun(
-            'UPDATE users SET login_attempts = 0, locked_until = NULL, last_login = CURRENT_TIMESTAMP WHERE id = ?',
-            [user.id]
+            'UPDATE users SET avatar_url = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+            [avatarUrl, req.user.id]
+        );
+
+        await logActivity(req.user.id, 'avatar_updated', `Avatar uploaded by ${req.user.name}`);
+
+        res.json({ success: true, data: { avatar_url: avatarUrl }, message: 'Avatar updated successfully' });
+    } catch (error) {
+        console.error('Avatar upload error:', error);
+        res.status(500).json({ error: 'Failed to update avatar' });
+    }
+});
+
+app.put('/api/users/:id/password', authenticateToken, requirePermission('edit_users'), async (req, res) => {
+    try {
+        const { newPassword } = req.body;
+        const userId = req.params.id;
+
+        if (!newPassword || newPassword.length < 8) {
+            return res.status(400).json({ error: 'Password must be at least 8 characters' });
+        }
+
+        const targetUser = await dbGet('SELECT id, role FROM users WHERE id = ?', [userId]);
+        if (!targetUser) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        if (!canManageUser(req.user, targetUser)) {
+            return res.status(403).json({ error: 'Admin access required' });
+        }
+
+        const passwordHash = await bcrypt.hash(newPassword, SALT_ROUNDS);
+
+        await dbRun(
+            'UPDATE users SET password_hash = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+            [passwordHash, userId]
+        );
+
+        await revokeUserSessions(userId);
+
+        await logActivity(req.user.id, 'password_changed', `Password changed for user ${userId} by ${req.user.name}`);
+
+        res.json({ success: true, message: 'Password updated successfully' });
+
+    } catch (error) {
+        console.error('Password update error:', error);
+        res.status(500).json({ error: 'Failed to update password' });
+    }
+});
+
+app.delete('/api/users/:id/sessions', authenticateToken, requirePermission('edit_users'), async (req, res) => {
+    try {
+        const userId = req.params.id;
+
+        const targetUser = await dbGet('SELECT id, name, role FROM users WHERE id = ?', [userId]);
+        if (!targetUser) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        if (!canManageUser(req.user, targetUser)) {
+            return res.status(403).json({ error: 'Admin access required' });
+        }
+
+        const result = await revokeUserSessions(userId);
+
+        await logActivity(req.user.id, 'sessions_revoked', `All sessions of ${targetUser.name} revoked by ${req.user.name}`, req.ip, req.get('User-Agent'));
+
+        res.json({
+            success: true,
+            data: { revoked: result.changes },
+            message: 'All sessions revoked successfully'
+        });
+    } catch (error) {
+        console.error('Sessions revoke error:', error);
+        res.status(500).json({ error: 'Failed to revoke sessions' });
+    }
+});
+
+app.post('/api/files/upload', authenticateToken, requirePermission('upload_files'), roleLimitedUpload('file'), async (req, res) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json({ error: 'No file uploaded' });
+        }
+
+        const { path, size } = req.file;
+
+        const options = {
+            visibility: req.body.visibility || 'private',
+            folderId: req.body.folder_id ? Number(req.body.folder_id) : null,
+            taskId: req.body.task_id || null
+        };
+        try {
+            options.shares = normalizeShares(req.body.shares ? JSON.parse(req.body.shares) : {});
+        } catch (error) {
+            fs.unlinkSync(path);
+            return res.status(400).json({ error: 'Invalid sharing settings' });
+        }
+
+        const target = await checkUploadOptions(req.user, options);
+        if (target.error) {
+            fs.unlinkSync(path);
+            return res.status(target.status).json({ error: target.error });
+        }
+
+        const sha256 = await hashFile(path);
+        const quotaError = await checkStorageQuota(req.user.id, sha256, size);
+        if (quotaError) {
+            fs.unlinkSync(path);
+            return res.status(413).json(quotaError);
+        }
+
+        const blob = await storeFileBlob(req.file, sha256);
+        const newFile = await createFileRecord(req.user, req.file, blob, options, target.task);
+
+        res.status(201).json({
+            success: true,
+            data: newFile,
+            message: 'File uploaded successfully'
+        });
+
+    } catch (error) {
+        console.error('File upload error:', error);
+        res.status(500).json({ error: 'Failed to upload file' });
+    }
+});
+
+app.get('/api/files', authenticateToken, [
+    query('task').optional().isInt(),
+    query('folder').optional().matches(/^(root|\d+)$/),
+    ...paginationRules(FILE_SORTS)
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const visibility = fileVisibilityClause(req.user);
+        const whereClauses = [visibility.clause];
+        const params = [...visibility.params];
+
+        if (req.query.task) {
+            const task = await dbGet('SELECT * FROM tasks WHERE id = ?', [req.query.task]);
+            if (!task) {
+                return res.status(404).json({ error: 'Task not found' });
+            }
+
+            if (!await canAccessTask(req.user, task)) {
+                return res.status(403).json({ error: 'Access denied' });
+            }
+
+            whereClauses.push('EXISTS (SELECT 1 FROM task_files tf WHERE tf.file_id = f.id AND tf.task_id = ?)');
+            params.push(task.id);
+        }
+
+        if (req.query.folder === 'root') {
+            const folders = visibleFoldersSql(req.user);
+            whereClauses.push(`(f.folder_id IS NULL OR f.folder_id NOT IN (${folders.sql}))`);
+            params.push(...folders.params);
+        } else if (req.query.folder) {
+            const folderError = await checkFolderTarget(req.user, req.query.folder);
+            if (folderError) {
+                return res.status(folderError === 'Folder not found' ? 404 : 403).json({ error: folderError });
+            }
+
+            whereClauses.push('f.folder_id = ?');
+            params.push(req.query.folder);
+        }
+
+        const page = await queryPage(`
+            SELECT f.*, u.name as uploaded_by_name, ${sharingVisibilitySql('files', 'f')} as visibility,
+                   (SELECT COUNT(*) FROM task_files tf WHERE tf.file_id = f.id) as task_count,
+                   (SELECT COUNT(*) FROM file_versions fv WHERE fv.file_id = f.id) as version_count
+            FROM files f
+            LEFT JOIN users u ON f.uploaded_by = u.id
+            WHERE ${whereClauses.join(' AND ')}
+        `, params, req.query, FILE_SORTS, 'uploaded', 'f.id');
+        const permissions = await getRolePermissions(req.user.role);
+        const files = page.rows.map(file => ({
+            ...file,
+            previewable: INLINE_FILE_TYPES.includes(file.file_type) || hasFilePreview(file.file_type),
+            thumbnail_url: permissions.download_files && THUMBNAIL_TYPES.includes(file.file_type)
+                ? createFileUrl(file, req.user, 'thumbnail')
+                : null,
+            can_manage: canManageFile(req.user, file)
+        }));
+
+        res.json({ success: true, data: files, pagination: page.pagination });
+    } catch (error) {
+        console.error('Files fetch error:', error);
+        res.status(500).json({ error: 'Failed to load files' });
+    }
+});
+
+app.get('/api/files/share-targets', authenticateToken, async (req, res) => {
+    try {
+        const users = await dbAll(
+            'SELECT id, name, department FROM users WHERE is_active = 1 AND id != ? ORDER BY name COLLATE NOCASE',
+            [req.user.id]
+        );
+        const departments = await dbAll(
+            `SELECT DISTINCT department FROM users
+             WHERE is_active = 1 AND department IS NOT NULL AND department != ''
+             ORDER BY department COLLATE NOCASE`
+        );
+
+        res.json({
+            success: true,
+            data: { users, departments: departments.map(row => row.department) }
+        });
+    } catch (error) {
+        console.error('Share targets fetch error:', error);
+        res.status(500).json({ error: 'Failed to load share targets' });
+    }
+});
+
+app.get('/api/files/:id/sharing', authenticateToken, async (req, res) => {
+    try {
+        const file = await dbGet(`SELECT f.*, ${sharingVisibilitySql('files', 'f')} as visibility FROM files f WHERE f.id = ?`, [req.params.id]);
+
+        if (!file) {
+            return res.status(404).json({ error: 'File not found' });
+        }
+
+        if (!canManageFile(req.user, file)) {
+            return res.status(403).json({ error: 'Access denied' });
+        }
+
+        res.json({ success: true, data: await getSharing('files', file) });
+    } catch (error) {
+        console.error('File sharing fetch error:', error);
+        res.status(500).json({ error: 'Failed to load file sharing' });
+    }
+});
+
+app.put('/api/files/:id/sharing', authenticateToken, [
+    body('visibility').isIn(FILE_VISIBILITIES),
+    body('users').optional().isArray(),
+    body('departments').optional().isArray(),
+    body('projects').optional().isArray()
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const file = await dbGet('SELECT * FROM files WHERE id = ?', [req.params.id]);
+
+        if (!file) {
+            return res.status(404).json({ error: 'File not found' });
+        }
+
+        if (!canManageFile(req.user, file)) {
+            return res.status(403).json({ error: 'Access denied' });
+        }
+
+        const { visibility } = req.body;
+        const shares = normalizeShares(req.body);
+
+        const sharingError = await checkSharing(req.user, visibility, shares);
+        if (sharingError) {
+            return res.status(400).json({ error: sharingError });
+        }
+
+        await setSharing('files', file.id, visibility, shares, req.user.id);
+
+        await logActivity(req.user.id, 'file_sharing_updated',
+            `File "${file.original_name}" made ${describeSharing(visibility, shares)} by ${req.user.name}`);
+
+        const updatedFile = await dbGet(`SELECT f.*, ${sharingVisibilitySql('files', 'f')} as visibility FROM files f WHERE f.id = ?`, [file.id]);
+
+        res.json({
+            success: true,
+            data: updatedFile,
+            message: 'File sharing updated successfully'
+        });
+    } catch (error) {
+        console.error('File sharing update error:', error);
+        res.status(500).json({ error: 'Failed to update file sharing' });
+    }
+});
+
+app.get('/api/files/:id/versions', authenticateToken, async (req, res) => {
+    try {
+        const file = await dbGet('SELECT * FROM files WHERE id = ?', [req.params.id]);
+
+        if (!file) {
+            return res.status(404).json({ error: 'File not found' });
+        }
+
+        if (!await canAccessFile(req.user, file)) {
+            return res.status(403).json({ error: 'Access denied' });
+        }
+
+        const versions = await dbAll(`
+            SELECT fv.id, fv.version_number, fv.original_name, fv.file_size, fv.file_type, fv.uploaded_by, fv.uploaded_at,
+                   u.name as uploaded_by_name
+            FROM file_versions fv
+            LEFT JOIN users u ON fv.uploaded_by = u.id
+            WHERE fv.file_id = ?
+            ORDER BY fv.version_number DESC
+        `, [file.id]);
+
+        res.json({
+            success: true,
+            data: versions.map(version => ({
+                ...version,
+                is_current: version.version_number === file.current_version,
+                previewable: INLINE_FILE_TYPES.includes(version.file_type) || hasFilePreview(version.file_type)
+            }))
+        });
+    } catch (error) {
+        console.error('File versions fetch error:', error);
+        res.status(500).json({ error: 'Failed to load file versions' });
+    }
+});
+
+app.post('/api/files/:id/versions', authenticateToken, requirePermission('upload_files'), roleLimitedUpload('file'), async (req, res) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json({ error: 'No file uploaded' });
+        }
+
+        const file = await dbGet('SELECT * FROM files WHERE id = ?', [req.params.id]);
+
+        if (!file) {
+            fs.unlinkSync(req.file.path);
+            return res.status(404).json({ error: 'File not found' });
+        }
+
+        if (!canManageFile(req.user, file)) {
+            fs.unlinkSync(req.file.path);
+            return res.status(403).json({ error: 'Access denied' });
+        }
+
+        const { originalname, path, size, mimetype } = req.file;
+
+        const sha256 = await hashFile(path);
+        const quotaError = await checkStorageQuota(file.uploaded_by, sha256, size);
+        if (quotaError) {
+            fs.unlinkSync(path);
+            return res.status(413).json(quotaError);
+        }
+
+        const blob = await storeFileBlob(req.file, sha256);
+        const latest = await dbGet('SELECT MAX(version_number) as version FROM file_versions WHERE file_id = ?', [file.id]);
+        const version = (latest.version || file.current_version) + 1;
+
+        await dbRun(
+            `UPDATE files SET original_name = ?, stored_name = ?, file_path = ?, file_size = ?, file_type = ?, current_version = ?, blob_id = ?
+             WHERE id = ?`,
+            [originalname, blob.stored_name, blob.file_path, size, mimetype, version, blob.id, file.id]
+        );
+        await recordFileVersion(file.id, req.user.id);
+        queueFilePreview(blob, mimetype);
+
+        await logActivity(req.user.id, 'file_version_uploaded', `Version ${version} of file "${originalname}" uploaded by ${req.user.name}`);
+
+        const updatedFile = await dbGet('SELECT * FROM files WHERE id = ?', [file.id]);
+
+        res.status(201).json({
+            success: true,
+            data: updatedFile,
+            message: `Version ${version} uploaded successfully`
+        });
+    } catch (error) {
+        console.error('File version upload error:', error);
+        res.status(500).json({ error: 'Failed to upload file version' });
+    }
+});
+
+app.post('/api/files/:id/versions/:version/restore', authenticateToken, requirePermission('upload_files'), async (req, res) => {
+    try {
+        const file = await dbGet('SELECT * FROM files WHERE id = ?', [req.params.id]);
+
+        if (!file) {
+            return res.status(404).json({ error: 'File not found' });
+        }
+
+        if (!canManageFile(req.user, file)) {
+            return res.status(403).json({ error: 'Access denied' });
+        }
+
+        const version = await getFileBlob(file, req.params.version);
+        if (!version) {
+            return res.status(404).json({ error: 'Version not found' });
+        }
+
+        if (!fs.existsSync(version.file_path)) {
+            return res.status(404).json({ error: 'File not found on server' });
+        }
+
+        // A restore is recorded as a new version, so the history keeps every state the file has been in
+        const latest = await dbGet('SELECT MAX(version_number) as version FROM file_versions WHERE file_id = ?', [file.id]);
+        const newVersion = (latest.version || file.current_version) + 1;
+
+        if (version.blob_id) {
+            await dbRun('UPDATE file_blobs SET ref_count = ref_count + 1 WHERE id = ?', [version.blob_id]);
+        }
+
+        await dbRun(
+            `UPDATE files SET original_name = ?, stored_name = ?, file_path = ?, file_size = ?, file_type = ?, current_version = ?, blob_id = ?
+             WHERE id = ?`,
+            [version.original_name, version.stored_name, version.file_path, version.file_size, version.file_type, newVersion, version.blob_id, file.id]
         );
+        await recordFileVersion(file.id, req.user.id);
+
+        await logActivity(req.user.id, 'file_version_restored',
+            `File "${version.original_name}" restored from version ${version.version_number} as version ${newVersion} by ${req.user.name}`);
+
+        const updatedFile = await dbGet('SELECT * FROM files WHERE id = ?', [file.id]);
+
+        res.json({
+            success: true,
+            data: updatedFile,
+            message: `Version ${version.version_number} restored as version ${newVersion}`
+        });
+    } catch (error) {
+        console.error('File version restore error:', error);
+        res.status(500).json({ error: 'Failed to restore file version' });
+    }
+});
+
+app.get('/api/files/:id/download', authenticateToken, requirePermission('download_files'), [
+    query('version').optional().isInt({ min: 1 })
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const fileId = req.params.id;
+        const file = await dbGet('SELECT * FROM files WHERE id = ?', [fileId]);
+
+        if (!file) {
+            return res.status(404).json({ error: 'File not found' });
+        }
 
-        const token = jwt.sign({ userId: user.id, email: user.email }, JWT_SECRET, { expiresIn: '24h' });
+        if (!await canAccessFile(req.user, file)) {
+            return res.status(403).json({ error: 'Access denied' });
+        }
 
-        await logActivity(user.id, 'login', `User ${user.name} logged in`, ipAddress, userAgent);
+        const version = req.query.version ? Number(req.query.version) : null;
+        const blob = await getFileBlob(file, version);
+        if (!blob) {
+            return res.status(404).json({ error: 'Version not found' });
+        }
+
+        if (!fs.existsSync(blob.file_path)) {
+            return res.status(404).json({ error: 'File not found on server' });
+        }
 
-        const { password_hash, login_attempts, locked_until, ...userWithoutPassword } = user;
-        
         res.json({
             success: true,
-            token,
-            user: userWithoutPassword,
-            message: 'Login successful'
+            downloadUrl: createFileUrl(file, req.user, 'attachment', version),
+            previewUrl: INLINE_FILE_TYPES.includes(blob.file_type) ? createFileUrl(file, req.user, 'inline', version) : null,
+            expires_in: FILE_URL_TTL_SECONDS,
+            message: 'Download URL generated'
         });
 
     } catch (error) {
-        console.error('Login error:', error);
-        res.status(500).json({ error: 'System error' });
+        console.error('File download error:', error);
+        res.status(500).json({ error: 'Failed to download file' });
     }
 });
 
-app.post('/api/auth/logout', authenticateToken, async (req, res) => {
+app.get('/api/files/:id/content', authenticateFileRequest, requirePermission('download_files'), async (req, res) => {
     try {
-        await logActivity(req.user.id, 'logout', `User ${req.user.name} logged out`, req.ip, req.get('User-Agent'));
-        
-        res.json({ success: true, message: 'Logout successful' });
+        const file = await dbGet('SELECT * FROM files WHERE id = ?', [req.params.id]);
+
+        if (!file) {
+            return res.status(404).json({ error: 'File not found' });
+        }
+
+        if (!await canAccessFile(req.user, file)) {
+            return res.status(403).json({ error: 'Access denied' });
+        }
+
+        const blob = await getFileBlob(file, req.query.version);
+        if (!blob) {
+            return res.status(404).json({ error: 'Version not found' });
+        }
+
+        if (!fs.existsSync(blob.file_path)) {
+            return res.status(404).json({ error: 'File not found on server' });
+        }
+
+        const inline = req.query.disposition === 'inline' && INLINE_FILE_TYPES.includes(blob.file_type);
+
+        if (!inline && !req.headers.range) {
+            await logActivity(req.user.id, 'file_downloaded', req.query.version
+                ? `Version ${blob.version_number} of file "${blob.original_name}" downloaded by ${req.user.name}`
+                : `File "${blob.original_name}" downloaded by ${req.user.name}`);
+        }
+
+        res.sendFile(path.resolve(blob.file_path), {
+            headers: {
+                'Content-Type': inline ? blob.file_type : 'application/octet-stream',
+                'Content-Disposition': contentDisposition(inline ? 'inline' : 'attachment', blob.original_name),
+                'Cache-Control': 'private, no-store'
+            }
+        }, (error) => {
+            if (!error || res.headersSent) {
+                return;
+            }
+
+            if (error.status === 416) {
+                return res.status(416).set(error.headers).end();
+            }
+
+            console.error('File stream error:', error);
+            res.status(500).json({ error: 'Failed to download file' });
+        });
+
     } catch (error) {
-        console.error('Logout error:', error);
-        res.status(500).json({ error: 'System error' });
+        console.error('File content error:', error);
+        res.status(500).json({ error: 'Failed to download file' });
     }
 });
 
-app.get('/api/users', authenticateToken, requireAdmin, async (req, res) => {
+app.get('/api/files/:id/preview', authenticateToken, requirePermission('download_files'), [
+    query('version').optional().isInt({ min: 1 })
+], async (req, res) => {
     try {
-        const users = await dbAll(`
-            SELECT u.id, u.email, u.name, u.role, u.department, u.position, u.avatar_url, u.phone,
-                   u.is_active, u.created_at, u.last_login
-            FROM users u
-            ORDER BY u.created_at DESC
-        `);
-        
-        res.json({ success: true, data: users });
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const file = await dbGet('SELECT * FROM files WHERE id = ?', [req.params.id]);
+
+        if (!file) {
+            return res.status(404).json({ error: 'File not found' });
+        }
+
+        if (!await canAccessFile(req.user, file)) {
+            return res.status(403).json({ error: 'Access denied' });
+        }
+
+        const version = req.query.version ? Number(req.query.version) : null;
+        const source = await getFileBlob(file, version);
+        if (!source) {
+            return res.status(404).json({ error: 'Version not found' });
+        }
+
+        const preview = {
+            original_name: source.original_name,
+            file_type: source.file_type,
+            file_size: source.file_size,
+            version: version || file.current_version,
+            preview_url: INLINE_FILE_TYPES.includes(source.file_type) ? createFileUrl(file, req.user, 'inline', version) : null,
+            thumbnail_url: THUMBNAIL_TYPES.includes(source.file_type) ? createFileUrl(file, req.user, 'thumbnail', version) : null,
+            text: null,
+            pages: null
+        };
+
+        if (source.file_type === 'application/pdf') {
+            const blob = await dbGet('SELECT * FROM file_blobs WHERE id = ?', [source.blob_id]);
+
+            if (blob && fs.existsSync(blob.file_path)) {
+                try {
+                    const cachePath = await generateFilePreview(blob, source.file_type);
+                    Object.assign(preview, JSON.parse(await fs.promises.readFile(cachePath, 'utf8')));
+                } catch (error) {
+                    console.error('PDF preview error:', error.message);
+                }
+            }
+        }
+
+        res.json({ success: true, data: preview, expires_in: FILE_URL_TTL_SECONDS });
     } catch (error) {
-        console.error('Users fetch error:', error);
-        res.status(500).json({ error: 'Failed to load users' });
+        console.error('File preview error:', error);
+        res.status(500).json({ error: 'Failed to load preview' });
     }
 });
 
-app.post('/api/users', authenticateToken, requireAdmin, [
-    body('email').isEmail().normalizeEmail(),
-    body('password').isLength({ min: 8 }),
-    body('name').notEmpty(),
-    body('role').isIn(['admin', 'manager', 'employee'])
+app.get('/api/files/:id/thumbnail', authenticateFileRequest, requirePermission('download_files'), async (req, res) => {
+    try {
+        const file = await dbGet('SELECT * FROM files WHERE id = ?', [req.params.id]);
+
+        if (!file) {
+            return res.status(404).json({ error: 'File not found' });
+        }
+
+        if (!await canAccessFile(req.user, file)) {
+            return res.status(403).json({ error: 'Access denied' });
+        }
+
+        const source = await getFileBlob(file, req.query.version);
+        if (!source) {
+            return res.status(404).json({ error: 'Version not found' });
+        }
+
+        const blob = THUMBNAIL_TYPES.includes(source.file_type)
+            ? await dbGet('SELECT * FROM file_blobs WHERE id = ?', [source.blob_id])
+            : null;
+        if (!blob || !fs.existsSync(blob.file_path)) {
+            return res.status(404).json({ error: 'No thumbnail available for this file' });
+        }
+
+        let thumbnailPath;
+        try {
+            thumbnailPath = await generateFilePreview(blob, source.file_type);
+        } catch (error) {
+            return res.status(404).json({ error: 'No thumbnail available for this file' });
+        }
+
+        res.sendFile(thumbnailPath, {
+            headers: {
+                'Content-Type': 'image/png',
+                'Cache-Control': 'private, max-age=300'
+            }
+        });
+    } catch (error) {
+        console.error('File thumbnail error:', error);
+        res.status(500).json({ error: 'Failed to load thumbnail' });
+    }
+});
+
+app.delete('/api/files/:id', authenticateToken, requirePermission('delete_files'), async (req, res) => {
+    try {
+        const fileId = req.params.id;
+        const file = await dbGet('SELECT * FROM files WHERE id = ?', [fileId]);
+
+        if (!file) {
+            return res.status(404).json({ error: 'File not found' });
+        }
+
+        if (!canManageFile(req.user, file)) {
+            return res.status(403).json({ error: 'Access denied' });
+        }
+
+        if (FILE_VERSION_DELETE_POLICY === 'delete') {
+            const versions = await dbAll('SELECT blob_id, file_path FROM file_versions WHERE file_id = ?', [fileId]);
+            await dbRun('DELETE FROM file_versions WHERE file_id = ?', [fileId]);
+            await dbRun('UPDATE files SET blob_id = NULL WHERE id = ?', [fileId]);
+            await purgeFileVersions(versions);
+        }
+
+        await dbRun('DELETE FROM files WHERE id = ?', [fileId]);
+
+        await logActivity(req.user.id, 'file_deleted', FILE_VERSION_DELETE_POLICY === 'retain'
+            ? `File "${file.original_name}" deleted by ${req.user.name} (versions retained)`
+            : `File "${file.original_name}" deleted by ${req.user.name}`);
+
+        res.json({ success: true, message: 'File deleted successfully' });
+
+    } catch (error) {
+        console.error('File delete error:', error);
+        res.status(500).json({ error: 'Failed to delete file' });
+    }
+});
+
+app.put('/api/files/:id/folder', authenticateToken, [
+    body('folder_id').optional({ nullable: true }).isInt()
 ], async (req, res) => {
     try {
         const errors = validationResult(req);
@@ -566,53 +5263,115 @@ app.post('/api/users', authenticateToken, requireAdmin, [
             return res.status(400).json({ errors: errors.array() });
         }
 
-        const { email, password, name, role, department, position, phone, avatar_url } = req.body;
+        const file = await dbGet('SELECT * FROM files WHERE id = ?', [req.params.id]);
 
-        if (role === 'admin') {
-            const existingAdmin = await dbGet('SELECT id FROM users WHERE role = ?', ['admin']);
-            if (existingAdmin) {
-                return res.status(400).json({ error: 'Only one administrator account is allowed in the system' });
-            }
+        if (!file) {
+            return res.status(404).json({ error: 'File not found' });
         }
 
-        const existingUser = await dbGet('SELECT id FROM users WHERE email = ?', [email]);
-        if (existingUser) {
-            return res.status(400).json({ error: 'User already exists' });
+        if (!canManageFile(req.user, file)) {
+            return res.status(403).json({ error: 'Access denied' });
         }
 
-        const passwordHash = await bcrypt.hash(password, SALT_ROUNDS);
-
-        const result = await dbRun(
-            `INSERT INTO users (email, password_hash, name, role, department, position, phone, avatar_url, created_by)
-             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-            [email, passwordHash, name, role, department, position, phone, avatar_url || 'https://i.imgur.com/RpGGkQ1.png', req.user.id]
-        );
-
-        await dbRun(`INSERT INTO user_profiles (user_id) VALUES (?)`, [result.id]);
+        const folderId = req.body.folder_id || null;
+        const folderError = await checkFolderTarget(req.user, folderId);
+        if (folderError) {
+            return res.status(400).json({ error: folderError });
+        }
 
-        const newUser = await dbGet(
-            `SELECT id, email, name, role, department, position, avatar_url, phone, is_active, created_at
-             FROM users WHERE id = ?`,
-            [result.id]
-        );
+        await dbRun('UPDATE files SET folder_id = ? WHERE id = ?', [folderId, file.id]);
 
-        await logActivity(req.user.id, 'user_created', `User ${name} created by ${req.user.name}`);
+        const folder = folderId ? await dbGet('SELECT name FROM folders WHERE id = ?', [folderId]) : null;
+        await logActivity(req.user.id, 'file_moved',
+            `File "${file.original_name}" moved to ${folder ? `folder "${folder.name}"` : 'the root folder'} by ${req.user.name}`);
 
-        res.status(201).json({
+        res.json({
             success: true,
-            data: newUser,
-            message: 'User created successfully'
+            data: await dbGet('SELECT * FROM files WHERE id = ?', [file.id]),
+            message: 'File moved successfully'
         });
+    } catch (error) {
+        console.error('File move error:', error);
+        res.status(500).json({ error: 'Failed to move file' });
+    }
+});
+
+app.get('/api/folders', authenticateToken, [
+    query('parent').optional().matches(/^(root|all|\d+)$/)
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const visibility = folderVisibilityClause(req.user);
+        const whereClauses = [visibility.clause];
+        const params = [...visibility.params];
+        const parent = req.query.parent || 'root';
+
+        if (parent === 'root') {
+            const folders = visibleFoldersSql(req.user);
+            whereClauses.push(`(fo.parent_id IS NULL OR fo.parent_id NOT IN (${folders.sql}))`);
+            params.push(...folders.params);
+        } else if (parent !== 'all') {
+            const folderError = await checkFolderTarget(req.user, parent);
+            if (folderError) {
+                return res.status(folderError === 'Folder not found' ? 404 : 403).json({ error: folderError });
+            }
+
+            whereClauses.push('fo.parent_id = ?');
+            params.push(parent);
+        }
+
+        const folders = await dbAll(`
+            ${FOLDER_SELECT}
+            WHERE ${whereClauses.join(' AND ')}
+            ORDER BY fo.name COLLATE NOCASE
+        `, params);
 
+        res.json({ success: true, data: folders.map(folder => formatFolder(folder, req.user)) });
     } catch (error) {
-        console.error('User creation error:', error);
-        res.status(500).json({ error: 'Failed to create user' });
+        console.error('Folders fetch error:', error);
+        res.status(500).json({ error: 'Failed to load folders' });
     }
 });
 
-app.put('/api/users/:id', authenticateToken, requireAdmin, [
-    body('name').notEmpty(),
-    body('role').isIn(['admin', 'manager', 'employee'])
+app.get('/api/folders/:id', authenticateToken, async (req, res) => {
+    try {
+        const folder = await dbGet(`${FOLDER_SELECT} WHERE fo.id = ?`, [req.params.id]);
+
+        if (!folder) {
+            return res.status(404).json({ error: 'Folder not found' });
+        }
+
+        if (!await canAccessFolder(req.user, folder.id)) {
+            return res.status(403).json({ error: 'Access denied' });
+        }
+
+        const visibility = folderVisibilityClause(req.user, 'ancestor');
+        const path = await dbAll(`
+            WITH RECURSIVE ancestors(id, name, parent_id, depth) AS (
+                SELECT id, name, parent_id, 0 FROM folders WHERE id = ?
+                UNION ALL
+                SELECT parent.id, parent.name, parent.parent_id, ancestors.depth + 1
+                FROM folders parent JOIN ancestors ON parent.id = ancestors.parent_id
+            )
+            SELECT ancestor.id, ancestor.name FROM ancestors ancestor
+            WHERE ancestor.depth > 0 AND ${visibility.clause}
+            ORDER BY ancestor.depth DESC
+        `, [folder.id, ...visibility.params]);
+
+        res.json({ success: true, data: { ...formatFolder(folder, req.user), path } });
+    } catch (error) {
+        console.error('Folder fetch error:', error);
+        res.status(500).json({ error: 'Failed to load folder' });
+    }
+});
+
+app.post('/api/folders', authenticateToken, requirePermission('upload_files'), [
+    body('name').trim().isLength({ min: 1, max: 255 }),
+    body('parent_id').optional({ nullable: true }).isInt()
 ], async (req, res) => {
     try {
         const errors = validationResult(req);
@@ -620,165 +5379,164 @@ app.put('/api/users/:id', authenticateToken, requireAdmin, [
             return res.status(400).json({ errors: errors.array() });
         }
 
-        const { name, role, department, position, phone, avatar_url, is_active } = req.body;
-        const userId = req.params.id;
+        const { name } = req.body;
+        const parentId = req.body.parent_id || null;
 
-        if (userId == req.user.id && (role !== 'admin' || is_active === false)) {
-            return res.status(400).json({ error: 'Cannot modify your own admin role or deactivate your own account' });
+        const parentError = await checkFolderTarget(req.user, parentId);
+        if (parentError) {
+            return res.status(400).json({ error: parentError });
         }
 
-        if (role === 'admin') {
-            const existingAdmin = await dbGet('SELECT id FROM users WHERE role = ? AND id != ?', ['admin', userId]);
-            if (existingAdmin) {
-                return res.status(400).json({ error: 'Only one administrator account is allowed in the system' });
-            }
+        if (await folderNameTaken(name, parentId)) {
+            return res.status(400).json({ error: 'A folder with this name already exists here' });
         }
 
-        await dbRun(
-            `UPDATE users 
-             SET name = ?, role = ?, department = ?, position = ?, phone = ?, avatar_url = ?, is_active = ?, updated_at = CURRENT_TIMESTAMP
-             WHERE id = ?`,
-            [name, role, department, position, phone, avatar_url, is_active, userId]
+        const result = await dbRun(
+            'INSERT INTO folders (name, parent_id, owner_id) VALUES (?, ?, ?)',
+            [name, parentId, req.user.id]
         );
 
-        const updatedUser = await dbGet(
-            `SELECT id, email, name, role, department, position, avatar_url, phone, is_active, created_at
-             FROM users WHERE id = ?`,
-            [userId]
-        );
+        await logActivity(req.user.id, 'folder_created', `Folder "${name}" created by ${req.user.name}`);
 
-        await logActivity(req.user.id, 'user_updated', `User ${name} updated by ${req.user.name}`);
+        const folder = await dbGet(`${FOLDER_SELECT} WHERE fo.id = ?`, [result.id]);
 
-        res.json({
+        res.status(201).json({
             success: true,
-            data: updatedUser,
-            message: 'User updated successfully'
+            data: formatFolder(folder, req.user),
+            message: 'Folder created successfully'
         });
-
     } catch (error) {
-        console.error('User update error:', error);
-        res.status(500).json({ error: 'Failed to update user' });
+        console.error('Folder create error:', error);
+        res.status(500).json({ error: 'Failed to create folder' });
     }
 });
 
-app.get('/api/dashboard/stats', authenticateToken, async (req, res) => {
+app.put('/api/folders/:id', authenticateToken, [
+    body('name').optional().trim().isLength({ min: 1, max: 255 }),
+    body('parent_id').optional({ nullable: true }).isInt()
+], async (req, res) => {
     try {
-        let query = `
-            SELECT 
-                COUNT(*) as total_tasks,
-                SUM(CASE WHEN status = 'pending' THEN 1 ELSE 0 END) as pending_tasks,
-                SUM(CASE WHEN status = 'in-progress' THEN 1 ELSE 0 END) as in_progress_tasks,
-                SUM(CASE WHEN status = 'completed' THEN 1 ELSE 0 END) as completed_tasks,
-                SUM(CASE WHEN status != 'completed' AND due_date < date('now') THEN 1 ELSE 0 END) as overdue_tasks
-            FROM tasks
-        `;
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
 
-        let params = [];
+        const folder = await dbGet('SELECT * FROM folders WHERE id = ?', [req.params.id]);
 
-        if (req.user.role === 'employee') {
-            query += ' WHERE assignee_id = ? OR created_by = ?';
-            params.push(req.user.id, req.user.id);
+        if (!folder) {
+            return res.status(404).json({ error: 'Folder not found' });
         }
 
-        const stats = await dbGet(query, params);
+        if (!canManageFolder(req.user, folder)) {
+            return res.status(403).json({ error: 'Access denied' });
+        }
 
-        const safeStats = {
-            total_tasks: stats.total_tasks || 0,
-            pending_tasks: stats.pending_tasks || 0,
-            in_progress_tasks: stats.in_progress_tasks || 0,
-            completed_tasks: stats.completed_tasks || 0,
-            overdue_tasks: stats.overdue_tasks || 0
-        };
+        const name = req.body.name !== undefined ? req.body.name : folder.name;
+        const requestedParentId = req.body.parent_id ? Number(req.body.parent_id) : null;
+        const moving = req.body.parent_id !== undefined && requestedParentId !== folder.parent_id;
+        const parentId = moving ? requestedParentId : folder.parent_id;
 
-        let recentTasksQuery = `
-            SELECT t.*, u.name as assignee_name, u.avatar_url as assignee_avatar
-            FROM tasks t
-            LEFT JOIN users u ON t.assignee_id = u.id
-        `;
-        let recentTasksParams = [];
+        if (moving) {
+            const parentError = await checkFolderTarget(req.user, parentId);
+            if (parentError) {
+                return res.status(400).json({ error: parentError });
+            }
+
+            const cycle = parentId && await dbGet(`
+                WITH RECURSIVE descendants(id) AS (
+                    SELECT ?
+                    UNION
+                    SELECT child.id FROM folders child JOIN descendants ON child.parent_id = descendants.id
+                )
+                SELECT id FROM descendants WHERE id = ?
+            `, [folder.id, parentId]);
+            if (cycle) {
+                return res.status(400).json({ error: 'A folder cannot be moved into itself or one of its subfolders' });
+            }
+        }
+
+        if (await folderNameTaken(name, parentId, folder.id)) {
+            return res.status(400).json({ error: 'A folder with this name already exists here' });
+        }
 
-        if (req.user.role === 'employee') {
-            recentTasksQuery += ' WHERE (t.assignee_id = ? OR t.created_by = ?)';
-            recentTasksParams.push(req.user.id, req.user.id);
+        await dbRun(
+            'UPDATE folders SET name = ?, parent_id = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+            [name, parentId, folder.id]
+        );
+
+        if (name !== folder.name) {
+            await logActivity(req.user.id, 'folder_renamed', `Folder "${folder.name}" renamed to "${name}" by ${req.user.name}`);
+        }
+        if (moving) {
+            const parent = parentId ? await dbGet('SELECT name FROM folders WHERE id = ?', [parentId]) : null;
+            await logActivity(req.user.id, 'folder_moved',
+                `Folder "${name}" moved to ${parent ? `folder "${parent.name}"` : 'the root folder'} by ${req.user.name}`);
         }
 
-        recentTasksQuery += ' ORDER BY t.created_at DESC LIMIT 5';
-        const recentTasks = await dbAll(recentTasksQuery, recentTasksParams);
+        const updatedFolder = await dbGet(`${FOLDER_SELECT} WHERE fo.id = ?`, [folder.id]);
 
         res.json({
             success: true,
-            data: {
-                stats: safeStats,
-                recentTasks: recentTasks || []
-            }
+            data: formatFolder(updatedFolder, req.user),
+            message: 'Folder updated successfully'
         });
-
     } catch (error) {
-        console.error('Stats error:', error);
-        res.status(500).json({ error: 'Failed to load stats' });
+        console.error('Folder update error:', error);
+        res.status(500).json({ error: 'Failed to update folder' });
     }
 });
 
-app.get('/api/tasks', authenticateToken, async (req, res) => {
+app.delete('/api/folders/:id', authenticateToken, async (req, res) => {
     try {
-        const { status, priority, assignee } = req.query;
-
-        let query = `
-            SELECT t.*, 
-                   u_assignee.name as assignee_name,
-                   u_assignee.avatar_url as assignee_avatar,
-                   u_creator.name as creator_name
-            FROM tasks t
-            LEFT JOIN users u_assignee ON t.assignee_id = u_assignee.id
-            LEFT JOIN users u_creator ON t.created_by = u_creator.id
-        `;
-        
-        let whereClauses = [];
-        let params = [];
+        const folder = await dbGet(`${FOLDER_SELECT} WHERE fo.id = ?`, [req.params.id]);
 
-        if (req.user.role === 'employee') {
-            whereClauses.push('(t.assignee_id = ? OR t.created_by = ?)');
-            params.push(req.user.id, req.user.id);
+        if (!folder) {
+            return res.status(404).json({ error: 'Folder not found' });
         }
 
-        if (status) {
-            whereClauses.push('t.status = ?');
-            params.push(status);
+        if (!canManageFolder(req.user, folder)) {
+            return res.status(403).json({ error: 'Access denied' });
         }
 
-        if (priority) {
-            whereClauses.push('t.priority = ?');
-            params.push(priority);
+        if (folder.folder_count > 0 || folder.file_count > 0) {
+            return res.status(400).json({ error: 'Only empty folders can be deleted' });
         }
 
-        if (assignee) {
-            whereClauses.push('t.assignee_id = ?');
-            params.push(assignee);
-        }
+        await dbRun('DELETE FROM folders WHERE id = ?', [folder.id]);
 
-        if (whereClauses.length > 0) {
-            query += ' WHERE ' + whereClauses.join(' AND ');
-        }
+        await logActivity(req.user.id, 'folder_deleted', `Folder "${folder.name}" deleted by ${req.user.name}`);
+
+        res.json({ success: true, message: 'Folder deleted successfully' });
+    } catch (error) {
+        console.error('Folder delete error:', error);
+        res.status(500).json({ error: 'Failed to delete folder' });
+    }
+});
 
-        query += ' ORDER BY t.created_at DESC';
+app.get('/api/folders/:id/sharing', authenticateToken, async (req, res) => {
+    try {
+        const folder = await dbGet(`${FOLDER_SELECT} WHERE fo.id = ?`, [req.params.id]);
 
-        const tasks = await dbAll(query, params);
-        
-        res.json({
-            success: true,
-            data: tasks
-        });
+        if (!folder) {
+            return res.status(404).json({ error: 'Folder not found' });
+        }
 
+        if (!canManageFolder(req.user, folder)) {
+            return res.status(403).json({ error: 'Access denied' });
+        }
+
+        res.json({ success: true, data: await getSharing('folders', folder) });
     } catch (error) {
-        console.error('Tasks fetch error:', error);
-        res.status(500).json({ error: 'Failed to load tasks' });
+        console.error('Folder sharing fetch error:', error);
+        res.status(500).json({ error: 'Failed to load folder sharing' });
     }
 });
 
-app.post('/api/tasks', authenticateToken, [
-    body('title').notEmpty(),
-    body('priority').isIn(['low', 'medium', 'high']),
-    body('due_date').isDate()
+app.put('/api/folders/:id/sharing', authenticateToken, [
+    body('visibility').isIn(FILE_VISIBILITIES),
+    body('users').optional().isArray(),
+    body('departments').optional().isArray(),
+    body('projects').optional().isArray()
 ], async (req, res) => {
     try {
         const errors = validationResult(req);
@@ -786,321 +5544,517 @@ app.post('/api/tasks', authenticateToken, [
             return res.status(400).json({ errors: errors.array() });
         }
 
-        const { title, description, priority, status, due_date, assignee_id, estimated_hours, actual_hours } = req.body;
+        const folder = await dbGet('SELECT * FROM folders WHERE id = ?', [req.params.id]);
 
-        const result = await dbRun(
-            `INSERT INTO tasks (title, description, priority, status, due_date, assignee_id, created_by, estimated_hours, actual_hours)
-             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-            [title, description, priority, status || 'pending', due_date, assignee_id, req.user.id, estimated_hours, actual_hours]
-        );
+        if (!folder) {
+            return res.status(404).json({ error: 'Folder not found' });
+        }
 
-        const newTask = await dbGet(`
-            SELECT t.*, u.name as assignee_name, uc.name as creator_name
-            FROM tasks t
-            LEFT JOIN users u ON t.assignee_id = u.id
-            LEFT JOIN users uc ON t.created_by = uc.id
-            WHERE t.id = ?
-        `, [result.id]);
+        if (!canManageFolder(req.user, folder)) {
+            return res.status(403).json({ error: 'Access denied' });
+        }
 
-        await logActivity(req.user.id, 'task_created', `Task "${title}" created by ${req.user.name}`);
+        const { visibility } = req.body;
+        const shares = normalizeShares(req.body);
 
-        res.status(201).json({
+        const sharingError = await checkSharing(req.user, visibility, shares);
+        if (sharingError) {
+            return res.status(400).json({ error: sharingError });
+        }
+
+        await setSharing('folders', folder.id, visibility, shares, req.user.id);
+
+        await logActivity(req.user.id, 'folder_sharing_updated',
+            `Folder "${folder.name}" made ${describeSharing(visibility, shares)} by ${req.user.name}`);
+
+        const updatedFolder = await dbGet(`${FOLDER_SELECT} WHERE fo.id = ?`, [folder.id]);
+
+        res.json({
             success: true,
-            data: newTask,
-            message: 'Task created successfully'
+            data: formatFolder(updatedFolder, req.user),
+            message: 'Folder sharing updated successfully'
         });
-
     } catch (error) {
-        console.error('Task creation error:', error);
-        res.status(500).json({ error: 'Failed to create task' });
+        console.error('Folder sharing update error:', error);
+        res.status(500).json({ error: 'Failed to update folder sharing' });
     }
 });
 
-app.put('/api/tasks/:id', authenticateToken, async (req, res) => {
+app.post('/api/uploads', authenticateToken, requirePermission('upload_files'), [
+    body('name').trim().notEmpty().isLength({ max: 255 }),
+    body('size').isInt({ min: 1 }),
+    body('type').optional({ nullable: true }).isString().isLength({ max: 100 }),
+    body('folder_id').optional({ nullable: true }).isInt(),
+    body('task_id').optional({ nullable: true }).isInt(),
+    body('shares').optional().isObject()
+], async (req, res) => {
     try {
-        const { title, description, priority, status, due_date, assignee_id, estimated_hours, actual_hours } = req.body;
-        const taskId = req.params.id;
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
 
-        const existingTask = await dbGet('SELECT * FROM tasks WHERE id = ?', [taskId]);
-        if (!existingTask) {
-            return res.status(404).json({ error: 'Task not found' });
+        const { name } = req.body;
+        const size = Number(req.body.size);
+
+        if (!isAllowedFileName(name)) {
+            return res.status(400).json({ error: 'File type not allowed' });
         }
 
-        if (req.user.role === 'employee' && existingTask.assignee_id !== req.user.id && existingTask.created_by !== req.user.id) {
-            return res.status(403).json({ error: 'Access denied' });
+        const limits = await getUploadLimits(req.user.role);
+        const sizeError = checkUploadSize(limits, size);
+        if (sizeError) {
+            return res.status(413).json({ error: sizeError });
         }
 
-        await dbRun(
-            `UPDATE tasks 
-             SET title = ?, description = ?, priority = ?, status = ?, due_date = ?, assignee_id = ?, 
-                 estimated_hours = ?, actual_hours = ?, updated_at = CURRENT_TIMESTAMP
-             WHERE id = ?`,
-            [title, description, priority, status, due_date, assignee_id, estimated_hours, actual_hours, taskId]
+        if (limits.max_sessions !== null) {
+            const open = await dbGet('SELECT COUNT(*) as count FROM upload_sessions WHERE user_id = ?', [req.user.id]);
+            if (open.count >= limits.max_sessions) {
+                return res.status(429).json({ error: `You already have ${open.count} unfinished uploads. Finish or cancel one first.` });
+            }
+        }
+
+        const options = {
+            visibility: req.body.visibility || 'private',
+            shares: normalizeShares(req.body.shares || {}),
+            folderId: req.body.folder_id ? Number(req.body.folder_id) : null,
+            taskId: req.body.task_id ? Number(req.body.task_id) : null
+        };
+
+        const target = await checkUploadOptions(req.user, options);
+        if (target.error) {
+            return res.status(target.status).json({ error: target.error });
+        }
+
+        const quotaError = await checkStorageQuota(req.user.id, null, size);
+        if (quotaError) {
+            return res.status(413).json(quotaError);
+        }
+
+        const tempPath = path.join(partialUploadsDir, `${crypto.randomBytes(16).toString('hex')}.part`);
+        await fs.promises.writeFile(tempPath, '');
+
+        const result = await dbRun(
+            `INSERT INTO upload_sessions (user_id, original_name, file_type, file_size, chunk_size, temp_path, folder_id, task_id, visibility, shares)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [req.user.id, name, req.body.type || 'application/octet-stream', size, UPLOAD_CHUNK_SIZE, tempPath,
+                options.folderId, options.taskId, options.visibility, JSON.stringify(options.shares)]
         );
 
-        const updatedTask = await dbGet(`
-            SELECT t.*, u.name as assignee_name, uc.name as creator_name
-            FROM tasks t
-            LEFT JOIN users u ON t.assignee_id = u.id
-            LEFT JOIN users uc ON t.created_by = uc.id
-            WHERE t.id = ?
-        `, [taskId]);
+        const session = await dbGet('SELECT * FROM upload_sessions WHERE id = ?', [result.id]);
 
-        await logActivity(req.user.id, 'task_updated', `Task "${title}" updated by ${req.user.name}`);
+        res.status(201).json({ success: true, data: formatUploadSession(session), message: 'Upload started' });
+    } catch (error) {
+        console.error('Upload start error:', error);
+        res.status(500).json({ error: 'Failed to start upload' });
+    }
+});
 
-        res.json({
-            success: true,
-            data: updatedTask,
-            message: 'Task updated successfully'
-        });
+app.get('/api/uploads/:id', authenticateToken, async (req, res) => {
+    try {
+        const session = await getUploadSession(req.params.id, req.user.id);
 
+        if (!session) {
+            return res.status(404).json({ error: 'Upload not found or expired' });
+        }
+
+        res.json({ success: true, data: formatUploadSession(session) });
     } catch (error) {
-        console.error('Task update error:', error);
-        res.status(500).json({ error: 'Failed to update task' });
+        console.error('Upload status error:', error);
+        res.status(500).json({ error: 'Failed to load upload' });
     }
 });
 
-app.delete('/api/tasks/:id', authenticateToken, async (req, res) => {
+app.put('/api/uploads/:id', authenticateToken, requirePermission('upload_files'), express.raw({ limit: UPLOAD_CHUNK_SIZE }), [
+    query('offset').isInt({ min: 0 })
+], async (req, res) => {
     try {
-        const taskId = req.params.id;
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
 
-        const existingTask = await dbGet('SELECT * FROM tasks WHERE id = ?', [taskId]);
-        if (!existingTask) {
-            return res.status(404).json({ error: 'Task not found' });
+        const session = await getUploadSession(req.params.id, req.user.id);
+
+        if (!session) {
+            return res.status(404).json({ error: 'Upload not found or expired' });
         }
 
-        if (req.user.role === 'employee' && existingTask.created_by !== req.user.id) {
-            return res.status(403).json({ error: 'Access denied' });
+        const offset = Number(req.query.offset);
+        const chunk = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+
+        if (offset !== session.received_bytes) {
+            return res.status(409).json({
+                error: `Expected the chunk at offset ${session.received_bytes}`,
+                data: formatUploadSession(session)
+            });
         }
 
-        await dbRun('DELETE FROM tasks WHERE id = ?', [taskId]);
+        if (chunk.length === 0) {
+            return res.status(400).json({ error: 'Chunk body required (Content-Type: application/octet-stream)' });
+        }
 
-        await logActivity(req.user.id, 'task_deleted', `Task "${existingTask.title}" deleted by ${req.user.name}`);
+        const end = offset + chunk.length;
+        if (end > session.file_size || (chunk.length !== session.chunk_size && end !== session.file_size)) {
+            return res.status(400).json({ error: `Chunks must be ${session.chunk_size} bytes, except the last one` });
+        }
 
-        res.json({ success: true, message: 'Task deleted successfully' });
+        if (activeUploadSessions.has(session.id)) {
+            return res.status(409).json({ error: 'Another request for this upload is still in progress', data: formatUploadSession(session) });
+        }
 
-    } catch (error) {
-        console.error('Task delete error:', error);
-        res.status(500).json({ error: 'Failed to delete task' });
-    }
-});
+        if (!fs.existsSync(session.temp_path)) {
+            await dbRun('DELETE FROM upload_sessions WHERE id = ?', [session.id]);
+            return res.status(410).json({ error: 'Upload expired. Please start it again.' });
+        }
 
-app.get('/api/user/profile', authenticateToken, async (req, res) => {
-    try {
-        const profile = await dbGet(`
-            SELECT u.id, u.email, u.name, u.role, u.department, u.position, u.avatar_url, u.phone, u.created_at
-            FROM users u
-            WHERE u.id = ?
-        `, [req.user.id]);
+        activeUploadSessions.add(session.id);
+        try {
+            const handle = await fs.promises.open(session.temp_path, 'r+');
+            try {
+                await handle.write(chunk, 0, chunk.length, offset);
+            } finally {
+                await handle.close();
+            }
 
-        res.json({ success: true, data: profile });
+            await dbRun(
+                'UPDATE upload_sessions SET received_bytes = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+                [end, session.id]
+            );
+        } finally {
+            activeUploadSessions.delete(session.id);
+        }
+
+        const updated = await dbGet('SELECT * FROM upload_sessions WHERE id = ?', [session.id]);
+
+        res.json({ success: true, data: formatUploadSession(updated) });
     } catch (error) {
-        console.error('Profile fetch error:', error);
-        res.status(500).json({ error: 'Failed to load profile' });
+        console.error('Upload chunk error:', error);
+        res.status(500).json({ error: 'Failed to store chunk' });
     }
 });
 
-app.put('/api/user/profile', authenticateToken, async (req, res) => {
+app.post('/api/uploads/:id/complete', authenticateToken, requirePermission('upload_files'), [
+    body('checksum').matches(/^[0-9a-fA-F]{64}$/)
+], async (req, res) => {
     try {
-        const { name, department, position, phone } = req.body;
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
 
-        await dbRun(
-            `UPDATE users 
-             SET name = ?, department = ?, position = ?, phone = ?, updated_at = CURRENT_TIMESTAMP
-             WHERE id = ?`,
-            [name, department, position, phone, req.user.id]
-        );
+        const session = await getUploadSession(req.params.id, req.user.id);
 
-        const updatedProfile = await dbGet(`
-            SELECT u.id, u.email, u.name, u.role, u.department, u.position, u.avatar_url, u.phone, u.created_at
-            FROM users u
-            WHERE u.id = ?
-        `, [req.user.id]);
+        if (!session) {
+            return res.status(404).json({ error: 'Upload not found or expired' });
+        }
 
-        await logActivity(req.user.id, 'profile_updated', `Profile updated by ${req.user.name}`);
+        if (activeUploadSessions.has(session.id)) {
+            return res.status(409).json({ error: 'Another request for this upload is still in progress', data: formatUploadSession(session) });
+        }
 
-        res.json({
-            success: true,
-            data: updatedProfile,
-            message: 'Profile updated successfully'
-        });
+        if (session.received_bytes !== session.file_size) {
+            return res.status(409).json({
+                error: `Upload is incomplete: ${session.received_bytes} of ${session.file_size} bytes received`,
+                data: formatUploadSession(session)
+            });
+        }
+
+        if (!fs.existsSync(session.temp_path)) {
+            await dbRun('DELETE FROM upload_sessions WHERE id = ?', [session.id]);
+            return res.status(410).json({ error: 'Upload expired. Please start it again.' });
+        }
+
+        activeUploadSessions.add(session.id);
+        try {
+            const hashes = await hashUploadedChunks(session.temp_path, session.chunk_size);
+
+            if (hashes.checksum !== req.body.checksum.toLowerCase()) {
+                await fs.promises.truncate(session.temp_path, 0);
+                await dbRun('UPDATE upload_sessions SET received_bytes = 0, updated_at = CURRENT_TIMESTAMP WHERE id = ?', [session.id]);
+                return res.status(422).json({ error: 'Checksum mismatch: the upload was corrupted and has been reset. Please upload the file again.' });
+            }
+
+            const options = uploadSessionOptions(session);
+            const target = await checkUploadOptions(req.user, options);
+            if (target.error) {
+                return res.status(target.status).json({ error: target.error });
+            }
+
+            const quotaError = await checkStorageQuota(req.user.id, hashes.sha256, session.file_size);
+            if (quotaError) {
+                return res.status(413).json(quotaError);
+            }
+
+            const upload = {
+                originalname: session.original_name,
+                mimetype: session.file_type,
+                size: session.file_size,
+                filename: storedFileName(session.original_name)
+            };
+            upload.path = path.join(uploadsDir, upload.filename);
 
+            await fs.promises.rename(session.temp_path, upload.path);
+            await dbRun('DELETE FROM upload_sessions WHERE id = ?', [session.id]);
+
+            const blob = await storeFileBlob(upload, hashes.sha256);
+            const newFile = await createFileRecord(req.user, upload, blob, options, target.task);
+
+            res.status(201).json({
+                success: true,
+                data: newFile,
+                message: 'File uploaded successfully'
+            });
+        } finally {
+            activeUploadSessions.delete(session.id);
+        }
     } catch (error) {
-        console.error('Profile update error:', error);
-        res.status(500).json({ error: 'Failed to update profile' });
+        console.error('Upload complete error:', error);
+        res.status(500).json({ error: 'Failed to finish upload' });
     }
 });
 
-app.put('/api/user/avatar', authenticateToken, async (req, res) => {
+app.delete('/api/uploads/:id', authenticateToken, async (req, res) => {
     try {
-        const { avatar_url } = req.body;
+        const session = await getUploadSession(req.params.id, req.user.id);
 
-        if (!avatar_url) {
-            return res.status(400).json({ error: 'Avatar URL required' });
+        if (!session) {
+            return res.status(404).json({ error: 'Upload not found or expired' });
         }
 
-        await dbRun(
-            'UPDATE users SET avatar_url = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
-            [avatar_url, req.user.id]
-        );
+        if (activeUploadSessions.has(session.id)) {
+            return res.status(409).json({ error: 'Another request for this upload is still in progress' });
+        }
 
-        await logActivity(req.user.id, 'avatar_updated', `Avatar updated by ${req.user.name}`);
+        await removeUploadSession(session);
 
-        res.json({ success: true, message: 'Avatar updated successfully' });
+        res.json({ success: true, message: 'Upload cancelled' });
     } catch (error) {
-        console.error('Avatar update error:', error);
-        res.status(500).json({ error: 'Failed to update avatar' });
+        console.error('Upload cancel error:', error);
+        res.status(500).json({ error: 'Failed to cancel upload' });
     }
 });
 
-app.put('/api/users/:id/password', authenticateToken, requireAdmin, async (req, res) => {
+app.get('/api/storage/quota', authenticateToken, async (req, res) => {
     try {
-        const { newPassword } = req.body;
-        const userId = req.params.id;
-
-        if (!newPassword || newPassword.length < 8) {
-            return res.status(400).json({ error: 'Password must be at least 8 characters' });
-        }
-
-        const passwordHash = await bcrypt.hash(newPassword, SALT_ROUNDS);
+        res.json({ success: true, data: await getStorageQuota(req.user.id) });
+    } catch (error) {
+        console.error('Storage quota fetch error:', error);
+        res.status(500).json({ error: 'Failed to load storage quota' });
+    }
+});
 
-        await dbRun(
-            'UPDATE users SET password_hash = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
-            [passwordHash, userId]
-        );
+app.get('/api/storage/usage', authenticateToken, requireAdmin, async (req, res) => {
+    try {
+        const users = await dbAll(`
+            SELECT u.id, u.name, u.email, u.role, u.is_active, u.storage_quota_bytes, sq.quota_bytes as role_quota,
+                   (SELECT COUNT(*) FROM files f WHERE f.uploaded_by = u.id) as file_count,
+                   (${storageUsageSql}) as used
+            FROM users u
+            LEFT JOIN storage_quotas sq ON sq.role = u.role
+            ORDER BY used DESC, u.name COLLATE NOCASE
+        `);
+        const totals = await dbGet(`
+            SELECT (SELECT COALESCE(SUM(file_size), 0) FROM file_versions WHERE blob_id IS NOT NULL) as logical,
+                   (SELECT COALESCE(SUM(file_size), 0) FROM file_blobs) as stored,
+                   (SELECT COUNT(*) FROM file_blobs) as blob_count,
+                   (SELECT COUNT(*) FROM file_versions WHERE file_id IS NULL) as retained_versions
+        `);
+        const roles = await dbAll(`
+            SELECT sq.role, sq.quota_bytes, ul.max_file_bytes, ul.max_sessions
+            FROM storage_quotas sq
+            LEFT JOIN upload_limits ul ON ul.role = sq.role
+            ORDER BY sq.role
+        `);
 
-        await logActivity(req.user.id, 'password_changed', `Password changed for user ${userId} by ${req.user.name}`);
+        res.json({
+            success: true,
+            data: {
+                totals: { ...totals, saved: totals.logical - totals.stored },
+                roles,
+                users: users.map(user => {
+                    const quota = user.storage_quota_bytes !== null ? user.storage_quota_bytes : user.role_quota;
+                    return { ...user, quota, quota_source: user.storage_quota_bytes !== null ? 'user' : 'role' };
+                })
+            }
+        });
+    } catch (error) {
+        console.error('Storage usage fetch error:', error);
+        res.status(500).json({ error: 'Failed to load storage usage' });
+    }
+});
 
-        res.json({ success: true, message: 'Password updated successfully' });
+app.get('/api/storage/retained-versions', authenticateToken, requireAdmin, async (req, res) => {
+    try {
+        const versions = await dbAll(`
+            SELECT fv.id, fv.version_number, fv.original_name, fv.file_size, fv.file_type, fv.uploaded_by, fv.uploaded_at,
+                   u.name as uploader_name
+            FROM file_versions fv
+            LEFT JOIN users u ON u.id = fv.uploaded_by
+            WHERE fv.file_id IS NULL
+            ORDER BY fv.uploaded_at DESC, fv.id DESC
+        `);
 
+        res.json({ success: true, data: versions });
     } catch (error) {
-        console.error('Password update error:', error);
-        res.status(500).json({ error: 'Failed to update password' });
+        console.error('Retained versions fetch error:', error);
+        res.status(500).json({ error: 'Failed to load retained versions' });
     }
 });
 
-app.post('/api/files/upload', authenticateToken, upload.single('file'), async (req, res) => {
+app.delete('/api/storage/retained-versions/:id', authenticateToken, requireAdmin, async (req, res) => {
     try {
-        if (!req.file) {
-            return res.status(400).json({ error: 'No file uploaded' });
+        const version = await dbGet('SELECT * FROM file_versions WHERE id = ? AND file_id IS NULL', [req.params.id]);
+        if (!version) {
+            return res.status(404).json({ error: 'Retained version not found' });
         }
 
-        const { originalname, filename, path, size, mimetype } = req.file;
+        await dbRun('DELETE FROM file_versions WHERE id = ?', [version.id]);
+        await purgeFileVersions([version]);
 
-        const result = await dbRun(
-            `INSERT INTO files (original_name, stored_name, file_path, file_size, file_type, uploaded_by, uploaded_by_name)
-             VALUES (?, ?, ?, ?, ?, ?, ?)`,
-            [originalname, filename, path, size, mimetype, req.user.id, req.user.name]
-        );
+        await logActivity(req.user.id, 'file_versions_purged', `Retained version ${version.version_number} of "${version.original_name}" purged by ${req.user.name}`);
+
+        res.json({ success: true, message: 'Retained version purged successfully' });
+    } catch (error) {
+        console.error('Retained version purge error:', error);
+        res.status(500).json({ error: 'Failed to purge retained version' });
+    }
+});
 
-        const newFile = await dbGet('SELECT * FROM files WHERE id = ?', [result.id]);
+app.delete('/api/storage/retained-versions', authenticateToken, requireAdmin, async (req, res) => {
+    try {
+        const versions = await dbAll('SELECT * FROM file_versions WHERE file_id IS NULL');
 
-        await logActivity(req.user.id, 'file_uploaded', `File "${originalname}" uploaded by ${req.user.name}`);
+        await dbRun('DELETE FROM file_versions WHERE file_id IS NULL');
+        await purgeFileVersions(versions);
 
-        res.status(201).json({
+        await logActivity(req.user.id, 'file_versions_purged', `${versions.length} retained file versions purged by ${req.user.name}`);
+
+        res.json({
             success: true,
-            data: newFile,
-            message: 'File uploaded successfully'
+            data: { purged: versions.length },
+            message: `${versions.length} retained versions purged`
         });
-
     } catch (error) {
-        console.error('File upload error:', error);
-        res.status(500).json({ error: 'Failed to upload file' });
+        console.error('Retained versions purge error:', error);
+        res.status(500).json({ error: 'Failed to purge retained versions' });
     }
 });
 
-app.get('/api/files', authenticateToken, async (req, res) => {
+app.put('/api/storage/quotas/:role', authenticateToken, requireAdmin, [
+    body('quota_mb').optional({ nullable: true }).isFloat({ min: 0 })
+], async (req, res) => {
     try {
-        const files = await dbAll(`
-            SELECT f.*, u.name as uploaded_by_name
-            FROM files f
-            LEFT JOIN users u ON f.uploaded_by = u.id
-            ORDER BY f.uploaded_at DESC
-        `);
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const { role } = req.params;
+        if (!Object.keys(STORAGE_QUOTA_DEFAULTS).includes(role)) {
+            return res.status(404).json({ error: 'Role not found' });
+        }
+
+        const quotaBytes = req.body.quota_mb === undefined || req.body.quota_mb === null
+            ? null
+            : Math.round(req.body.quota_mb * 1024 * 1024);
+
+        await dbRun(
+            'INSERT OR REPLACE INTO storage_quotas (role, quota_bytes, updated_at) VALUES (?, ?, CURRENT_TIMESTAMP)',
+            [role, quotaBytes]
+        );
+
+        await logActivity(req.user.id, 'storage_quota_updated',
+            `Storage quota for role ${role} set to ${quotaBytes === null ? 'unlimited' : formatBytes(quotaBytes)} by ${req.user.name}`);
 
-        res.json({ success: true, data: files });
+        res.json({ success: true, message: 'Role quota updated successfully' });
     } catch (error) {
-        console.error('Files fetch error:', error);
-        res.status(500).json({ error: 'Failed to load files' });
+        console.error('Role quota update error:', error);
+        res.status(500).json({ error: 'Failed to update role quota' });
     }
 });
 
-app.get('/api/files/:id/download', authenticateToken, async (req, res) => {
+app.put('/api/storage/upload-limits/:role', authenticateToken, requireAdmin, [
+    body('max_file_mb').optional({ nullable: true }).isFloat({ min: 0 }),
+    body('max_sessions').optional({ nullable: true }).isInt({ min: 1 })
+], async (req, res) => {
     try {
-        const fileId = req.params.id;
-        const file = await dbGet('SELECT * FROM files WHERE id = ?', [fileId]);
-
-        if (!file) {
-            return res.status(404).json({ error: 'File not found' });
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
         }
 
-        if (!fs.existsSync(file.file_path)) {
-            return res.status(404).json({ error: 'File not found on server' });
+        const { role } = req.params;
+        if (!Object.keys(UPLOAD_LIMIT_DEFAULTS).includes(role)) {
+            return res.status(404).json({ error: 'Role not found' });
         }
 
-        await logActivity(req.user.id, 'file_downloaded', `File "${file.original_name}" downloaded by ${req.user.name}`);
+        const maxFileBytes = req.body.max_file_mb === undefined || req.body.max_file_mb === null
+            ? null
+            : Math.round(req.body.max_file_mb * 1024 * 1024);
+        const maxSessions = req.body.max_sessions === undefined || req.body.max_sessions === null
+            ? null
+            : Number(req.body.max_sessions);
 
-        res.json({
-            success: true,
-            downloadUrl: `/uploads/${file.stored_name}`,
-            message: 'Download URL generated'
-        });
+        await dbRun(
+            'INSERT OR REPLACE INTO upload_limits (role, max_file_bytes, max_sessions, updated_at) VALUES (?, ?, ?, CURRENT_TIMESTAMP)',
+            [role, maxFileBytes, maxSessions]
+        );
 
+        await logActivity(req.user.id, 'upload_limits_updated',
+            `Upload limits for role ${role} set to ${maxFileBytes === null ? 'unlimited size' : `${formatBytes(maxFileBytes)} per file`} and ${maxSessions === null ? 'unlimited' : maxSessions} open upload(s) by ${req.user.name}`);
+
+        res.json({ success: true, message: 'Upload limits updated successfully' });
     } catch (error) {
-        console.error('File download error:', error);
-        res.status(500).json({ error: 'Failed to download file' });
+        console.error('Upload limits update error:', error);
+        res.status(500).json({ error: 'Failed to update upload limits' });
     }
 });
 
-app.delete('/api/files/:id', authenticateToken, async (req, res) => {
+app.put('/api/storage/users/:id/quota', authenticateToken, requireAdmin, [
+    body('quota_mb').optional({ nullable: true }).isFloat({ min: 0 })
+], async (req, res) => {
     try {
-        const fileId = req.params.id;
-        const file = await dbGet('SELECT * FROM files WHERE id = ?', [fileId]);
-
-        if (!file) {
-            return res.status(404).json({ error: 'File not found' });
-        }
-
-        if (req.user.role !== 'admin' && file.uploaded_by !== req.user.id) {
-            return res.status(403).json({ error: 'Access denied' });
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
         }
 
-        if (fs.existsSync(file.file_path)) {
-            fs.unlinkSync(file.file_path);
+        const user = await dbGet('SELECT id, name FROM users WHERE id = ?', [req.params.id]);
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
         }
 
-        await dbRun('DELETE FROM files WHERE id = ?', [fileId]);
+        const quotaBytes = req.body.quota_mb === undefined || req.body.quota_mb === null
+            ? null
+            : Math.round(req.body.quota_mb * 1024 * 1024);
 
-        await logActivity(req.user.id, 'file_deleted', `File "${file.original_name}" deleted by ${req.user.name}`);
+        await dbRun('UPDATE users SET storage_quota_bytes = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?', [quotaBytes, user.id]);
 
-        res.json({ success: true, message: 'File deleted successfully' });
+        await logActivity(req.user.id, 'storage_quota_updated',
+            `Storage quota for ${user.name} set to ${quotaBytes === null ? 'the role default' : formatBytes(quotaBytes)} by ${req.user.name}`);
 
+        res.json({ success: true, data: await getStorageQuota(user.id), message: 'User quota updated successfully' });
     } catch (error) {
-        console.error('File delete error:', error);
-        res.status(500).json({ error: 'Failed to delete file' });
+        console.error('User quota update error:', error);
+        res.status(500).json({ error: 'Failed to update user quota' });
     }
 });
 
-app.get('/api/activities', authenticateToken, async (req, res) => {
+app.get('/api/activities', authenticateToken, requirePermission('view_activity_logs'), paginationRules(ACTIVITY_SORTS), async (req, res) => {
     try {
-        const userPermissions = await dbGet('SELECT permissions FROM role_permissions WHERE role = ?', [req.user.role]);
-        
-        if (userPermissions) {
-            const permissions = JSON.parse(userPermissions.permissions);
-            if (!permissions.view_activity_logs && req.user.role !== 'admin') {
-                return res.status(403).json({ error: 'Access denied' });
-            }
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
         }
 
-        const activities = await dbAll(`
+        const page = await queryPage(`
             SELECT al.*, u.name as user_name, u.role as user_role
             FROM activity_logs al
             LEFT JOIN users u ON al.user_id = u.id
-            ORDER BY al.created_at DESC
-            LIMIT 200
-        `);
+        `, [], req.query, ACTIVITY_SORTS, 'created', 'al.id');
 
-        res.json({ success: true, data: activities });
+        res.json({ success: true, data: page.rows, pagination: page.pagination });
     } catch (error) {
         console.error('Activities fetch error:', error);
         res.status(500).json({ error: 'Failed to load activities' });
@@ -1120,48 +6074,127 @@ app.post('/api/activities', authenticateToken, async (req, res) => {
     }
 });
 
+app.get('/api/search', authenticateToken, [
+    query('q').trim().isLength({ min: 2, max: 200 })
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const terms = getSearchTerms(req.query.q);
+        const results = { tasks: [], users: [], files: [] };
+
+        if (terms.length === 0) {
+            return res.json({ success: true, data: results });
+        }
+
+        const ftsQuery = buildFtsQuery(terms);
+        const visibility = taskVisibilityClause(req.user);
+
+        results.tasks = await dbAll(`
+            SELECT t.id, t.title, t.status, t.priority, t.due_date, p.name as project_name,
+                   highlight(task_search, 0, ?, ?) as title_highlight,
+                   snippet(task_search, -1, ?, ?, '…', 12) as snippet
+            FROM task_search
+            JOIN tasks t ON t.id = task_search.rowid
+            LEFT JOIN projects p ON p.id = t.project_id
+            WHERE task_search MATCH ? AND ${visibility.clause}
+            ORDER BY bm25(task_search, 10.0, 4.0, 1.0)
+            LIMIT ?
+        `, [SEARCH_MARK_START, SEARCH_MARK_END, SEARCH_MARK_START, SEARCH_MARK_END, ftsQuery, ...visibility.params, SEARCH_RESULT_LIMIT]);
+
+        if (req.user.role === 'admin') {
+            const like = `%${terms.join('%')}%`;
+            const users = await dbAll(`
+                SELECT id, name, email, role, department, is_active
+                FROM users
+                WHERE name LIKE ? OR email LIKE ? OR department LIKE ?
+                ORDER BY name
+                LIMIT ?
+            `, [like, like, like, SEARCH_RESULT_LIMIT]);
+
+            results.users = users.map(user => ({
+                ...user,
+                name_highlight: highlightTerms(user.name, terms),
+                email_highlight: highlightTerms(user.email, terms)
+            }));
+        }
+
+        const permissions = await getRolePermissions(req.user.role);
+        if (permissions.upload_files || permissions.download_files) {
+            const fileVisibility = fileVisibilityClause(req.user);
+            results.files = await dbAll(`
+                SELECT f.id, f.original_name, f.file_size, f.file_type, f.uploaded_at, u.name as uploaded_by_name,
+                       highlight(file_search, 0, ?, ?) as name_highlight
+                FROM file_search
+                JOIN files f ON f.id = file_search.rowid
+                LEFT JOIN users u ON u.id = f.uploaded_by
+                WHERE file_search MATCH ? AND ${fileVisibility.clause}
+                ORDER BY bm25(file_search)
+                LIMIT ?
+            `, [SEARCH_MARK_START, SEARCH_MARK_END, ftsQuery, ...fileVisibility.params, SEARCH_RESULT_LIMIT]);
+        }
+
+        res.json({ success: true, data: results });
+    } catch (error) {
+        console.error('Search error:', error);
+        res.status(500).json({ error: 'Search failed' });
+    }
+});
+
 app.get('/api/reports', authenticateToken, async (req, res) => {
     try {
-        const { period } = req.query;
+        const { period, project } = req.query;
+
+        if (project && !await canAccessProject(req.user, project)) {
+            return res.status(403).json({ error: 'Access denied' });
+        }
+
+        // Reports only count the tasks the user could open, like the task list
+        const visibility = taskVisibilityClause(req.user);
+        const taskFilter = `AND ${visibility.clause} ${project ? 'AND t.project_id = ?' : ''}`;
+        const taskParams = [...visibility.params, ...(project ? [project] : [])];
         
         let dateFilter = '';
         switch (period) {
             case '7d':
-                dateFilter = "AND created_at >= datetime('now', '-7 days')";
+                dateFilter = "AND t.created_at >= datetime('now', '-7 days')";
                 break;
             case '30d':
-                dateFilter = "AND created_at >= datetime('now', '-30 days')";
+                dateFilter = "AND t.created_at >= datetime('now', '-30 days')";
                 break;
             case '90d':
-                dateFilter = "AND created_at >= datetime('now', '-90 days')";
+                dateFilter = "AND t.created_at >= datetime('now', '-90 days')";
                 break;
             case '1y':
-                dateFilter = "AND created_at >= datetime('now', '-1 year')";
+                dateFilter = "AND t.created_at >= datetime('now', '-1 year')";
                 break;
             default:
-                dateFilter = "AND created_at >= datetime('now', '-30 days')";
+                dateFilter = "AND t.created_at >= datetime('now', '-30 days')";
         }
 
         const completionStats = await dbAll(`
             SELECT 
-                strftime('%Y-%m-%d', created_at) as date,
+                strftime('%Y-%m-%d', t.created_at) as date,
                 COUNT(*) as total,
-                SUM(CASE WHEN status = 'completed' THEN 1 ELSE 0 END) as completed
-            FROM tasks 
-            WHERE created_at IS NOT NULL ${dateFilter}
-            GROUP BY strftime('%Y-%m-%d', created_at)
+                SUM(CASE WHEN t.status = 'completed' THEN 1 ELSE 0 END) as completed
+            FROM tasks t
+            WHERE t.created_at IS NOT NULL ${dateFilter} ${taskFilter}
+            GROUP BY strftime('%Y-%m-%d', t.created_at)
             ORDER BY date DESC
             LIMIT 7
-        `);
+        `, taskParams);
 
         const distributionStats = await dbGet(`
             SELECT 
-                SUM(CASE WHEN status = 'completed' THEN 1 ELSE 0 END) as completed,
-                SUM(CASE WHEN status = 'in-progress' THEN 1 ELSE 0 END) as in_progress,
-                SUM(CASE WHEN status = 'pending' THEN 1 ELSE 0 END) as pending
-            FROM tasks
-            WHERE 1=1 ${dateFilter}
-        `);
+                SUM(CASE WHEN t.status = 'completed' THEN 1 ELSE 0 END) as completed,
+                SUM(CASE WHEN t.status = 'in-progress' THEN 1 ELSE 0 END) as in_progress,
+                SUM(CASE WHEN t.status = 'pending' THEN 1 ELSE 0 END) as pending
+            FROM tasks t
+            WHERE 1=1 ${dateFilter} ${taskFilter}
+        `, taskParams);
 
         const completionRate = completionStats.map(stat => 
             stat.total > 0 ? Math.round((stat.completed / stat.total) * 100) : 0
@@ -1179,11 +6212,20 @@ app.get('/api/reports', authenticateToken, async (req, res) => {
                 COUNT(t.id) as total_tasks,
                 SUM(CASE WHEN t.status = 'completed' THEN 1 ELSE 0 END) as completed_tasks
             FROM users u
-            LEFT JOIN tasks t ON u.id = t.assignee_id
+            LEFT JOIN tasks t ON u.id = t.assignee_id ${taskFilter}
             WHERE u.is_active = 1 AND u.role IN ('employee', 'manager')
             GROUP BY u.id, u.name
             HAVING total_tasks > 0
-        `);
+        `, taskParams);
+
+        const labelUsage = await dbAll(`
+            SELECT l.id, l.name, l.color, COUNT(t.id) as usage_count
+            FROM labels l
+            LEFT JOIN task_labels tl ON tl.label_id = l.id
+            LEFT JOIN tasks t ON t.id = tl.task_id ${dateFilter} ${taskFilter}
+            GROUP BY l.id, l.name, l.color
+            ORDER BY usage_count DESC, l.name
+        `, taskParams);
 
         const teamStats = teamPerformance.map(member => ({
             member_name: member.member_name,
@@ -1195,7 +6237,8 @@ app.get('/api/reports', authenticateToken, async (req, res) => {
             data: {
                 completionRate,
                 taskDistribution,
-                teamPerformance: teamStats
+                teamPerformance: teamStats,
+                labelUsage
             }
         });
 
@@ -1205,6 +6248,382 @@ app.get('/api/reports', authenticateToken, async (req, res) => {
     }
 });
 
+app.get('/api/reports/timesheet', authenticateToken, [
+    query('week').optional().isDate(),
+    query('tz_offset').optional().isInt({ min: -840, max: 840 })
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const { project } = req.query;
+        if (project && !await canAccessProject(req.user, project)) {
+            return res.status(403).json({ error: 'Access denied' });
+        }
+
+        const days = getTimesheetDays(req.query.week);
+        const localDate = localDateSql('te.started_at', parseInt(req.query.tz_offset || 0));
+
+        const conditions = [`${localDate} BETWEEN ? AND ?`, 'te.ended_at IS NOT NULL'];
+        const params = [days[0], days[6]];
+
+        if (req.user.role === 'employee') {
+            conditions.push('te.user_id = ?');
+            params.push(req.user.id);
+        }
+
+        if (project) {
+            conditions.push('t.project_id = ?');
+            params.push(project);
+        }
+
+        const rows = await dbAll(`
+            SELECT te.user_id, u.name as user_name, ${localDate} as day, SUM(te.duration_seconds) as seconds
+            FROM time_entries te
+            JOIN users u ON u.id = te.user_id
+            JOIN tasks t ON t.id = te.task_id
+            WHERE ${conditions.join(' AND ')}
+            GROUP BY te.user_id, u.name, day
+            ORDER BY u.name
+        `, params);
+
+        const timesheets = await dbAll('SELECT id, user_id, status FROM timesheets WHERE week_start = ?', [days[0]]);
+
+        const users = [];
+        for (const row of rows) {
+            let user = users.find(entry => entry.user_id === row.user_id);
+            if (!user) {
+                const timesheet = timesheets.find(entry => entry.user_id === row.user_id);
+                user = {
+                    user_id: row.user_id,
+                    user_name: row.user_name,
+                    timesheet_id: timesheet ? timesheet.id : null,
+                    status: timesheet ? timesheet.status : null,
+                    days: days.map(() => 0),
+                    total_seconds: 0
+                };
+                users.push(user);
+            }
+            user.days[days.indexOf(row.day)] = row.seconds;
+            user.total_seconds += row.seconds;
+        }
+
+        res.json({ success: true, data: { week_start: days[0], days, users } });
+    } catch (error) {
+        console.error('Timesheet error:', error);
+        res.status(500).json({ error: 'Failed to load timesheet' });
+    }
+});
+
+const getTimesheet = (timesheetId) => dbGet(`
+    SELECT ts.*, u.name as user_name, r.name as reviewer_name
+    FROM timesheets ts
+    JOIN users u ON u.id = ts.user_id
+    LEFT JOIN users r ON r.id = ts.reviewed_by
+    WHERE ts.id = ?
+`, [timesheetId]);
+
+const loadTimesheetTasks = async (userId, days, tzOffset) => {
+    const localDate = localDateSql('te.started_at', parseInt(tzOffset || 0));
+    const rows = await dbAll(`
+        SELECT t.id as task_id, t.title, t.estimated_hours, t.actual_hours, p.name as project_name,
+               ${localDate} as day, SUM(te.duration_seconds) as seconds
+        FROM time_entries te
+        JOIN tasks t ON t.id = te.task_id
+        LEFT JOIN projects p ON p.id = t.project_id
+        WHERE te.user_id = ? AND te.ended_at IS NOT NULL AND ${localDate} BETWEEN ? AND ?
+        GROUP BY t.id, day
+        ORDER BY t.title
+    `, [userId, days[0], days[6]]);
+
+    const tasks = [];
+    for (const row of rows) {
+        let task = tasks.find(entry => entry.task_id === row.task_id);
+        if (!task) {
+            const { day, seconds, ...details } = row;
+            task = { ...details, days: days.map(() => 0), total_seconds: 0 };
+            tasks.push(task);
+        }
+        task.days[days.indexOf(row.day)] = row.seconds;
+        task.total_seconds += row.seconds;
+    }
+
+    return tasks;
+};
+
+app.get('/api/timesheets', authenticateToken, [
+    query('status').optional().isIn(TIMESHEET_STATUSES),
+    query('week').optional().isDate()
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const conditions = ['1 = 1'];
+        const params = [];
+
+        if (req.user.role === 'employee') {
+            conditions.push('ts.user_id = ?');
+            params.push(req.user.id);
+        }
+
+        if (req.query.status) {
+            conditions.push('ts.status = ?');
+            params.push(req.query.status);
+        }
+
+        if (req.query.week) {
+            conditions.push('ts.week_start = ?');
+            params.push(getTimesheetDays(req.query.week)[0]);
+        }
+
+        const timesheets = await dbAll(`
+            SELECT ts.*, u.name as user_name, r.name as reviewer_name
+            FROM timesheets ts
+            JOIN users u ON u.id = ts.user_id
+            LEFT JOIN users r ON r.id = ts.reviewed_by
+            WHERE ${conditions.join(' AND ')}
+            ORDER BY ts.week_start DESC, u.name
+        `, params);
+
+        res.json({ success: true, data: timesheets });
+    } catch (error) {
+        console.error('Timesheets fetch error:', error);
+        res.status(500).json({ error: 'Failed to load timesheets' });
+    }
+});
+
+app.get('/api/timesheets/week', authenticateToken, [
+    query('user_id').optional().isInt(),
+    query('week').optional().isDate(),
+    query('tz_offset').optional().isInt({ min: -840, max: 840 })
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const userId = req.query.user_id ? parseInt(req.query.user_id) : req.user.id;
+        if (userId !== req.user.id && req.user.role === 'employee') {
+            return res.status(403).json({ error: 'Access denied' });
+        }
+
+        const user = await dbGet('SELECT id, name FROM users WHERE id = ?', [userId]);
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        const days = getTimesheetDays(req.query.week);
+        const timesheet = await dbGet(`
+            SELECT ts.*, r.name as reviewer_name
+            FROM timesheets ts
+            LEFT JOIN users r ON r.id = ts.reviewed_by
+            WHERE ts.user_id = ? AND ts.week_start = ?
+        `, [userId, days[0]]);
+        const tzOffset = timesheet ? timesheet.tz_offset : req.query.tz_offset;
+        const tasks = await loadTimesheetTasks(userId, days, tzOffset);
+
+        res.json({
+            success: true,
+            data: {
+                user,
+                week_start: days[0],
+                days,
+                timesheet: timesheet || null,
+                tasks,
+                total_seconds: tasks.reduce((sum, task) => sum + task.total_seconds, 0)
+            }
+        });
+    } catch (error) {
+        console.error('Timesheet week fetch error:', error);
+        res.status(500).json({ error: 'Failed to load timesheet' });
+    }
+});
+
+app.post('/api/timesheets', authenticateToken, [
+    body('week').isDate(),
+    body('tz_offset').optional().isInt({ min: -840, max: 840 }),
+    body('comment').optional({ nullable: true }).isString().isLength({ max: 1000 })
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const days = getTimesheetDays(req.body.week);
+        const tzOffset = parseInt(req.body.tz_offset || 0);
+
+        if (days[0] > formatDateOnly(new Date())) {
+            return res.status(400).json({ error: 'Future weeks cannot be submitted' });
+        }
+
+        const existing = await dbGet('SELECT * FROM timesheets WHERE user_id = ? AND week_start = ?', [req.user.id, days[0]]);
+        if (existing && existing.status !== 'rejected') {
+            return res.status(409).json({ error: `This timesheet is already ${existing.status}` });
+        }
+
+        const running = await getRunningTimer(req.user.id);
+        if (running) {
+            return res.status(409).json({ error: `Stop the timer running on "${running.task_title}" before submitting` });
+        }
+
+        const tasks = await loadTimesheetTasks(req.user.id, days, tzOffset);
+        const totalSeconds = tasks.reduce((sum, task) => sum + task.total_seconds, 0);
+        if (totalSeconds === 0) {
+            return res.status(400).json({ error: 'No time has been logged for this week' });
+        }
+
+        let timesheetId;
+        if (existing) {
+            await dbRun(
+                `UPDATE timesheets
+                 SET status = 'submitted', tz_offset = ?, total_seconds = ?, submit_comment = ?, submitted_at = CURRENT_TIMESTAMP,
+                     reviewed_by = NULL, reviewed_at = NULL, review_comment = NULL
+                 WHERE id = ?`,
+                [tzOffset, totalSeconds, req.body.comment || null, existing.id]
+            );
+            timesheetId = existing.id;
+        } else {
+            const result = await dbRun(
+                'INSERT INTO timesheets (user_id, week_start, tz_offset, total_seconds, submit_comment) VALUES (?, ?, ?, ?, ?)',
+                [req.user.id, days[0], tzOffset, totalSeconds, req.body.comment || null]
+            );
+            timesheetId = result.id;
+        }
+
+        await logActivity(req.user.id, 'timesheet_submitted', `Timesheet for week of ${days[0]} submitted by ${req.user.name}`);
+
+        res.status(existing ? 200 : 201).json({
+            success: true,
+            data: await getTimesheet(timesheetId),
+            message: 'Timesheet submitted for approval'
+        });
+    } catch (error) {
+        console.error('Timesheet submit error:', error);
+        res.status(500).json({ error: 'Failed to submit timesheet' });
+    }
+});
+
+const reviewTimesheet = (decision) => async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const timesheet = await getTimesheet(req.params.id);
+        if (!timesheet) {
+            return res.status(404).json({ error: 'Timesheet not found' });
+        }
+
+        if (timesheet.user_id === req.user.id && req.user.role !== 'admin') {
+            return res.status(403).json({ error: 'You cannot review your own timesheet' });
+        }
+
+        if (timesheet.status !== 'submitted') {
+            return res.status(409).json({ error: `This timesheet is already ${timesheet.status}` });
+        }
+
+        const result = await dbRun(
+            `UPDATE timesheets SET status = ?, reviewed_by = ?, reviewed_at = CURRENT_TIMESTAMP, review_comment = ?
+             WHERE id = ? AND status = 'submitted'`,
+            [decision, req.user.id, req.body.comment || null, timesheet.id]
+        );
+        if (result.changes === 0) {
+            return res.status(409).json({ error: 'This timesheet was reviewed by someone else' });
+        }
+
+        await logActivity(
+            req.user.id,
+            `timesheet_${decision}`,
+            `Timesheet of ${timesheet.user_name} for week of ${timesheet.week_start} ${decision} by ${req.user.name}${req.body.comment ? `: ${req.body.comment}` : ''}`
+        );
+
+        res.json({
+            success: true,
+            data: await getTimesheet(timesheet.id),
+            message: `Timesheet ${decision}`
+        });
+    } catch (error) {
+        console.error('Timesheet review error:', error);
+        res.status(500).json({ error: 'Failed to review timesheet' });
+    }
+};
+
+app.post('/api/timesheets/:id/approve', authenticateToken, requireManager, [
+    body('comment').optional({ nullable: true }).isString().isLength({ max: 1000 })
+], reviewTimesheet('approved'));
+
+app.post('/api/timesheets/:id/reject', authenticateToken, requireManager, [
+    body('comment').trim().notEmpty().withMessage('A reason is required when rejecting').isLength({ max: 1000 })
+], reviewTimesheet('rejected'));
+
+app.get('/api/timesheets/export', authenticateToken, requireManager, [
+    query('from').optional().isDate(),
+    query('to').optional().isDate(),
+    query('user_id').optional().isInt()
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const from = getTimesheetDays(req.query.from)[0];
+        const to = req.query.to ? getTimesheetDays(req.query.to)[0] : from;
+        const localDate = localDateSql('te.started_at', 'ts.tz_offset');
+
+        const conditions = ["ts.status = 'approved'", 'ts.week_start BETWEEN ? AND ?'];
+        const params = [from, to];
+
+        if (req.query.user_id) {
+            conditions.push('ts.user_id = ?');
+            params.push(req.query.user_id);
+        }
+
+        const rows = await dbAll(`
+            SELECT ts.week_start, u.name as user_name, u.email, ${localDate} as work_date,
+                   t.id as task_id, t.title as task_title, p.name as project_name,
+                   t.estimated_hours, t.actual_hours, te.duration_seconds, te.note,
+                   r.name as approved_by, ts.reviewed_at as approved_at
+            FROM timesheets ts
+            JOIN users u ON u.id = ts.user_id
+            JOIN time_entries te ON te.user_id = ts.user_id AND te.ended_at IS NOT NULL
+                AND ${localDate} BETWEEN ts.week_start AND date(ts.week_start, '+6 days')
+            JOIN tasks t ON t.id = te.task_id
+            LEFT JOIN projects p ON p.id = t.project_id
+            LEFT JOIN users r ON r.id = ts.reviewed_by
+            WHERE ${conditions.join(' AND ')}
+            ORDER BY ts.week_start, u.name, work_date, te.started_at
+        `, params);
+
+        const header = ['Week Start', 'Employee', 'Email', 'Date', 'Task ID', 'Task', 'Project',
+            'Estimated Hours', 'Actual Hours', 'Hours', 'Note', 'Approved By', 'Approved At'];
+        const lines = rows.map(row => [
+            row.week_start, row.user_name, row.email, row.work_date, row.task_id, row.task_title, row.project_name,
+            row.estimated_hours, row.actual_hours, (row.duration_seconds / 3600).toFixed(2), row.note,
+            row.approved_by, row.approved_at
+        ].map(csvValue).join(','));
+
+        await logActivity(req.user.id, 'timesheets_exported', `Approved timesheets ${from} to ${to} exported by ${req.user.name}`);
+
+        res.set({
+            'Content-Type': 'text/csv; charset=utf-8',
+            'Content-Disposition': `attachment; filename="timesheets-${from}-to-${to}.csv"`
+        });
+        res.send([header.join(','), ...lines].join('\r\n') + '\r\n');
+    } catch (error) {
+        console.error('Timesheet export error:', error);
+        res.status(500).json({ error: 'Failed to export timesheets' });
+    }
+});
+
 app.get('/api/permissions', authenticateToken, requireAdmin, async (req, res) => {
     try {
         const permissions = await dbAll('SELECT * FROM role_permissions');
@@ -1229,11 +6648,21 @@ app.put('/api/permissions', authenticateToken, requireAdmin, async (req, res) =>
             return res.status(400).json({ error: 'Role and permissions are required' });
         }
 
+        if (!['manager', 'employee'].includes(role)) {
+            return res.status(400).json({ error: 'Only manager and employee permissions can be changed' });
+        }
+
+        const sanitizedPermissions = Object.fromEntries(
+            PERMISSION_KEYS.map(key => [key, Boolean(permissions[key])])
+        );
+
         await dbRun(
-            'INSERT OR REPLACE INTO role_permissions (role, permissions) VALUES (?, ?)',
-            [role, JSON.stringify(permissions)]
+            'INSERT OR REPLACE INTO role_permissions (role, permissions, updated_at) VALUES (?, ?, CURRENT_TIMESTAMP)',
+            [role, JSON.stringify(sanitizedPermissions)]
         );
 
+        permissionCache.delete(role);
+
         await logActivity(req.user.id, 'permissions_updated', `Permissions updated for role ${role}`);
 
         res.json({ success: true, message: 'Permissions updated successfully' });
@@ -1278,7 +6707,12 @@ process.on('unhandledRejection', (reason, promise) => {
     console.error('Unhandled Rejection at:', promise, 'reason:', reason);
 });
 
-initializeDatabase().then(() => {
+initializeDatabase().then(rebuildSearchIndex).then(backfillFileBlobs).then(() => {
+    processRecurringTasks();
+    setInterval(processRecurringTasks, RECURRENCE_CHECK_MINUTES * 60 * 1000);
+    cleanupUploadSessions();
+    setInterval(cleanupUploadSessions, UPLOAD_CLEANUP_MINUTES * 60 * 1000);
+
     app.listen(PORT, () => {
         console.log('');
         console.log('╔═════════════════════════════════════════════════╗');
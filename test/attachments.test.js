@@ -0,0 +1,63 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { useServer, uploadForm } = require('./helpers');
+
+const ctx = useServer({ users: { assignee: 'employee', outsider: 'employee' } });
+
+const upload = async (token, name, fields) => {
+    const response = await ctx.request('POST', '/api/files/upload', { token, body: uploadForm(name, `${name} content`, fields) });
+    assert.strictEqual(response.status, 201);
+    return response.body.data;
+};
+
+const taskFileIds = async (token, taskId) => {
+    const response = await ctx.request('GET', `/api/files?task=${taskId}`, { token });
+    return response.status === 200 ? response.body.data.map(file => file.id) : response.status;
+};
+
+const downloadStatus = async (token, fileId) => (await ctx.request('GET', `/api/files/${fileId}/download`, { token })).status;
+
+test('a file uploaded to a task follows the task visibility', async () => {
+    const task = await ctx.createTask(ctx.adminToken, { title: 'Contract review', assignee_id: ctx.assignee.id });
+    const file = await upload(ctx.adminToken, 'contract.txt', { task_id: task.id });
+
+    assert.deepStrictEqual(await taskFileIds(ctx.assignee.token, task.id), [file.id]);
+    assert.strictEqual(await downloadStatus(ctx.assignee.token, file.id), 200);
+
+    assert.strictEqual(await taskFileIds(ctx.outsider.token, task.id), 403);
+    assert.strictEqual(await downloadStatus(ctx.outsider.token, file.id), 403);
+
+    const detached = await ctx.request('DELETE', `/api/tasks/${task.id}/files/${file.id}`, { token: ctx.assignee.token });
+    assert.strictEqual(detached.status, 200);
+    assert.deepStrictEqual(await taskFileIds(ctx.assignee.token, task.id), []);
+    assert.strictEqual(await downloadStatus(ctx.assignee.token, file.id), 403);
+});
+
+test('existing files can be attached only by someone who can see both', async () => {
+    const task = await ctx.createTask(ctx.adminToken, { title: 'Budget', assignee_id: ctx.assignee.id });
+    const own = await upload(ctx.assignee.token, 'budget.txt');
+    const foreign = await upload(ctx.outsider.token, 'salaries.txt');
+
+    const attach = (token, fileId) => ctx.request('POST', `/api/tasks/${task.id}/files`, { token, body: { file_id: fileId } });
+
+    assert.strictEqual((await attach(ctx.assignee.token, own.id)).status, 201);
+    assert.strictEqual((await attach(ctx.assignee.token, own.id)).status, 400);
+    assert.strictEqual((await attach(ctx.assignee.token, foreign.id)).status, 403);
+    assert.strictEqual((await attach(ctx.outsider.token, foreign.id)).status, 403);
+    assert.strictEqual((await attach(ctx.assignee.token, 999999)).status, 404);
+
+    assert.deepStrictEqual(await taskFileIds(ctx.adminToken, task.id), [own.id]);
+});
+
+test('uploading to a task the user cannot see is rejected', async () => {
+    const task = await ctx.createTask(ctx.adminToken, { title: 'Board minutes' });
+
+    const response = await ctx.request('POST', '/api/files/upload', {
+        token: ctx.outsider.token,
+        body: uploadForm('minutes.txt', 'minutes', { task_id: task.id })
+    });
+    assert.strictEqual(response.status, 403);
+
+    const stored = await ctx.server.query("SELECT id FROM files WHERE original_name = 'minutes.txt'");
+    assert.deepStrictEqual(stored, []);
+});
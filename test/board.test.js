@@ -0,0 +1,56 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { useServer } = require('./helpers');
+
+const ctx = useServer({ users: { employee: 'employee' } });
+
+const reorder = (token, status, order) => ctx.request('PUT', '/api/tasks/board/order', { token, body: { status, order } });
+
+test('a board column is reordered by saving task positions', async () => {
+    const tasks = [];
+    for (const title of ['Card one', 'Card two', 'Card three']) {
+        tasks.push(await ctx.createTask(ctx.adminToken, { title, status: 'in-progress', assignee_id: ctx.employee.id }));
+    }
+    const order = [tasks[2].id, tasks[0].id, tasks[1].id];
+
+    const response = await reorder(ctx.employee.token, 'in-progress', order);
+    assert.strictEqual(response.status, 200);
+
+    const list = await ctx.request('GET', '/api/tasks?status=in-progress&limit=100', { token: ctx.employee.token });
+    const positions = Object.fromEntries(list.body.data.map(task => [task.id, task.position]));
+    assert.deepStrictEqual(order.map(id => positions[id]), [1, 2, 3]);
+});
+
+test('a column order may only contain visible tasks of that status, each once', async () => {
+    const own = await ctx.createTask(ctx.adminToken, { title: 'Own card', assignee_id: ctx.employee.id });
+    const hidden = await ctx.createTask(ctx.adminToken, { title: 'Hidden card' });
+    const done = await ctx.createTask(ctx.adminToken, { title: 'Done card', status: 'completed', assignee_id: ctx.employee.id });
+
+    const invisible = await reorder(ctx.employee.token, 'pending', [own.id, hidden.id]);
+    assert.strictEqual(invisible.status, 400);
+
+    const wrongStatus = await reorder(ctx.employee.token, 'pending', [own.id, done.id]);
+    assert.strictEqual(wrongStatus.status, 400);
+
+    const twice = await reorder(ctx.employee.token, 'pending', [own.id, own.id]);
+    assert.strictEqual(twice.status, 400);
+
+    const unknownStatus = await reorder(ctx.employee.token, 'blocked', [own.id]);
+    assert.strictEqual(unknownStatus.status, 400);
+});
+
+test('the chosen task view is saved per user', async () => {
+    const initial = await ctx.request('GET', '/api/user/preferences', { token: ctx.employee.token });
+    assert.strictEqual(initial.body.data.task_view, 'list');
+
+    const saved = await ctx.request('PUT', '/api/user/preferences', { token: ctx.employee.token, body: { task_view: 'board' } });
+    assert.strictEqual(saved.status, 200);
+
+    const invalid = await ctx.request('PUT', '/api/user/preferences', { token: ctx.employee.token, body: { task_view: 'gantt' } });
+    assert.strictEqual(invalid.status, 400);
+
+    const employeeView = await ctx.request('GET', '/api/user/preferences', { token: ctx.employee.token });
+    assert.strictEqual(employeeView.body.data.task_view, 'board');
+    const adminView = await ctx.request('GET', '/api/user/preferences', { token: ctx.adminToken });
+    assert.strictEqual(adminView.body.data.task_view, 'list');
+});
@@ -0,0 +1,74 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { useServer } = require('./helpers');
+
+const ctx = useServer({ users: { employee: 'employee' } });
+
+const generateFeed = async (token) => {
+    const response = await ctx.request('POST', '/api/user/calendar-feed', { token });
+    assert.strictEqual(response.status, 200);
+    return new URL(response.body.data.url).pathname;
+};
+
+const unfold = (ics) => ics.replace(/\r\n /g, '');
+
+test('the feed lists assigned tasks as escaped, CRLF-terminated VTODOs and all-day VEVENTs', async () => {
+    const task = await ctx.createTask(ctx.adminToken, {
+        title: 'Prepare Q3 review; slides, notes',
+        description: 'Line one\nLine two',
+        priority: 'high',
+        due_date: '2031-07-15',
+        assignee_id: ctx.employee.id
+    });
+    await ctx.createTask(ctx.adminToken, { title: 'Someone else', due_date: '2031-07-16' });
+
+    const feed = await ctx.request('GET', await generateFeed(ctx.employee.token));
+    assert.strictEqual(feed.status, 200);
+    assert.ok(feed.body.startsWith('BEGIN:VCALENDAR\r\nVERSION:2.0\r\n'));
+    assert.ok(feed.body.endsWith('END:VCALENDAR\r\n'));
+    assert.ok(feed.body.split('\r\n').every(line => Buffer.byteLength(line) <= 75));
+
+    const ics = unfold(feed.body);
+    assert.ok(ics.includes(`UID:task-${task.id}@taskflow`));
+    assert.ok(ics.includes(`UID:task-${task.id}-due@taskflow`));
+    assert.ok(ics.includes('SUMMARY:Prepare Q3 review\\; slides\\, notes'));
+    assert.ok(ics.includes('DESCRIPTION:Line one\\nLine two'));
+    assert.ok(ics.includes('PRIORITY:1'));
+    assert.ok(ics.includes('STATUS:NEEDS-ACTION'));
+    assert.ok(ics.includes('DUE;VALUE=DATE:20310715'));
+    assert.ok(ics.includes('DTSTART;VALUE=DATE:20310715\r\nDTEND;VALUE=DATE:20310716'));
+    assert.ok(!ics.includes('Someone else'));
+});
+
+test('completed tasks carry their completion and long lines are folded', async () => {
+    const task = await ctx.createTask(ctx.adminToken, {
+        title: 'A very long task title that certainly does not fit on a single line of an iCalendar file',
+        assignee_id: ctx.employee.id
+    });
+    await ctx.request('PATCH', `/api/tasks/${task.id}`, { token: ctx.employee.token, body: { status: 'completed' } });
+
+    const feed = await ctx.request('GET', await generateFeed(ctx.employee.token));
+    assert.match(feed.body, /SUMMARY:A very long task title[^\r]*\r\n [^\r]+/);
+
+    const ics = unfold(feed.body);
+    assert.ok(ics.includes('STATUS:COMPLETED'));
+    assert.match(ics, /COMPLETED:\d{8}T\d{6}Z/);
+    assert.ok(ics.includes('PERCENT-COMPLETE:100'));
+});
+
+test('rotating or disabling the link invalidates the old one', async () => {
+    const first = await generateFeed(ctx.employee.token);
+    const second = await generateFeed(ctx.employee.token);
+
+    assert.strictEqual((await ctx.request('GET', first)).status, 404);
+    assert.strictEqual((await ctx.request('GET', second)).status, 200);
+
+    const status = await ctx.request('GET', '/api/user/calendar-feed', { token: ctx.employee.token });
+    assert.strictEqual(status.body.data.enabled, true);
+
+    await ctx.request('DELETE', '/api/user/calendar-feed', { token: ctx.employee.token });
+    assert.strictEqual((await ctx.request('GET', second)).status, 404);
+
+    const disabled = await ctx.request('GET', '/api/user/calendar-feed', { token: ctx.employee.token });
+    assert.strictEqual(disabled.body.data.enabled, false);
+});
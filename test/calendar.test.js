@@ -0,0 +1,40 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { useServer } = require('./helpers');
+
+const ctx = useServer({ users: { employee: 'employee' } });
+
+const titlesDue = async (token, from, to) => {
+    const response = await ctx.request('GET', `/api/tasks?limit=100&sort=due_date&order=asc&due_from=${from}&due_to=${to}`, { token });
+    assert.strictEqual(response.status, 200);
+    return response.body.data.map(task => task.title);
+};
+
+test('tasks are loaded for a date range, inclusive of both ends', async () => {
+    await ctx.createTask(ctx.adminToken, { title: 'Before', due_date: '2031-02-28', assignee_id: ctx.employee.id });
+    await ctx.createTask(ctx.adminToken, { title: 'First day', due_date: '2031-03-01', assignee_id: ctx.employee.id });
+    await ctx.createTask(ctx.adminToken, { title: 'Last day', due_date: '2031-03-31', assignee_id: ctx.employee.id });
+    await ctx.createTask(ctx.adminToken, { title: 'After', due_date: '2031-04-01', assignee_id: ctx.employee.id });
+    await ctx.createTask(ctx.adminToken, { title: 'Not mine', due_date: '2031-03-15' });
+
+    assert.deepStrictEqual(await titlesDue(ctx.employee.token, '2031-03-01', '2031-03-31'), ['First day', 'Last day']);
+    assert.deepStrictEqual(await titlesDue(ctx.adminToken, '2031-03-01', '2031-03-31'), ['First day', 'Not mine', 'Last day']);
+
+    const invalid = await ctx.request('GET', '/api/tasks?due_from=March', { token: ctx.employee.token });
+    assert.strictEqual(invalid.status, 400);
+});
+
+test('dropping a task on another day reschedules it', async () => {
+    const task = await ctx.createTask(ctx.adminToken, { title: 'Move me', due_date: '2031-05-05', assignee_id: ctx.employee.id });
+
+    const moved = await ctx.request('PATCH', `/api/tasks/${task.id}`, { token: ctx.employee.token, body: { due_date: '2031-05-09' } });
+    assert.strictEqual(moved.status, 200);
+
+    assert.deepStrictEqual(await titlesDue(ctx.employee.token, '2031-05-09', '2031-05-09'), ['Move me']);
+});
+
+test('the calendar can be saved as the task view', async () => {
+    const saved = await ctx.request('PUT', '/api/user/preferences', { token: ctx.employee.token, body: { task_view: 'calendar' } });
+    assert.strictEqual(saved.status, 200);
+    assert.strictEqual(saved.body.data.task_view, 'calendar');
+});
@@ -0,0 +1,94 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { useServer } = require('./helpers');
+
+const ctx = useServer({ users: { employee: 'employee', outsider: 'employee' } });
+
+const addComment = (token, taskId, comment, parentId) => ctx.request('POST', `/api/tasks/${taskId}/comments`, {
+    token,
+    body: { comment, parent_id: parentId }
+});
+
+test('comments and replies are listed in order with their authors', async () => {
+    const task = await ctx.createTask(ctx.adminToken, { title: 'Discuss', assignee_id: ctx.employee.id });
+
+    const question = await addComment(ctx.employee.token, task.id, 'Which format?');
+    assert.strictEqual(question.status, 201);
+    assert.strictEqual(question.body.data.user_name, 'employee');
+
+    const answer = await addComment(ctx.adminToken, task.id, 'PDF please', question.body.data.id);
+    assert.strictEqual(answer.status, 201);
+    assert.strictEqual(answer.body.data.parent_id, question.body.data.id);
+
+    const list = await ctx.request('GET', `/api/tasks/${task.id}/comments`, { token: ctx.employee.token });
+    assert.deepStrictEqual(list.body.data.map(comment => comment.comment), ['Which format?', 'PDF please']);
+});
+
+test('comments are validated and a reply must belong to the same task', async () => {
+    const task = await ctx.createTask(ctx.adminToken, { assignee_id: ctx.employee.id });
+    const other = await ctx.createTask(ctx.adminToken, { assignee_id: ctx.employee.id });
+    const foreign = await addComment(ctx.adminToken, other.id, 'Elsewhere');
+
+    const empty = await addComment(ctx.employee.token, task.id, '   ');
+    assert.strictEqual(empty.status, 400);
+
+    const reply = await addComment(ctx.employee.token, task.id, 'Reply', foreign.body.data.id);
+    assert.strictEqual(reply.status, 400);
+
+    const missing = await addComment(ctx.employee.token, 99999, 'Anyone?');
+    assert.strictEqual(missing.status, 404);
+});
+
+test('users who cannot see the task cannot read or add comments', async () => {
+    const task = await ctx.createTask(ctx.adminToken, { assignee_id: ctx.employee.id });
+
+    const list = await ctx.request('GET', `/api/tasks/${task.id}/comments`, { token: ctx.outsider.token });
+    assert.strictEqual(list.status, 403);
+
+    const added = await addComment(ctx.outsider.token, task.id, 'Let me in');
+    assert.strictEqual(added.status, 403);
+});
+
+test('only the author edits a comment and only the author or an admin deletes it', async () => {
+    const task = await ctx.createTask(ctx.adminToken, { assignee_id: ctx.employee.id });
+    const comment = (await addComment(ctx.employee.token, task.id, 'First draft')).body.data;
+    const url = `/api/tasks/${task.id}/comments/${comment.id}`;
+
+    const byAdmin = await ctx.request('PUT', url, { token: ctx.adminToken, body: { comment: 'Changed' } });
+    assert.strictEqual(byAdmin.status, 403);
+
+    const byAuthor = await ctx.request('PUT', url, { token: ctx.employee.token, body: { comment: 'Second draft' } });
+    assert.strictEqual(byAuthor.status, 200);
+    assert.strictEqual(byAuthor.body.data.comment, 'Second draft');
+
+    const adminComment = (await addComment(ctx.adminToken, task.id, 'From the admin')).body.data;
+    const deniedDelete = await ctx.request('DELETE', `/api/tasks/${task.id}/comments/${adminComment.id}`, { token: ctx.employee.token });
+    assert.strictEqual(deniedDelete.status, 403);
+
+    const deleted = await ctx.request('DELETE', url, { token: ctx.adminToken });
+    assert.strictEqual(deleted.status, 200);
+});
+
+test('deleting a comment removes its replies and deleting a task removes its comments', async () => {
+    const task = await ctx.createTask(ctx.adminToken, { assignee_id: ctx.employee.id });
+    const parent = (await addComment(ctx.employee.token, task.id, 'Parent')).body.data;
+    await addComment(ctx.adminToken, task.id, 'Reply', parent.id);
+    const kept = (await addComment(ctx.adminToken, task.id, 'Unrelated')).body.data;
+
+    await ctx.request('DELETE', `/api/tasks/${task.id}/comments/${parent.id}`, { token: ctx.employee.token });
+    const list = await ctx.request('GET', `/api/tasks/${task.id}/comments`, { token: ctx.adminToken });
+    assert.deepStrictEqual(list.body.data.map(comment => comment.id), [kept.id]);
+
+    await ctx.request('DELETE', `/api/tasks/${task.id}`, { token: ctx.adminToken });
+    const orphans = await ctx.server.query('SELECT id FROM task_comments WHERE task_id = ?', [task.id]);
+    assert.deepStrictEqual(orphans, []);
+});
+
+test('a task for an unknown assignee is rejected with 400', async () => {
+    const response = await ctx.request('POST', '/api/tasks', {
+        token: ctx.adminToken,
+        body: { title: 'Nobody', priority: 'low', due_date: '2030-01-01', assignee_id: 99999 }
+    });
+    assert.strictEqual(response.status, 400);
+    assert.strictEqual(response.body.error, 'Assignee not found');
+});
@@ -0,0 +1,91 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { useServer } = require('./helpers');
+
+const ctx = useServer({ users: { manager: 'manager', employee: 'employee' } });
+
+const addBlocker = (token, taskId, blockerId) => ctx.request('POST', `/api/tasks/${taskId}/dependencies`, {
+    token,
+    body: { blocker_id: blockerId }
+});
+
+const setStatus = (token, taskId, status, extra = {}) => ctx.request('PATCH', `/api/tasks/${taskId}`, {
+    token,
+    body: { status, ...extra }
+});
+
+test('an open blocker stops a task from starting until it is completed', async () => {
+    const blocker = await ctx.createTask(ctx.adminToken, { title: 'Design', assignee_id: ctx.employee.id });
+    const task = await ctx.createTask(ctx.adminToken, { title: 'Build', assignee_id: ctx.employee.id });
+    assert.strictEqual((await addBlocker(ctx.employee.token, task.id, blocker.id)).status, 201);
+
+    const blocked = await setStatus(ctx.employee.token, task.id, 'in-progress');
+    assert.strictEqual(blocked.status, 409);
+    assert.deepStrictEqual(blocked.body.blockers.map(open => open.id), [blocker.id]);
+    assert.strictEqual(blocked.body.can_override, false);
+
+    const ignoredOverride = await setStatus(ctx.employee.token, task.id, 'completed', { override_blockers: true });
+    assert.strictEqual(ignoredOverride.status, 409);
+
+    const whilePending = await setStatus(ctx.employee.token, task.id, 'pending');
+    assert.strictEqual(whilePending.status, 200);
+
+    await setStatus(ctx.employee.token, blocker.id, 'completed');
+    const started = await setStatus(ctx.employee.token, task.id, 'in-progress');
+    assert.strictEqual(started.status, 200);
+
+    const dependencies = await ctx.request('GET', `/api/tasks/${blocker.id}/dependencies`, { token: ctx.employee.token });
+    assert.deepStrictEqual(dependencies.body.data.blocks.map(blocked => blocked.id), [task.id]);
+});
+
+test('managers can override open blockers', async () => {
+    const blocker = await ctx.createTask(ctx.adminToken, { title: 'Approve budget' });
+    const task = await ctx.createTask(ctx.adminToken, { title: 'Order hardware' });
+    await addBlocker(ctx.manager.token, task.id, blocker.id);
+
+    const blocked = await setStatus(ctx.manager.token, task.id, 'completed');
+    assert.strictEqual(blocked.status, 409);
+    assert.strictEqual(blocked.body.can_override, true);
+
+    const overridden = await setStatus(ctx.manager.token, task.id, 'completed', { override_blockers: true });
+    assert.strictEqual(overridden.status, 200);
+    assert.strictEqual(overridden.body.data.status, 'completed');
+});
+
+test('dependencies that would form a cycle or block a task on itself are rejected', async () => {
+    const a = await ctx.createTask(ctx.adminToken, { title: 'A' });
+    const b = await ctx.createTask(ctx.adminToken, { title: 'B' });
+    const c = await ctx.createTask(ctx.adminToken, { title: 'C' });
+    await addBlocker(ctx.adminToken, b.id, a.id);
+    await addBlocker(ctx.adminToken, c.id, b.id);
+
+    const cycle = await addBlocker(ctx.adminToken, a.id, c.id);
+    assert.strictEqual(cycle.status, 400);
+    assert.match(cycle.body.error, /cycle/);
+
+    const self = await addBlocker(ctx.adminToken, a.id, a.id);
+    assert.strictEqual(self.status, 400);
+
+    const missing = await addBlocker(ctx.adminToken, a.id, 99999);
+    assert.strictEqual(missing.status, 404);
+});
+
+test('employees can only link tasks they can see, and removed or deleted blockers stop blocking', async () => {
+    const hidden = await ctx.createTask(ctx.adminToken, { title: 'Hidden' });
+    const own = await ctx.createTask(ctx.adminToken, { title: 'Own', assignee_id: ctx.employee.id });
+
+    const denied = await addBlocker(ctx.employee.token, own.id, hidden.id);
+    assert.strictEqual(denied.status, 403);
+
+    const first = await ctx.createTask(ctx.adminToken, { title: 'First', assignee_id: ctx.employee.id });
+    const second = await ctx.createTask(ctx.adminToken, { title: 'Second', assignee_id: ctx.employee.id });
+    await addBlocker(ctx.employee.token, own.id, first.id);
+    await addBlocker(ctx.employee.token, own.id, second.id);
+
+    const removed = await ctx.request('DELETE', `/api/tasks/${own.id}/dependencies/${first.id}`, { token: ctx.employee.token });
+    assert.strictEqual(removed.status, 200);
+    await ctx.request('DELETE', `/api/tasks/${second.id}`, { token: ctx.adminToken });
+
+    const started = await setStatus(ctx.employee.token, own.id, 'in-progress');
+    assert.strictEqual(started.status, 200);
+});
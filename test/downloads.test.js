@@ -0,0 +1,97 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('node:crypto');
+const { useServer, uploadForm } = require('./helpers');
+
+const ctx = useServer({ users: { owner: 'employee', outsider: 'employee' } });
+
+const CONTENT = 'The quick brown fox jumps over the lazy dog';
+
+const upload = async (token, name, content, type) => {
+    const form = uploadForm(name, content);
+    if (type) {
+        form.set('file', new Blob([content], { type }), name);
+    }
+    const response = await ctx.request('POST', '/api/files/upload', { token, body: form });
+    assert.strictEqual(response.status, 201);
+    return response.body.data;
+};
+
+const getLinks = async (token, fileId) => {
+    const response = await ctx.request('GET', `/api/files/${fileId}/download`, { token });
+    assert.strictEqual(response.status, 200);
+    return response.body;
+};
+
+test('a signed link streams the file with its original name and honours Range', async () => {
+    const file = await upload(ctx.owner.token, 'Résumé (final).bin', CONTENT);
+    const links = await getLinks(ctx.owner.token, file.id);
+    assert.strictEqual(links.previewUrl, null);
+
+    const full = await ctx.request('GET', links.downloadUrl);
+    assert.strictEqual(full.status, 200);
+    assert.strictEqual(full.body, CONTENT);
+    assert.strictEqual(full.headers.get('content-type'), 'application/octet-stream');
+    assert.strictEqual(full.headers.get('content-disposition'), `attachment; filename="R_sum_ (final).bin"; filename*=UTF-8''R%C3%A9sum%C3%A9%20%28final%29.bin`);
+    assert.strictEqual(full.headers.get('accept-ranges'), 'bytes');
+
+    const partial = await ctx.request('GET', links.downloadUrl, { headers: { Range: 'bytes=4-8' } });
+    assert.strictEqual(partial.status, 206);
+    assert.strictEqual(partial.body, 'quick');
+    assert.strictEqual(partial.headers.get('content-range'), `bytes 4-8/${CONTENT.length}`);
+
+    const unsatisfiable = await ctx.request('GET', links.downloadUrl, { headers: { Range: 'bytes=1000-2000' } });
+    assert.strictEqual(unsatisfiable.status, 416);
+});
+
+test('inline previews are limited to safe types', async () => {
+    const text = await upload(ctx.owner.token, 'notes.txt', 'plain notes', 'text/plain');
+    const links = await getLinks(ctx.owner.token, text.id);
+
+    const preview = await ctx.request('GET', links.previewUrl);
+    assert.strictEqual(preview.status, 200);
+    assert.match(preview.headers.get('content-type'), /^text\/plain/);
+    assert.match(preview.headers.get('content-disposition'), /^inline;/);
+
+    const html = await upload(ctx.owner.token, 'page.html', '<script>alert(1)</script>', 'text/html');
+    const htmlLinks = await getLinks(ctx.owner.token, html.id);
+    assert.strictEqual(htmlLinks.previewUrl, null);
+
+    const forced = await ctx.request('GET', htmlLinks.downloadUrl.replace('disposition=attachment', 'disposition=inline'));
+    assert.strictEqual(forced.status, 403);
+});
+
+test('expired, tampered and unauthorised requests are refused', async () => {
+    const file = await upload(ctx.owner.token, 'private.bin', CONTENT);
+    const { downloadUrl } = await getLinks(ctx.owner.token, file.id);
+
+    const tampered = await ctx.request('GET', downloadUrl.replace(`user=${ctx.owner.id}`, `user=${ctx.outsider.id}`));
+    assert.strictEqual(tampered.status, 403);
+
+    // Signed the same way as the server, but with an expiry in the past
+    const expires = Math.floor(Date.now() / 1000) - 1;
+    const signature = crypto.createHmac('sha256', 'test-secret')
+        .update(`${file.id}::${ctx.owner.id}:${expires}:attachment`)
+        .digest('hex');
+    const expired = await ctx.request('GET', `/api/files/${file.id}/content?user=${ctx.owner.id}&expires=${expires}&disposition=attachment&signature=${signature}`);
+    assert.strictEqual(expired.status, 403);
+    assert.strictEqual(expired.body.error, 'This link is invalid or has expired');
+
+    assert.strictEqual((await ctx.request('GET', `/api/files/${file.id}/content`)).status, 401);
+    assert.strictEqual((await ctx.request('GET', `/api/files/${file.id}/content`, { token: ctx.owner.token })).status, 200);
+    assert.strictEqual((await ctx.request('GET', `/api/files/${file.id}/download`, { token: ctx.outsider.token })).status, 403);
+});
+
+test('stored files, the database and server code are not served statically', async () => {
+    const file = await upload(ctx.owner.token, 'secret.bin', CONTENT);
+
+    for (const url of [`/uploads/${file.stored_name}`, '/taskflow.db', '/server.js', '/package.json']) {
+        const response = await ctx.request('GET', url);
+        assert.match(response.headers.get('content-type'), /^text\/html/, url);
+        assert.ok(!response.body.includes(CONTENT), url);
+    }
+
+    const script = await ctx.request('GET', '/app.js');
+    assert.strictEqual(script.status, 200);
+    assert.match(script.headers.get('content-type'), /javascript/);
+});
@@ -0,0 +1,102 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { useServer, uploadForm } = require('./helpers');
+
+const ctx = useServer({ users: { owner: 'employee', viewer: 'employee' } });
+
+const createFolder = async (token, name, parentId) => {
+    const response = await ctx.request('POST', '/api/folders', { token, body: { name, parent_id: parentId } });
+    assert.strictEqual(response.status, 201);
+    return response.body.data;
+};
+
+const upload = async (token, name, folderId) => {
+    const fields = folderId ? { folder_id: folderId } : {};
+    const response = await ctx.request('POST', '/api/files/upload', { token, body: uploadForm(name, `${name} content`, fields) });
+    assert.strictEqual(response.status, 201);
+    return response.body.data;
+};
+
+const listFileIds = async (token, folder) => {
+    const response = await ctx.request('GET', `/api/files?folder=${folder}`, { token });
+    return response.status === 200 ? response.body.data.map(file => file.id) : response.status;
+};
+
+test('folders can be created, nested, renamed, moved and deleted when empty', async () => {
+    const specs = await createFolder(ctx.owner.token, 'Specs');
+    const drafts = await createFolder(ctx.owner.token, 'Drafts', specs.id);
+
+    const duplicate = await ctx.request('POST', '/api/folders', { token: ctx.owner.token, body: { name: 'drafts', parent_id: specs.id } });
+    assert.strictEqual(duplicate.status, 400);
+
+    const cycle = await ctx.request('PUT', `/api/folders/${specs.id}`, { token: ctx.owner.token, body: { parent_id: drafts.id } });
+    assert.strictEqual(cycle.status, 400);
+    assert.strictEqual(cycle.body.error, 'A folder cannot be moved into itself or one of its subfolders');
+
+    const renamed = await ctx.request('PUT', `/api/folders/${drafts.id}`, { token: ctx.owner.token, body: { name: 'Reviewed' } });
+    assert.strictEqual(renamed.body.data.name, 'Reviewed');
+
+    const detail = await ctx.request('GET', `/api/folders/${drafts.id}`, { token: ctx.owner.token });
+    assert.deepStrictEqual(detail.body.data.path, [{ id: specs.id, name: 'Specs' }]);
+
+    const children = await ctx.request('GET', `/api/folders?parent=${specs.id}`, { token: ctx.owner.token });
+    assert.deepStrictEqual(children.body.data.map(folder => folder.name), ['Reviewed']);
+
+    const notEmpty = await ctx.request('DELETE', `/api/folders/${specs.id}`, { token: ctx.owner.token });
+    assert.strictEqual(notEmpty.status, 400);
+
+    const moved = await ctx.request('PUT', `/api/folders/${drafts.id}`, { token: ctx.owner.token, body: { parent_id: null } });
+    assert.strictEqual(moved.body.data.parent_id, null);
+
+    assert.strictEqual((await ctx.request('DELETE', `/api/folders/${specs.id}`, { token: ctx.owner.token })).status, 200);
+    assert.strictEqual((await ctx.request('DELETE', `/api/folders/${drafts.id}`, { token: ctx.owner.token })).status, 200);
+});
+
+test('files inherit the sharing of the folders above them', async () => {
+    const team = await createFolder(ctx.owner.token, 'Team');
+    const quarter = await createFolder(ctx.owner.token, 'Q3', team.id);
+    const file = await upload(ctx.owner.token, 'forecast.txt', quarter.id);
+
+    assert.strictEqual(await listFileIds(ctx.viewer.token, quarter.id), 403);
+    assert.strictEqual((await ctx.request('GET', `/api/files/${file.id}/download`, { token: ctx.viewer.token })).status, 403);
+
+    const shared = await ctx.request('PUT', `/api/folders/${team.id}/sharing`, {
+        token: ctx.owner.token,
+        body: { visibility: 'shared', users: [ctx.viewer.id] }
+    });
+    assert.strictEqual(shared.status, 200);
+
+    const roots = await ctx.request('GET', '/api/folders?parent=root', { token: ctx.viewer.token });
+    assert.deepStrictEqual(roots.body.data.map(folder => folder.name), ['Team']);
+    assert.deepStrictEqual(await listFileIds(ctx.viewer.token, quarter.id), [file.id]);
+    assert.strictEqual((await ctx.request('GET', `/api/files/${file.id}/download`, { token: ctx.viewer.token })).status, 200);
+
+    // Moving the file out of the shared tree takes the inherited access away
+    const moved = await ctx.request('PUT', `/api/files/${file.id}/folder`, { token: ctx.owner.token, body: { folder_id: null } });
+    assert.strictEqual(moved.status, 200);
+    assert.deepStrictEqual(await listFileIds(ctx.owner.token, 'root'), [file.id]);
+    assert.strictEqual((await ctx.request('GET', `/api/files/${file.id}/download`, { token: ctx.viewer.token })).status, 403);
+});
+
+test('other users cannot use or change a folder they do not own', async () => {
+    const privateFolder = await createFolder(ctx.owner.token, 'Private');
+
+    const uploadInto = await ctx.request('POST', '/api/files/upload', {
+        token: ctx.viewer.token,
+        body: uploadForm('intruder.txt', 'intruder', { folder_id: privateFolder.id })
+    });
+    assert.strictEqual(uploadInto.status, 400);
+    assert.strictEqual(uploadInto.body.error, 'You do not have access to this folder');
+
+    const subfolder = await ctx.request('POST', '/api/folders', { token: ctx.viewer.token, body: { name: 'Mine', parent_id: privateFolder.id } });
+    assert.strictEqual(subfolder.status, 400);
+    assert.strictEqual(subfolder.body.error, 'You do not have access to this folder');
+
+    assert.strictEqual((await ctx.request('PUT', `/api/folders/${privateFolder.id}`, { token: ctx.viewer.token, body: { name: 'Taken' } })).status, 403);
+    assert.strictEqual((await ctx.request('DELETE', `/api/folders/${privateFolder.id}`, { token: ctx.viewer.token })).status, 403);
+    assert.strictEqual((await ctx.request('GET', `/api/folders/${privateFolder.id}`, { token: ctx.viewer.token })).status, 403);
+
+    const own = await upload(ctx.viewer.token, 'own.txt');
+    const moveInto = await ctx.request('PUT', `/api/files/${own.id}/folder`, { token: ctx.viewer.token, body: { folder_id: privateFolder.id } });
+    assert.strictEqual(moveInto.status, 400);
+});
@@ -0,0 +1,168 @@
+const { before, after } = require('node:test');
+const { spawn } = require('node:child_process');
+const fs = require('node:fs');
+const net = require('node:net');
+const os = require('node:os');
+const path = require('node:path');
+const sqlite3 = require('sqlite3');
+
+const SERVER_PATH = path.join(__dirname, '..', 'server.js');
+const ADMIN = { email: 'admin@taskflow.com', password: 'Admin123!' };
+const TEST_PASSWORD = 'Passw0rd!23';
+
+const getFreePort = () => new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.unref();
+    probe.on('error', reject);
+    probe.listen(0, '127.0.0.1', () => {
+        const { port } = probe.address();
+        probe.close(() => resolve(port));
+    });
+});
+
+// Starts server.js on a free port with its database and uploads in a throwaway directory.
+// The login route allows five attempts per window, so each test file starts its own server.
+const startServer = async (env = {}) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'taskflow-test-'));
+    const port = await getFreePort();
+    const child = spawn(process.execPath, [SERVER_PATH], {
+        cwd: dir,
+        env: {
+            ...process.env,
+            PORT: String(port),
+            JWT_SECRET: 'test-secret',
+            UPLOADS_DIR: path.join(dir, 'uploads'),
+            ...env
+        },
+        stdio: ['ignore', 'pipe', 'pipe']
+    });
+
+    let output = '';
+    child.stdout.on('data', (chunk) => { output += chunk; });
+    child.stderr.on('data', (chunk) => { output += chunk; });
+
+    await new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error(`Server did not start:\n${output}`)), 20000);
+        child.stdout.on('data', () => {
+            if (output.includes('Server is running!')) {
+                clearTimeout(timer);
+                resolve();
+            }
+        });
+        child.on('exit', (code) => {
+            clearTimeout(timer);
+            reject(new Error(`Server exited with code ${code}:\n${output}`));
+        });
+    });
+
+    const baseUrl = `http://127.0.0.1:${port}`;
+
+    const request = async (method, url, { token, body, headers = {} } = {}) => {
+        const init = { method, headers: { ...headers } };
+        if (token) {
+            init.headers.Authorization = `Bearer ${token}`;
+        }
+        if (body instanceof FormData || Buffer.isBuffer(body)) {
+            init.body = body;
+        } else if (body !== undefined) {
+            init.headers['Content-Type'] = 'application/json';
+            init.body = JSON.stringify(body);
+        }
+
+        const response = await fetch(baseUrl + url, init);
+        const text = await response.text();
+        let data = text;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            // Downloads and HTML pages are returned as text
+        }
+        return { status: response.status, headers: response.headers, body: data };
+    };
+
+    const login = async ({ email, password } = ADMIN) => {
+        const response = await request('POST', '/api/auth/login', { body: { email, password } });
+        if (!response.body.token) {
+            throw new Error(`Login failed for ${email}: ${JSON.stringify(response.body)}`);
+        }
+        return response.body.token;
+    };
+
+    const createUser = async (adminToken, { name, role }) => {
+        const user = { email: `${name}@example.com`, password: TEST_PASSWORD, name, role, department: 'Engineering' };
+        const response = await request('POST', '/api/users', { token: adminToken, body: user });
+        if (response.status !== 201) {
+            throw new Error(`Could not create ${name}: ${JSON.stringify(response.body)}`);
+        }
+        return { ...response.body.data, token: await login(user) };
+    };
+
+    // Reads the server's database directly, for state no route exposes
+    const query = (sql, params = []) => new Promise((resolve, reject) => {
+        const db = new sqlite3.Database(path.join(dir, 'taskflow.db'), sqlite3.OPEN_READONLY, (openErr) => {
+            if (openErr) {
+                reject(openErr);
+                return;
+            }
+            db.all(sql, params, (err, rows) => {
+                db.close();
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(rows);
+                }
+            });
+        });
+    });
+
+    const stop = async () => {
+        if (child.exitCode === null) {
+            const exited = new Promise(resolve => child.once('exit', resolve));
+            child.kill();
+            await exited;
+        }
+        fs.rmSync(dir, { recursive: true, force: true });
+    };
+
+    return { dir, request, login, createUser, query, stop };
+};
+
+// Registers before/after hooks that start a server, log in as the admin and create the given users.
+// users maps a name to a role; each user is exposed on the context by name with its token.
+// createTask fills in the fields POST /api/tasks requires.
+const useServer = ({ users = {}, env } = {}) => {
+    const context = {
+        request: (...args) => context.server.request(...args),
+        createTask: async (token, fields = {}) => {
+            const task = { title: 'Task', priority: 'medium', due_date: '2030-01-01', ...fields };
+            const response = await context.server.request('POST', '/api/tasks', { token, body: task });
+            if (response.status !== 201) {
+                throw new Error(`Could not create ${task.title}: ${JSON.stringify(response.body)}`);
+            }
+            return response.body.data;
+        }
+    };
+
+    before(async () => {
+        context.server = await startServer(env);
+        context.adminToken = await context.server.login();
+        for (const [name, role] of Object.entries(users)) {
+            context[name] = await context.server.createUser(context.adminToken, { name, role });
+        }
+    });
+
+    after(() => context.server && context.server.stop());
+
+    return context;
+};
+
+const uploadForm = (name, content, fields = {}) => {
+    const form = new FormData();
+    form.append('file', new Blob([content]), name);
+    for (const [key, value] of Object.entries(fields)) {
+        form.append(key, value);
+    }
+    return form;
+};
+
+module.exports = { ADMIN, startServer, useServer, uploadForm };
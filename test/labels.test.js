@@ -0,0 +1,77 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { useServer } = require('./helpers');
+
+const ctx = useServer({ users: { manager: 'manager', employee: 'employee' } });
+
+const createLabel = async (name, color) => {
+    const response = await ctx.request('POST', '/api/labels', { token: ctx.manager.token, body: { name, color } });
+    assert.strictEqual(response.status, 201);
+    return response.body.data;
+};
+
+const filterTitles = async (query) => {
+    const response = await ctx.request('GET', `/api/tasks?limit=100&sort=title&order=asc&${query}`, { token: ctx.adminToken });
+    return response.body.data.map(task => task.title);
+};
+
+test('managers manage labels; employees and duplicate names are rejected', async () => {
+    const denied = await ctx.request('POST', '/api/labels', { token: ctx.employee.token, body: { name: 'Mine' } });
+    assert.strictEqual(denied.status, 403);
+
+    const label = await createLabel('Backend', '#112233');
+    assert.strictEqual(label.color, '#112233');
+
+    const duplicate = await ctx.request('POST', '/api/labels', { token: ctx.manager.token, body: { name: 'Backend' } });
+    assert.strictEqual(duplicate.status, 400);
+
+    const badColor = await ctx.request('POST', '/api/labels', { token: ctx.manager.token, body: { name: 'Red', color: 'red' } });
+    assert.strictEqual(badColor.status, 400);
+
+    const listed = await ctx.request('GET', '/api/labels', { token: ctx.employee.token });
+    assert.ok(listed.body.data.some(existing => existing.id === label.id));
+});
+
+test('tasks carry their labels and filter by any or all of them', async () => {
+    const urgent = await createLabel('Urgent');
+    const client = await createLabel('Client');
+
+    const both = await ctx.createTask(ctx.adminToken, { title: 'Label both', label_ids: [urgent.id, client.id] });
+    assert.deepStrictEqual(both.labels.map(label => label.name), ['Client', 'Urgent']);
+    await ctx.createTask(ctx.adminToken, { title: 'Label urgent', label_ids: [urgent.id] });
+    await ctx.createTask(ctx.adminToken, { title: 'Label none' });
+
+    assert.deepStrictEqual(await filterTitles(`labels=${urgent.id},${client.id}`), ['Label both', 'Label urgent']);
+    assert.deepStrictEqual(await filterTitles(`labels=${urgent.id},${client.id}&label_match=all`), ['Label both']);
+
+    const unknown = await ctx.request('POST', '/api/tasks', {
+        token: ctx.adminToken,
+        body: { title: 'Unknown label', priority: 'low', due_date: '2030-01-01', label_ids: [99999] }
+    });
+    assert.strictEqual(unknown.status, 400);
+});
+
+test('PATCH replaces the labels of a task and deleting a label removes it from tasks', async () => {
+    const draft = await createLabel('Draft');
+    const review = await createLabel('Review');
+    const task = await ctx.createTask(ctx.adminToken, { title: 'Relabel', label_ids: [draft.id] });
+
+    const patched = await ctx.request('PATCH', `/api/tasks/${task.id}`, { token: ctx.adminToken, body: { label_ids: [review.id] } });
+    assert.deepStrictEqual(patched.body.data.labels.map(label => label.name), ['Review']);
+
+    const deleted = await ctx.request('DELETE', `/api/labels/${review.id}`, { token: ctx.manager.token });
+    assert.strictEqual(deleted.status, 200);
+
+    const cleared = await ctx.request('PATCH', `/api/tasks/${task.id}`, { token: ctx.adminToken, body: { priority: 'high' } });
+    assert.deepStrictEqual(cleared.body.data.labels, []);
+});
+
+test('the report counts how often each label is used', async () => {
+    const ops = await createLabel('Ops');
+    await ctx.createTask(ctx.adminToken, { title: 'Ops one', label_ids: [ops.id] });
+    await ctx.createTask(ctx.adminToken, { title: 'Ops two', label_ids: [ops.id] });
+
+    const report = await ctx.request('GET', '/api/reports', { token: ctx.adminToken });
+    const usage = report.body.data.labelUsage.find(label => label.id === ops.id);
+    assert.strictEqual(usage.usage_count, 2);
+});
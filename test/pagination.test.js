@@ -0,0 +1,58 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { useServer } = require('./helpers');
+
+const ctx = useServer({ users: { bravo: 'employee', alpha: 'employee' } });
+
+const getPage = async (url) => {
+    const response = await ctx.request('GET', url, { token: ctx.adminToken });
+    assert.strictEqual(response.status, 200);
+    return response.body;
+};
+
+test('task pages carry the total and follow the requested sort', async () => {
+    const low = await ctx.createTask(ctx.adminToken, { title: 'Low', priority: 'low', due_date: '2031-03-01', assignee_id: ctx.bravo.id });
+    const high = await ctx.createTask(ctx.adminToken, { title: 'High', priority: 'high', due_date: '2031-01-01', assignee_id: ctx.alpha.id });
+    const medium = await ctx.createTask(ctx.adminToken, { title: 'Medium', priority: 'medium', due_date: '2031-02-01' });
+
+    // The sample data has tasks of its own, so only this year's tasks are listed
+    const first = await getPage('/api/tasks?due_from=2031-01-01&limit=2&sort=due_date&order=asc');
+    assert.deepStrictEqual(first.data.map(task => task.id), [high.id, medium.id]);
+    assert.deepStrictEqual(first.pagination, { total: 3, limit: 2, offset: 0, sort: 'due_date', order: 'asc', has_more: true });
+
+    const second = await getPage('/api/tasks?due_from=2031-01-01&limit=2&offset=2&sort=due_date&order=asc');
+    assert.deepStrictEqual(second.data.map(task => task.id), [low.id]);
+    assert.strictEqual(second.pagination.has_more, false);
+
+    const byPriority = await getPage('/api/tasks?due_from=2031-01-01&sort=priority&order=desc');
+    assert.deepStrictEqual(byPriority.data.map(task => task.id), [high.id, medium.id, low.id]);
+
+    // Unassigned tasks sort last in either direction
+    const byAssignee = await getPage('/api/tasks?due_from=2031-01-01&sort=assignee&order=asc');
+    assert.deepStrictEqual(byAssignee.data.map(task => task.id), [high.id, low.id, medium.id]);
+    const byAssigneeDesc = await getPage('/api/tasks?due_from=2031-01-01&sort=assignee&order=desc');
+    assert.deepStrictEqual(byAssigneeDesc.data.map(task => task.id), [low.id, high.id, medium.id]);
+
+    const byDefault = await getPage('/api/tasks?due_from=2031-01-01');
+    assert.deepStrictEqual(byDefault.data.map(task => task.id), [medium.id, high.id, low.id]);
+    assert.strictEqual(byDefault.pagination.limit, 50);
+});
+
+test('users and activities are paged the same way', async () => {
+    const users = await getPage('/api/users?sort=name&order=asc&limit=2');
+    assert.deepStrictEqual(users.data.map(user => user.name), ['alpha', 'bravo']);
+    assert.strictEqual(users.pagination.total, 3);
+    assert.strictEqual(users.data[0].password_hash, undefined);
+
+    const activities = await getPage('/api/activities?limit=1');
+    assert.strictEqual(activities.data.length, 1);
+    assert.ok(activities.pagination.total > 1);
+    assert.strictEqual(activities.pagination.has_more, true);
+});
+
+test('out-of-range limits and unknown sort columns are rejected', async () => {
+    for (const url of ['/api/tasks?limit=0', '/api/tasks?limit=201', '/api/users?offset=-1', '/api/files?sort=stored_name', '/api/activities?order=random']) {
+        const response = await ctx.request('GET', url, { token: ctx.adminToken });
+        assert.strictEqual(response.status, 400, url);
+    }
+});
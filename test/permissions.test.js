@@ -0,0 +1,90 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const jwt = require('jsonwebtoken');
+const { useServer, uploadForm } = require('./helpers');
+
+const ctx = useServer({ users: { manager: 'manager', employee: 'employee' } });
+
+test('requests without a token are rejected with 401', async () => {
+    const response = await ctx.request('GET', '/api/tasks');
+    assert.strictEqual(response.status, 401);
+});
+
+test('malformed and expired tokens are rejected with 403', async () => {
+    const malformed = await ctx.request('GET', '/api/tasks', { token: 'not.a.token' });
+    assert.strictEqual(malformed.status, 403);
+    assert.strictEqual(malformed.body.error, 'Invalid token');
+
+    const expiredToken = jwt.sign({ userId: 1, exp: Math.floor(Date.now() / 1000) - 60 }, 'test-secret');
+    const expired = await ctx.request('GET', '/api/tasks', { token: expiredToken });
+    assert.strictEqual(expired.status, 403);
+});
+
+test('requirePermission rejects a role without the permission and names it', async () => {
+    const upload = await ctx.request('POST', '/api/files/upload', {
+        token: ctx.employee.token,
+        body: uploadForm('notes.txt', 'employee notes')
+    });
+    assert.strictEqual(upload.status, 201);
+
+    const response = await ctx.request('DELETE', `/api/files/${upload.body.data.id}`, { token: ctx.employee.token });
+    assert.strictEqual(response.status, 403);
+    assert.deepStrictEqual(response.body, { error: 'Insufficient permissions', permission: 'delete_files' });
+});
+
+test('requirePermission follows changes to the permission matrix', async () => {
+    const task = { title: 'Draft', priority: 'low', due_date: '2030-01-01' };
+    const denied = await ctx.request('POST', '/api/tasks', { token: ctx.employee.token, body: task });
+    assert.strictEqual(denied.status, 403);
+    assert.strictEqual(denied.body.permission, 'create_task');
+
+    const matrix = await ctx.request('GET', '/api/permissions', { token: ctx.adminToken });
+    const permissions = { ...matrix.body.data.employee, create_task: true };
+    const saved = await ctx.request('PUT', '/api/permissions', { token: ctx.adminToken, body: { role: 'employee', permissions } });
+    assert.strictEqual(saved.status, 200);
+
+    const allowed = await ctx.request('POST', '/api/tasks', { token: ctx.employee.token, body: task });
+    assert.strictEqual(allowed.status, 201);
+});
+
+test('requireAdmin and requireManager guard admin and manager routes', async () => {
+    const asEmployee = await ctx.request('GET', '/api/storage/usage', { token: ctx.employee.token });
+    assert.strictEqual(asEmployee.status, 403);
+    assert.strictEqual(asEmployee.body.error, 'Admin access required');
+
+    const asManager = await ctx.request('GET', '/api/storage/usage', { token: ctx.manager.token });
+    assert.strictEqual(asManager.status, 403);
+
+    const approval = await ctx.request('POST', '/api/timesheets/1/approve', { token: ctx.employee.token, body: {} });
+    assert.strictEqual(approval.status, 403);
+    assert.strictEqual(approval.body.error, 'Manager access required');
+
+    const asAdmin = await ctx.request('GET', '/api/storage/usage', { token: ctx.adminToken });
+    assert.strictEqual(asAdmin.status, 200);
+});
+
+test('only an admin can change a user role', async () => {
+    const matrix = await ctx.request('GET', '/api/permissions', { token: ctx.adminToken });
+    const permissions = { ...matrix.body.data.manager, edit_users: true };
+    await ctx.request('PUT', '/api/permissions', { token: ctx.adminToken, body: { role: 'manager', permissions } });
+
+    const promote = await ctx.request('PUT', `/api/users/${ctx.employee.id}`, {
+        token: ctx.manager.token,
+        body: { name: 'employee', role: 'manager' }
+    });
+    assert.strictEqual(promote.status, 403);
+
+    const rename = await ctx.request('PUT', `/api/users/${ctx.employee.id}`, {
+        token: ctx.manager.token,
+        body: { name: 'employee renamed', role: 'employee' }
+    });
+    assert.strictEqual(rename.status, 200);
+    assert.strictEqual(rename.body.data.role, 'employee');
+
+    const byAdmin = await ctx.request('PUT', `/api/users/${ctx.employee.id}`, {
+        token: ctx.adminToken,
+        body: { name: 'employee', role: 'manager' }
+    });
+    assert.strictEqual(byAdmin.status, 200);
+    assert.strictEqual(byAdmin.body.data.role, 'manager');
+});
@@ -0,0 +1,123 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('node:crypto');
+const fs = require('node:fs');
+const path = require('node:path');
+const { useServer } = require('./helpers');
+
+const ctx = useServer({ users: { owner: 'employee', outsider: 'employee' } });
+
+// A 24-bit BMP, which the thumbnailer decodes without native tools
+const createBmp = (width, height) => {
+    const rowSize = Math.ceil(width * 3 / 4) * 4;
+    const image = Buffer.alloc(54 + rowSize * height, 0x80);
+    image.write('BM', 0, 'ascii');
+    image.writeUInt32LE(image.length, 2);
+    image.writeUInt32LE(54, 10);
+    image.writeUInt32LE(40, 14);
+    image.writeInt32LE(width, 18);
+    image.writeInt32LE(height, 22);
+    image.writeUInt16LE(1, 26);
+    image.writeUInt16LE(24, 28);
+    image.writeUInt32LE(rowSize * height, 34);
+    return image;
+};
+
+const createPdf = (text) => {
+    const stream = `BT /F1 18 Tf 72 720 Td (${text}) Tj ET`;
+    const objects = [
+        '<< /Type /Catalog /Pages 2 0 R >>',
+        '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+        '<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] /Contents 4 0 R /Resources << /Font << /F1 5 0 R >> >> >>',
+        `<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`,
+        '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>'
+    ];
+    let pdf = '%PDF-1.4\n';
+    const offsets = objects.map((object, index) => {
+        const offset = pdf.length;
+        pdf += `${index + 1} 0 obj\n${object}\nendobj\n`;
+        return offset;
+    });
+    const xref = pdf.length;
+    pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+    pdf += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+    pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+    return Buffer.from(pdf, 'latin1');
+};
+
+const pngSize = (png) => ({ width: png.readUInt32BE(16), height: png.readUInt32BE(20) });
+
+const upload = async (token, name, content, type) => {
+    const form = new FormData();
+    form.append('file', new Blob([content], { type }), name);
+    const response = await ctx.request('POST', '/api/files/upload', { token, body: form });
+    assert.strictEqual(response.status, 201);
+    return response.body.data;
+};
+
+test('image uploads get a cached thumbnail that fits the thumbnail size', async () => {
+    const image = createBmp(512, 256);
+    const file = await upload(ctx.owner.token, 'banner.bmp', image, 'image/bmp');
+
+    const listed = (await ctx.request('GET', '/api/files', { token: ctx.owner.token })).body.data.find(item => item.id === file.id);
+    assert.strictEqual(listed.previewable, true);
+    assert.match(listed.thumbnail_url, /\/thumbnail\?/);
+
+    const thumbnail = await ctx.request('GET', listed.thumbnail_url);
+    assert.strictEqual(thumbnail.status, 200);
+    assert.strictEqual(thumbnail.headers.get('content-type'), 'image/png');
+
+    const sha256 = crypto.createHash('sha256').update(image).digest('hex');
+    const cached = fs.readFileSync(path.join(ctx.server.dir, 'uploads', 'thumbnails', `${sha256}.png`));
+    assert.deepStrictEqual(pngSize(cached), { width: 256, height: 128 });
+
+    const outsider = await ctx.request('GET', `/api/files/${file.id}/thumbnail`, { token: ctx.outsider.token });
+    assert.strictEqual(outsider.status, 403);
+});
+
+test('PDF previews carry the first page text and page count', async () => {
+    const file = await upload(ctx.owner.token, 'report.pdf', createPdf('Quarterly revenue summary'), 'application/pdf');
+
+    const preview = await ctx.request('GET', `/api/files/${file.id}/preview`, { token: ctx.owner.token });
+    assert.strictEqual(preview.status, 200);
+    assert.strictEqual(preview.body.data.pages, 1);
+    assert.match(preview.body.data.text, /Quarterly revenue summary/);
+    assert.ok(preview.body.data.preview_url);
+    assert.strictEqual(preview.body.data.thumbnail_url, null);
+
+    const thumbnail = await ctx.request('GET', `/api/files/${file.id}/thumbnail`, { token: ctx.owner.token });
+    assert.strictEqual(thumbnail.status, 404);
+
+    assert.strictEqual((await ctx.request('GET', `/api/files/${file.id}/preview`, { token: ctx.outsider.token })).status, 403);
+});
+
+test('avatars go through the same pipeline as square thumbnails', async () => {
+    const uploadAvatar = (content, type, name) => {
+        const form = new FormData();
+        form.append('avatar', new Blob([content], { type }), name);
+        return ctx.request('POST', '/api/user/avatar/upload', { token: ctx.owner.token, body: form });
+    };
+
+    const first = await uploadAvatar(createBmp(300, 150), 'image/bmp', 'me.bmp');
+    assert.strictEqual(first.status, 200);
+    const firstUrl = first.body.data.avatar_url;
+    assert.match(firstUrl, new RegExp(`^/avatars/${ctx.owner.id}-\\d+\\.png$`));
+
+    const avatarPath = (url) => path.join(ctx.server.dir, 'uploads', 'avatars', path.basename(url));
+    assert.deepStrictEqual(pngSize(fs.readFileSync(avatarPath(firstUrl))), { width: 256, height: 256 });
+
+    const served = await ctx.request('GET', firstUrl);
+    assert.strictEqual(served.status, 200);
+    assert.strictEqual(served.headers.get('content-type'), 'image/png');
+
+    const notImage = await uploadAvatar('not an image', 'text/plain', 'me.txt');
+    assert.strictEqual(notImage.status, 400);
+
+    const corrupt = await uploadAvatar(Buffer.from('BM broken'), 'image/bmp', 'broken.bmp');
+    assert.strictEqual(corrupt.status, 400);
+
+    const second = await uploadAvatar(createBmp(64, 64), 'image/bmp', 'me-again.bmp');
+    assert.strictEqual(second.status, 200);
+    assert.ok(!fs.existsSync(avatarPath(firstUrl)));
+    assert.ok(fs.existsSync(avatarPath(second.body.data.avatar_url)));
+});
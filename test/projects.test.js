@@ -0,0 +1,85 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { useServer } = require('./helpers');
+
+const ctx = useServer({ users: { manager: 'manager', member: 'employee', outsider: 'employee' } });
+
+const createProject = async (token, body) => {
+    const response = await ctx.request('POST', '/api/projects', { token, body });
+    assert.strictEqual(response.status, 201);
+    return response.body.data;
+};
+
+const listTaskIds = async (token, query = '') => {
+    const response = await ctx.request('GET', `/api/tasks?limit=100${query}`, { token });
+    return response.body.data.map(task => task.id);
+};
+
+test('project members see the project and its tasks; other employees do not', async () => {
+    const project = await createProject(ctx.manager.token, { name: 'Website', member_ids: [ctx.member.id] });
+    const task = await ctx.createTask(ctx.adminToken, { title: 'Homepage copy', project_id: project.id });
+
+    assert.ok((await listTaskIds(ctx.member.token, `&project=${project.id}`)).includes(task.id));
+    assert.ok(!(await listTaskIds(ctx.outsider.token)).includes(task.id));
+
+    const projects = await ctx.request('GET', '/api/projects', { token: ctx.outsider.token });
+    assert.ok(!projects.body.data.some(visible => visible.id === project.id));
+
+    const comments = await ctx.request('GET', `/api/tasks/${task.id}/comments`, { token: ctx.outsider.token });
+    assert.strictEqual(comments.status, 403);
+    const memberComments = await ctx.request('GET', `/api/tasks/${task.id}/comments`, { token: ctx.member.token });
+    assert.strictEqual(memberComments.status, 200);
+});
+
+test('only managers and admins create projects and only the owner or an admin changes them', async () => {
+    const denied = await ctx.request('POST', '/api/projects', { token: ctx.member.token, body: { name: 'Mine' } });
+    assert.strictEqual(denied.status, 403);
+
+    const project = await createProject(ctx.adminToken, { name: 'Admin project' });
+    const byManager = await ctx.request('PUT', `/api/projects/${project.id}`, { token: ctx.manager.token, body: { name: 'Renamed' } });
+    assert.strictEqual(byManager.status, 403);
+
+    const unknownMember = await ctx.request('PUT', `/api/projects/${project.id}`, { token: ctx.adminToken, body: { member_ids: [99999] } });
+    assert.strictEqual(unknownMember.status, 400);
+});
+
+test('tasks cannot be added to archived projects and deleting a project keeps its tasks', async () => {
+    const project = await createProject(ctx.manager.token, { name: 'Migration' });
+    const task = await ctx.createTask(ctx.manager.token, { title: 'Move data', project_id: project.id });
+
+    await ctx.request('PUT', `/api/projects/${project.id}`, { token: ctx.manager.token, body: { is_archived: true } });
+    const archived = await ctx.request('POST', '/api/tasks', {
+        token: ctx.manager.token,
+        body: { title: 'Late', priority: 'low', due_date: '2030-01-01', project_id: project.id }
+    });
+    assert.strictEqual(archived.status, 400);
+
+    const deleted = await ctx.request('DELETE', `/api/projects/${project.id}`, { token: ctx.manager.token });
+    assert.strictEqual(deleted.status, 200);
+
+    const [kept] = await ctx.server.query('SELECT project_id FROM tasks WHERE id = ?', [task.id]);
+    assert.strictEqual(kept.project_id, null);
+});
+
+test('reports only count tasks the user can see', async () => {
+    const project = await createProject(ctx.manager.token, { name: 'Reporting', member_ids: [ctx.member.id] });
+    await ctx.createTask(ctx.adminToken, { title: 'Visible', project_id: project.id, status: 'completed' });
+    await ctx.createTask(ctx.adminToken, { title: 'Hidden', status: 'completed' });
+
+    const sum = (report) => report.body.data.taskDistribution.reduce((total, count) => total + count, 0);
+
+    const outsider = await ctx.request('GET', '/api/reports', { token: ctx.outsider.token });
+    assert.strictEqual(outsider.status, 200);
+    assert.strictEqual(sum(outsider), 0);
+    assert.deepStrictEqual(outsider.body.data.teamPerformance, []);
+
+    const member = await ctx.request('GET', '/api/reports', { token: ctx.member.token });
+    const visibleToMember = (await listTaskIds(ctx.member.token, '&include_subtasks=1')).length;
+    assert.strictEqual(sum(member), visibleToMember);
+
+    const admin = await ctx.request('GET', '/api/reports', { token: ctx.adminToken });
+    assert.ok(sum(admin) > sum(member));
+
+    const otherProject = await ctx.request('GET', `/api/reports?project=${project.id}`, { token: ctx.outsider.token });
+    assert.strictEqual(otherProject.status, 403);
+});
@@ -0,0 +1,76 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { useServer } = require('./helpers');
+
+const ctx = useServer();
+
+const complete = (taskId) => ctx.request('PATCH', `/api/tasks/${taskId}`, {
+    token: ctx.adminToken,
+    body: { status: 'completed' }
+});
+
+const occurrencesOf = (task) => ctx.server.query(
+    'SELECT id, due_date, recurrence_index, status FROM tasks WHERE recurrence_parent_id = ? ORDER BY id',
+    [task.id]
+);
+
+// Completes a recurring task due on dueDate and returns the due date of the occurrence it creates
+const nextDueDate = async (rule, dueDate) => {
+    const task = await ctx.createTask(ctx.adminToken, { title: rule, due_date: dueDate, recurrence_rule: rule });
+    await complete(task.id);
+    const [next] = await occurrencesOf(task);
+    return next ? next.due_date : null;
+};
+
+test('rules outside the supported RRULE subset are rejected', async () => {
+    for (const rule of ['FREQ=YEARLY', 'FREQ=DAILY;BYDAY=MO', 'FREQ=WEEKLY;COUNT=2;UNTIL=20300101', 'FREQ=MONTHLY;BYMONTHDAY=32', 'INTERVAL=2']) {
+        const response = await ctx.request('POST', '/api/tasks', {
+            token: ctx.adminToken,
+            body: { title: 'Invalid', priority: 'low', due_date: '2030-01-01', recurrence_rule: rule }
+        });
+        assert.strictEqual(response.status, 400, rule);
+    }
+});
+
+test('completing a recurring task schedules its next occurrence once', async () => {
+    const task = await ctx.createTask(ctx.adminToken, { title: 'Stand-up', due_date: '2030-01-01', recurrence_rule: 'freq=daily' });
+    assert.strictEqual(task.recurrence_rule, 'FREQ=DAILY');
+
+    await complete(task.id);
+    await ctx.request('PATCH', `/api/tasks/${task.id}`, { token: ctx.adminToken, body: { status: 'pending' } });
+    await complete(task.id);
+
+    const occurrences = await occurrencesOf(task);
+    assert.strictEqual(occurrences.length, 1);
+    assert.strictEqual(occurrences[0].due_date, '2030-01-02');
+    assert.strictEqual(occurrences[0].recurrence_index, 2);
+    assert.strictEqual(occurrences[0].status, 'pending');
+});
+
+test('occurrence dates follow the interval, weekday and month-day parts of the rule', async () => {
+    assert.strictEqual(await nextDueDate('FREQ=DAILY;INTERVAL=3', '2030-01-01'), '2030-01-04');
+    assert.strictEqual(await nextDueDate('FREQ=WEEKLY', '2030-01-01'), '2030-01-08');
+    // 2030-01-02 is a Wednesday
+    assert.strictEqual(await nextDueDate('FREQ=WEEKLY;BYDAY=MO,WE', '2030-01-02'), '2030-01-07');
+    assert.strictEqual(await nextDueDate('FREQ=WEEKLY;INTERVAL=2;BYDAY=MO', '2030-01-07'), '2030-01-21');
+    assert.strictEqual(await nextDueDate('FREQ=MONTHLY;BYMONTHDAY=31', '2030-01-31'), '2030-02-28');
+    assert.strictEqual(await nextDueDate('FREQ=MONTHLY', '2030-01-15'), '2030-02-15');
+});
+
+test('UNTIL and COUNT end the series', async () => {
+    assert.strictEqual(await nextDueDate('FREQ=DAILY;UNTIL=20300101', '2030-01-01'), null);
+
+    const task = await ctx.createTask(ctx.adminToken, { title: 'Twice', due_date: '2030-01-01', recurrence_rule: 'FREQ=DAILY;COUNT=2' });
+    await complete(task.id);
+    const [second] = await occurrencesOf(task);
+    assert.strictEqual(second.recurrence_index, 2);
+
+    await complete(second.id);
+    assert.strictEqual((await occurrencesOf(task)).length, 1);
+});
+
+test('occurrences that have already passed are skipped', async () => {
+    const today = new Date().toISOString().slice(0, 10);
+    const next = await nextDueDate('FREQ=DAILY', '2020-01-01');
+    assert.ok(next >= today, next);
+});
@@ -0,0 +1,92 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { useServer } = require('./helpers');
+
+const ctx = useServer({ users: { owner: 'employee', teammate: 'employee', outsider: 'employee' } });
+
+const listViews = async (token) => (await ctx.request('GET', '/api/views', { token })).body.data;
+
+const saveView = (token, body) => ctx.request('POST', '/api/views', { token, body });
+
+test('saved filters are normalized and listed for their owner', async () => {
+    const saved = await saveView(ctx.owner.token, {
+        name: 'Urgent',
+        filters: { scope: 'my', priority: 'high', overdue: true, sort: 'DROP TABLE tasks', order: 'sideways', due_from: 'soon' }
+    });
+    assert.strictEqual(saved.status, 201);
+    assert.strictEqual(saved.body.data.is_owner, true);
+    assert.deepStrictEqual(saved.body.data.filters, {
+        scope: 'my',
+        status: '',
+        priority: 'high',
+        labels: [],
+        label_match: 'any',
+        due_from: '',
+        due_to: '',
+        overdue: true,
+        sort: 'created',
+        order: 'desc'
+    });
+
+    const duplicate = await saveView(ctx.owner.token, { name: 'Urgent', filters: {} });
+    assert.strictEqual(duplicate.status, 400);
+
+    const missingFilters = await saveView(ctx.owner.token, { name: 'Empty' });
+    assert.strictEqual(missingFilters.status, 400);
+
+    assert.deepStrictEqual((await listViews(ctx.owner.token)).map(view => view.name), ['Urgent']);
+    assert.deepStrictEqual(await listViews(ctx.teammate.token), []);
+});
+
+test('shared views reach the department but only the owner can change them', async () => {
+    const moved = await ctx.request('PUT', `/api/users/${ctx.outsider.id}`, {
+        token: ctx.adminToken,
+        body: { name: 'outsider', role: 'employee', department: 'Sales' }
+    });
+    assert.strictEqual(moved.status, 200);
+
+    const shared = await saveView(ctx.owner.token, { name: 'Team board', filters: { status: 'in-progress' }, is_shared: true });
+    assert.strictEqual(shared.status, 201);
+
+    const teammateViews = await listViews(ctx.teammate.token);
+    assert.deepStrictEqual(teammateViews.map(view => [view.name, view.is_shared, view.is_owner]), [['Team board', true, false]]);
+    assert.deepStrictEqual(await listViews(ctx.outsider.token), []);
+
+    const edit = await ctx.request('PUT', `/api/views/${shared.body.data.id}`, { token: ctx.teammate.token, body: { name: 'Mine now' } });
+    assert.strictEqual(edit.status, 403);
+
+    const remove = await ctx.request('DELETE', `/api/views/${shared.body.data.id}`, { token: ctx.teammate.token });
+    assert.strictEqual(remove.status, 403);
+
+    const unshared = await ctx.request('PUT', `/api/views/${shared.body.data.id}`, { token: ctx.owner.token, body: { is_shared: false } });
+    assert.strictEqual(unshared.status, 200);
+    assert.deepStrictEqual(await listViews(ctx.teammate.token), []);
+
+    const byAdmin = await ctx.request('DELETE', `/api/views/${shared.body.data.id}`, { token: ctx.adminToken });
+    assert.strictEqual(byAdmin.status, 200);
+    assert.deepStrictEqual((await listViews(ctx.owner.token)).map(view => view.name), ['Urgent']);
+});
+
+test('the task list applies creator, assignee and overdue filters', async () => {
+    const late = await ctx.createTask(ctx.adminToken, { title: 'Late report', due_date: '2020-01-01', assignee_id: ctx.owner.id });
+    const done = await ctx.createTask(ctx.adminToken, { title: 'Finished report', due_date: '2020-01-01', assignee_id: ctx.owner.id });
+    await ctx.request('PATCH', `/api/tasks/${done.id}`, { token: ctx.adminToken, body: { status: 'completed' } });
+    const future = await ctx.createTask(ctx.adminToken, { title: 'Next report', assignee_id: ctx.owner.id });
+    await ctx.createTask(ctx.adminToken, { title: 'Someone else', due_date: '2020-01-01' });
+
+    const listIds = async (token, queryString) => {
+        const response = await ctx.request('GET', `/api/tasks?${queryString}`, { token });
+        assert.strictEqual(response.status, 200);
+        return response.body.data.map(task => task.id).sort((a, b) => a - b);
+    };
+
+    assert.deepStrictEqual(await listIds(ctx.owner.token, 'assignee=me'), [late.id, done.id, future.id]);
+    assert.deepStrictEqual(await listIds(ctx.owner.token, 'assignee=me&overdue=1'), [late.id]);
+    assert.deepStrictEqual(await listIds(ctx.owner.token, 'created_by=me'), []);
+    assert.strictEqual((await listIds(ctx.adminToken, 'created_by=me&overdue=1&due_to=2020-12-31')).length, 2);
+
+    for (const invalid of ['assignee=someone', 'overdue=yes', 'due_from=tomorrow', 'sort=password_hash']) {
+        const response = await ctx.request('GET', `/api/tasks?${invalid}`, { token: ctx.owner.token });
+        assert.strictEqual(response.status, 400, invalid);
+    }
+});
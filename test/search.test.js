@@ -0,0 +1,65 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { useServer, uploadForm } = require('./helpers');
+
+const ctx = useServer({ users: { employee: 'employee' } });
+
+const MARK_START = '\u0002';
+const MARK_END = '\u0003';
+
+const search = async (token, q) => {
+    const response = await ctx.request('GET', `/api/search?q=${encodeURIComponent(q)}`, { token });
+    assert.strictEqual(response.status, 200);
+    return response.body.data;
+};
+
+test('title matches rank above description matches, which rank above comment matches', async () => {
+    const inComment = await ctx.createTask(ctx.adminToken, { title: 'Quarterly planning' });
+    await ctx.request('POST', `/api/tasks/${inComment.id}/comments`, { token: ctx.adminToken, body: { comment: 'Remember the zebracorn budget' } });
+    const inDescription = await ctx.createTask(ctx.adminToken, { title: 'Vendor review', description: 'Compare zebracorn pricing' });
+    const inTitle = await ctx.createTask(ctx.adminToken, { title: 'Zebracorn rollout' });
+
+    const results = await search(ctx.adminToken, 'zebracorn');
+    assert.deepStrictEqual(results.tasks.map(task => task.id), [inTitle.id, inDescription.id, inComment.id]);
+});
+
+test('terms match by prefix and matches are highlighted', async () => {
+    await ctx.createTask(ctx.adminToken, { title: 'Migrate invoicing service', description: 'Move the invoicing cron jobs' });
+
+    const [task] = (await search(ctx.adminToken, 'invoic migra')).tasks;
+    assert.strictEqual(task.title_highlight, `${MARK_START}Migrate${MARK_END} ${MARK_START}invoicing${MARK_END} service`);
+    assert.ok(task.snippet.includes(`${MARK_START}invoicing${MARK_END}`));
+
+    // FTS5 syntax is stripped from the query, so "-cron" is a plain term rather than NOT cron
+    const operators = await search(ctx.adminToken, '"invoicing -cron*');
+    assert.strictEqual(operators.tasks.length, 1);
+});
+
+test('the index follows edits and deletes', async () => {
+    const task = await ctx.createTask(ctx.adminToken, { title: 'Platypus audit' });
+    await ctx.request('PATCH', `/api/tasks/${task.id}`, { token: ctx.adminToken, body: { title: 'Wombat audit' } });
+
+    assert.deepStrictEqual((await search(ctx.adminToken, 'platypus')).tasks, []);
+    assert.strictEqual((await search(ctx.adminToken, 'wombat')).tasks.length, 1);
+
+    await ctx.request('DELETE', `/api/tasks/${task.id}`, { token: ctx.adminToken });
+    assert.deepStrictEqual((await search(ctx.adminToken, 'wombat')).tasks, []);
+});
+
+test('results only include what the user may see', async () => {
+    await ctx.createTask(ctx.adminToken, { title: 'Narwhal private plan' });
+    const own = await ctx.createTask(ctx.adminToken, { title: 'Narwhal shared plan', assignee_id: ctx.employee.id });
+    await ctx.request('POST', '/api/files/upload', { token: ctx.adminToken, body: uploadForm('narwhal-admin.txt', 'secret') });
+    await ctx.request('POST', '/api/files/upload', { token: ctx.employee.token, body: uploadForm('narwhal-notes.txt', 'notes') });
+
+    const asEmployee = await search(ctx.employee.token, 'narwhal');
+    assert.deepStrictEqual(asEmployee.tasks.map(task => task.id), [own.id]);
+    assert.deepStrictEqual(asEmployee.files.map(file => file.original_name), ['narwhal-notes.txt']);
+    assert.deepStrictEqual(asEmployee.users, []);
+
+    const asAdmin = await search(ctx.adminToken, 'employee');
+    assert.ok(asAdmin.users.some(user => user.email === 'employee@example.com'));
+
+    const tooShort = await ctx.request('GET', '/api/search?q=a', { token: ctx.employee.token });
+    assert.strictEqual(tooShort.status, 400);
+});
@@ -0,0 +1,69 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { useServer } = require('./helpers');
+
+// Logins are rate limited to five per server, so these tests reuse tokens where they can
+const ctx = useServer({ users: { employee: 'employee' } });
+
+const credentials = (password = 'Passw0rd!23') => ({ email: 'employee@example.com', password });
+
+test('logging out revokes only the token it was sent with', async () => {
+    const second = await ctx.server.login(credentials());
+
+    const logout = await ctx.request('POST', '/api/auth/logout', { token: second });
+    assert.strictEqual(logout.status, 200);
+
+    const revoked = await ctx.request('GET', '/api/tasks', { token: second });
+    assert.strictEqual(revoked.status, 401);
+    assert.strictEqual(revoked.body.error, 'Session expired or revoked');
+
+    const other = await ctx.request('GET', '/api/tasks', { token: ctx.employee.token });
+    assert.strictEqual(other.status, 200);
+});
+
+test('users list their own sessions and can only revoke their own', async () => {
+    const list = await ctx.request('GET', '/api/user/sessions', { token: ctx.employee.token });
+    assert.strictEqual(list.status, 200);
+    assert.strictEqual(list.body.data.length, 1);
+    assert.strictEqual(list.body.data[0].current, true);
+
+    const adminSessions = await ctx.request('GET', '/api/user/sessions', { token: ctx.adminToken });
+    const adminSession = adminSessions.body.data[0];
+
+    const foreign = await ctx.request('DELETE', `/api/user/sessions/${adminSession.id}`, { token: ctx.employee.token });
+    assert.strictEqual(foreign.status, 404);
+
+    const stillValid = await ctx.request('GET', '/api/tasks', { token: ctx.adminToken });
+    assert.strictEqual(stillValid.status, 200);
+});
+
+test('changing a password revokes every session of that user', async () => {
+    const changed = await ctx.request('PUT', `/api/users/${ctx.employee.id}/password`, {
+        token: ctx.adminToken,
+        body: { newPassword: 'N3wPassword!' }
+    });
+    assert.strictEqual(changed.status, 200);
+
+    const revoked = await ctx.request('GET', '/api/tasks', { token: ctx.employee.token });
+    assert.strictEqual(revoked.status, 401);
+
+    ctx.employee.token = await ctx.server.login(credentials('N3wPassword!'));
+    const fresh = await ctx.request('GET', '/api/tasks', { token: ctx.employee.token });
+    assert.strictEqual(fresh.status, 200);
+});
+
+test('admins can revoke all sessions of a user and revoking a session signs it out', async () => {
+    const revokeAll = await ctx.request('DELETE', `/api/users/${ctx.employee.id}/sessions`, { token: ctx.adminToken });
+    assert.strictEqual(revokeAll.status, 200);
+    assert.strictEqual(revokeAll.body.data.revoked, 1);
+
+    const revoked = await ctx.request('GET', '/api/tasks', { token: ctx.employee.token });
+    assert.strictEqual(revoked.status, 401);
+
+    const sessions = await ctx.request('GET', '/api/user/sessions', { token: ctx.adminToken });
+    const own = await ctx.request('DELETE', `/api/user/sessions/${sessions.body.data[0].id}`, { token: ctx.adminToken });
+    assert.strictEqual(own.status, 200);
+
+    const signedOut = await ctx.request('GET', '/api/tasks', { token: ctx.adminToken });
+    assert.strictEqual(signedOut.status, 401);
+});
@@ -0,0 +1,83 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { useServer, uploadForm } = require('./helpers');
+
+const ctx = useServer({ users: { owner: 'employee', friend: 'employee', member: 'employee', outsider: 'employee' } });
+
+const upload = async (token, name, fields) => {
+    const response = await ctx.request('POST', '/api/files/upload', { token, body: uploadForm(name, `${name} content`, fields) });
+    assert.strictEqual(response.status, 201);
+    return response.body.data;
+};
+
+const share = (token, fileId, body) => ctx.request('PUT', `/api/files/${fileId}/sharing`, { token, body });
+
+const visibleTo = async (fileId) => {
+    const names = [];
+    for (const name of ['owner', 'friend', 'member', 'outsider']) {
+        const response = await ctx.request('GET', '/api/files?limit=200', { token: ctx[name].token });
+        if (response.body.data.some(file => file.id === fileId)) {
+            names.push(name);
+        }
+    }
+    return names;
+};
+
+test('uploads are private unless shared at upload time', async () => {
+    const privateFile = await upload(ctx.owner.token, 'diary.txt');
+    assert.deepStrictEqual(await visibleTo(privateFile.id), ['owner']);
+    assert.strictEqual((await ctx.request('GET', `/api/files/${privateFile.id}/download`, { token: ctx.friend.token })).status, 403);
+
+    const sharedFile = await upload(ctx.owner.token, 'plan.txt', {
+        visibility: 'shared',
+        shares: JSON.stringify({ users: [ctx.friend.id] })
+    });
+    assert.deepStrictEqual(await visibleTo(sharedFile.id), ['owner', 'friend']);
+    assert.strictEqual((await ctx.request('GET', `/api/files/${sharedFile.id}/download`, { token: ctx.friend.token })).status, 200);
+});
+
+test('department, project and public sharing widen access accordingly', async () => {
+    const moved = await ctx.request('PUT', `/api/users/${ctx.outsider.id}`, {
+        token: ctx.adminToken,
+        body: { name: 'outsider', role: 'employee', department: 'Sales' }
+    });
+    assert.strictEqual(moved.status, 200);
+
+    const file = await upload(ctx.owner.token, 'roadmap.txt');
+
+    assert.strictEqual((await share(ctx.owner.token, file.id, { visibility: 'shared', departments: ['Engineering'] })).status, 200);
+    assert.deepStrictEqual(await visibleTo(file.id), ['owner', 'friend', 'member']);
+
+    const project = await ctx.request('POST', '/api/projects', { token: ctx.adminToken, body: { name: 'Launch', member_ids: [ctx.member.id] } });
+    const notMember = await share(ctx.owner.token, file.id, { visibility: 'shared', projects: [project.body.data.id] });
+    assert.strictEqual(notMember.status, 400);
+    assert.strictEqual(notMember.body.error, 'You can only share with projects you belong to');
+
+    const adminFile = await upload(ctx.adminToken, 'launch.txt');
+    assert.strictEqual((await share(ctx.adminToken, adminFile.id, { visibility: 'shared', projects: [project.body.data.id] })).status, 200);
+    assert.deepStrictEqual(await visibleTo(adminFile.id), ['member']);
+
+    const shared = await share(ctx.owner.token, file.id, { visibility: 'public' });
+    assert.strictEqual(shared.body.data.visibility, 'public');
+    assert.deepStrictEqual(await visibleTo(file.id), ['owner', 'friend', 'member', 'outsider']);
+
+    const sharing = await ctx.request('GET', `/api/files/${file.id}/sharing`, { token: ctx.owner.token });
+    assert.deepStrictEqual(sharing.body.data, { visibility: 'public', users: [], departments: [], projects: [] });
+});
+
+test('only the uploader or an admin can change sharing, and changes are logged', async () => {
+    const file = await upload(ctx.owner.token, 'budget.txt');
+
+    assert.strictEqual((await share(ctx.friend.token, file.id, { visibility: 'public' })).status, 403);
+    assert.strictEqual((await ctx.request('GET', `/api/files/${file.id}/sharing`, { token: ctx.friend.token })).status, 403);
+    assert.strictEqual((await share(ctx.owner.token, file.id, { visibility: 'everyone' })).status, 400);
+    assert.strictEqual((await share(ctx.owner.token, file.id, { visibility: 'shared' })).status, 400);
+    assert.strictEqual((await share(ctx.owner.token, file.id, { visibility: 'shared', users: [99999] })).status, 400);
+
+    assert.strictEqual((await share(ctx.adminToken, file.id, { visibility: 'shared', users: [ctx.friend.id] })).status, 200);
+
+    const logged = await ctx.server.query(
+        "SELECT description FROM activity_logs WHERE activity_type = 'file_sharing_updated' AND description LIKE '%budget.txt%'"
+    );
+    assert.deepStrictEqual(logged.map(row => row.description), ['File "budget.txt" made shared with 1 user(s) by System Administrator']);
+});
@@ -0,0 +1,83 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('node:crypto');
+const { useServer, uploadForm } = require('./helpers');
+
+const ctx = useServer({ users: { employee: 'employee' } });
+
+const upload = (token, name, content) => ctx.request('POST', '/api/files/upload', {
+    token,
+    body: uploadForm(name, content)
+});
+
+const getQuota = async (token) => (await ctx.request('GET', '/api/storage/quota', { token })).body.data;
+
+test('identical uploads are stored once and counted once', async () => {
+    const content = crypto.randomBytes(30 * 1024);
+
+    const first = await upload(ctx.employee.token, 'deck.bin', content);
+    const second = await upload(ctx.employee.token, 'deck-copy.bin', content);
+    assert.strictEqual(first.status, 201);
+    assert.strictEqual(second.status, 201);
+    assert.strictEqual(first.body.data.blob_id, second.body.data.blob_id);
+
+    assert.strictEqual((await getQuota(ctx.employee.token)).used, content.length);
+});
+
+test('a user quota override rejects uploads that do not fit with 413', async () => {
+    const used = (await getQuota(ctx.employee.token)).used;
+    const quotaMb = (used + 20 * 1024) / (1024 * 1024);
+    const saved = await ctx.request('PUT', `/api/storage/users/${ctx.employee.id}/quota`, {
+        token: ctx.adminToken,
+        body: { quota_mb: quotaMb }
+    });
+    assert.strictEqual(saved.status, 200);
+    assert.strictEqual(saved.body.data.source, 'user');
+
+    const tooLarge = await upload(ctx.employee.token, 'large.bin', crypto.randomBytes(40 * 1024));
+    assert.strictEqual(tooLarge.status, 413);
+    assert.match(tooLarge.body.error, /Storage quota exceeded/);
+    assert.strictEqual(tooLarge.body.quota.used, used);
+
+    const fits = await upload(ctx.employee.token, 'small.bin', crypto.randomBytes(10 * 1024));
+    assert.strictEqual(fits.status, 201);
+
+    await ctx.request('PUT', `/api/storage/users/${ctx.employee.id}/quota`, { token: ctx.adminToken, body: { quota_mb: null } });
+});
+
+test('content the user already stores does not count against a full quota', async () => {
+    const content = crypto.randomBytes(25 * 1024);
+    assert.strictEqual((await upload(ctx.employee.token, 'report.bin', content)).status, 201);
+
+    const used = (await getQuota(ctx.employee.token)).used;
+    await ctx.request('PUT', `/api/storage/users/${ctx.employee.id}/quota`, {
+        token: ctx.adminToken,
+        body: { quota_mb: used / (1024 * 1024) }
+    });
+
+    const duplicate = await upload(ctx.employee.token, 'report-again.bin', content);
+    assert.strictEqual(duplicate.status, 201);
+
+    const fresh = await upload(ctx.employee.token, 'fresh.bin', crypto.randomBytes(1024));
+    assert.strictEqual(fresh.status, 413);
+
+    await ctx.request('PUT', `/api/storage/users/${ctx.employee.id}/quota`, { token: ctx.adminToken, body: { quota_mb: null } });
+});
+
+test('the role quota applies when a user has no override', async () => {
+    const used = (await getQuota(ctx.employee.token)).used;
+    await ctx.request('PUT', '/api/storage/quotas/employee', {
+        token: ctx.adminToken,
+        body: { quota_mb: (used + 1024) / (1024 * 1024) }
+    });
+
+    const quota = await getQuota(ctx.employee.token);
+    assert.strictEqual(quota.source, 'role');
+    assert.strictEqual(quota.remaining, 1024);
+
+    const response = await upload(ctx.employee.token, 'over.bin', crypto.randomBytes(4096));
+    assert.strictEqual(response.status, 413);
+
+    const admin = await upload(ctx.adminToken, 'admin.bin', crypto.randomBytes(4096));
+    assert.strictEqual(admin.status, 201);
+});
@@ -0,0 +1,74 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { useServer } = require('./helpers');
+
+const ctx = useServer({ users: { employee: 'employee', outsider: 'employee' } });
+
+const addSubtask = (token, taskId, body) => ctx.request('POST', `/api/tasks/${taskId}/subtasks`, { token, body });
+
+const getTask = async (taskId) => {
+    const rows = await ctx.server.query('SELECT * FROM tasks WHERE id = ?', [taskId]);
+    return rows[0];
+};
+
+test('subtasks inherit the parent assignee and roll their completion up into its progress', async () => {
+    const parent = await ctx.createTask(ctx.adminToken, { title: 'Launch', assignee_id: ctx.employee.id });
+
+    const first = await addSubtask(ctx.employee.token, parent.id, { title: 'Copy' });
+    assert.strictEqual(first.status, 201);
+    assert.strictEqual(first.body.data.assignee_id, ctx.employee.id);
+    assert.strictEqual(first.body.data.parent_id, parent.id);
+    const second = (await addSubtask(ctx.employee.token, parent.id, { title: 'Images', assignee_id: null })).body.data;
+    assert.strictEqual(second.assignee_id, null);
+
+    await ctx.request('PATCH', `/api/tasks/${first.body.data.id}`, { token: ctx.employee.token, body: { status: 'completed' } });
+    assert.strictEqual((await getTask(parent.id)).progress, 50);
+
+    await ctx.request('DELETE', `/api/tasks/${second.id}`, { token: ctx.adminToken });
+    assert.strictEqual((await getTask(parent.id)).progress, 100);
+});
+
+test('subtasks cannot be nested and are hidden from the task list unless asked for', async () => {
+    const parent = await ctx.createTask(ctx.adminToken, { title: 'Parent', assignee_id: ctx.employee.id });
+    const child = (await addSubtask(ctx.employee.token, parent.id, { title: 'Child' })).body.data;
+
+    const nested = await addSubtask(ctx.employee.token, child.id, { title: 'Grandchild' });
+    assert.strictEqual(nested.status, 400);
+
+    const list = await ctx.request('GET', '/api/tasks?limit=100', { token: ctx.employee.token });
+    assert.ok(!list.body.data.some(task => task.id === child.id));
+
+    const withSubtasks = await ctx.request('GET', '/api/tasks?limit=100&include_subtasks=1', { token: ctx.employee.token });
+    assert.ok(withSubtasks.body.data.some(task => task.id === child.id));
+});
+
+test('subtasks are reordered only with a complete order and require access to the parent', async () => {
+    const parent = await ctx.createTask(ctx.adminToken, { assignee_id: ctx.employee.id });
+    const ids = [];
+    for (const title of ['One', 'Two', 'Three']) {
+        ids.push((await addSubtask(ctx.employee.token, parent.id, { title })).body.data.id);
+    }
+
+    const partial = await ctx.request('PUT', `/api/tasks/${parent.id}/subtasks/order`, { token: ctx.employee.token, body: { order: ids.slice(1) } });
+    assert.strictEqual(partial.status, 400);
+
+    const reordered = await ctx.request('PUT', `/api/tasks/${parent.id}/subtasks/order`, { token: ctx.employee.token, body: { order: [...ids].reverse() } });
+    assert.strictEqual(reordered.status, 200);
+
+    const list = await ctx.request('GET', `/api/tasks/${parent.id}/subtasks`, { token: ctx.employee.token });
+    assert.deepStrictEqual(list.body.data.map(subtask => subtask.title), ['Three', 'Two', 'One']);
+
+    const denied = await ctx.request('GET', `/api/tasks/${parent.id}/subtasks`, { token: ctx.outsider.token });
+    assert.strictEqual(denied.status, 403);
+    const deniedAdd = await addSubtask(ctx.outsider.token, parent.id, { title: 'Sneaky' });
+    assert.strictEqual(deniedAdd.status, 403);
+});
+
+test('deleting a task deletes its subtasks', async () => {
+    const parent = await ctx.createTask(ctx.adminToken, { assignee_id: ctx.employee.id });
+    const child = (await addSubtask(ctx.adminToken, parent.id, { title: 'Goes too' })).body.data;
+
+    const deleted = await ctx.request('DELETE', `/api/tasks/${parent.id}`, { token: ctx.adminToken });
+    assert.strictEqual(deleted.status, 200);
+    assert.strictEqual(await getTask(child.id), undefined);
+});
@@ -0,0 +1,99 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { useServer } = require('./helpers');
+
+const ctx = useServer({ users: { employee: 'employee', outsider: 'employee' } });
+
+const patch = (token, taskId, body) => ctx.request('PATCH', `/api/tasks/${taskId}`, { token, body });
+
+test('PATCH changes only the fields it is sent', async () => {
+    const task = await ctx.createTask(ctx.adminToken, {
+        title: 'Write report',
+        description: 'Quarterly numbers',
+        priority: 'low',
+        assignee_id: ctx.employee.id,
+        estimated_hours: 3
+    });
+
+    const response = await patch(ctx.employee.token, task.id, { priority: 'high' });
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.body.data.priority, 'high');
+    assert.strictEqual(response.body.data.title, 'Write report');
+    assert.strictEqual(response.body.data.description, 'Quarterly numbers');
+    assert.strictEqual(response.body.data.due_date, '2030-01-01');
+    assert.strictEqual(response.body.data.estimated_hours, 3);
+    assert.strictEqual(response.body.data.assignee_id, ctx.employee.id);
+});
+
+test('PATCH validates each supplied field and rejects an empty update', async () => {
+    const task = await ctx.createTask(ctx.adminToken, { assignee_id: ctx.employee.id });
+
+    const invalid = await patch(ctx.employee.token, task.id, { status: 'done', due_date: 'tomorrow', estimated_hours: -1 });
+    assert.strictEqual(invalid.status, 400);
+    assert.deepStrictEqual(invalid.body.errors.map(error => error.path).sort(), ['due_date', 'estimated_hours', 'status']);
+
+    const emptyTitle = await patch(ctx.employee.token, task.id, { title: '  ' });
+    assert.strictEqual(emptyTitle.status, 400);
+
+    const nothing = await patch(ctx.employee.token, task.id, { created_by: ctx.employee.id });
+    assert.strictEqual(nothing.status, 400);
+    assert.strictEqual(nothing.body.error, 'No updatable fields supplied');
+
+    const unknownAssignee = await patch(ctx.employee.token, task.id, { assignee_id: 99999 });
+    assert.strictEqual(unknownAssignee.status, 400);
+});
+
+test('PATCH clears nullable fields sent as null', async () => {
+    const task = await ctx.createTask(ctx.adminToken, {
+        description: 'Remove me',
+        assignee_id: ctx.employee.id,
+        estimated_hours: 5
+    });
+
+    const response = await patch(ctx.adminToken, task.id, { due_date: null, description: null, estimated_hours: null, assignee_id: null });
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.body.data.due_date, null);
+    assert.strictEqual(response.body.data.description, null);
+    assert.strictEqual(response.body.data.estimated_hours, null);
+    assert.strictEqual(response.body.data.assignee_id, null);
+});
+
+test('PATCH records completion and requires access to the task', async () => {
+    const task = await ctx.createTask(ctx.adminToken, { assignee_id: ctx.employee.id });
+
+    const denied = await patch(ctx.outsider.token, task.id, { status: 'completed' });
+    assert.strictEqual(denied.status, 403);
+
+    const missing = await patch(ctx.adminToken, 99999, { status: 'completed' });
+    assert.strictEqual(missing.status, 404);
+
+    const completed = await patch(ctx.employee.token, task.id, { status: 'completed' });
+    assert.strictEqual(completed.body.data.status, 'completed');
+    assert.ok(completed.body.data.completed_at);
+
+    const reopened = await patch(ctx.employee.token, task.id, { status: 'pending' });
+    assert.strictEqual(reopened.body.data.completed_at, null);
+});
+
+test('PUT keeps the stored value of fields it is not sent', async () => {
+    const task = await ctx.createTask(ctx.adminToken, {
+        title: 'Plan offsite',
+        description: 'Venue and agenda',
+        assignee_id: ctx.employee.id,
+        estimated_hours: 8
+    });
+
+    const response = await ctx.request('PUT', `/api/tasks/${task.id}`, {
+        token: ctx.adminToken,
+        body: { title: 'Plan the offsite', status: 'in-progress' }
+    });
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.body.data.title, 'Plan the offsite');
+    assert.strictEqual(response.body.data.status, 'in-progress');
+    assert.strictEqual(response.body.data.description, 'Venue and agenda');
+    assert.strictEqual(response.body.data.assignee_id, ctx.employee.id);
+    assert.strictEqual(response.body.data.estimated_hours, 8);
+
+    const invalid = await ctx.request('PUT', `/api/tasks/${task.id}`, { token: ctx.adminToken, body: { priority: 'someday' } });
+    assert.strictEqual(invalid.status, 400);
+});
@@ -0,0 +1,86 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { useServer } = require('./helpers');
+
+const ctx = useServer({ users: { employee: 'employee', colleague: 'employee' } });
+
+const HOUR_MS = 60 * 60 * 1000;
+const hoursAgo = (hours) => new Date(Date.now() - hours * HOUR_MS).toISOString();
+
+const logTime = (token, taskId, startedAt, endedAt, note) => ctx.request('POST', `/api/tasks/${taskId}/time-entries`, {
+    token,
+    body: { started_at: startedAt, ended_at: endedAt, note }
+});
+
+const actualHours = async (taskId) => (await ctx.server.query('SELECT actual_hours FROM tasks WHERE id = ?', [taskId]))[0].actual_hours;
+
+test('manual entries are validated and feed the task actual hours', async () => {
+    const task = await ctx.createTask(ctx.adminToken, { assignee_id: ctx.employee.id });
+
+    const logged = await logTime(ctx.employee.token, task.id, hoursAgo(5), hoursAgo(3), 'Research');
+    assert.strictEqual(logged.status, 201);
+    assert.strictEqual(logged.body.data.duration_seconds, 7200);
+    assert.strictEqual(await actualHours(task.id), 2);
+
+    assert.strictEqual((await logTime(ctx.employee.token, task.id, hoursAgo(3), hoursAgo(4))).status, 400);
+    assert.strictEqual((await logTime(ctx.employee.token, task.id, hoursAgo(1), hoursAgo(-1))).status, 400);
+    assert.strictEqual((await logTime(ctx.employee.token, task.id, hoursAgo(30), hoursAgo(2))).status, 400);
+    assert.strictEqual((await logTime(ctx.employee.token, task.id, 'yesterday', hoursAgo(2))).status, 400);
+
+    const edited = await ctx.request('PUT', `/api/tasks/${task.id}/time-entries/${logged.body.data.id}`, {
+        token: ctx.employee.token,
+        body: { started_at: hoursAgo(4) }
+    });
+    assert.strictEqual(edited.status, 200);
+    assert.strictEqual(await actualHours(task.id), 1);
+
+    const deleted = await ctx.request('DELETE', `/api/tasks/${task.id}/time-entries/${logged.body.data.id}`, { token: ctx.employee.token });
+    assert.strictEqual(deleted.status, 200);
+    assert.strictEqual(await actualHours(task.id), null);
+});
+
+test('employees cannot log time on tasks they cannot see or change entries of others', async () => {
+    const task = await ctx.createTask(ctx.adminToken, { assignee_id: ctx.employee.id });
+    const hidden = await ctx.createTask(ctx.adminToken, {});
+
+    assert.strictEqual((await logTime(ctx.employee.token, hidden.id, hoursAgo(2), hoursAgo(1))).status, 403);
+
+    const entry = (await logTime(ctx.adminToken, task.id, hoursAgo(2), hoursAgo(1))).body.data;
+    const edit = await ctx.request('PUT', `/api/tasks/${task.id}/time-entries/${entry.id}`, {
+        token: ctx.employee.token,
+        body: { note: 'Mine now' }
+    });
+    assert.strictEqual(edit.status, 403);
+
+    const list = await ctx.request('GET', `/api/tasks/${task.id}/time-entries`, { token: ctx.colleague.token });
+    assert.strictEqual(list.status, 403);
+});
+
+test('one timer runs at a time and stopping it records an entry', async () => {
+    const first = await ctx.createTask(ctx.adminToken, { title: 'Timer one', assignee_id: ctx.employee.id });
+    const second = await ctx.createTask(ctx.adminToken, { title: 'Timer two', assignee_id: ctx.employee.id });
+
+    const started = await ctx.request('POST', `/api/tasks/${first.id}/timer/start`, { token: ctx.employee.token, body: { note: 'Focus' } });
+    assert.strictEqual(started.status, 201);
+
+    const again = await ctx.request('POST', `/api/tasks/${second.id}/timer/start`, { token: ctx.employee.token, body: {} });
+    assert.strictEqual(again.status, 409);
+    assert.strictEqual(again.body.running.task_id, first.id);
+
+    const running = await ctx.request('GET', '/api/user/timer', { token: ctx.employee.token });
+    assert.strictEqual(running.body.data.task_id, first.id);
+
+    const wrongTask = await ctx.request('POST', `/api/tasks/${second.id}/timer/stop`, { token: ctx.employee.token, body: {} });
+    assert.strictEqual(wrongTask.status, 404);
+
+    const stopped = await ctx.request('POST', `/api/tasks/${first.id}/timer/stop`, { token: ctx.employee.token, body: {} });
+    assert.strictEqual(stopped.status, 200);
+    assert.ok(stopped.body.data.ended_at);
+    assert.strictEqual(stopped.body.data.note, 'Focus');
+
+    const idle = await ctx.request('GET', '/api/user/timer', { token: ctx.employee.token });
+    assert.strictEqual(idle.body.data, null);
+
+    const entries = await ctx.request('GET', `/api/tasks/${first.id}/time-entries`, { token: ctx.employee.token });
+    assert.strictEqual(entries.body.data.length, 1);
+});
@@ -0,0 +1,117 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { useServer } = require('./helpers');
+
+const ctx = useServer({ users: { manager: 'manager', employee: 'employee' } });
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Monday, 10:00 UTC, of a week that ended weeks ago
+const weekStart = (weeksAgo) => {
+    const date = new Date(Date.now() - weeksAgo * 7 * DAY_MS);
+    date.setUTCHours(10, 0, 0, 0);
+    return new Date(date.getTime() - ((date.getUTCDay() + 6) % 7) * DAY_MS);
+};
+
+const logTime = (token, taskId, start, hours) => ctx.request('POST', `/api/tasks/${taskId}/time-entries`, {
+    token,
+    body: { started_at: start.toISOString(), ended_at: new Date(start.getTime() + hours * 60 * 60 * 1000).toISOString() }
+});
+
+const submit = (token, week, comment) => ctx.request('POST', '/api/timesheets', {
+    token,
+    body: { week: week.toISOString().slice(0, 10), tz_offset: 0, comment }
+});
+
+test('a submitted week is locked until it is rejected, and approved weeks stay locked', async () => {
+    const week = weekStart(3);
+    const task = await ctx.createTask(ctx.adminToken, { title: 'Locked work', assignee_id: ctx.employee.id });
+    const entry = (await logTime(ctx.employee.token, task.id, week, 2)).body.data;
+
+    const submitted = await submit(ctx.employee.token, week, 'All done');
+    assert.strictEqual(submitted.status, 201);
+    assert.strictEqual(submitted.body.data.status, 'submitted');
+    assert.strictEqual(submitted.body.data.total_seconds, 7200);
+
+    const twice = await submit(ctx.employee.token, week);
+    assert.strictEqual(twice.status, 409);
+
+    const added = await logTime(ctx.employee.token, task.id, new Date(week.getTime() + DAY_MS), 1);
+    assert.strictEqual(added.status, 409);
+    const edited = await ctx.request('PUT', `/api/tasks/${task.id}/time-entries/${entry.id}`, { token: ctx.employee.token, body: { note: 'Later' } });
+    assert.strictEqual(edited.status, 409);
+    const removed = await ctx.request('DELETE', `/api/tasks/${task.id}/time-entries/${entry.id}`, { token: ctx.employee.token });
+    assert.strictEqual(removed.status, 409);
+    const taskDeleted = await ctx.request('DELETE', `/api/tasks/${task.id}`, { token: ctx.adminToken });
+    assert.strictEqual(taskDeleted.status, 409);
+
+    const noReason = await ctx.request('POST', `/api/timesheets/${submitted.body.data.id}/reject`, { token: ctx.manager.token, body: {} });
+    assert.strictEqual(noReason.status, 400);
+    const rejected = await ctx.request('POST', `/api/timesheets/${submitted.body.data.id}/reject`, {
+        token: ctx.manager.token,
+        body: { comment: 'Add the Tuesday meeting' }
+    });
+    assert.strictEqual(rejected.body.data.status, 'rejected');
+
+    assert.strictEqual((await logTime(ctx.employee.token, task.id, new Date(week.getTime() + DAY_MS), 1)).status, 201);
+    const resubmitted = await submit(ctx.employee.token, week);
+    assert.strictEqual(resubmitted.status, 200);
+    assert.strictEqual(resubmitted.body.data.total_seconds, 3 * 3600);
+
+    const approved = await ctx.request('POST', `/api/timesheets/${submitted.body.data.id}/approve`, { token: ctx.manager.token, body: {} });
+    assert.strictEqual(approved.body.data.status, 'approved');
+    assert.strictEqual(approved.body.data.reviewed_by, ctx.manager.id);
+
+    const afterApproval = await ctx.request('DELETE', `/api/tasks/${task.id}/time-entries/${entry.id}`, { token: ctx.employee.token });
+    assert.strictEqual(afterApproval.status, 409);
+    const reviewedTwice = await ctx.request('POST', `/api/timesheets/${submitted.body.data.id}/reject`, { token: ctx.manager.token, body: { comment: 'Oops' } });
+    assert.strictEqual(reviewedTwice.status, 409);
+});
+
+test('empty, future and timer-running weeks cannot be submitted', async () => {
+    const empty = await submit(ctx.employee.token, weekStart(8));
+    assert.strictEqual(empty.status, 400);
+
+    const future = await submit(ctx.employee.token, new Date(Date.now() + 14 * DAY_MS));
+    assert.strictEqual(future.status, 400);
+
+    const week = weekStart(5);
+    const task = await ctx.createTask(ctx.adminToken, { assignee_id: ctx.employee.id });
+    await logTime(ctx.employee.token, task.id, week, 1);
+    await ctx.request('POST', `/api/tasks/${task.id}/timer/start`, { token: ctx.employee.token, body: {} });
+
+    const running = await submit(ctx.employee.token, week);
+    assert.strictEqual(running.status, 409);
+
+    await ctx.request('POST', `/api/tasks/${task.id}/timer/stop`, { token: ctx.employee.token, body: {} });
+});
+
+test('employees only see their own timesheets and managers cannot review their own', async () => {
+    const week = weekStart(6);
+    const task = await ctx.createTask(ctx.manager.token, { title: 'Manager work' });
+    await logTime(ctx.manager.token, task.id, week, 1);
+    const own = (await submit(ctx.manager.token, week)).body.data;
+
+    const selfApproval = await ctx.request('POST', `/api/timesheets/${own.id}/approve`, { token: ctx.manager.token, body: {} });
+    assert.strictEqual(selfApproval.status, 403);
+
+    const employeeList = await ctx.request('GET', '/api/timesheets', { token: ctx.employee.token });
+    assert.ok(employeeList.body.data.every(timesheet => timesheet.user_id === ctx.employee.id));
+
+    const otherWeek = await ctx.request('GET', `/api/timesheets/week?user_id=${ctx.manager.id}`, { token: ctx.employee.token });
+    assert.strictEqual(otherWeek.status, 403);
+});
+
+test('the CSV export lists the entries of approved weeks', async () => {
+    const week = weekStart(3).toISOString().slice(0, 10);
+
+    const denied = await ctx.request('GET', `/api/timesheets/export?from=${week}`, { token: ctx.employee.token });
+    assert.strictEqual(denied.status, 403);
+
+    const csv = await ctx.request('GET', `/api/timesheets/export?from=${week}&to=${week}`, { token: ctx.manager.token });
+    assert.strictEqual(csv.status, 200);
+    const lines = csv.body.trim().split('\r\n');
+    assert.match(lines[0], /^Week Start,Employee,Email,Date,Task ID,Task,/);
+    assert.strictEqual(lines.length, 3);
+    assert.ok(lines.slice(1).every(line => line.startsWith(`${week},employee,employee@example.com,`) && line.includes('Locked work')));
+});
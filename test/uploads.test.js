@@ -0,0 +1,152 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('node:crypto');
+const fs = require('node:fs');
+const path = require('node:path');
+const { useServer, uploadForm } = require('./helpers');
+
+const ctx = useServer({ users: { employee: 'employee' } });
+
+// Same scheme as the browser: SHA-256 over the concatenated SHA-256 digests of each chunk
+const chunkChecksum = (content, chunkSize) => {
+    const digests = [];
+    for (let offset = 0; offset < content.length; offset += chunkSize) {
+        digests.push(crypto.createHash('sha256').update(content.subarray(offset, offset + chunkSize)).digest());
+    }
+    return crypto.createHash('sha256').update(Buffer.concat(digests)).digest('hex');
+};
+
+const startUpload = (token, name, content) => ctx.request('POST', '/api/uploads', {
+    token,
+    body: { name, size: content.length, type: 'application/octet-stream' }
+});
+
+const sendChunk = (token, session, offset, content) => ctx.request('PUT', `/api/uploads/${session.id}?offset=${offset}`, {
+    token,
+    headers: { 'Content-Type': 'application/octet-stream' },
+    body: content.subarray(offset, offset + session.chunk_size)
+});
+
+const sendAllChunks = async (token, session, content) => {
+    let state = session;
+    while (state.received_bytes < content.length) {
+        const response = await sendChunk(token, state, state.received_bytes, content);
+        assert.strictEqual(response.status, 200);
+        state = response.body.data;
+    }
+    return state;
+};
+
+test('a chunked upload completes into a file with the uploaded content', async () => {
+    const content = crypto.randomBytes(11 * 1024 * 1024 + 7);
+    const session = (await startUpload(ctx.employee.token, 'video.bin', content)).body.data;
+    assert.strictEqual(session.received_bytes, 0);
+
+    const first = await sendChunk(ctx.employee.token, session, 0, content);
+    assert.strictEqual(first.body.data.received_bytes, session.chunk_size);
+
+    const outOfOrder = await sendChunk(ctx.employee.token, session, 0, content);
+    assert.strictEqual(outOfOrder.status, 409);
+    assert.strictEqual(outOfOrder.body.data.received_bytes, session.chunk_size);
+
+    const early = await ctx.request('POST', `/api/uploads/${session.id}/complete`, {
+        token: ctx.employee.token,
+        body: { checksum: chunkChecksum(content, session.chunk_size) }
+    });
+    assert.strictEqual(early.status, 409);
+
+    await sendAllChunks(ctx.employee.token, first.body.data, content);
+
+    const completed = await ctx.request('POST', `/api/uploads/${session.id}/complete`, {
+        token: ctx.employee.token,
+        body: { checksum: chunkChecksum(content, session.chunk_size) }
+    });
+    assert.strictEqual(completed.status, 201);
+    assert.strictEqual(completed.body.data.original_name, 'video.bin');
+    assert.strictEqual(completed.body.data.file_size, content.length);
+
+    const stored = fs.readFileSync(path.join(ctx.server.dir, 'uploads', completed.body.data.stored_name));
+    assert.ok(stored.equals(content));
+
+    const status = await ctx.request('GET', `/api/uploads/${session.id}`, { token: ctx.employee.token });
+    assert.strictEqual(status.status, 404);
+    assert.deepStrictEqual(fs.readdirSync(path.join(ctx.server.dir, 'uploads', 'partial')), []);
+});
+
+test('a checksum mismatch resets the upload with 422', async () => {
+    const content = crypto.randomBytes(64 * 1024);
+    const session = (await startUpload(ctx.employee.token, 'notes.bin', content)).body.data;
+    await sendAllChunks(ctx.employee.token, session, content);
+
+    const corrupted = await ctx.request('POST', `/api/uploads/${session.id}/complete`, {
+        token: ctx.employee.token,
+        body: { checksum: chunkChecksum(Buffer.from('something else'), session.chunk_size) }
+    });
+    assert.strictEqual(corrupted.status, 422);
+
+    const status = await ctx.request('GET', `/api/uploads/${session.id}`, { token: ctx.employee.token });
+    assert.strictEqual(status.body.data.received_bytes, 0);
+
+    await sendAllChunks(ctx.employee.token, status.body.data, content);
+    const completed = await ctx.request('POST', `/api/uploads/${session.id}/complete`, {
+        token: ctx.employee.token,
+        body: { checksum: chunkChecksum(content, session.chunk_size) }
+    });
+    assert.strictEqual(completed.status, 201);
+});
+
+test('completing an upload of content already stored reuses its blob', async () => {
+    const content = crypto.randomBytes(32 * 1024);
+    const direct = await ctx.request('POST', '/api/files/upload', {
+        token: ctx.employee.token,
+        body: uploadForm('original.bin', content)
+    });
+    assert.strictEqual(direct.status, 201);
+
+    const session = (await startUpload(ctx.employee.token, 'copy.bin', content)).body.data;
+    await sendAllChunks(ctx.employee.token, session, content);
+    const completed = await ctx.request('POST', `/api/uploads/${session.id}/complete`, {
+        token: ctx.employee.token,
+        body: { checksum: chunkChecksum(content, session.chunk_size) }
+    });
+    assert.strictEqual(completed.status, 201);
+    assert.strictEqual(completed.body.data.blob_id, direct.body.data.blob_id);
+});
+
+test('other users cannot see or write to an upload session', async () => {
+    const content = crypto.randomBytes(1024);
+    const session = (await startUpload(ctx.employee.token, 'private.bin', content)).body.data;
+
+    const status = await ctx.request('GET', `/api/uploads/${session.id}`, { token: ctx.adminToken });
+    assert.strictEqual(status.status, 404);
+
+    const chunk = await sendChunk(ctx.adminToken, session, 0, content);
+    assert.strictEqual(chunk.status, 404);
+
+    const cancelled = await ctx.request('DELETE', `/api/uploads/${session.id}`, { token: ctx.employee.token });
+    assert.strictEqual(cancelled.status, 200);
+});
+
+test('role upload limits apply to chunked and single-request uploads', async () => {
+    await ctx.request('PUT', '/api/storage/upload-limits/employee', {
+        token: ctx.adminToken,
+        body: { max_file_mb: 0.01, max_sessions: 1 }
+    });
+
+    const content = crypto.randomBytes(20 * 1024);
+    const chunked = await startUpload(ctx.employee.token, 'big.bin', content);
+    assert.strictEqual(chunked.status, 413);
+
+    const direct = await ctx.request('POST', '/api/files/upload', {
+        token: ctx.employee.token,
+        body: uploadForm('big.bin', content)
+    });
+    assert.strictEqual(direct.status, 413);
+    assert.match(direct.body.error, /cannot be uploaded with your role/);
+
+    const small = crypto.randomBytes(1024);
+    assert.strictEqual((await startUpload(ctx.employee.token, 'one.bin', small)).status, 201);
+    assert.strictEqual((await startUpload(ctx.employee.token, 'two.bin', small)).status, 429);
+
+    assert.deepStrictEqual(fs.readdirSync(path.join(ctx.server.dir, 'uploads')).filter(name => name.includes('big')), []);
+});
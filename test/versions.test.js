@@ -0,0 +1,114 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const { startServer, useServer, uploadForm } = require('./helpers');
+
+const ctx = useServer({ users: { owner: 'employee', viewer: 'employee' }, env: { FILE_VERSION_DELETE_POLICY: 'retain' } });
+
+const upload = async (token, name, content) => {
+    const response = await ctx.request('POST', '/api/files/upload', { token, body: uploadForm(name, content) });
+    assert.strictEqual(response.status, 201);
+    return response.body.data;
+};
+
+const uploadVersion = (token, fileId, name, content) => ctx.request('POST', `/api/files/${fileId}/versions`, {
+    token,
+    body: uploadForm(name, content)
+});
+
+const listVersions = async (token, fileId) => (await ctx.request('GET', `/api/files/${fileId}/versions`, { token })).body.data;
+
+const readContent = async (token, fileId, version) => (await ctx.request('GET', `/api/files/${fileId}/content${version ? `?version=${version}` : ''}`, { token })).body;
+
+test('a new version replaces the current content and keeps the history', async () => {
+    const file = await upload(ctx.owner.token, 'spec-v1.txt', 'first draft');
+
+    const second = await uploadVersion(ctx.owner.token, file.id, 'spec-v2.txt', 'second draft');
+    assert.strictEqual(second.status, 201);
+    assert.strictEqual(second.body.data.current_version, 2);
+    assert.strictEqual(second.body.data.original_name, 'spec-v2.txt');
+
+    const versions = await listVersions(ctx.owner.token, file.id);
+    assert.deepStrictEqual(versions.map(version => [version.version_number, version.original_name, version.is_current]), [
+        [2, 'spec-v2.txt', true],
+        [1, 'spec-v1.txt', false]
+    ]);
+
+    assert.strictEqual(await readContent(ctx.owner.token, file.id), 'second draft');
+    assert.strictEqual(await readContent(ctx.owner.token, file.id, 1), 'first draft');
+    assert.strictEqual((await ctx.request('GET', `/api/files/${file.id}/content?version=9`, { token: ctx.owner.token })).status, 404);
+
+    const listed = await ctx.request('GET', '/api/files?limit=200', { token: ctx.owner.token });
+    assert.strictEqual(listed.body.data.find(item => item.id === file.id).version_count, 2);
+});
+
+test('restoring a version records it as a new version', async () => {
+    const file = await upload(ctx.owner.token, 'budget.txt', 'original figures');
+    await uploadVersion(ctx.owner.token, file.id, 'budget.txt', 'revised figures');
+
+    const restored = await ctx.request('POST', `/api/files/${file.id}/versions/1/restore`, { token: ctx.owner.token });
+    assert.strictEqual(restored.status, 200);
+    assert.strictEqual(restored.body.data.current_version, 3);
+    assert.strictEqual(restored.body.message, 'Version 1 restored as version 3');
+
+    const versions = await listVersions(ctx.owner.token, file.id);
+    assert.deepStrictEqual(versions.map(version => [version.version_number, version.is_current]), [[3, true], [2, false], [1, false]]);
+    assert.strictEqual(await readContent(ctx.owner.token, file.id), 'original figures');
+    assert.strictEqual(await readContent(ctx.owner.token, file.id, 2), 'revised figures');
+
+    const missing = await ctx.request('POST', `/api/files/${file.id}/versions/7/restore`, { token: ctx.owner.token });
+    assert.strictEqual(missing.status, 404);
+});
+
+test('only someone who can manage the file adds or restores versions', async () => {
+    const file = await upload(ctx.owner.token, 'notes.txt', 'owner notes');
+    await ctx.request('PUT', `/api/files/${file.id}/sharing`, { token: ctx.owner.token, body: { visibility: 'public' } });
+
+    assert.strictEqual((await listVersions(ctx.viewer.token, file.id)).length, 1);
+    assert.strictEqual((await uploadVersion(ctx.viewer.token, file.id, 'notes.txt', 'overwritten')).status, 403);
+    assert.strictEqual((await ctx.request('POST', `/api/files/${file.id}/versions/1/restore`, { token: ctx.viewer.token })).status, 403);
+
+    const stored = fs.readdirSync(path.join(ctx.server.dir, 'uploads')).filter(name => name.endsWith('notes.txt'));
+    assert.strictEqual(stored.length, 1);
+});
+
+test('with the retain policy, deleted files leave versions an admin can list and purge', async () => {
+    const file = await upload(ctx.owner.token, 'contract.txt', 'contract v1');
+    await uploadVersion(ctx.owner.token, file.id, 'contract.txt', 'contract v2');
+
+    const deleted = await ctx.request('DELETE', `/api/files/${file.id}`, { token: ctx.adminToken });
+    assert.strictEqual(deleted.status, 200);
+
+    assert.strictEqual((await ctx.request('GET', '/api/storage/retained-versions', { token: ctx.owner.token })).status, 403);
+    const retained = await ctx.request('GET', '/api/storage/retained-versions', { token: ctx.adminToken });
+    const contractVersions = retained.body.data.filter(version => version.original_name === 'contract.txt');
+    assert.deepStrictEqual(contractVersions.map(version => version.version_number).sort(), [1, 2]);
+
+    const single = await ctx.request('DELETE', `/api/storage/retained-versions/${contractVersions[0].id}`, { token: ctx.adminToken });
+    assert.strictEqual(single.status, 200);
+
+    const all = await ctx.request('DELETE', '/api/storage/retained-versions', { token: ctx.adminToken });
+    assert.strictEqual(all.body.data.purged, 1);
+    assert.deepStrictEqual((await ctx.request('GET', '/api/storage/retained-versions', { token: ctx.adminToken })).body.data, []);
+
+    const blobs = await ctx.server.query("SELECT id FROM file_blobs WHERE file_path LIKE '%contract.txt'");
+    assert.deepStrictEqual(blobs, []);
+    assert.deepStrictEqual(fs.readdirSync(path.join(ctx.server.dir, 'uploads')).filter(name => name.endsWith('contract.txt')), []);
+});
+
+test('with the default policy, deleting a file deletes its versions', async () => {
+    const server = await startServer();
+    try {
+        const token = await server.login();
+        const uploaded = await server.request('POST', '/api/files/upload', { token, body: uploadForm('draft.txt', 'draft v1') });
+        await server.request('POST', `/api/files/${uploaded.body.data.id}/versions`, { token, body: uploadForm('draft.txt', 'draft v2') });
+
+        assert.strictEqual((await server.request('DELETE', `/api/files/${uploaded.body.data.id}`, { token })).status, 200);
+        assert.deepStrictEqual((await server.request('GET', '/api/storage/retained-versions', { token })).body.data, []);
+        assert.deepStrictEqual(await server.query('SELECT id FROM file_versions'), []);
+        assert.deepStrictEqual(fs.readdirSync(path.join(server.dir, 'uploads')).filter(name => name.endsWith('draft.txt')), []);
+    } finally {
+        await server.stop();
+    }
+});